@@ -0,0 +1,236 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {ERC721Holder} from "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {Checkpoints} from "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import {AdminControl} from "../governance/AdminControl.sol";
+import {ErrorCodes} from "../libraries/ErrorCodes.sol";
+
+// Holds one ManageLifePropertyNFT and issues ERC20 shares in it. Shares can only be held by
+// KYC-verified accounts. Created through PropertyVaultFactory.
+//
+// Buyout: anyone verified can offer a price for the whole property by depositing it, and
+// anyone can outbid the current offer; outbid deposits are credited back for withdrawal.
+// Holders accept by escrowing their shares in the vault; the buyout completes once holders
+// of more than half the shares accepted, or when the buyout period passes without a higher
+// offer. The winner receives the NFT and every share redeems for its part of the price.
+//
+// Holdings (balance plus shares escrowed for a buyout) and the supply are checkpointed per
+// block, so income such as rent can be split by the holdings at the time it arrived.
+contract PropertyVault is ERC20, ERC721Holder, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.Trace208;
+
+    uint256 public constant PERCENTAGE_BASE = 10000;
+    uint256 public constant MIN_OUTBID_INCREMENT = 500; // 5%
+    uint256 public constant ACCEPT_QUORUM = 5000; // more than 50% of the shares
+
+    enum State {
+        ACTIVE,
+        BUYOUT,
+        SOLD,
+        RECLAIMED
+    }
+
+    IERC721 public immutable nft;
+    uint256 public immutable tokenId;
+    AdminControl public immutable adminControl;
+    IERC20 public immutable paymentToken;
+    address public immutable curator;
+    uint256 public immutable reservePrice;
+    uint256 public immutable buyoutDuration;
+
+    State public state;
+    address public buyoutProposer;
+    uint256 public buyoutPrice;
+    uint256 public buyoutEnd;
+
+    // Shares escrowed by holders who accepted the buyout
+    uint256 public acceptedShares;
+    mapping(address => uint256) public acceptedBy;
+
+    // Deposits of outbid proposers, claimed with withdrawRefund
+    mapping(address => uint256) public pendingRefunds;
+
+    // Fixed when the buyout completes, so redemptions are independent of their order
+    uint256 public saleSupply;
+
+    mapping(address => Checkpoints.Trace208) private _holdingCheckpoints;
+    Checkpoints.Trace208 private _supplyCheckpoints;
+
+    event BuyoutStarted(address indexed proposer, uint256 price, uint256 endTime);
+    event BuyoutOutbid(address indexed previousProposer, address indexed proposer, uint256 price, uint256 endTime);
+    event RefundCredited(address indexed proposer, uint256 amount);
+    event RefundWithdrawn(address indexed proposer, uint256 amount);
+    event BuyoutAccepted(address indexed holder, uint256 shares, uint256 totalAccepted);
+    event BuyoutCompleted(address indexed buyer, uint256 price);
+    event SharesRedeemed(address indexed holder, uint256 shares, uint256 amount);
+    event PropertyReclaimed(address indexed holder);
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        IERC721 _nft,
+        uint256 _tokenId,
+        AdminControl _adminControl,
+        IERC20 _paymentToken,
+        address _curator,
+        uint256 _shareSupply,
+        uint256 _reservePrice,
+        uint256 _buyoutDuration
+    ) ERC20(name_, symbol_) {
+        require(address(_paymentToken) != address(0), ErrorCodes.E001);
+        require(_shareSupply > 0, ErrorCodes.E003);
+        require(_reservePrice > 0, ErrorCodes.E104);
+        nft = _nft;
+        tokenId = _tokenId;
+        adminControl = _adminControl;
+        paymentToken = _paymentToken;
+        curator = _curator;
+        reservePrice = _reservePrice;
+        buyoutDuration = _buyoutDuration;
+        _mint(_curator, _shareSupply);
+    }
+
+    // Starts a buyout, or outbids the current one by at least MIN_OUTBID_INCREMENT. The full
+    // price is deposited; an outbid proposer's deposit is credited to pendingRefunds and the
+    // buyout period restarts.
+    function startBuyout(uint256 price) external nonReentrant {
+        require(state == State.ACTIVE || state == State.BUYOUT, ErrorCodes.E951);
+        require(adminControl.isKYCVerified(msg.sender), ErrorCodes.E403);
+        require(price >= reservePrice, ErrorCodes.E104);
+
+        address previousProposer = buyoutProposer;
+        uint256 previousPrice = buyoutPrice;
+        if (state == State.BUYOUT) {
+            require(block.timestamp < buyoutEnd, ErrorCodes.E954);
+            require(price >= previousPrice + (previousPrice * MIN_OUTBID_INCREMENT) / PERCENTAGE_BASE, ErrorCodes.E205);
+        }
+
+        state = State.BUYOUT;
+        buyoutProposer = msg.sender;
+        buyoutPrice = price;
+        buyoutEnd = block.timestamp + buyoutDuration;
+
+        paymentToken.safeTransferFrom(msg.sender, address(this), price);
+        if (previousProposer != address(0)) {
+            pendingRefunds[previousProposer] += previousPrice;
+            emit RefundCredited(previousProposer, previousPrice);
+            emit BuyoutOutbid(previousProposer, msg.sender, price, buyoutEnd);
+        } else {
+            emit BuyoutStarted(msg.sender, price, buyoutEnd);
+        }
+    }
+
+    // Escrows `shares` in favour of the running buyout. Accepted shares stay committed if the
+    // buyout is outbid, since a higher price is always acceptable.
+    function acceptBuyout(uint256 shares) external nonReentrant {
+        require(state == State.BUYOUT, ErrorCodes.E953);
+        require(block.timestamp < buyoutEnd, ErrorCodes.E954);
+        require(shares > 0, ErrorCodes.E003);
+
+        acceptedBy[msg.sender] += shares;
+        acceptedShares += shares;
+        // Skips our _update: escrow leaves holdings unchanged, and it is the only way into the vault
+        super._update(msg.sender, address(this), shares);
+        emit BuyoutAccepted(msg.sender, shares, acceptedShares);
+    }
+
+    // Pays out the caller's outbid buyout deposits
+    function withdrawRefund() external nonReentrant {
+        uint256 amount = pendingRefunds[msg.sender];
+        require(amount > 0, ErrorCodes.E962);
+
+        pendingRefunds[msg.sender] = 0;
+        paymentToken.safeTransfer(msg.sender, amount);
+        emit RefundWithdrawn(msg.sender, amount);
+    }
+
+    // Hands the NFT to the winning proposer. Anyone can call it once the buyout can complete.
+    function completeBuyout() external nonReentrant {
+        require(state == State.BUYOUT, ErrorCodes.E953);
+        require(
+            block.timestamp >= buyoutEnd || acceptedShares * PERCENTAGE_BASE > totalSupply() * ACCEPT_QUORUM,
+            ErrorCodes.E955
+        );
+
+        state = State.SOLD;
+        saleSupply = totalSupply();
+        emit BuyoutCompleted(buyoutProposer, buyoutPrice);
+        nft.safeTransferFrom(address(this), buyoutProposer, tokenId);
+    }
+
+    // Burns the caller's shares, escrowed ones included, for their part of the sale price
+    function redeem() external nonReentrant returns (uint256 amount) {
+        require(state == State.SOLD, ErrorCodes.E956);
+        uint256 escrowed = acceptedBy[msg.sender];
+        uint256 shares = balanceOf(msg.sender) + escrowed;
+        require(shares > 0, ErrorCodes.E003);
+
+        if (escrowed > 0) {
+            acceptedBy[msg.sender] = 0;
+            _burn(address(this), escrowed);
+        }
+        _burn(msg.sender, shares - escrowed);
+        amount = (shares * buyoutPrice) / saleSupply;
+        paymentToken.safeTransfer(msg.sender, amount);
+        emit SharesRedeemed(msg.sender, shares, amount);
+    }
+
+    // A holder of every share can dissolve the vault and take the NFT back
+    function reclaim() external nonReentrant {
+        require(state == State.ACTIVE, state == State.BUYOUT ? ErrorCodes.E952 : ErrorCodes.E951);
+        require(balanceOf(msg.sender) == totalSupply(), ErrorCodes.E957);
+
+        state = State.RECLAIMED;
+        _burn(msg.sender, totalSupply());
+        emit PropertyReclaimed(msg.sender);
+        nft.safeTransferFrom(address(this), msg.sender, tokenId);
+    }
+
+    // Balance plus escrowed shares of `account`
+    function holdingsOf(address account) public view returns (uint256) {
+        return balanceOf(account) + acceptedBy[account];
+    }
+
+    // Holdings of `account` at the end of block `blockNumber`
+    function holdingsAt(address account, uint256 blockNumber) external view returns (uint256) {
+        return _holdingCheckpoints[account].upperLookupRecent(SafeCast.toUint48(blockNumber));
+    }
+
+    // Share supply at the end of block `blockNumber`
+    function totalSupplyAt(uint256 blockNumber) external view returns (uint256) {
+        return _supplyCheckpoints.upperLookupRecent(SafeCast.toUint48(blockNumber));
+    }
+
+    // Shares only move between KYC-verified accounts. Burns are exempt so holders who lose
+    // verification can still redeem. Shares only enter the vault through acceptBuyout, which
+    // skips this hook, so holders who lose verification can still accept a buyout.
+    function _update(address from, address to, uint256 value) internal override {
+        if (to != address(0)) {
+            require(to != address(this), ErrorCodes.E913);
+            require(adminControl.isKYCVerified(to), ErrorCodes.E403);
+            if (from != address(0) && from != address(this)) {
+                require(adminControl.isKYCVerified(from), ErrorCodes.E403);
+            }
+        }
+        super._update(from, to, value);
+
+        uint48 blockNumber = SafeCast.toUint48(block.number);
+        if (from == address(0) || to == address(0)) {
+            _supplyCheckpoints.push(blockNumber, SafeCast.toUint208(totalSupply()));
+        }
+        if (from != address(0) && from != address(this)) {
+            _holdingCheckpoints[from].push(blockNumber, SafeCast.toUint208(holdingsOf(from)));
+        }
+        if (to != address(0)) {
+            _holdingCheckpoints[to].push(blockNumber, SafeCast.toUint208(holdingsOf(to)));
+        }
+    }
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {AdminControl} from "../governance/AdminControl.sol";
+import {PropertyVault} from "./PropertyVault.sol";
+import {ErrorCodes} from "../libraries/ErrorCodes.sol";
+
+// Locks ManageLifePropertyNFTs into PropertyVaults and keeps track of them. The owner must
+// approve this factory for the NFT before fractionalizing it.
+contract PropertyVaultFactory {
+    uint256 public constant MIN_BUYOUT_DURATION = 1 days;
+    uint256 public constant MAX_BUYOUT_DURATION = 30 days;
+
+    IERC721 public immutable nft;
+    AdminControl public immutable adminControl;
+
+    address[] public vaults;
+    // Latest vault created for each property; it no longer holds the NFT once sold or reclaimed
+    mapping(uint256 => address) public vaultOf;
+
+    event VaultCreated(
+        uint256 indexed tokenId,
+        address indexed vault,
+        address indexed curator,
+        uint256 shareSupply,
+        address paymentToken,
+        uint256 reservePrice,
+        uint256 buyoutDuration
+    );
+
+    constructor(IERC721 _nft, AdminControl _adminControl) {
+        require(address(_nft) != address(0) && address(_adminControl) != address(0), ErrorCodes.E001);
+        nft = _nft;
+        adminControl = _adminControl;
+    }
+
+    // Moves the caller's property into a new vault and mints `shareSupply` shares to the caller
+    function fractionalize(
+        uint256 tokenId,
+        string calldata name,
+        string calldata symbol,
+        uint256 shareSupply,
+        IERC20 paymentToken,
+        uint256 reservePrice,
+        uint256 buyoutDuration
+    ) external returns (address vault) {
+        require(nft.ownerOf(tokenId) == msg.sender, ErrorCodes.E105);
+        require(adminControl.isKYCVerified(msg.sender), ErrorCodes.E403);
+        require(buyoutDuration >= MIN_BUYOUT_DURATION && buyoutDuration <= MAX_BUYOUT_DURATION, ErrorCodes.E502);
+
+        vault = address(new PropertyVault(
+            name,
+            symbol,
+            nft,
+            tokenId,
+            adminControl,
+            paymentToken,
+            msg.sender,
+            shareSupply,
+            reservePrice,
+            buyoutDuration
+        ));
+        vaults.push(vault);
+        vaultOf[tokenId] = vault;
+        emit VaultCreated(tokenId, vault, msg.sender, shareSupply, address(paymentToken), reservePrice, buyoutDuration);
+
+        nft.safeTransferFrom(msg.sender, vault, tokenId);
+    }
+
+    function vaultCount() external view returns (uint256) {
+        return vaults.length;
+    }
+}
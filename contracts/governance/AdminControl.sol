@@ -4,6 +4,7 @@ pragma solidity 0.8.20;
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "../interfaces/ILeaseRegistry.sol";
 
 /// @title AdminControl - Core contract for system administration and configuration
 /// @notice Manages system roles, fees, KYC verification, and reward parameters
@@ -19,6 +20,7 @@ contract AdminControl is AccessControl, Pausable {
     bytes32 public constant KYC_ROLE = keccak256("KYC_ROLE");
     bytes32 public constant REWARD_MANAGER_ROLE = keccak256("REWARD_MANAGER_ROLE");
     bytes32 public constant NFT_PROPERTY_MANAGER_ROLE = keccak256("NFT_PROPERTY_MANAGER_ROLE");
+    bytes32 public constant COMMUNITY_SCORE_ROLE = keccak256("COMMUNITY_SCORE_ROLE");
 
     // ========== Constants ==========
     uint256 public constant BASIS_POINTS = 10000; // Base for percentage calculations (100% = 10000, 1% = 100)
@@ -46,11 +48,19 @@ contract AdminControl is AccessControl, Pausable {
     mapping(address => uint256) public communityScores;
     mapping(uint256 => bool) public functionPaused;
 
+    /// @notice Maximum time a market listing stays valid after listing or renewal (0 = never expires)
+    uint256 public maxListingLifetime;
+
+    /// @notice Lease records used to compute lease bonuses (unset = no lease bonus)
+    ILeaseRegistry public leaseRegistry;
+
     // ========== Event Definitions ==========
     event FeeConfigUpdated(uint256 oldBaseFee, uint256 newBaseFee, uint256 oldMaxFee, uint256 newMaxFee, address indexed admin);
     event RewardParametersUpdated(uint256 oldBaseRate, uint256 newBaseRate, uint256 oldMultiplier, uint256 newMultiplier, address indexed admin);
     event KYCStatusUpdated(address indexed account, bool approved);
     event CommunityScoreUpdated(address indexed user, uint256 oldScore, uint256 newScore);
+    event ListingLifetimeUpdated(uint256 oldLifetime, uint256 newLifetime, address indexed admin);
+    event LeaseRegistryUpdated(address indexed oldRegistry, address indexed newRegistry, address indexed admin);
 
 
     function _initializeRoles(address admin) internal {
@@ -59,6 +69,7 @@ contract AdminControl is AccessControl, Pausable {
         _grantRole(KYC_ROLE, admin);
         _grantRole(REWARD_MANAGER_ROLE, admin);
         _grantRole(NFT_PROPERTY_MANAGER_ROLE, admin);
+        _grantRole(COMMUNITY_SCORE_ROLE, admin);
     }
 
     constructor(
@@ -110,6 +121,18 @@ contract AdminControl is AccessControl, Pausable {
         emit FeeConfigUpdated(oldBase, newBaseFee, oldMax, feeConfig.maxFee, msg.sender);
     }
 
+    /// @notice Sets how long market listings stay valid before they can be expired
+    /// @dev Only callable by accounts with PROTOCOL_PARAM_MANAGER_ROLE
+    /// @param newLifetime Lifetime in seconds, 0 to disable expiry
+    function setMaxListingLifetime(uint256 newLifetime) external onlyRole(PROTOCOL_PARAM_MANAGER_ROLE) {
+        require(newLifetime == 0 || newLifetime >= 1 days, "Lifetime <1 day");
+
+        uint256 oldLifetime = maxListingLifetime;
+        maxListingLifetime = newLifetime;
+
+        emit ListingLifetimeUpdated(oldLifetime, newLifetime, msg.sender);
+    }
+
     // ========== KYC Management ==========
     /// @notice Batch approves or revokes KYC verification for multiple accounts
     /// @dev Only callable by accounts with LEGAL_ROLE
@@ -158,6 +181,16 @@ contract AdminControl is AccessControl, Pausable {
         emit RewardParametersUpdated(oldRate, newBaseRate, oldMulti, newMultiplier, msg.sender);
     }
 
+    /// @notice Sets the lease registry that lease bonuses are computed from
+    /// @dev Only callable by accounts with REWARD_MANAGER role
+    /// @param newRegistry LeaseRegistry address, zero to disable lease bonuses
+    function setLeaseRegistry(ILeaseRegistry newRegistry) external onlyRole(REWARD_MANAGER_ROLE) {
+        address oldRegistry = address(leaseRegistry);
+        leaseRegistry = newRegistry;
+
+        emit LeaseRegistryUpdated(oldRegistry, address(newRegistry), msg.sender);
+    }
+
     // ========== Emergency Controls ==========
     /// @notice Pauses or unpauses a specific function in emergency situations
     /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE
@@ -184,7 +217,8 @@ contract AdminControl is AccessControl, Pausable {
 
     // ========== Community Score Management ==========
     /// @notice Updates a user's community score
-    /// @dev Only callable by accounts with OPERATOR_ROLE
+    /// @dev Only callable by accounts with PROTOCOL_PARAM_MANAGER_ROLE or COMMUNITY_SCORE_ROLE,
+    ///      the latter held by contracts that score tenant behaviour such as RentEscrow
     /// @param user Address of the user to update score
     /// @param scoreDelta Amount to change the score by
     /// @param isAddition True to add score, false to subtract
@@ -192,7 +226,11 @@ contract AdminControl is AccessControl, Pausable {
         address user, 
         uint256 scoreDelta, 
         bool isAddition
-    ) external onlyRole(PROTOCOL_PARAM_MANAGER_ROLE) {
+    ) external {
+        require(
+            hasRole(PROTOCOL_PARAM_MANAGER_ROLE, msg.sender) || hasRole(COMMUNITY_SCORE_ROLE, msg.sender),
+            "Score updater role required"
+        );
         uint256 oldScore = communityScores[user];
         uint256 newScore;
         
@@ -236,11 +274,14 @@ contract AdminControl is AccessControl, Pausable {
 
     // ========== Internal Functions ==========
     /// @notice Gets lease bonus for a user
-    /// @dev Implementation roadmap: integrate with lease duration tracking
+    /// @dev Scales maxLeaseBonus by the tenure-based factor from the lease registry
+    /// @param user Address of the user
     /// @return Lease bonus in basis points
-    function _getLeaseBonus(address /*user*/) internal view returns (uint256) {
-        // TODO: Implement actual lease duration calculation
-        return rewardParams.maxLeaseBonus;
+    function _getLeaseBonus(address user) internal view returns (uint256) {
+        if (address(leaseRegistry) == address(0)) {
+            return 0;
+        }
+        return rewardParams.maxLeaseBonus * leaseRegistry.leaseBonusFactor(user) / BASIS_POINTS;
     }
 
     /// @notice Gets community bonus for a user based on their score
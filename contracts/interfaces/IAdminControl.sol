@@ -5,4 +5,5 @@ interface IAdminControl {
     function hasRole(bytes32 role, address account) external view returns (bool);
     function NFT_PROPERTY_MANAGER_ROLE() external view returns (bytes32);
     function DEFAULT_ADMIN_ROLE() external view returns (bytes32);
+    function feeConfig() external view returns (uint256 baseFee, uint256 maxFee, address feeCollector);
 }
\ No newline at end of file
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/// @notice Lease lookups used by the reward contracts to compute lease bonuses.
+interface ILeaseRegistry {
+    function hasActiveLease(address tenant) external view returns (bool);
+    function leaseTenure(address tenant) external view returns (uint256);
+    function leaseBonusFactor(address tenant) external view returns (uint256);
+}
@@ -4,6 +4,10 @@ import {IAdminControl} from "./IAdminControl.sol";
 interface IManageLifePropertyNFT {
     function mintPropertyNFT(address to, bool deedHeldAtManageLife) external returns (uint256);
     function setDeedHeldAtManageLife(uint256 tokenId, bool deedHeldAtManageLife) external;
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) external;
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeNumerator) external;
+    function resetTokenRoyalty(uint256 tokenId) external;
     function propertyControllerContract() external view returns (address);
     function adminController() external view returns (IAdminControl);
+    function ownerOf(uint256 tokenId) external view returns (address);
 }
\ No newline at end of file
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/// @notice A contract that holds property NFTs in escrow on behalf of their seller, such as
+///         PropertyAuction between the NFT deposit and settlement.
+interface IPropertyEscrow {
+    /// @return depositor account the NFT is held for, address(0) if it is not escrowed here
+    function escrowedBy(address nft, uint256 tokenId) external view returns (address depositor);
+}
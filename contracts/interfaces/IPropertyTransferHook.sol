@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/// @notice Notified by ManageLifePropertyNFT after every transfer between two accounts.
+interface IPropertyTransferHook {
+    function onPropertyTransfer(address from, address to, uint256 tokenId) external;
+}
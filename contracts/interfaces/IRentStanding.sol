@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/// @notice Whether a tenant is behind on rent, consulted by LeaseRegistry for lease bonuses.
+interface IRentStanding {
+    function isInArrears(address tenant) external view returns (bool);
+}
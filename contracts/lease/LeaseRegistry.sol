@@ -0,0 +1,207 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IAdminControl} from "../interfaces/IAdminControl.sol";
+import {ILeaseRegistry} from "../interfaces/ILeaseRegistry.sol";
+import {IRentStanding} from "../interfaces/IRentStanding.sol";
+import {ErrorCodes} from "../libraries/ErrorCodes.sol";
+
+// Records property leases. A property manager drafts a lease and the tenant countersigns it,
+// after which it counts towards the tenant's lease bonus in BaseRewards and AdminControl.
+// A property only has one signed lease at a time; the next one may start when it ends.
+// Tenants behind on rent, as reported by the rent escrow, earn no lease bonus.
+contract LeaseRegistry is ILeaseRegistry {
+    uint256 public constant BASIS_POINTS = 10000;
+    // Tenure at which a tenant earns the full lease bonus
+    uint256 public constant FULL_BONUS_TENURE = 365 days;
+
+    enum LeaseStatus {
+        PENDING,
+        ACTIVE,
+        TERMINATED,
+        CANCELLED
+    }
+
+    struct Lease {
+        address tenant;
+        uint256 tokenId;
+        uint256 start;
+        // Moved forward to the termination time when a lease is terminated early
+        uint256 end;
+        uint256 rent;
+        LeaseStatus status;
+    }
+
+    IAdminControl public immutable adminControl;
+    IERC721 public immutable nftiContract;
+    IRentStanding public rentStanding;
+
+    Lease[] private _leases;
+    mapping(address => uint256[]) private _tenantLeases;
+    // Signed leases of each property, in chronological order
+    mapping(uint256 => uint256[]) private _propertyLeases;
+
+    event LeaseCreated(uint256 indexed leaseId, uint256 indexed tokenId, address indexed tenant, uint256 start, uint256 end, uint256 rent);
+    event LeaseSigned(uint256 indexed leaseId, address indexed tenant);
+    event LeaseCancelled(uint256 indexed leaseId);
+    event LeaseTerminated(uint256 indexed leaseId, uint256 agreedEnd, uint256 terminatedAt);
+    event RentStandingUpdated(address indexed rentStanding);
+
+    constructor(IAdminControl _adminControl, IERC721 _nftiContract) {
+        require(address(_adminControl) != address(0) && address(_nftiContract) != address(0), ErrorCodes.E001);
+        adminControl = _adminControl;
+        nftiContract = _nftiContract;
+    }
+
+    modifier onlyPropertyManager() {
+        require(adminControl.hasRole(adminControl.NFT_PROPERTY_MANAGER_ROLE(), msg.sender), ErrorCodes.E002);
+        _;
+    }
+
+    // Sets where rent arrears are looked up; address(0) ignores rent payments
+    function setRentStanding(IRentStanding _rentStanding) external {
+        require(adminControl.hasRole(adminControl.DEFAULT_ADMIN_ROLE(), msg.sender), ErrorCodes.E002);
+        rentStanding = _rentStanding;
+        emit RentStandingUpdated(address(_rentStanding));
+    }
+
+    // Drafts a lease of `tokenId` for `tenant`, to be countersigned by the tenant
+    function createLease(
+        uint256 tokenId,
+        address tenant,
+        uint256 start,
+        uint256 end,
+        uint256 rent
+    ) external onlyPropertyManager returns (uint256 leaseId) {
+        require(tenant != address(0), ErrorCodes.E001);
+        require(start < end && end > block.timestamp, ErrorCodes.E972);
+        // Reverts for properties that were never minted
+        nftiContract.ownerOf(tokenId);
+
+        leaseId = _leases.length;
+        _leases.push(Lease({
+            tenant: tenant,
+            tokenId: tokenId,
+            start: start,
+            end: end,
+            rent: rent,
+            status: LeaseStatus.PENDING
+        }));
+        _tenantLeases[tenant].push(leaseId);
+
+        emit LeaseCreated(leaseId, tokenId, tenant, start, end, rent);
+    }
+
+    // Tenant countersigns a drafted lease, which must start after the property's last signed lease ends
+    function signLease(uint256 leaseId) external {
+        Lease storage lease = _getLease(leaseId);
+        require(msg.sender == lease.tenant, ErrorCodes.E975);
+        require(lease.status == LeaseStatus.PENDING, ErrorCodes.E973);
+        require(block.timestamp < lease.end, ErrorCodes.E977);
+
+        uint256[] storage signed = _propertyLeases[lease.tokenId];
+        if (signed.length > 0) {
+            require(lease.start >= _leases[signed[signed.length - 1]].end, ErrorCodes.E976);
+        }
+
+        lease.status = LeaseStatus.ACTIVE;
+        signed.push(leaseId);
+        emit LeaseSigned(leaseId, msg.sender);
+    }
+
+    // Withdraws a lease the tenant has not signed yet
+    function cancelLease(uint256 leaseId) external onlyPropertyManager {
+        Lease storage lease = _getLease(leaseId);
+        require(lease.status == LeaseStatus.PENDING, ErrorCodes.E973);
+
+        lease.status = LeaseStatus.CANCELLED;
+        emit LeaseCancelled(leaseId);
+    }
+
+    // Ends a signed lease now; the time already spent still counts towards the tenant's tenure
+    function terminateLease(uint256 leaseId) external onlyPropertyManager {
+        Lease storage lease = _getLease(leaseId);
+        require(lease.status == LeaseStatus.ACTIVE, ErrorCodes.E974);
+
+        uint256 agreedEnd = lease.end;
+        lease.status = LeaseStatus.TERMINATED;
+        if (block.timestamp < agreedEnd) {
+            lease.end = block.timestamp < lease.start ? lease.start : block.timestamp;
+        }
+        emit LeaseTerminated(leaseId, agreedEnd, block.timestamp);
+    }
+
+    function getLease(uint256 leaseId) external view returns (Lease memory) {
+        return _getLease(leaseId);
+    }
+
+    function leaseCount() external view returns (uint256) {
+        return _leases.length;
+    }
+
+    function leasesOf(address tenant) external view returns (uint256[] memory) {
+        return _tenantLeases[tenant];
+    }
+
+    // Signed lease currently in effect for `tokenId`, if any
+    function currentLease(uint256 tokenId) external view returns (bool exists, uint256 leaseId) {
+        uint256[] storage signed = _propertyLeases[tokenId];
+        for (uint256 i = signed.length; i > 0; ) {
+            unchecked { --i; }
+            Lease storage lease = _leases[signed[i]];
+            if (_inEffect(lease)) return (true, signed[i]);
+            // Earlier leases ended before this one started
+            if (lease.end <= block.timestamp) break;
+        }
+        return (false, 0);
+    }
+
+    function leasesOfProperty(uint256 tokenId) external view returns (uint256[] memory) {
+        return _propertyLeases[tokenId];
+    }
+
+    // True while the tenant has a signed lease that has started and not ended
+    function hasActiveLease(address tenant) public view returns (bool) {
+        uint256[] storage ids = _tenantLeases[tenant];
+        for (uint256 i = 0; i < ids.length; ) {
+            if (_inEffect(_leases[ids[i]])) return true;
+            unchecked { ++i; }
+        }
+        return false;
+    }
+
+    // Total time the tenant has lived under signed leases so far, terminated ones included
+    function leaseTenure(address tenant) public view returns (uint256 tenure) {
+        uint256[] storage ids = _tenantLeases[tenant];
+        for (uint256 i = 0; i < ids.length; ) {
+            Lease storage lease = _leases[ids[i]];
+            if (
+                (lease.status == LeaseStatus.ACTIVE || lease.status == LeaseStatus.TERMINATED) &&
+                lease.start < block.timestamp
+            ) {
+                tenure += (block.timestamp < lease.end ? block.timestamp : lease.end) - lease.start;
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    // Share of the maximum lease bonus the tenant earns, in basis points: nothing without an
+    // active lease or while in arrears, then growing linearly with tenure up to FULL_BONUS_TENURE
+    function leaseBonusFactor(address tenant) external view returns (uint256) {
+        if (!hasActiveLease(tenant)) return 0;
+        if (address(rentStanding) != address(0) && rentStanding.isInArrears(tenant)) return 0;
+        uint256 tenure = leaseTenure(tenant);
+        if (tenure >= FULL_BONUS_TENURE) return BASIS_POINTS;
+        return (tenure * BASIS_POINTS) / FULL_BONUS_TENURE;
+    }
+
+    function _inEffect(Lease storage lease) private view returns (bool) {
+        return lease.status == LeaseStatus.ACTIVE && lease.start <= block.timestamp && block.timestamp < lease.end;
+    }
+
+    function _getLease(uint256 leaseId) private view returns (Lease storage) {
+        require(leaseId < _leases.length, ErrorCodes.E971);
+        return _leases[leaseId];
+    }
+}
@@ -95,68 +95,43 @@ library BidManagement {
         }
     }
 
-    /// @notice Clean up inactive bids in batches
+    /// @notice Compact a token's bid array, dropping inactive bids
+    /// @dev Internal so callers need no library linking. Active bids keep their order and
+    ///      their bidIndexByBidder entries are re-pointed (1-based) at the new positions.
     /// @param bids Array of bids for the token
     /// @param bidIndexByBidder Mapping to track bidder indices
     /// @param tokenId The token ID
-    /// @param batchSize Maximum number of bids to process
+    /// @param batchSize Maximum array length to compact; longer arrays are left untouched
     /// @return removedCount Number of inactive bids removed
     function cleanupInactiveBids(
         Bid[] storage bids,
         mapping(address => mapping(uint256 => uint256)) storage bidIndexByBidder,
         uint256 tokenId,
         uint256 batchSize
-    ) external returns (uint256 removedCount) {
-        uint256 originalLength = bids.length;
-        if (originalLength == 0) return 0;
-
-        uint256 processLimit = originalLength > batchSize ? batchSize : originalLength;
-
-        for (uint256 i = 0; i < processLimit; i++) {
-            if (!bids[i].isActive) {
-                bidIndexByBidder[bids[i].bidder][tokenId] = 0;
-                removedCount++;
-            }
-        }
-
-        // Only rebuild if we processed all bids and there were removals
-        if (processLimit == originalLength && removedCount > 0) {
-            _rebuildBidsArray(bids);
-        }
-    }
-
-    /// @notice Rebuild bids array by removing inactive entries
-    /// @param bids Array of bids to rebuild
-    function _rebuildBidsArray(Bid[] storage bids) internal {
-        uint256 activeCount = 0;
+    ) internal returns (uint256 removedCount) {
         uint256 length = bids.length;
-        
-        // Count active bids
-        for (uint256 i = 0; i < length; i++) {
-            if (bids[i].isActive) {
-                activeCount++;
-            }
-        }
+        if (length == 0 || length > batchSize) return 0;
 
-        // Create new array with only active bids
-        Bid[] memory activeBids = new Bid[](activeCount);
-        uint256 index = 0;
-        
+        uint256 kept = 0;
         for (uint256 i = 0; i < length; i++) {
-            if (bids[i].isActive) {
-                activeBids[index] = bids[i];
-                index++;
+            if (!bids[i].isActive) {
+                // A bidder may have re-bid since; only clear an index that still points here
+                if (bidIndexByBidder[bids[i].bidder][tokenId] == i + 1) {
+                    bidIndexByBidder[bids[i].bidder][tokenId] = 0;
+                }
+                continue;
+            }
+            if (kept != i) {
+                bids[kept] = bids[i];
+                bidIndexByBidder[bids[kept].bidder][tokenId] = kept + 1;
             }
+            kept++;
         }
 
-        // Clear the storage array and repopulate
-        while (bids.length > 0) {
+        removedCount = length - kept;
+        for (uint256 i = 0; i < removedCount; i++) {
             bids.pop();
         }
-        
-        for (uint256 i = 0; i < activeCount; i++) {
-            bids.push(activeBids[i]);
-        }
     }
 
     /// @notice Find active ETH bid for payment completion
@@ -17,6 +17,9 @@ library ErrorCodes {
     string constant E103 = "E103"; // Not listed
     string constant E104 = "E104"; // Invalid price
     string constant E105 = "E105"; // Not owner
+    string constant E106 = "E106"; // Market not approved for token
+    string constant E107 = "E107"; // Listing expired
+    string constant E108 = "E108"; // Listing not expired
     
     // ========== Bidding Errors ==========
     string constant E201 = "E201"; // No active bid
@@ -27,6 +30,14 @@ library ErrorCodes {
     string constant E206 = "E206"; // Must meet price
     string constant E207 = "E207"; // ETH amount mismatch
     string constant E208 = "E208"; // Insufficient allowance
+    string constant E209 = "E209"; // Bid expired
+    string constant E210 = "E210"; // Bid expiry in the past
+    
+    // ========== Offer Errors ==========
+    string constant E211 = "E211"; // Offer expired
+    string constant E212 = "E212"; // Offer nonce cancelled
+    string constant E213 = "E213"; // Offer already filled
+    string constant E214 = "E214"; // Invalid offer signature
     
     // ========== Payment Errors ==========
     string constant E301 = "E301"; // Token not allowed
@@ -90,4 +101,36 @@ library ErrorCodes {
     string constant E914 = "E914"; // Insufficient contract balance
     string constant E915 = "E915"; // Invalid token address
     string constant E916 = "E916"; // Insufficient token balance
+
+    // ========== Fractional Vault Errors ==========
+    string constant E951 = "E951"; // Vault closed
+    string constant E952 = "E952"; // Buyout in progress
+    string constant E953 = "E953"; // No active buyout
+    string constant E954 = "E954"; // Buyout period ended
+    string constant E955 = "E955"; // Buyout cannot complete yet
+    string constant E956 = "E956"; // Vault not sold
+    string constant E957 = "E957"; // Must hold all shares
+
+    // ========== Rent Distribution Errors ==========
+    string constant E961 = "E961"; // Unknown distribution
+    string constant E962 = "E962"; // Nothing to claim
+
+    // ========== Lease Errors ==========
+    string constant E971 = "E971"; // Unknown lease
+    string constant E972 = "E972"; // Invalid lease period
+    string constant E973 = "E973"; // Lease not pending
+    string constant E974 = "E974"; // Lease not active
+    string constant E975 = "E975"; // Not the tenant
+    string constant E976 = "E976"; // Overlaps the property's last lease
+    string constant E977 = "E977"; // Lease already ended
+
+    // ========== Rent Escrow Errors ==========
+    string constant E981 = "E981"; // Escrow already open
+    string constant E982 = "E982"; // No escrow for lease
+    string constant E983 = "E983"; // Rent fully paid
+    string constant E984 = "E984"; // Invalid deposit state
+    string constant E985 = "E985"; // Lease not ended
+    string constant E986 = "E986"; // Deduction exceeds deposit
+    string constant E987 = "E987"; // Dispute window closed
+    string constant E988 = "E988"; // Deposit not releasable yet
 }
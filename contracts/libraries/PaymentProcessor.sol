@@ -16,6 +16,12 @@ library PaymentProcessor {
         address feeCollector;   // Address to receive fees
         uint256 percentageBase; // Base for percentage calculations (e.g., 10000 for basis points)
     }
+
+    /// @notice ERC-2981 royalty owed out of a sale
+    struct Royalty {
+        address receiver;       // Address to receive the royalty (zero = none)
+        uint256 amount;         // Royalty amount requested by the NFT contract
+    }
     
     /// @notice Emitted when a payment is processed
     event PaymentProcessed(
@@ -33,18 +39,89 @@ library PaymentProcessor {
     /// @param buyer Address of the payment sender
     /// @param amount Total payment amount
     /// @param paymentToken Address of payment token
+    /// @param royalty Royalty owed out of the payment
+    /// @return fees Amount sent to the fee collector
+    /// @return royaltyAmount Amount sent to the royalty receiver
+    /// @return netValue Amount sent to the seller
     function processPayment(
         PaymentConfig memory config,
         address seller,
         address buyer,
         uint256 amount,
-        address paymentToken
-    ) internal {
-        uint256 fees = (amount * config.baseFee) / config.percentageBase;
-        uint256 netValue = amount - fees;
+        address paymentToken,
+        Royalty memory royalty
+    ) internal returns (uint256 fees, uint256 royaltyAmount, uint256 netValue) {
+        (fees, royaltyAmount, netValue) = calculateSplit(config, amount, royalty);
         _processTokenPayment(paymentToken, buyer, seller, config.feeCollector, netValue, fees);
+        if (royaltyAmount > 0) {
+            IERC20(paymentToken).safeTransferFrom(buyer, royalty.receiver, royaltyAmount);
+        }
+        emit PaymentProcessed(seller, buyer, amount, fees, paymentToken);
+    }
+
+    /// @notice Processes payment for funds already held by the contract (escrowed bids and purchases)
+    /// @param config Payment configuration containing fee settings
+    /// @param seller Address of the payment recipient
+    /// @param buyer Address the funds were escrowed for
+    /// @param amount Total payment amount
+    /// @param paymentToken Address of payment token
+    /// @param royalty Royalty owed out of the payment
+    /// @return fees Amount sent to the fee collector
+    /// @return royaltyAmount Amount sent to the royalty receiver
+    /// @return netValue Amount sent to the seller
+    function processPaymentFromBalance(
+        PaymentConfig memory config,
+        address seller,
+        address buyer,
+        uint256 amount,
+        address paymentToken,
+        Royalty memory royalty
+    ) internal returns (uint256 fees, uint256 royaltyAmount, uint256 netValue) {
+        (fees, royaltyAmount, netValue) = calculateSplit(config, amount, royalty);
+        IERC20 token = IERC20(paymentToken);
+        token.safeTransfer(seller, netValue);
+        if (fees > 0) {
+            token.safeTransfer(config.feeCollector, fees);
+        }
+        if (royaltyAmount > 0) {
+            token.safeTransfer(royalty.receiver, royaltyAmount);
+        }
         emit PaymentProcessed(seller, buyer, amount, fees, paymentToken);
     }
+
+    /// @notice Splits a gross amount into platform fee and seller proceeds
+    /// @param config Payment configuration containing fee settings
+    /// @param amount Total payment amount
+    /// @return fees Fee amount for the collector
+    /// @return netValue Amount left for the seller
+    function calculateFees(
+        PaymentConfig memory config,
+        uint256 amount
+    ) internal pure returns (uint256 fees, uint256 netValue) {
+        fees = (amount * config.baseFee) / config.percentageBase;
+        netValue = amount - fees;
+    }
+
+    /// @notice Splits a gross amount into platform fee, royalty and seller proceeds
+    /// @dev The royalty is capped at what is left after the platform fee, so a
+    ///      misconfigured royalty can never block a sale
+    /// @param config Payment configuration containing fee settings
+    /// @param amount Total payment amount
+    /// @param royalty Royalty requested by the NFT contract
+    /// @return fees Fee amount for the collector
+    /// @return royaltyAmount Amount for the royalty receiver
+    /// @return netValue Amount left for the seller
+    function calculateSplit(
+        PaymentConfig memory config,
+        uint256 amount,
+        Royalty memory royalty
+    ) internal pure returns (uint256 fees, uint256 royaltyAmount, uint256 netValue) {
+        (fees, netValue) = calculateFees(config, amount);
+        if (royalty.receiver != address(0)) {
+            royaltyAmount = royalty.amount > netValue ? netValue : royalty.amount;
+            netValue -= royaltyAmount;
+        }
+    }
     
     
     /// @notice Processes ERC20 token payments
@@ -65,7 +142,9 @@ library PaymentProcessor {
     ) private {
         IERC20 token = IERC20(paymentToken);
         token.safeTransferFrom(buyer, seller, netValue);  
-        token.safeTransferFrom(buyer, feeCollector, fees);
+        if (fees > 0) {
+            token.safeTransferFrom(buyer, feeCollector, fees);
+        }
 
     }
     
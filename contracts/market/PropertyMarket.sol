@@ -3,13 +3,17 @@ pragma solidity 0.8.20;
 
 import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC2981} from "@openzeppelin/contracts/interfaces/IERC2981.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import {AdminControl} from "../governance/AdminControl.sol";
+import {IPropertyTransferHook} from "../interfaces/IPropertyTransferHook.sol";
+import {TrustedForwarderContext} from "../metatx/TrustedForwarderContext.sol";
 import {PaymentProcessor} from "../libraries/PaymentProcessor.sol";
+import {BidManagement} from "../libraries/BidManagement.sol";
 import {ErrorCodes} from "../libraries/ErrorCodes.sol";
 
-contract PropertyMarket is ReentrancyGuard {
+contract PropertyMarket is ReentrancyGuard, IPropertyTransferHook, TrustedForwarderContext {
     using SafeERC20 for IERC20;
     constructor(address _nfti, address _nftm, AdminControl _adminControl){
         require(_nfti != address(0), ErrorCodes.E001);
@@ -22,16 +26,7 @@ contract PropertyMarket is ReentrancyGuard {
 
     uint256 public constant PERCENTAGE_BASE = 10000;
 
-    enum PropertyStatus { LISTED, SOLD, DELISTED, PENDING_SELLER_CONFIRMATION }
-
-    struct Bid {
-        uint256 tokenId;
-        address bidder;
-        uint256 amount;
-        address paymentToken;
-        uint256 bidTimestamp;
-        bool isActive;
-    }
+    enum PropertyStatus { LISTED, SOLD, DELISTED, PENDING_SELLER_CONFIRMATION, EXPIRED }
 
     struct PropertyListing {
         uint256 tokenId;
@@ -62,8 +57,12 @@ contract PropertyMarket is ReentrancyGuard {
     mapping(uint256 => PropertyListing) public listings;
     mapping(uint256 => PendingPurchase) public pendingPurchases;
 
-    mapping(uint256 => Bid[]) public bidsForToken;
+    mapping(uint256 => BidManagement.Bid[]) public bidsForToken;
     mapping(address => mapping(uint256 => uint256)) public bidIndexByBidder;
+    // tokenId => bidder => expiry of their bid, 0 = valid until cancelled or accepted
+    mapping(uint256 => mapping(address => uint256)) public bidExpiresAt;
+    // PropertyMarketPeriphery: its calls are attributed to the sender it appends, like the forwarder's
+    address public periphery;
     event NewListing(
         uint256 indexed tokenId,
         address indexed seller,
@@ -103,6 +102,11 @@ contract PropertyMarket is ReentrancyGuard {
         address indexed bidder,
         uint256 amount
     );
+    event BidExpirySet(uint256 indexed tokenId, address indexed bidder, uint256 expiresAt);
+    event BidExpired(uint256 indexed tokenId, address indexed bidder, uint256 amount);
+    event Delisted(uint256 indexed tokenId, address indexed seller);
+    event ListingRenewed(uint256 indexed tokenId, uint256 expiresAt);
+    event ListingExpired(uint256 indexed tokenId, address indexed seller);
     event PaymentTokenAdded(address indexed token);
     event PaymentTokenRemoved(address indexed token);
     event ListingPriceChanged(uint256 indexed tokenId, uint256 newPrice);
@@ -146,6 +150,19 @@ contract PropertyMarket is ReentrancyGuard {
         address paymentToken
     );
 
+    event SaleSettled(
+        uint256 indexed tokenId,
+        address indexed seller,
+        address indexed buyer,
+        address paymentToken,
+        uint256 grossAmount,
+        uint256 feeAmount,
+        address royaltyReceiver,
+        uint256 royaltyAmount,
+        uint256 netAmount
+    );
+
+    event PeripheryUpdated(address indexed periphery);
 
     error DirectEthTransferNotAllowed();
 
@@ -162,6 +179,20 @@ contract PropertyMarket is ReentrancyGuard {
         allowedPaymentTokens[token] = false;
         emit PaymentTokenRemoved(token);
     }
+
+    // ERC-2771: lets buyers without ETH trade through a relayer; address(0) disables it
+    function setTrustedForwarder(address forwarder) external onlyAdminControlAdmin {
+        _setTrustedForwarder(forwarder);
+    }
+
+    function setPeriphery(address _periphery) external onlyAdminControlAdmin {
+        periphery = _periphery;
+        emit PeripheryUpdated(_periphery);
+    }
+
+    function isTrustedForwarder(address forwarder) public view override returns (bool) {
+        return super.isTrustedForwarder(forwarder) || (forwarder != address(0) && forwarder == periphery);
+    }
     
     function listProperty(uint256 tokenId, uint256 price, address paymentToken) external nonReentrant onlyKYCVerified onlyAllowedToken(paymentToken) onlyValidAmount(price) {
         _listPropertyWithConfirmation(tokenId, price, paymentToken, 0);
@@ -171,9 +202,10 @@ contract PropertyMarket is ReentrancyGuard {
         require(period <= 7 days, ErrorCodes.E607);
         _listPropertyWithConfirmation(tokenId, price, paymentToken, period);
     }
+
     function _listPropertyWithConfirmation(uint256 tokenId, uint256 price, address paymentToken, uint256 period) internal {
         address currentOwner = nftiContract.ownerOf(tokenId);
-        require(currentOwner == msg.sender, ErrorCodes.E105);
+        require(currentOwner == _msgSender(), ErrorCodes.E105);
         PropertyListing storage existingListing = listings[tokenId];
 
         if (existingListing.seller != address(0) && existingListing.seller != currentOwner) {
@@ -186,7 +218,7 @@ contract PropertyMarket is ReentrancyGuard {
 
         listings[tokenId] = PropertyListing({
             tokenId: tokenId,
-            seller: msg.sender,
+            seller: _msgSender(),
             price: price,
             paymentToken: paymentToken,
             status: PropertyStatus.LISTED,
@@ -195,11 +227,16 @@ contract PropertyMarket is ReentrancyGuard {
             confirmationPeriod: period
         });
 
-        emit NewListing(tokenId, msg.sender, price, paymentToken);
+        emit NewListing(tokenId, _msgSender(), price, paymentToken);
     }
-    function purchaseProperty(uint256 tokenId, uint256 offerPrice) external nonReentrant onlyKYCVerified onlyValidAmount(offerPrice) {
+    function purchaseProperty(uint256 tokenId, uint256 offerPrice) external nonReentrant {
+        _purchaseProperty(tokenId, offerPrice);
+    }
+
+    function _purchaseProperty(uint256 tokenId, uint256 offerPrice) private onlyKYCVerified onlyValidAmount(offerPrice) {
         PropertyListing storage listing = listings[tokenId];
         require(listing.status == PropertyStatus.LISTED, ErrorCodes.E101);
+        require(!isListingExpired(tokenId), ErrorCodes.E107);
         require(_validatePayment(listing.price, offerPrice, listing.paymentToken, tokenId), ErrorCodes.E005);
         uint256 highestBid = _getHighestActiveBid(tokenId);
         uint256 actualPrice = highestBid > 0 ? offerPrice : listing.price;
@@ -212,13 +249,13 @@ contract PropertyMarket is ReentrancyGuard {
     function _createPendingPurchase(uint256 tokenId, uint256 actualPrice, address paymentToken) internal {
         PropertyListing storage listing = listings[tokenId];
         IERC20 token = IERC20(paymentToken);
-        token.safeTransferFrom(msg.sender, address(this), actualPrice);
+        token.safeTransferFrom(_msgSender(), address(this), actualPrice);
         listing.status = PropertyStatus.PENDING_SELLER_CONFIRMATION;
         uint256 deadline = block.timestamp + listing.confirmationPeriod;
 
         pendingPurchases[tokenId] = PendingPurchase({
             tokenId: tokenId,
-            buyer: msg.sender,
+            buyer: _msgSender(),
             offerPrice: actualPrice,
             paymentToken: paymentToken,
             purchaseTimestamp: block.timestamp,
@@ -226,7 +263,7 @@ contract PropertyMarket is ReentrancyGuard {
             isActive: true
         });
 
-        emit PurchaseRequested(tokenId, msg.sender, actualPrice, paymentToken, deadline);
+        emit PurchaseRequested(tokenId, _msgSender(), actualPrice, paymentToken, deadline);
     }
     function _completePurchase(uint256 tokenId, uint256 actualPrice, address paymentToken, uint256 highestBid) internal {
         PropertyListing storage listing = listings[tokenId];
@@ -234,14 +271,14 @@ contract PropertyMarket is ReentrancyGuard {
         listing.status = PropertyStatus.SOLD;
         _cancelAllBids(tokenId);
 
-        _processPayment(listing.seller, msg.sender, actualPrice, paymentToken);
-        nftiContract.safeTransferFrom(listing.seller, msg.sender, tokenId, "");
+        _settleSale(tokenId, listing.seller, _msgSender(), actualPrice, paymentToken, false);
+        nftiContract.safeTransferFrom(listing.seller, _msgSender(), tokenId, "");
 
-        emit PropertySold(tokenId, msg.sender, actualPrice, paymentToken);
+        emit PropertySold(tokenId, _msgSender(), actualPrice, paymentToken);
         if (highestBid > 0) {
             emit CompetitivePurchase(
                 tokenId,
-                msg.sender,
+                _msgSender(),
                 actualPrice,
                 highestBid,
                 paymentToken
@@ -254,7 +291,7 @@ contract PropertyMarket is ReentrancyGuard {
 
         require(listing.status == PropertyStatus.PENDING_SELLER_CONFIRMATION, ErrorCodes.E602);
         require(purchase.isActive, ErrorCodes.E603);
-        require(nftiContract.ownerOf(tokenId) == msg.sender, ErrorCodes.E604);
+        require(nftiContract.ownerOf(tokenId) == _msgSender(), ErrorCodes.E604);
         require(block.timestamp <= purchase.confirmationDeadline, ErrorCodes.E605);
 
         purchase.isActive = false;
@@ -262,14 +299,14 @@ contract PropertyMarket is ReentrancyGuard {
         if (accept) {
             listing.status = PropertyStatus.SOLD;
             _cancelAllBids(tokenId);
-            _processPayment(listing.seller, purchase.buyer, purchase.offerPrice, purchase.paymentToken);
+            _settleSale(tokenId, listing.seller, purchase.buyer, purchase.offerPrice, purchase.paymentToken, true);
             nftiContract.safeTransferFrom(listing.seller, purchase.buyer, tokenId, "");
-            emit PurchaseConfirmed(tokenId, msg.sender, purchase.buyer, purchase.offerPrice, purchase.paymentToken);
+            emit PurchaseConfirmed(tokenId, _msgSender(), purchase.buyer, purchase.offerPrice, purchase.paymentToken);
             emit PropertySold(tokenId, purchase.buyer, purchase.offerPrice, purchase.paymentToken);
         } else {
             _refundPendingPurchase(tokenId);
             listing.status = PropertyStatus.LISTED;
-            emit PurchaseRejected(tokenId, msg.sender, purchase.buyer, purchase.offerPrice, purchase.paymentToken);
+            emit PurchaseRejected(tokenId, _msgSender(), purchase.buyer, purchase.offerPrice, purchase.paymentToken);
         }
     }
     function confirmPurchase(uint256 tokenId) external nonReentrant {
@@ -291,6 +328,80 @@ contract PropertyMarket is ReentrancyGuard {
 
         emit PurchaseExpired(tokenId, purchase.buyer, purchase.offerPrice, purchase.paymentToken);
     }
+    // Withdraws a listing, refunding its bids and any pending purchase
+    function delistProperty(uint256 tokenId) external nonReentrant {
+        PropertyListing storage listing = listings[tokenId];
+        require(
+            listing.status == PropertyStatus.LISTED || listing.status == PropertyStatus.PENDING_SELLER_CONFIRMATION,
+            ErrorCodes.E103
+        );
+        require(nftiContract.ownerOf(tokenId) == _msgSender(), ErrorCodes.E105);
+        listing.seller = _msgSender();
+        _delist(tokenId);
+    }
+
+    // Called by the NFT after each transfer: a seller who gives the token away withdraws the listing
+    function onPropertyTransfer(address from, address, uint256 tokenId) external {
+        require(msg.sender == address(nftiContract), ErrorCodes.E002);
+        PropertyListing storage listing = listings[tokenId];
+        if (from == address(0) || listing.seller != from) {
+            return;
+        }
+        if (listing.status == PropertyStatus.LISTED || listing.status == PropertyStatus.PENDING_SELLER_CONFIRMATION) {
+            _delist(tokenId);
+        }
+    }
+
+    function _delist(uint256 tokenId) private {
+        PropertyListing storage listing = listings[tokenId];
+        if (listing.status == PropertyStatus.PENDING_SELLER_CONFIRMATION) {
+            PendingPurchase storage purchase = pendingPurchases[tokenId];
+            purchase.isActive = false;
+            _refundPendingPurchase(tokenId);
+            emit PurchaseRejected(tokenId, listing.seller, purchase.buyer, purchase.offerPrice, purchase.paymentToken);
+        }
+        listing.status = PropertyStatus.DELISTED;
+        _cancelAllBids(tokenId);
+        emit Delisted(tokenId, listing.seller);
+    }
+
+    // Restarts the listing lifetime; also revives a lapsed listing nobody has expired yet
+    function renewListing(uint256 tokenId) external {
+        PropertyListing storage listing = listings[tokenId];
+        require(listing.status == PropertyStatus.LISTED, ErrorCodes.E103);
+        require(nftiContract.ownerOf(tokenId) == _msgSender(), ErrorCodes.E105);
+
+        listing.seller = _msgSender();
+        _renewListing(tokenId);
+    }
+
+    function _renewListing(uint256 tokenId) private {
+        listings[tokenId].lastRenewed = block.timestamp;
+        emit ListingRenewed(tokenId, listingExpiresAt(tokenId));
+    }
+
+    // Permissionless: marks a lapsed listing EXPIRED and refunds its bids
+    function expireListing(uint256 tokenId) external nonReentrant {
+        PropertyListing storage listing = listings[tokenId];
+        require(listing.status == PropertyStatus.LISTED, ErrorCodes.E103);
+        require(isListingExpired(tokenId), ErrorCodes.E108);
+
+        listing.status = PropertyStatus.EXPIRED;
+        _cancelAllBids(tokenId);
+        emit ListingExpired(tokenId, listing.seller);
+    }
+
+    // 0 when listings never expire
+    function listingExpiresAt(uint256 tokenId) public view returns (uint256) {
+        uint256 lifetime = adminControl.maxListingLifetime();
+        return lifetime == 0 ? 0 : listings[tokenId].lastRenewed + lifetime;
+    }
+
+    function isListingExpired(uint256 tokenId) public view returns (bool) {
+        uint256 expiresAt = listingExpiresAt(tokenId);
+        return expiresAt != 0 && block.timestamp >= expiresAt;
+    }
+
     function _refundPendingPurchase(uint256 tokenId) internal {
         PendingPurchase storage purchase = pendingPurchases[tokenId];
         IERC20 token = IERC20(purchase.paymentToken);
@@ -298,32 +409,14 @@ contract PropertyMarket is ReentrancyGuard {
     }
 
     function _cancelAllBids(uint256 tokenId) private {
-        Bid[] storage bids = bidsForToken[tokenId];
+        BidManagement.Bid[] storage bids = bidsForToken[tokenId];
         for (uint256 i = 0; i < bids.length; i++) {
             if (bids[i].isActive) {
                 address bidder = bids[i].bidder;
                 uint256 refundAmount = bids[i].amount;
                 address paymentToken = bids[i].paymentToken;
 
-                bids[i].isActive = false;
-                bidIndexByBidder[bidder][tokenId] = 0;
-                _refundBid(bidder, refundAmount, paymentToken, tokenId);
-
-                emit BidCancelled(tokenId, bidder, refundAmount);
-            }
-        }
-    }
-
-    function _cancelOtherBids(uint256 tokenId, address excludeBidder) private {
-        Bid[] storage bids = bidsForToken[tokenId];
-        for (uint256 i = 0; i < bids.length; i++) {
-            if (bids[i].isActive && bids[i].bidder != excludeBidder) {
-                address bidder = bids[i].bidder;
-                uint256 refundAmount = bids[i].amount;
-                address paymentToken = bids[i].paymentToken;
-
-                bids[i].isActive = false;
-                bidIndexByBidder[bidder][tokenId] = 0;
+                _closeBid(tokenId, bids[i]);
                 _refundBid(bidder, refundAmount, paymentToken, tokenId);
 
                 emit BidCancelled(tokenId, bidder, refundAmount);
@@ -348,43 +441,46 @@ contract PropertyMarket is ReentrancyGuard {
         return offerPrice >= minimumPrice;
     }
 
-    function _processPayment(
-        address seller,
-        address buyer,
-        uint256 amount,
-        address paymentToken
-    ) internal {
-        (uint256 baseFee,, address feeCollector) = adminControl.feeConfig();
-        PaymentProcessor.PaymentConfig memory config = PaymentProcessor.PaymentConfig({
-            baseFee: baseFee,
+    function _paymentConfig() internal view returns (PaymentProcessor.PaymentConfig memory) {
+        (,, address feeCollector) = adminControl.feeConfig();
+        return PaymentProcessor.PaymentConfig({
+            baseFee: adminControl.getCurrentFee(),
             feeCollector: feeCollector,
             percentageBase: PERCENTAGE_BASE
         });
+    }
 
-        PaymentProcessor.processPayment(
-            config,
-            seller,
-            buyer,
-            amount,
-            paymentToken
-        );
+    function _royaltyFor(uint256 tokenId, uint256 amount) internal view returns (PaymentProcessor.Royalty memory royalty) {
+        try IERC2981(address(nftiContract)).royaltyInfo(tokenId, amount) returns (address receiver, uint256 royaltyAmount) {
+            royalty = PaymentProcessor.Royalty({receiver: receiver, amount: royaltyAmount});
+        } catch {}
     }
 
-    function _processPaymentFromBalance(
+    // fromEscrow: the buyer's funds are already held by this contract (bids, pending purchases)
+    function _settleSale(
+        uint256 tokenId,
         address seller,
+        address buyer,
         uint256 amount,
-        address paymentToken
+        address paymentToken,
+        bool fromEscrow
     ) internal {
-        (uint256 baseFee,, address feeCollector) = adminControl.feeConfig();
-
-        uint256 fees = (amount * baseFee) / PERCENTAGE_BASE;
-        uint256 netValue = amount - fees;
-
-        IERC20 token = IERC20(paymentToken);
-        token.safeTransfer(seller, netValue);
-        token.safeTransfer(feeCollector, fees);
-        
+        PaymentProcessor.Royalty memory royalty = _royaltyFor(tokenId, amount);
+        uint256 fees;
+        uint256 royaltyAmount;
+        uint256 netValue;
+        if (fromEscrow) {
+            (fees, royaltyAmount, netValue) = PaymentProcessor.processPaymentFromBalance(
+                _paymentConfig(), seller, buyer, amount, paymentToken, royalty
+            );
+        } else {
+            (fees, royaltyAmount, netValue) = PaymentProcessor.processPayment(
+                _paymentConfig(), seller, buyer, amount, paymentToken, royalty
+            );
+        }
+        emit SaleSettled(tokenId, seller, buyer, paymentToken, amount, fees, royalty.receiver, royaltyAmount, netValue);
     }
+
     function updateListing(uint256 tokenId, uint256 newPrice, address newPaymentToken) external onlyAdminControlAdmin {
         PropertyListing storage listing = listings[tokenId];
         require(listing.status == PropertyStatus.LISTED, ErrorCodes.E103);
@@ -393,24 +489,24 @@ contract PropertyMarket is ReentrancyGuard {
 
         listing.price = newPrice;
         listing.paymentToken = newPaymentToken;
-        listing.lastRenewed = block.timestamp;
+        _renewListing(tokenId);
 
         emit ListingUpdated(tokenId, newPrice, newPaymentToken);
     }
 
 
     modifier onlyAdminControlAdmin(){
-        require(adminControl.hasRole(adminControl.DEFAULT_ADMIN_ROLE(), msg.sender), ErrorCodes.E401);
+        _checkAdminControlAdmin();
         _;
     }
 
     modifier onlyTokenOwner(uint256 tokenId) {
-        require(nftiContract.ownerOf(tokenId) == msg.sender, ErrorCodes.E002);
+        require(nftiContract.ownerOf(tokenId) == _msgSender(), ErrorCodes.E002);
         _;
     }
 
     modifier onlyKYCVerified() {
-        require(adminControl.isKYCVerified(msg.sender), ErrorCodes.E403);
+        _checkKYCVerified();
         _;
     }
 
@@ -419,6 +515,15 @@ contract PropertyMarket is ReentrancyGuard {
         _;
     }
 
+    // Modifier checks live in functions so each use doesn't inline the external call
+    function _checkAdminControlAdmin() private view {
+        require(adminControl.hasRole(adminControl.DEFAULT_ADMIN_ROLE(), _msgSender()), ErrorCodes.E401);
+    }
+
+    function _checkKYCVerified() private view {
+        require(adminControl.isKYCVerified(_msgSender()), ErrorCodes.E403);
+    }
+
     modifier onlyValidAmount(uint256 amount) {
         require(amount > 0, ErrorCodes.E003);
         _;
@@ -447,15 +552,28 @@ contract PropertyMarket is ReentrancyGuard {
         );
     }
 
-    function placeBid(uint256 tokenId, uint256 bidAmount, address paymentToken) external nonReentrant onlyKYCVerified onlyAllowedToken(paymentToken) onlyValidAmount(bidAmount) {
+    function placeBid(uint256 tokenId, uint256 bidAmount, address paymentToken) external nonReentrant {
+        _placeBid(tokenId, bidAmount, paymentToken);
+        _setBidExpiry(tokenId, 0);
+    }
+
+    // The bid stops counting at expiresAt and can then be swept back to the bidder by anyone
+    function placeBidWithExpiry(uint256 tokenId, uint256 bidAmount, address paymentToken, uint256 expiresAt) external nonReentrant {
+        require(expiresAt > block.timestamp, ErrorCodes.E210);
+        _placeBid(tokenId, bidAmount, paymentToken);
+        _setBidExpiry(tokenId, expiresAt);
+    }
+
+    function _placeBid(uint256 tokenId, uint256 bidAmount, address paymentToken) private onlyKYCVerified onlyAllowedToken(paymentToken) onlyValidAmount(bidAmount) {
         PropertyListing storage listing = listings[tokenId];
         require(listing.status == PropertyStatus.LISTED, ErrorCodes.E103);
+        require(!isListingExpired(tokenId), ErrorCodes.E107);
 
         address currentOwner = nftiContract.ownerOf(tokenId);
-        require(currentOwner != msg.sender, ErrorCodes.E002);
-        uint256 existingBidIndex = bidIndexByBidder[msg.sender][tokenId];
+        require(currentOwner != _msgSender(), ErrorCodes.E002);
+        uint256 existingBidIndex = bidIndexByBidder[_msgSender()][tokenId];
         if (existingBidIndex > 0) {
-            Bid storage existingBid = bidsForToken[tokenId][existingBidIndex - 1];
+            BidManagement.Bid storage existingBid = bidsForToken[tokenId][existingBidIndex - 1];
             require(existingBid.isActive, ErrorCodes.E202);
             require(existingBid.paymentToken == paymentToken, ErrorCodes.E302);
 
@@ -463,23 +581,17 @@ contract PropertyMarket is ReentrancyGuard {
             require(bidAmount > oldAmount, ErrorCodes.E205);
             uint256 additionalAmount = bidAmount - oldAmount;
             IERC20 token = IERC20(paymentToken);
-            require(token.allowance(msg.sender, address(this)) >= additionalAmount, ErrorCodes.E208);
-            token.safeTransferFrom(msg.sender, address(this), additionalAmount);
+            require(token.allowance(_msgSender(), address(this)) >= additionalAmount, ErrorCodes.E208);
+            token.safeTransferFrom(_msgSender(), address(this), additionalAmount);
 
         } else {
             IERC20 token = IERC20(paymentToken);
-            require(token.allowance(msg.sender, address(this)) >= bidAmount, ErrorCodes.E208);
-            token.safeTransferFrom(msg.sender, address(this), bidAmount);
+            require(token.allowance(_msgSender(), address(this)) >= bidAmount, ErrorCodes.E208);
+            token.safeTransferFrom(_msgSender(), address(this), bidAmount);
         }
 
         require(bidAmount >= listing.price, ErrorCodes.E206);
-        uint256 highestBid = 0;
-        Bid[] storage bids = bidsForToken[tokenId];
-        for (uint256 i = 0; i < bids.length; i++) {
-            if (bids[i].isActive && bids[i].amount > highestBid) {
-                highestBid = bids[i].amount;
-            }
-        }
+        uint256 highestBid = _getHighestActiveBid(tokenId);
 
         if (highestBid > 0) {
             uint256 minBid = highestBid;
@@ -487,13 +599,13 @@ contract PropertyMarket is ReentrancyGuard {
         }
 
         if (existingBidIndex > 0) {
-            Bid storage existingBid = bidsForToken[tokenId][existingBidIndex - 1];
+            BidManagement.Bid storage existingBid = bidsForToken[tokenId][existingBidIndex - 1];
             existingBid.amount = bidAmount;
             existingBid.bidTimestamp = block.timestamp;
         } else {
-            Bid memory newBid = Bid({
+            BidManagement.Bid memory newBid = BidManagement.Bid({
                 tokenId: tokenId,
-                bidder: msg.sender,
+                bidder: _msgSender(),
                 amount: bidAmount,
                 paymentToken: paymentToken,
                 bidTimestamp: block.timestamp,
@@ -501,40 +613,81 @@ contract PropertyMarket is ReentrancyGuard {
             });
 
             bidsForToken[tokenId].push(newBid);
-            bidIndexByBidder[msg.sender][tokenId] = bidsForToken[tokenId].length;
+            bidIndexByBidder[_msgSender()][tokenId] = bidsForToken[tokenId].length;
+        }
+
+        emit BidPlaced(tokenId, _msgSender(), bidAmount, paymentToken);
+    }
+
+    function _setBidExpiry(uint256 tokenId, uint256 expiresAt) private {
+        if (bidExpiresAt[tokenId][_msgSender()] != expiresAt) {
+            bidExpiresAt[tokenId][_msgSender()] = expiresAt;
+            emit BidExpirySet(tokenId, _msgSender(), expiresAt);
+        }
+    }
+
+    // Permissionless: refunds every expired bid on tokenId, then compacts its bid array
+    function sweepExpiredBids(uint256 tokenId) external nonReentrant returns (uint256 swept) {
+        BidManagement.Bid[] storage bids = bidsForToken[tokenId];
+        for (uint256 i = 0; i < bids.length; i++) {
+            if (bids[i].isActive && _isBidExpired(tokenId, bids[i].bidder)) {
+                address bidder = bids[i].bidder;
+                uint256 refundAmount = bids[i].amount;
+
+                _closeBid(tokenId, bids[i]);
+                _refundBid(bidder, refundAmount, bids[i].paymentToken, tokenId);
+
+                emit BidExpired(tokenId, bidder, refundAmount);
+                swept++;
+            }
+        }
+        if (swept > 0) {
+            BidManagement.cleanupInactiveBids(bids, bidIndexByBidder, tokenId, bids.length);
         }
+    }
+
+    // Deactivates a bid and forgets its index and expiry; the caller moves the funds
+    function _closeBid(uint256 tokenId, BidManagement.Bid storage bid) private {
+        bid.isActive = false;
+        bidIndexByBidder[bid.bidder][tokenId] = 0;
+        delete bidExpiresAt[tokenId][bid.bidder];
+    }
 
-        emit BidPlaced(tokenId, msg.sender, bidAmount, paymentToken);
+    function _isBidExpired(uint256 tokenId, address bidder) private view returns (bool) {
+        uint256 expiresAt = bidExpiresAt[tokenId][bidder];
+        return expiresAt != 0 && block.timestamp >= expiresAt;
     }
 
     function acceptBid(uint256 tokenId, uint256 bidIndex, address expectedBidder, uint256 expectedAmount, address expectedPaymentToken) external nonReentrant {
         PropertyListing storage listing = listings[tokenId];
         require(listing.status == PropertyStatus.LISTED, ErrorCodes.E103);
-        require(nftiContract.ownerOf(tokenId) == msg.sender, ErrorCodes.E105);
+        require(!isListingExpired(tokenId), ErrorCodes.E107);
+        require(nftiContract.ownerOf(tokenId) == _msgSender(), ErrorCodes.E105);
 
-        if (listing.seller != msg.sender) {
-            listing.seller = msg.sender;
+        if (listing.seller != _msgSender()) {
+            listing.seller = _msgSender();
         }
 
         require(bidIndex > 0, ErrorCodes.E502);
         require(bidIndex <= bidsForToken[tokenId].length, ErrorCodes.E502);
         require(bidsForToken[tokenId].length > 0, ErrorCodes.E504);
 
-        Bid storage bid = bidsForToken[tokenId][bidIndex - 1];
+        BidManagement.Bid storage bid = bidsForToken[tokenId][bidIndex - 1];
         require(bid.isActive, ErrorCodes.E202);
+        require(!_isBidExpired(tokenId, bid.bidder), ErrorCodes.E209);
         require(bid.bidder == expectedBidder, ErrorCodes.E501);
         require(bid.amount == expectedAmount, ErrorCodes.E501);
         require(bid.paymentToken == expectedPaymentToken, ErrorCodes.E302);
 
 
         listing.status = PropertyStatus.SOLD;
-        bid.isActive = false;
-        bidIndexByBidder[bid.bidder][tokenId] = 0;
-        _processPaymentFromBalance(listing.seller, bid.amount, bid.paymentToken);
+        _closeBid(tokenId, bid);
+        _settleSale(tokenId, listing.seller, bid.bidder, bid.amount, bid.paymentToken, true);
         nftiContract.safeTransferFrom(listing.seller, bid.bidder, tokenId, "");
         emit BidAccepted(tokenId, listing.seller, bid.bidder, bid.amount, bid.paymentToken);
-        
-        _cancelOtherBids(tokenId, bid.bidder);
+
+        // The accepted bid is already inactive, so only the other bids are refunded
+        _cancelAllBids(tokenId);
     }
 
     function _calculateMinimumIncrement(uint256 currentHighest, uint256 /* newBid */) private pure returns (uint256) {
@@ -553,56 +706,63 @@ contract PropertyMarket is ReentrancyGuard {
         return (currentHighest * multiplier) / 100;
     }
 
+    // Expired bids no longer count, even before they are swept
     function _getHighestActiveBid(uint256 tokenId) private view returns (uint256) {
         uint256 highest = 0;
-        Bid[] storage bids = bidsForToken[tokenId];
+        BidManagement.Bid[] storage bids = bidsForToken[tokenId];
         for (uint256 i = 0; i < bids.length; i++) {
-            if (bids[i].isActive && bids[i].amount > highest) {
+            if (bids[i].isActive && bids[i].amount > highest && !_isBidExpired(tokenId, bids[i].bidder)) {
                 highest = bids[i].amount;
             }
         }
         return highest;
     }
 
+    // Includes inactive and expired bids; bidsForToken(tokenId, i) reads each one
+    function getBidCount(uint256 tokenId) external view returns (uint256) {
+        return bidsForToken[tokenId].length;
+    }
+
     function updateListingBySeller(uint256 tokenId, uint256 newPrice, address newPaymentToken) external onlyValidAmount(newPrice) onlyAllowedToken(newPaymentToken) {
         PropertyListing storage listing = listings[tokenId];
         require(listing.status == PropertyStatus.LISTED, ErrorCodes.E103);
-        require(nftiContract.ownerOf(tokenId) == msg.sender, ErrorCodes.E105);
+        require(nftiContract.ownerOf(tokenId) == _msgSender(), ErrorCodes.E105);
+        if (newPaymentToken != listing.paymentToken) {
+            require(_getHighestActiveBid(tokenId) == 0, ErrorCodes.E911);
+        }
+
+        _applySellerUpdate(tokenId, newPrice, newPaymentToken);
+    }
 
-        address currentOwner = msg.sender;
+    function _applySellerUpdate(uint256 tokenId, uint256 newPrice, address newPaymentToken) private {
+        PropertyListing storage listing = listings[tokenId];
+        address currentOwner = _msgSender();
         if (listing.seller != currentOwner) {
             listing.seller = currentOwner;
         }
-        if (newPaymentToken != listing.paymentToken) {
-            Bid[] storage bids = bidsForToken[tokenId];
-            for (uint256 i = 0; i < bids.length; i++) {
-                require(!bids[i].isActive, ErrorCodes.E911);
-            }
-        }
 
         listing.price = newPrice;
         listing.paymentToken = newPaymentToken;
-        listing.lastRenewed = block.timestamp;
+        _renewListing(tokenId);
 
         emit ListingUpdated(tokenId, newPrice, newPaymentToken);
         emit ListingPriceChanged(tokenId, newPrice);
     }
 
     function cancelBid(uint256 tokenId) external nonReentrant {
-        uint256 bidIndex = bidIndexByBidder[msg.sender][tokenId];
+        uint256 bidIndex = bidIndexByBidder[_msgSender()][tokenId];
         require(bidIndex > 0, ErrorCodes.E201);
 
-        Bid storage bid = bidsForToken[tokenId][bidIndex - 1];
+        BidManagement.Bid storage bid = bidsForToken[tokenId][bidIndex - 1];
         require(bid.isActive, ErrorCodes.E202);
-        require(bid.bidder == msg.sender, ErrorCodes.E203);
+        require(bid.bidder == _msgSender(), ErrorCodes.E203);
         uint256 refundAmount = bid.amount;
         address paymentToken = bid.paymentToken;
 
-        bid.isActive = false;
-        bidIndexByBidder[msg.sender][tokenId] = 0;
+        _closeBid(tokenId, bid);
         IERC20 token = IERC20(paymentToken);
-        token.safeTransfer(msg.sender, refundAmount);
-        emit BidCancelled(tokenId, msg.sender, refundAmount);
+        token.safeTransfer(_msgSender(), refundAmount);
+        emit BidCancelled(tokenId, _msgSender(), refundAmount);
     }
 
     function emergencyWithdrawToken(address token, uint256 amount, address recipient) onlyAdminControlAdmin() external {
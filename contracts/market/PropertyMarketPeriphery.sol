@@ -0,0 +1,260 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {PropertyMarket} from "./PropertyMarket.sol";
+import {BidManagement} from "../libraries/BidManagement.sol";
+import {ErrorCodes} from "../libraries/ErrorCodes.sol";
+
+// Batch listing, ERC-2612 permit and bid view entry points for PropertyMarket, kept out of the
+// market so it stays under the EIP-170 contract size limit. Writes are forwarded to the market
+// with the caller appended to the calldata (ERC-2771), so once the admin registers this contract
+// through PropertyMarket.setPeriphery the market attributes them to the caller.
+contract PropertyMarketPeriphery {
+    PropertyMarket public immutable market;
+    IERC721 public immutable nftiContract;
+
+    // Per-item failure in a non-atomic batch; reason is an ErrorCodes value
+    event BatchItemFailed(uint256 indexed tokenId, string reason);
+
+    constructor(PropertyMarket _market) {
+        require(address(_market) != address(0), ErrorCodes.E001);
+        market = _market;
+        nftiContract = _market.nftiContract();
+    }
+
+    // Relayed calls are accepted from the market's own trusted forwarder
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == market.trustedForwarder();
+    }
+
+    // atomic: revert on the first invalid item; otherwise skip it with BatchItemFailed
+    function batchListProperty(
+        uint256[] calldata tokenIds,
+        uint256[] calldata prices,
+        address[] calldata paymentTokens,
+        bool atomic
+    ) external returns (bool[] memory listed) {
+        return _batchList(tokenIds, prices, paymentTokens, 0, atomic);
+    }
+
+    function batchListPropertyWithConfirmation(
+        uint256[] calldata tokenIds,
+        uint256[] calldata prices,
+        address[] calldata paymentTokens,
+        uint256 period,
+        bool atomic
+    ) external returns (bool[] memory listed) {
+        require(period <= 7 days, ErrorCodes.E607);
+        return _batchList(tokenIds, prices, paymentTokens, period, atomic);
+    }
+
+    function batchUpdateListingBySeller(
+        uint256[] calldata tokenIds,
+        uint256[] calldata newPrices,
+        address[] calldata newPaymentTokens,
+        bool atomic
+    ) external returns (bool[] memory updated) {
+        require(tokenIds.length == newPrices.length && tokenIds.length == newPaymentTokens.length, ErrorCodes.E501);
+        address seller = _msgSender();
+        updated = new bool[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            string memory reason = _sellerUpdateError(seller, tokenIds[i], newPrices[i], newPaymentTokens[i]);
+            if (_batchItemOk(tokenIds[i], reason, atomic)) {
+                _forward(seller, abi.encodeCall(
+                    PropertyMarket.updateListingBySeller, (tokenIds[i], newPrices[i], newPaymentTokens[i])
+                ));
+                updated[i] = true;
+            }
+        }
+    }
+
+    // The permit (signed for the market and offerPrice / bidAmount) replaces the approve transaction
+    function purchasePropertyWithPermit(uint256 tokenId, uint256 offerPrice, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        (,,, address paymentToken,,,,) = market.listings(tokenId);
+        address buyer = _msgSender();
+        _permit(paymentToken, buyer, offerPrice, deadline, v, r, s);
+        _forward(buyer, abi.encodeCall(PropertyMarket.purchaseProperty, (tokenId, offerPrice)));
+    }
+
+    function placeBidWithPermit(uint256 tokenId, uint256 bidAmount, address paymentToken, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        address bidder = _msgSender();
+        _permit(paymentToken, bidder, bidAmount, deadline, v, r, s);
+        _forward(bidder, abi.encodeCall(PropertyMarket.placeBid, (tokenId, bidAmount, paymentToken)));
+    }
+
+    // Active bids that have not expired, even if not swept yet
+    function getActiveBidCount(uint256 tokenId) external view returns (uint256 count) {
+        (,, count) = _liveBids(tokenId);
+    }
+
+    // bidIndices are 1-based, as expected by acceptBid
+    function getActiveBids(uint256 tokenId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (BidManagement.Bid[] memory page, uint256[] memory bidIndices, uint256 total)
+    {
+        (BidManagement.Bid[] memory bids, uint256[] memory indices, uint256 count) = _liveBids(tokenId);
+        total = count;
+        uint256 size = offset < total ? total - offset : 0;
+        if (size > limit) {
+            size = limit;
+        }
+
+        page = new BidManagement.Bid[](size);
+        bidIndices = new uint256[](size);
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = bids[offset + i];
+            bidIndices[i] = indices[offset + i];
+        }
+    }
+
+    function getHighestBidsByPaymentToken(uint256 tokenId)
+        external
+        view
+        returns (address[] memory paymentTokens, uint256[] memory amounts, address[] memory bidders)
+    {
+        (BidManagement.Bid[] memory bids,, uint256 count) = _liveBids(tokenId);
+        address[] memory seenTokens = new address[](count);
+        uint256[] memory seenAmounts = new uint256[](count);
+        address[] memory seenBidders = new address[](count);
+
+        uint256 tokenCount = 0;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 j = 0;
+            while (j < tokenCount && seenTokens[j] != bids[i].paymentToken) {
+                j++;
+            }
+            if (j == tokenCount) {
+                seenTokens[j] = bids[i].paymentToken;
+                tokenCount++;
+            }
+            if (bids[i].amount > seenAmounts[j]) {
+                seenAmounts[j] = bids[i].amount;
+                seenBidders[j] = bids[i].bidder;
+            }
+        }
+
+        paymentTokens = new address[](tokenCount);
+        amounts = new uint256[](tokenCount);
+        bidders = new address[](tokenCount);
+        for (uint256 j = 0; j < tokenCount; j++) {
+            paymentTokens[j] = seenTokens[j];
+            amounts[j] = seenAmounts[j];
+            bidders[j] = seenBidders[j];
+        }
+    }
+
+    function _batchList(
+        uint256[] calldata tokenIds,
+        uint256[] calldata prices,
+        address[] calldata paymentTokens,
+        uint256 period,
+        bool atomic
+    ) private returns (bool[] memory listed) {
+        require(tokenIds.length == prices.length && tokenIds.length == paymentTokens.length, ErrorCodes.E501);
+        address seller = _msgSender();
+        require(market.adminControl().isKYCVerified(seller), ErrorCodes.E403);
+        listed = new bool[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            string memory reason = _listingError(seller, tokenIds[i], prices[i], paymentTokens[i]);
+            if (_batchItemOk(tokenIds[i], reason, atomic)) {
+                _forward(seller, abi.encodeCall(
+                    PropertyMarket.listPropertyWithConfirmation, (tokenIds[i], prices[i], paymentTokens[i], period)
+                ));
+                listed[i] = true;
+            }
+        }
+    }
+
+    function _batchItemOk(uint256 tokenId, string memory reason, bool atomic) private returns (bool) {
+        if (bytes(reason).length == 0) {
+            return true;
+        }
+        require(!atomic, reason);
+        emit BatchItemFailed(tokenId, reason);
+        return false;
+    }
+
+    // Same checks as listProperty, plus market approval, reported instead of reverted
+    function _listingError(address seller, uint256 tokenId, uint256 price, address paymentToken) private view returns (string memory) {
+        if (!market.allowedPaymentTokens(paymentToken)) return ErrorCodes.E301;
+        if (price == 0) return ErrorCodes.E003;
+        (bool owned, string memory reason) = _ownedAndApproved(seller, tokenId);
+        if (!owned) return reason;
+        (, address listedBy,,, PropertyMarket.PropertyStatus status,,,) = market.listings(tokenId);
+        if (listedBy == seller && status == PropertyMarket.PropertyStatus.LISTED) return ErrorCodes.E102;
+        return "";
+    }
+
+    function _sellerUpdateError(address seller, uint256 tokenId, uint256 newPrice, address newPaymentToken) private view returns (string memory) {
+        if (newPrice == 0) return ErrorCodes.E003;
+        if (!market.allowedPaymentTokens(newPaymentToken)) return ErrorCodes.E301;
+        (,,, address paymentToken, PropertyMarket.PropertyStatus status,,,) = market.listings(tokenId);
+        if (status != PropertyMarket.PropertyStatus.LISTED) return ErrorCodes.E103;
+        (bool owned, string memory reason) = _ownedAndApproved(seller, tokenId);
+        if (!owned) return reason;
+        if (newPaymentToken != paymentToken) {
+            (,, uint256 activeBids) = _liveBids(tokenId);
+            if (activeBids > 0) return ErrorCodes.E911;
+        }
+        return "";
+    }
+
+    function _ownedAndApproved(address seller, uint256 tokenId) private view returns (bool, string memory) {
+        try nftiContract.ownerOf(tokenId) returns (address currentOwner) {
+            if (currentOwner != seller) return (false, ErrorCodes.E105);
+        } catch {
+            return (false, ErrorCodes.E504);
+        }
+        if (nftiContract.getApproved(tokenId) != address(market) && !nftiContract.isApprovedForAll(seller, address(market))) {
+            return (false, ErrorCodes.E106);
+        }
+        return (true, "");
+    }
+
+    // Active, unexpired bids in bid order with their 1-based indices; only the first `count` entries are set
+    function _liveBids(uint256 tokenId)
+        private
+        view
+        returns (BidManagement.Bid[] memory bids, uint256[] memory bidIndices, uint256 count)
+    {
+        uint256 length = market.getBidCount(tokenId);
+        bids = new BidManagement.Bid[](length);
+        bidIndices = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            (, address bidder, uint256 amount, address paymentToken, uint256 bidTimestamp, bool isActive) = market.bidsForToken(tokenId, i);
+            if (!isActive || _isBidExpired(tokenId, bidder)) {
+                continue;
+            }
+            bids[count] = BidManagement.Bid(tokenId, bidder, amount, paymentToken, bidTimestamp, true);
+            bidIndices[count] = i + 1;
+            count++;
+        }
+    }
+
+    function _isBidExpired(uint256 tokenId, address bidder) private view returns (bool) {
+        uint256 expiresAt = market.bidExpiresAt(tokenId, bidder);
+        return expiresAt != 0 && block.timestamp >= expiresAt;
+    }
+
+    // A front-run permit has already set the allowance, so a failed call is not fatal
+    function _permit(address token, address owner, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) private {
+        try IERC20Permit(token).permit(owner, address(market), value, deadline, v, r, s) {} catch {}
+    }
+
+    // Calls the market on behalf of `sender`, bubbling up its revert reason
+    function _forward(address sender, bytes memory data) private {
+        Address.functionCall(address(market), abi.encodePacked(data, sender));
+    }
+
+    // ERC-2771 sender extraction, as in TrustedForwarderContext
+    function _msgSender() private view returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+}
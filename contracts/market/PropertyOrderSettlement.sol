@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {IERC2981} from "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {AdminControl} from "../governance/AdminControl.sol";
+import {PropertyMarket} from "./PropertyMarket.sol";
+import {PaymentProcessor} from "../libraries/PaymentProcessor.sol";
+import {ErrorCodes} from "../libraries/ErrorCodes.sol";
+
+// Settles buyer offers signed off-chain (EIP-712) for properties traded on PropertyMarket.
+// Nothing is escrowed: the seller submits the offer and the buyer's tokens are pulled at
+// fill time, through an existing allowance or an ERC-2612 permit sent along with the fill.
+// Payment tokens, KYC and fees follow the market's configuration.
+contract PropertyOrderSettlement is EIP712, ReentrancyGuard {
+    uint256 public constant PERCENTAGE_BASE = 10000;
+
+    bytes32 public constant OFFER_TYPEHASH = keccak256(
+        "Offer(address buyer,uint256 tokenId,address paymentToken,uint256 price,uint256 expiry,uint256 nonce)"
+    );
+
+    struct Offer {
+        address buyer;
+        uint256 tokenId;
+        address paymentToken;
+        uint256 price;
+        uint256 expiry;
+        uint256 nonce;
+    }
+
+    // ERC-2612 permit signed by the buyer for this contract and the full offer price
+    struct PermitSignature {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    PropertyMarket public immutable market;
+    IERC721 public immutable nftiContract;
+
+    // Offers are only valid while they carry the buyer's current nonce
+    mapping(address => uint256) public nonces;
+    mapping(bytes32 => bool) public filled;
+
+    event OfferFilled(
+        bytes32 indexed offerHash,
+        uint256 indexed tokenId,
+        address indexed buyer,
+        address seller,
+        uint256 price,
+        address paymentToken
+    );
+
+    event NonceIncremented(address indexed buyer, uint256 newNonce);
+
+    event SaleSettled(
+        uint256 indexed tokenId,
+        address indexed seller,
+        address indexed buyer,
+        address paymentToken,
+        uint256 grossAmount,
+        uint256 feeAmount,
+        address royaltyReceiver,
+        uint256 royaltyAmount,
+        uint256 netAmount
+    );
+
+    constructor(PropertyMarket _market) EIP712("ManageLife Property Orders", "1") {
+        require(address(_market) != address(0), ErrorCodes.E001);
+        market = _market;
+        nftiContract = _market.nftiContract();
+    }
+
+    function fillOffer(Offer calldata offer, bytes calldata signature) external nonReentrant returns (bytes32) {
+        return _fill(offer, signature);
+    }
+
+    function fillOfferWithPermit(
+        Offer calldata offer,
+        bytes calldata signature,
+        PermitSignature calldata permit
+    ) external nonReentrant returns (bytes32) {
+        // If the permit was front-run the allowance is already in place, so a failure here is not fatal
+        try IERC20Permit(offer.paymentToken).permit(
+            offer.buyer, address(this), offer.price, permit.deadline, permit.v, permit.r, permit.s
+        ) {} catch {}
+        return _fill(offer, signature);
+    }
+
+    // Cancels every outstanding offer the caller has signed
+    function incrementNonce() external returns (uint256 newNonce) {
+        newNonce = ++nonces[msg.sender];
+        emit NonceIncremented(msg.sender, newNonce);
+    }
+
+    function hashOffer(Offer calldata offer) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            OFFER_TYPEHASH,
+            offer.buyer,
+            offer.tokenId,
+            offer.paymentToken,
+            offer.price,
+            offer.expiry,
+            offer.nonce
+        )));
+    }
+
+    function _fill(Offer calldata offer, bytes calldata signature) private returns (bytes32 offerHash) {
+        AdminControl adminControl = market.adminControl();
+        require(nftiContract.ownerOf(offer.tokenId) == msg.sender, ErrorCodes.E105);
+        require(offer.buyer != msg.sender, ErrorCodes.E002);
+        require(adminControl.isKYCVerified(msg.sender), ErrorCodes.E403);
+        require(adminControl.isKYCVerified(offer.buyer), ErrorCodes.E403);
+        require(market.allowedPaymentTokens(offer.paymentToken), ErrorCodes.E301);
+        require(offer.price > 0, ErrorCodes.E003);
+        require(block.timestamp < offer.expiry, ErrorCodes.E211);
+        require(offer.nonce == nonces[offer.buyer], ErrorCodes.E212);
+
+        offerHash = hashOffer(offer);
+        require(!filled[offerHash], ErrorCodes.E213);
+        require(SignatureChecker.isValidSignatureNow(offer.buyer, offerHash, signature), ErrorCodes.E214);
+        filled[offerHash] = true;
+
+        _settleSale(adminControl, offer, msg.sender);
+        // A live PropertyMarket listing for the token is delisted by the NFT's transfer hook
+        nftiContract.safeTransferFrom(msg.sender, offer.buyer, offer.tokenId, "");
+
+        emit OfferFilled(offerHash, offer.tokenId, offer.buyer, msg.sender, offer.price, offer.paymentToken);
+    }
+
+    function _settleSale(AdminControl adminControl, Offer calldata offer, address seller) private {
+        (,, address feeCollector) = adminControl.feeConfig();
+        PaymentProcessor.PaymentConfig memory config = PaymentProcessor.PaymentConfig({
+            baseFee: adminControl.getCurrentFee(),
+            feeCollector: feeCollector,
+            percentageBase: PERCENTAGE_BASE
+        });
+
+        PaymentProcessor.Royalty memory royalty;
+        try IERC2981(address(nftiContract)).royaltyInfo(offer.tokenId, offer.price) returns (address receiver, uint256 amount) {
+            royalty = PaymentProcessor.Royalty({receiver: receiver, amount: amount});
+        } catch {}
+
+        (uint256 fees, uint256 royaltyAmount, uint256 netValue) = PaymentProcessor.processPayment(
+            config, seller, offer.buyer, offer.price, offer.paymentToken, royalty
+        );
+        emit SaleSettled(
+            offer.tokenId, seller, offer.buyer, offer.paymentToken, offer.price, fees, royalty.receiver, royaltyAmount, netValue
+        );
+    }
+}
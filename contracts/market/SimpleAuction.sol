@@ -5,9 +5,12 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "../interfaces/IAdminControl.sol";
+import "../interfaces/IPropertyEscrow.sol";
 
 /**
  * @title PropertyAuction
@@ -16,12 +19,27 @@ import "@openzeppelin/contracts/security/Pausable.sol";
  *         – when auction ends, seller escrows the NFT, winner escrows funds
  *         – contract settles atomically (DvP) once both legs are present
  *         – if either side defaults past ESCROW_PERIOD, the other party can void
+ *         – settlement pays the platform fee and any ERC-2981 royalty before the seller
+ *         – Dutch mode: the price falls from a start price to a floor and the first
+ *           taker wins, entering the same escrow phase
+ *         – Sealed mode: bidders commit hashed bids, then reveal them; the highest
+ *           revealed bid wins at its own price or, if Vickrey, at the second price
+ *         – optional anti-sniping: late English bids push biddingEnd out, up to a cap
+ *         – optional hidden reserve: committed as a hash, revealed by the seller to
+ *           decline a winning bid below it
+ *         – payToken address(0) denominates the auction in native ETH; ETH owed to
+ *           anyone is credited and claimed with withdrawPayments (pull payment)
+ *         – optional bidder bond, escrowed with the bid: refunded to losers and to a
+ *           winner who pays, forfeited to the seller (less a platform cut) on default
+ *         – second-chance offers: after a winner defaults the seller can offer the
+ *           property down the top bids, each offer with its own acceptance window
  */
 contract PropertyAuction is
     ReentrancyGuard,
     Pausable,
     Ownable,
-    IERC721Receiver
+    IERC721Receiver,
+    IPropertyEscrow
 {
     using SafeERC20 for IERC20;
 
@@ -47,6 +65,20 @@ contract PropertyAuction is
     error CannotWithdrawHighestBid();
     error NotABidder();
     error InvalidBidIndex();
+    error WrongAuctionType();
+    error NotCommitPhase();
+    error NotRevealPhase();
+    error InvalidReveal();
+    error InvalidReserve();
+    error ReserveMet();
+    error BelowReserve();
+    error IncorrectPayment();
+    error NothingToWithdraw();
+    error TransferFailed();
+    error NoBond();
+    error BondLocked();
+    error NoFallbackBid();
+    error OfferExpired();
 
     /* -------------------------------------------------------------------------- */
     /*                                  CONSTANTS                                 */
@@ -58,9 +90,23 @@ contract PropertyAuction is
     // DO NOT CHANGE THIS VALUE.
     uint8 private constant TOP_BIDS_COUNT = 10;
 
+    uint16 private constant BPS = 10_000;
+
+    /// @dev upper bound for the platform fee the owner can configure (basis points).
+    uint16 public constant MAX_PLATFORM_FEE_BPS = 1_000;
+
     /// @dev escrow grace period after auction end (seconds). Can be updated by owner.
     uint64 public escrowPeriod = 6 days;
 
+    /// @dev platform fee taken from the winning price at settlement (basis points).
+    uint16 public platformFeeBps;
+
+    /// @dev source of the feeCollector that receives the platform fee and the cut of forfeited bonds.
+    IAdminControl public adminControl;
+
+    /// @dev platform cut of a forfeited bidder bond (basis points).
+    uint16 public bondForfeitFeeBps;
+
     /* -------------------------------------------------------------------------- */
     /*                                 DATA MODEL                                 */
     /* -------------------------------------------------------------------------- */
@@ -69,7 +115,44 @@ contract PropertyAuction is
         Active,     // Bidding is open or settlement is in progress.
         Settled,    // The auction concluded successfully with an asset swap.
         Voided,     // A party defaulted post-bidding; assets returned.
-        Cancelled   // The seller cancelled the auction before any bids were placed.
+        Cancelled,  // The seller cancelled the auction before any bids were placed.
+        ReserveNotMet // The seller declined a winning bid below the hidden reserve.
+    }
+
+    enum AuctionType {
+        English,    // Open ascending bids; the top bids are kept on-chain.
+        Dutch,      // Price descends from startPrice to minBid; the first taker wins.
+        Sealed      // Bids are committed as hashes, then revealed before biddingEnd.
+    }
+
+    /// @dev Dutch-only parameters. The floor price is the auction's minBid.
+    struct DutchConfig {
+        uint128 startPrice;
+        uint64  startTime;
+        uint64  endTime;        // price reaches the floor here (the original biddingEnd)
+        uint64  stepDuration;   // 0 = linear decline, otherwise the price drops once per step
+    }
+
+    /// @dev Sealed-only parameters. Commits are accepted until commitEnd, reveals until biddingEnd.
+    struct SealedConfig {
+        uint64  commitEnd;
+        uint32  commitCount;
+        bool    vickrey;        // winner pays the second-highest revealed bid (or minBid)
+    }
+
+    /// @dev Anti-sniping settings. A bid within `window` seconds of biddingEnd
+    ///      pushes it out by `extension`, until `maxExtension` has been used up.
+    struct ExtensionConfig {
+        uint32  window;
+        uint32  extension;
+        uint32  maxExtension;
+        uint32  totalExtended;
+    }
+
+    /// @dev Bidder bond: `bps` of the bid (English only) or a `fixedAmount`; all zeros = no bond.
+    struct BondConfig {
+        uint16  bps;
+        uint128 fixedAmount;
     }
 
     struct Bid {
@@ -103,6 +186,30 @@ contract PropertyAuction is
     mapping(uint256 => Auction) public auctions;
     uint256 public auctionCount;
 
+    // Kept outside the Auction struct so its storage layout stays unchanged.
+    mapping(uint256 => AuctionType) public auctionTypes;
+    mapping(uint256 => DutchConfig) public dutchConfigs;
+    mapping(uint256 => SealedConfig) public sealedConfigs;
+    mapping(uint256 => ExtensionConfig) public extensionConfigs;
+    /// @dev auctionId => hashReserve(auctionId, reserve, salt); zero when no reserve is set
+    mapping(uint256 => bytes32) public reserveCommitments;
+
+    mapping(uint256 => BondConfig) public bondConfigs;
+    /// @dev auctionId => bidder => bond escrowed in payToken
+    mapping(uint256 => mapping(address => uint256)) public bidBonds;
+
+    /// @dev auctionId => acceptance deadline of the current second-chance offer; zero if none was made
+    mapping(uint256 => uint64) public secondChanceDeadlines;
+    /// @dev auctionId => bidder => defaulted as winner or let an offer lapse
+    mapping(uint256 => mapping(address => bool)) public passedOver;
+
+    /// @dev native ETH owed to each account by ETH-denominated auctions
+    mapping(address => uint256) public pendingWithdrawals;
+    /// @dev auctionId => bidder => hashSealedBid(...) until revealed
+    mapping(uint256 => mapping(address => bytes32)) public sealedCommitments;
+    /// @dev nft => tokenId => seller while the NFT is escrowed here
+    mapping(address => mapping(uint256 => address)) public escrowedBy;
+
     /* -------------------------------------------------------------------------- */
     /*                                    EVENTS                                  */
     /* -------------------------------------------------------------------------- */
@@ -118,12 +225,40 @@ contract PropertyAuction is
         uint256 biddingEnd
     );
 
+    event DutchAuctionCreated(
+        uint256 indexed auctionId,
+        uint128 startPrice,
+        uint128 floorPrice,
+        uint64 stepDuration
+    );
+
+    event SealedAuctionCreated(
+        uint256 indexed auctionId,
+        uint64 commitEnd,
+        bool vickrey
+    );
+
+    event BidCommitted(uint256 indexed auctionId, address indexed bidder);
+
     event BidPlaced(
         uint256 indexed auctionId,
         address indexed bidder,
         uint256 amount
     );
 
+    event AntiSnipingConfigured(
+        uint256 indexed auctionId,
+        uint32 window,
+        uint32 extension,
+        uint32 maxExtension
+    );
+
+    event AuctionExtended(
+        uint256 indexed auctionId,
+        uint64 newBiddingEnd,
+        uint32 totalExtended
+    );
+
     event BidWithdrawn(uint256 indexed auctionId, address indexed bidder, uint256 amount);
 
     event NFTDeposited(uint256 indexed auctionId);
@@ -135,15 +270,56 @@ contract PropertyAuction is
         uint256 amount
     );
 
+    event SecondChanceOffered(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 amount,
+        uint64 deadline
+    );
+
     event AuctionCancelled(uint256 indexed auctionId);
     event AuctionVoided(uint256 indexed auctionId);
 
+    event PaymentCredited(address indexed account, uint256 amount);
+    event PaymentWithdrawn(address indexed account, address indexed to, uint256 amount);
+
+    event BidBondConfigured(uint256 indexed auctionId, uint16 bps, uint128 fixedAmount);
+    event BondPosted(uint256 indexed auctionId, address indexed bidder, uint256 amount);
+    event BondRefunded(uint256 indexed auctionId, address indexed bidder, uint256 amount);
+    event BondForfeited(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 sellerAmount,
+        uint256 platformAmount
+    );
+
+    event ReserveCommitted(uint256 indexed auctionId, bytes32 commitment);
+    event AuctionReserveNotMet(uint256 indexed auctionId, uint128 reserve, uint128 highestBid);
+    event ReserveApplied(uint256 indexed auctionId, uint128 reserve);
+
     event AuctionPurchased(uint256 indexed auctionId, address indexed buyer, uint256 price);
 
     event AuctionEndedBySeller(uint256 indexed auctionId, address indexed winner, uint256 price);
 
     event EscrowPeriodUpdated(uint64 oldPeriod, uint64 newPeriod);
 
+    event AdminControlUpdated(address indexed adminControl);
+
+    event PlatformFeeUpdated(uint16 feeBps);
+
+    event BondSettingsUpdated(uint16 forfeitFeeBps);
+
+    /// @dev gross = fee + royalty + net
+    event ProceedsDistributed(
+        uint256 indexed auctionId,
+        address indexed seller,
+        uint256 grossAmount,
+        uint256 feeAmount,
+        address royaltyReceiver,
+        uint256 royaltyAmount,
+        uint256 netAmount
+    );
+
     /* -------------------------------------------------------------------------- */
     /*                                   ADMIN                                    */
     /* -------------------------------------------------------------------------- */
@@ -157,6 +333,32 @@ contract PropertyAuction is
         emit EscrowPeriodUpdated(old, newPeriod);
     }
 
+    /**
+     * @notice Set the AdminControl whose feeConfig().feeCollector receives every
+     *         platform payout, as in PropertyMarket.
+     */
+    function setAdminControl(IAdminControl admin) external onlyOwner {
+        if (address(admin) == address(0)) revert InvalidParams();
+        adminControl = admin;
+        emit AdminControlUpdated(address(admin));
+    }
+
+    /** @notice Configure the platform fee taken from the winning price, at most MAX_PLATFORM_FEE_BPS. */
+    function setPlatformFee(uint16 feeBps) external onlyOwner {
+        if (feeBps > MAX_PLATFORM_FEE_BPS) revert InvalidParams();
+        if (feeBps != 0 && address(adminControl) == address(0)) revert InvalidParams();
+        platformFeeBps = feeBps;
+        emit PlatformFeeUpdated(feeBps);
+    }
+
+    /** @notice Configure the platform cut taken from forfeited bidder bonds, at most MAX_PLATFORM_FEE_BPS. */
+    function setBondSettings(uint16 forfeitFeeBps) external onlyOwner {
+        if (forfeitFeeBps > MAX_PLATFORM_FEE_BPS) revert InvalidParams();
+        if (forfeitFeeBps != 0 && address(adminControl) == address(0)) revert InvalidParams();
+        bondForfeitFeeBps = forfeitFeeBps;
+        emit BondSettingsUpdated(forfeitFeeBps);
+    }
+
     /* -------------------------------------------------------------------------- */
     /*                                MAIN LOGIC                                  */
     /* -------------------------------------------------------------------------- */
@@ -165,7 +367,7 @@ contract PropertyAuction is
      * @notice List a property-NFT for auction (NFT stays in wallet for now).
      * @param nft          ERC-721 collection
      * @param tokenId      NFT id
-     * @param payToken     ERC-20 used for payment (e.g., USDC)
+     * @param payToken     ERC-20 used for payment (e.g., USDC), address(0) for native ETH
      * @param minBid       Minimum acceptable first bid (must > 0)
      * @param duration     Auction length in seconds
      */
@@ -177,9 +379,89 @@ contract PropertyAuction is
         uint64  duration,
         uint128 buyNowPrice
     ) external whenNotPaused nonReentrant returns (uint256 auctionId) {
+        auctionId = _createAuction(nft, tokenId, payToken, minBid, duration, buyNowPrice);
+    }
+
+    /**
+     * @notice List a property-NFT for a Dutch (descending-price) auction.
+     * @dev    The first call to acceptDutchPrice wins at the current price and
+     *         the auction moves straight to the escrow phase.
+     * @param nft          ERC-721 collection
+     * @param tokenId      NFT id
+     * @param payToken     ERC-20 used for payment (e.g., USDC), address(0) for native ETH
+     * @param startPrice   Price when the auction opens
+     * @param floorPrice   Price reached at the end of the window (must > 0)
+     * @param duration     Length of the descending window in seconds
+     * @param stepDuration 0 for a linear decline, otherwise seconds between price drops
+     */
+    function createDutchAuction(
+        IERC721 nft,
+        uint256 tokenId,
+        IERC20  payToken,
+        uint128 startPrice,
+        uint128 floorPrice,
+        uint64  duration,
+        uint64  stepDuration
+    ) external whenNotPaused nonReentrant returns (uint256 auctionId) {
+        if (startPrice <= floorPrice || stepDuration > duration) revert InvalidParams();
+
+        auctionId = _createAuction(nft, tokenId, payToken, floorPrice, duration, 0);
+        auctionTypes[auctionId] = AuctionType.Dutch;
+        dutchConfigs[auctionId] = DutchConfig({
+            startPrice: startPrice,
+            startTime: uint64(block.timestamp),
+            endTime: uint64(block.timestamp) + duration,
+            stepDuration: stepDuration
+        });
+
+        emit DutchAuctionCreated(auctionId, startPrice, floorPrice, stepDuration);
+    }
+
+    /**
+     * @notice List a property-NFT for a sealed-bid (commit–reveal) auction.
+     * @dev    Bidders commit hashSealedBid(...) until commitEnd and reveal until
+     *         biddingEnd; unrevealed commitments are ignored.
+     * @param nft            ERC-721 collection
+     * @param tokenId        NFT id
+     * @param payToken       ERC-20 used for payment (e.g., USDC), address(0) for native ETH
+     * @param minBid         Minimum acceptable revealed bid (must > 0)
+     * @param commitDuration Length of the commit phase in seconds
+     * @param revealDuration Length of the reveal phase in seconds
+     * @param vickrey        Winner pays the second-highest revealed bid instead of their own
+     */
+    function createSealedAuction(
+        IERC721 nft,
+        uint256 tokenId,
+        IERC20  payToken,
+        uint128 minBid,
+        uint64  commitDuration,
+        uint64  revealDuration,
+        bool    vickrey
+    ) external whenNotPaused nonReentrant returns (uint256 auctionId) {
+        if (commitDuration == 0 || revealDuration == 0) revert InvalidParams();
+
+        auctionId = _createAuction(nft, tokenId, payToken, minBid, commitDuration + revealDuration, 0);
+        auctionTypes[auctionId] = AuctionType.Sealed;
+        uint64 commitEnd = uint64(block.timestamp) + commitDuration;
+        sealedConfigs[auctionId] = SealedConfig({
+            commitEnd: commitEnd,
+            commitCount: 0,
+            vickrey: vickrey
+        });
+
+        emit SealedAuctionCreated(auctionId, commitEnd, vickrey);
+    }
+
+    function _createAuction(
+        IERC721 nft,
+        uint256 tokenId,
+        IERC20  payToken,
+        uint128 minBid,
+        uint64  duration,
+        uint128 buyNowPrice
+    ) private returns (uint256 auctionId) {
         if (
             address(nft) == address(0) ||
-            address(payToken) == address(0) ||
             minBid == 0 ||
             duration == 0 ||
             (buyNowPrice != 0 && buyNowPrice <= minBid)
@@ -187,20 +469,17 @@ contract PropertyAuction is
 
         unchecked { auctionId = ++auctionCount; }
 
-        auctions[auctionId] = Auction({
-            seller: msg.sender,
-            nft: nft,
-            tokenId: tokenId,
-            payToken: payToken,
-            minBid: minBid,
-            buyNowPrice: buyNowPrice,
-            biddingEnd: uint64(block.timestamp) + duration,
-            highestBidder: address(0),
-            highestBid: 0,
-            nftDeposited: false,
-            fundsDeposited: false,
-            status: AuctionStatus.Active
-        });
+        // Assigned field by field: a struct literal would have to copy the
+        // whole topBids array from memory.
+        Auction storage a = auctions[auctionId];
+        a.seller = msg.sender;
+        a.nft = nft;
+        a.tokenId = tokenId;
+        a.payToken = payToken;
+        a.minBid = minBid;
+        a.buyNowPrice = buyNowPrice;
+        a.biddingEnd = uint64(block.timestamp) + duration;
+        a.status = AuctionStatus.Active;
 
         emit AuctionCreated(
             auctionId,
@@ -215,16 +494,18 @@ contract PropertyAuction is
     }
 
     /**
-     * @notice Place an on-chain bid (no funds pulled yet).
+     * @notice Place an on-chain bid (no funds pulled yet, apart from any bidder bond).
      * @param auctionId auction id
      * @param amount    bid amount (must beat current by +1)
      */
     function placeBid(uint256 auctionId, uint128 amount)
         external
+        payable
         whenNotPaused
         nonReentrant
     {
         Auction storage a = auctions[auctionId];
+        if (auctionTypes[auctionId] != AuctionType.English) revert WrongAuctionType();
         if (a.status != AuctionStatus.Active) revert AuctionNotActive();
         if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
         if (a.buyNowPrice > 0 && amount >= a.buyNowPrice) revert BidExceedsBuyNowPrice();
@@ -245,9 +526,151 @@ contract PropertyAuction is
         a.highestBidder = msg.sender;
         a.highestBid = amount;
 
+        _postBond(auctionId, a, amount);
+        emit BidPlaced(auctionId, msg.sender, amount);
+        _extendIfSniped(auctionId, a);
+    }
+
+    /**
+     * @notice Configure anti-sniping for an English auction before it receives bids.
+     * @dev    All zeros disables it.
+     * @param auctionId    auction id
+     * @param window       a bid this many seconds or less before biddingEnd triggers an extension
+     * @param extension    seconds added to biddingEnd per triggering bid
+     * @param maxExtension cap on the total seconds added
+     */
+    function setAntiSniping(uint256 auctionId, uint32 window, uint32 extension, uint32 maxExtension)
+        external
+        nonReentrant
+    {
+        Auction storage a = auctions[auctionId];
+        if (auctionTypes[auctionId] != AuctionType.English) revert WrongAuctionType();
+        if (a.status != AuctionStatus.Active) revert AuctionNotActive();
+        if (msg.sender != a.seller) revert NotSeller();
+        if (a.highestBidder != address(0)) revert AuctionHasBids();
+        if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
+        bool disabled = window == 0 && extension == 0 && maxExtension == 0;
+        if (!disabled && (window == 0 || extension == 0 || maxExtension < extension)) revert InvalidParams();
+
+        extensionConfigs[auctionId] = ExtensionConfig({
+            window: window,
+            extension: extension,
+            maxExtension: maxExtension,
+            totalExtended: 0
+        });
+
+        emit AntiSnipingConfigured(auctionId, window, extension, maxExtension);
+    }
+
+    /** @dev Pushes biddingEnd out when a bid lands inside the anti-sniping window. */
+    function _extendIfSniped(uint256 auctionId, Auction storage a) private {
+        ExtensionConfig storage x = extensionConfigs[auctionId];
+        if (x.extension == 0 || a.biddingEnd - block.timestamp > x.window) return;
+
+        uint32 remaining = x.maxExtension - x.totalExtended;
+        uint32 added = x.extension < remaining ? x.extension : remaining;
+        if (added == 0) return;
+
+        x.totalExtended += added;
+        a.biddingEnd += added;
+        emit AuctionExtended(auctionId, a.biddingEnd, x.totalExtended);
+    }
+
+    /**
+     * @notice Take a Dutch auction at its current price.
+     * @dev    Ends bidding immediately; the buyer then escrows funds with
+     *         depositFunds and the seller the NFT with depositNFT.
+     * @param auctionId auction id
+     */
+    function acceptDutchPrice(uint256 auctionId) external payable whenNotPaused nonReentrant {
+        Auction storage a = auctions[auctionId];
+        if (auctionTypes[auctionId] != AuctionType.Dutch) revert WrongAuctionType();
+        if (a.status != AuctionStatus.Active) revert AuctionNotActive();
+        // Also rejects a second taker, since the first one closes bidding.
+        if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
+
+        uint128 price = currentDutchPrice(auctionId);
+        a.topBids[0] = Bid({bidder: msg.sender, amount: price, timestamp: uint64(block.timestamp)});
+        a.highestBidder = msg.sender;
+        a.highestBid = price;
+        a.biddingEnd = uint64(block.timestamp);
+
+        _postBond(auctionId, a, price);
+        emit BidPlaced(auctionId, msg.sender, price);
+    }
+
+    /**
+     * @notice Commit a sealed bid, replacing any earlier commitment by the caller.
+     * @param auctionId  auction id
+     * @param commitment hashSealedBid(auctionId, msg.sender, amount, salt)
+     */
+    function commitBid(uint256 auctionId, bytes32 commitment) external payable whenNotPaused nonReentrant {
+        Auction storage a = auctions[auctionId];
+        if (auctionTypes[auctionId] != AuctionType.Sealed) revert WrongAuctionType();
+        if (a.status != AuctionStatus.Active) revert AuctionNotActive();
+        SealedConfig storage c = sealedConfigs[auctionId];
+        if (block.timestamp >= c.commitEnd) revert NotCommitPhase();
+        if (commitment == bytes32(0)) revert InvalidParams();
+
+        if (sealedCommitments[auctionId][msg.sender] == bytes32(0)) {
+            c.commitCount++;
+        }
+        sealedCommitments[auctionId][msg.sender] = commitment;
+
+        // Sealed bonds are fixed, so only the first commitment posts one.
+        _postBond(auctionId, a, 0);
+        emit BidCommitted(auctionId, msg.sender);
+    }
+
+    /**
+     * @notice Reveal a committed bid. Revealed bids are ranked into topBids.
+     * @param auctionId auction id
+     * @param amount    the committed bid amount
+     * @param salt      the committed salt
+     */
+    function revealBid(uint256 auctionId, uint128 amount, bytes32 salt) external whenNotPaused nonReentrant {
+        Auction storage a = auctions[auctionId];
+        if (auctionTypes[auctionId] != AuctionType.Sealed) revert WrongAuctionType();
+        if (a.status != AuctionStatus.Active) revert AuctionNotActive();
+        SealedConfig storage c = sealedConfigs[auctionId];
+        if (block.timestamp < c.commitEnd || block.timestamp >= a.biddingEnd) revert NotRevealPhase();
+
+        bytes32 commitment = sealedCommitments[auctionId][msg.sender];
+        if (commitment == bytes32(0) || commitment != hashSealedBid(auctionId, msg.sender, amount, salt)) {
+            revert InvalidReveal();
+        }
+        delete sealedCommitments[auctionId][msg.sender];
+        if (amount < a.minBid) revert BidTooLow(a.minBid);
+
+        _insertTopBid(a, Bid({bidder: msg.sender, amount: amount, timestamp: uint64(block.timestamp)}));
+
+        // The winner pays their own bid, or the runner-up's (floored at minBid) under Vickrey.
+        a.highestBidder = a.topBids[0].bidder;
+        if (!c.vickrey) {
+            a.highestBid = a.topBids[0].amount;
+        } else if (a.topBids[1].bidder != address(0)) {
+            a.highestBid = a.topBids[1].amount;
+        } else {
+            a.highestBid = a.minBid;
+        }
+
         emit BidPlaced(auctionId, msg.sender, amount);
     }
 
+    /** @dev Inserts `bid` into the descending topBids list; earlier bids win ties. */
+    function _insertTopBid(Auction storage a, Bid memory bid) private {
+        uint8 pos = 0;
+        while (pos < TOP_BIDS_COUNT && a.topBids[pos].bidder != address(0) && a.topBids[pos].amount >= bid.amount) {
+            pos++;
+        }
+        if (pos == TOP_BIDS_COUNT) return;
+
+        for (uint8 i = TOP_BIDS_COUNT - 1; i > pos; --i) {
+            a.topBids[i] = a.topBids[i - 1];
+        }
+        a.topBids[pos] = bid;
+    }
+
     /**
      * @notice Withdraw a bid from an auction.
      * @dev Allows any bidder, except the current highest, to withdraw their bid.
@@ -258,6 +681,7 @@ contract PropertyAuction is
      */
     function withdrawBid(uint256 auctionId) external nonReentrant {
         Auction storage a = auctions[auctionId];
+        if (auctionTypes[auctionId] != AuctionType.English) revert WrongAuctionType();
         if (a.status != AuctionStatus.Active) revert AuctionNotActive();
         if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
 
@@ -292,7 +716,7 @@ contract PropertyAuction is
      *      must then deposit the NFT to trigger settlement.
      * @param auctionId The ID of the auction to purchase.
      */
-    function buyNow(uint256 auctionId) external whenNotPaused nonReentrant {
+    function buyNow(uint256 auctionId) external payable whenNotPaused nonReentrant {
         Auction storage a = auctions[auctionId];
         if (a.status != AuctionStatus.Active) revert AuctionNotActive();
         if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
@@ -308,7 +732,7 @@ contract PropertyAuction is
 
         // Escrow funds from buyer
         a.fundsDeposited = true;
-        a.payToken.safeTransferFrom(msg.sender, address(this), a.buyNowPrice);
+        _collect(a, a.buyNowPrice);
 
         emit AuctionPurchased(auctionId, msg.sender, a.buyNowPrice);
         emit FundsDeposited(auctionId);
@@ -324,6 +748,7 @@ contract PropertyAuction is
         Auction storage a = auctions[auctionId];
         
         // --- Validation ---
+        if (auctionTypes[auctionId] != AuctionType.English) revert WrongAuctionType();
         if (a.status != AuctionStatus.Active) revert AuctionNotActive();
         if (msg.sender != a.seller) revert NotSeller();
         if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
@@ -356,22 +781,25 @@ contract PropertyAuction is
         if (a.highestBidder == address(0)) revert AuctionExpired(); // no bids
 
         a.nftDeposited = true;
+        escrowedBy[address(a.nft)][a.tokenId] = a.seller;
         a.nft.safeTransferFrom(msg.sender, address(this), a.tokenId);
 
         emit NFTDeposited(auctionId);
         _trySettle(auctionId);
     }
 
-    /** @notice Winner escrows funds **after** auctionEnd. */
-    function depositFunds(uint256 auctionId) external nonReentrant {
+    /** @notice Winner escrows funds **after** auctionEnd (msg.value for ETH auctions). */
+    function depositFunds(uint256 auctionId) external payable nonReentrant {
         Auction storage a = auctions[auctionId];
         if (a.status != AuctionStatus.Active) revert AuctionNotActive();
         if (msg.sender != a.highestBidder) revert NotWinner();
         if (a.fundsDeposited) revert FundsAlreadyDeposited();
         if (block.timestamp < a.biddingEnd) revert AuctionActive();
+        uint64 offerDeadline = secondChanceDeadlines[auctionId];
+        if (offerDeadline != 0 && block.timestamp > offerDeadline) revert OfferExpired();
 
         a.fundsDeposited = true;
-        a.payToken.safeTransferFrom(msg.sender, address(this), a.highestBid);
+        _collect(a, a.highestBid);
 
         emit FundsDeposited(auctionId);
         _trySettle(auctionId);
@@ -383,25 +811,101 @@ contract PropertyAuction is
         if (a.status != AuctionStatus.Active) return;
         if (!a.nftDeposited || !a.fundsDeposited) return;
 
-        // funds → seller
-        a.payToken.safeTransfer(a.seller, a.highestBid);
+        // funds → fee collector, royalty receiver, seller
+        _distributeProceeds(auctionId, a);
         // NFT → buyer
+        delete escrowedBy[address(a.nft)][a.tokenId];
         a.nft.safeTransferFrom(address(this), a.highestBidder, a.tokenId);
+        _refundBond(auctionId, a, a.highestBidder);
 
         a.status = AuctionStatus.Settled;
         emit AuctionSettled(auctionId, a.highestBidder, a.highestBid);
     }
 
+    /** @dev Pays the platform fee and ERC-2981 royalty out of the winning price, the rest to the seller. */
+    function _distributeProceeds(uint256 auctionId, Auction storage a) private {
+        uint256 gross = a.highestBid;
+        uint256 fee = (gross * platformFeeBps) / BPS;
+        (address royaltyReceiver, uint256 royalty) = _royaltyInfo(a.nft, a.tokenId, gross);
+        // A misconfigured royalty must not block settlement.
+        if (royalty > gross - fee) royalty = gross - fee;
+        uint256 net = gross - fee - royalty;
+
+        if (fee > 0) _payOut(a, _feeCollector(), fee);
+        if (royalty > 0) _payOut(a, royaltyReceiver, royalty);
+        _payOut(a, a.seller, net);
+
+        emit ProceedsDistributed(auctionId, a.seller, gross, fee, royaltyReceiver, royalty, net);
+    }
+
+    function _feeCollector() private view returns (address collector) {
+        (, , collector) = adminControl.feeConfig();
+    }
+
+    function _royaltyInfo(IERC721 nft, uint256 tokenId, uint256 price)
+        private
+        view
+        returns (address receiver, uint256 amount)
+    {
+        try IERC2981(address(nft)).royaltyInfo(tokenId, price) returns (address r, uint256 royalty) {
+            if (r != address(0)) return (r, royalty);
+        } catch {}
+        return (address(0), 0);
+    }
+
+    /** @dev Takes `amount` from the caller: msg.value for ETH auctions, an ERC-20 pull otherwise. */
+    function _collect(Auction storage a, uint256 amount) private {
+        if (address(a.payToken) == address(0)) {
+            if (msg.value != amount) revert IncorrectPayment();
+        } else {
+            if (msg.value != 0) revert IncorrectPayment();
+            a.payToken.safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    /** @dev Pays `to`: ETH is credited for withdrawPayments so a reverting recipient cannot block the caller. */
+    function _payOut(Auction storage a, address to, uint256 amount) private {
+        if (address(a.payToken) == address(0)) {
+            pendingWithdrawals[to] += amount;
+            emit PaymentCredited(to, amount);
+        } else {
+            a.payToken.safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @notice Claim the ETH credited to the caller by ETH-denominated auctions.
+     * @param to recipient, e.g. another address when the caller cannot receive ETH
+     */
+    function withdrawPayments(address payable to) external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+        if (to == address(0)) revert InvalidParams();
+
+        pendingWithdrawals[msg.sender] = 0;
+        (bool ok, ) = to.call{value: amount}("");
+        if (!ok) revert TransferFailed();
+
+        emit PaymentWithdrawn(msg.sender, to, amount);
+    }
+
     /* --------------------------- DEFAULT / VOID PATH -------------------------- */
 
     /**
      * @notice After `escrowPeriod`, either party may void if the other leg
      *         has not been deposited. Deposited assets are returned.
+     * @dev    Under a second-chance offer the clock runs from the offer's
+     *         deadline instead: immediately if it lapsed, otherwise
+     *         `escrowPeriod` later for the seller to deliver.
      */
     function voidAuction(uint256 auctionId) external nonReentrant {
         Auction storage a = auctions[auctionId];
         if (a.status != AuctionStatus.Active) revert AuctionNotActive();
-        if (block.timestamp < a.biddingEnd + escrowPeriod) revert NotVoidable();
+        uint64 offerDeadline = secondChanceDeadlines[auctionId];
+        uint256 voidableAt = offerDeadline == 0
+            ? a.biddingEnd + escrowPeriod
+            : offerDeadline + (a.fundsDeposited ? escrowPeriod : 0);
+        if (block.timestamp < voidableAt) revert NotVoidable();
 
         // Only allow:
         //  – seller to void if buyer hasn't deposited funds
@@ -412,11 +916,13 @@ contract PropertyAuction is
         ) {
             // Return any deposited asset
             if (a.fundsDeposited) {
-                a.payToken.safeTransfer(a.highestBidder, a.highestBid);
+                _payOut(a, a.highestBidder, a.highestBid);
             }
             if (a.nftDeposited) {
+                delete escrowedBy[address(a.nft)][a.tokenId];
                 a.nft.safeTransferFrom(address(this), a.seller, a.tokenId);
             }
+            _releaseWinnerBond(auctionId, a, offerDeadline == 0);
 
             a.status = AuctionStatus.Voided;
             emit AuctionVoided(auctionId);
@@ -425,6 +931,224 @@ contract PropertyAuction is
         }
     }
 
+    /* --------------------------- SECOND-CHANCE OFFERS -------------------------- */
+
+    /**
+     * @notice Offer the property to the highest remaining bidder at their own bid
+     *         after the winner, or the previous offeree, failed to pay.
+     * @dev    Available once the winner's escrowPeriod has run out, or the current
+     *         offer's deadline has passed. The offeree becomes the winner and
+     *         accepts by calling depositFunds before the deadline.
+     * @param auctionId    auction id
+     * @param acceptWindow seconds the offeree has to deposit funds (at most escrowPeriod)
+     */
+    function offerSecondChance(uint256 auctionId, uint64 acceptWindow) external whenNotPaused nonReentrant {
+        Auction storage a = auctions[auctionId];
+        if (a.status != AuctionStatus.Active) revert AuctionNotActive();
+        if (msg.sender != a.seller) revert NotSeller();
+        if (a.highestBidder == address(0) || a.fundsDeposited) revert NotVoidable();
+        if (acceptWindow == 0 || acceptWindow > escrowPeriod) revert InvalidParams();
+
+        uint64 offerDeadline = secondChanceDeadlines[auctionId];
+        uint256 defaultedAt = offerDeadline == 0 ? a.biddingEnd + escrowPeriod : offerDeadline + 1;
+        if (block.timestamp < defaultedAt) revert NotVoidable();
+
+        // Only the original winner's bond is at stake; offerees never committed to the new terms.
+        passedOver[auctionId][a.highestBidder] = true;
+        _releaseWinnerBond(auctionId, a, offerDeadline == 0);
+
+        Bid memory next;
+        for (uint8 i = 0; i < TOP_BIDS_COUNT; i++) {
+            Bid storage b = a.topBids[i];
+            if (b.bidder != address(0) && !passedOver[auctionId][b.bidder]) {
+                next = b;
+                break;
+            }
+        }
+        if (next.bidder == address(0)) revert NoFallbackBid();
+
+        a.highestBidder = next.bidder;
+        a.highestBid = next.amount;
+        uint64 deadline = uint64(block.timestamp) + acceptWindow;
+        secondChanceDeadlines[auctionId] = deadline;
+
+        emit SecondChanceOffered(auctionId, next.bidder, next.amount, deadline);
+    }
+
+    /** @dev Forfeits the winner's bond if they defaulted on a delivered NFT, else returns it. */
+    function _releaseWinnerBond(uint256 auctionId, Auction storage a, bool forfeitable) private {
+        if (forfeitable && a.nftDeposited && !a.fundsDeposited) {
+            _forfeitBond(auctionId, a);
+        } else {
+            _refundBond(auctionId, a, a.highestBidder);
+        }
+    }
+
+    /* ---------------------------- HIDDEN RESERVE ----------------------------- */
+
+    /**
+     * @notice Commit a hidden reserve price before the auction receives bids.
+     * @dev    Not available for Dutch auctions, whose floor is public. A zero
+     *         commitment removes the reserve.
+     * @param auctionId  auction id
+     * @param commitment hashReserve(auctionId, reserve, salt)
+     */
+    function setReserveCommitment(uint256 auctionId, bytes32 commitment) external nonReentrant {
+        Auction storage a = auctions[auctionId];
+        if (auctionTypes[auctionId] == AuctionType.Dutch) revert WrongAuctionType();
+        if (a.status != AuctionStatus.Active) revert AuctionNotActive();
+        if (msg.sender != a.seller) revert NotSeller();
+        if (a.highestBidder != address(0)) revert AuctionHasBids();
+        if (sealedConfigs[auctionId].commitCount != 0) revert AuctionHasBids();
+        if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
+
+        reserveCommitments[auctionId] = commitment;
+        emit ReserveCommitted(auctionId, commitment);
+    }
+
+    /**
+     * @notice After bidding ends, reveal the reserve to decline a winning bid below it.
+     * @dev    Only before the seller escrows the NFT. Funds already escrowed by
+     *         the winner are returned; this is not a default by either party.
+     * @param auctionId auction id
+     * @param reserve   the committed reserve price
+     * @param salt      the committed salt
+     */
+    function declineBelowReserve(uint256 auctionId, uint128 reserve, bytes32 salt) external nonReentrant {
+        Auction storage a = _revealReserve(auctionId, reserve, salt);
+        if (_winningBid(auctionId, a) >= reserve) revert ReserveMet();
+
+        a.status = AuctionStatus.ReserveNotMet;
+        if (a.fundsDeposited) {
+            _payOut(a, a.highestBidder, a.highestBid);
+        }
+        _refundBond(auctionId, a, a.highestBidder);
+
+        emit AuctionReserveNotMet(auctionId, reserve, a.highestBid);
+    }
+
+    /**
+     * @notice Reveal the reserve of a Vickrey auction whose winner bid at least the
+     *         reserve but whose second price is below it; the winner then pays the reserve.
+     * @dev    Same window as declineBelowReserve. Funds the winner already escrowed
+     *         at the second price are returned and must be deposited again.
+     * @param auctionId auction id
+     * @param reserve   the committed reserve price
+     * @param salt      the committed salt
+     */
+    function applyReserve(uint256 auctionId, uint128 reserve, bytes32 salt) external nonReentrant {
+        Auction storage a = _revealReserve(auctionId, reserve, salt);
+        if (a.highestBid >= reserve) revert ReserveMet();
+        if (_winningBid(auctionId, a) < reserve) revert BelowReserve();
+
+        if (a.fundsDeposited) {
+            a.fundsDeposited = false;
+            _payOut(a, a.highestBidder, a.highestBid);
+        }
+        a.highestBid = reserve;
+
+        emit ReserveApplied(auctionId, reserve);
+    }
+
+    /** @dev Checks the seller may reveal the reserve now and that it matches the commitment. */
+    function _revealReserve(uint256 auctionId, uint128 reserve, bytes32 salt) private view returns (Auction storage a) {
+        a = auctions[auctionId];
+        if (a.status != AuctionStatus.Active) revert AuctionNotActive();
+        if (msg.sender != a.seller) revert NotSeller();
+        if (block.timestamp < a.biddingEnd) revert AuctionActive();
+        if (a.nftDeposited) revert NFTAlreadyDeposited();
+
+        bytes32 commitment = reserveCommitments[auctionId];
+        if (commitment == bytes32(0) || commitment != hashReserve(auctionId, reserve, salt)) revert InvalidReserve();
+    }
+
+    /** @dev The winner's own bid, which is above the clearing price under Vickrey until a second-chance offer. */
+    function _winningBid(uint256 auctionId, Auction storage a) private view returns (uint128) {
+        if (sealedConfigs[auctionId].vickrey && secondChanceDeadlines[auctionId] == 0) {
+            return a.topBids[0].amount;
+        }
+        return a.highestBid;
+    }
+
+    /* ------------------------------ BIDDER BONDS ------------------------------ */
+
+    /**
+     * @notice Require bidders to escrow a bond before the auction receives bids.
+     * @dev    Set at most one of `bps` and `fixedAmount`; all zeros removes the
+     *         bond. Percentage bonds are English-only since Dutch prices move
+     *         and sealed amounts are hidden when the bond is posted.
+     * @param auctionId   auction id
+     * @param bps         bond as basis points of each bid
+     * @param fixedAmount bond as a flat amount of payToken
+     */
+    function setBidBond(uint256 auctionId, uint16 bps, uint128 fixedAmount) external nonReentrant {
+        Auction storage a = auctions[auctionId];
+        if (a.status != AuctionStatus.Active) revert AuctionNotActive();
+        if (msg.sender != a.seller) revert NotSeller();
+        if (a.highestBidder != address(0)) revert AuctionHasBids();
+        if (sealedConfigs[auctionId].commitCount != 0) revert AuctionHasBids();
+        if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
+        if (bps > BPS || (bps != 0 && fixedAmount != 0)) revert InvalidParams();
+        if (bps != 0 && auctionTypes[auctionId] != AuctionType.English) revert WrongAuctionType();
+
+        bondConfigs[auctionId] = BondConfig({bps: bps, fixedAmount: fixedAmount});
+        emit BidBondConfigured(auctionId, bps, fixedAmount);
+    }
+
+    /**
+     * @notice Reclaim a bond once it no longer backs a bid.
+     * @dev    Losing bidders can claim once bidding ends; the winner's bond is
+     *         returned at settlement, or forfeited if they default.
+     * @param auctionId auction id
+     */
+    function claimBond(uint256 auctionId) external nonReentrant {
+        Auction storage a = auctions[auctionId];
+        if (bidBonds[auctionId][msg.sender] == 0) revert NoBond();
+        if (
+            a.status == AuctionStatus.Active &&
+            (block.timestamp < a.biddingEnd || msg.sender == a.highestBidder)
+        ) revert BondLocked();
+
+        _refundBond(auctionId, a, msg.sender);
+    }
+
+    /** @dev Tops the caller's bond up to what `amount` requires; msg.value must cover the top-up exactly. */
+    function _postBond(uint256 auctionId, Auction storage a, uint128 amount) private {
+        uint256 required = bondFor(auctionId, amount);
+        uint256 posted = bidBonds[auctionId][msg.sender];
+        if (required <= posted) {
+            if (msg.value != 0) revert IncorrectPayment();
+            return;
+        }
+
+        bidBonds[auctionId][msg.sender] = required;
+        _collect(a, required - posted);
+        emit BondPosted(auctionId, msg.sender, required - posted);
+    }
+
+    function _refundBond(uint256 auctionId, Auction storage a, address bidder) private {
+        uint256 bond = bidBonds[auctionId][bidder];
+        if (bond == 0) return;
+
+        delete bidBonds[auctionId][bidder];
+        _payOut(a, bidder, bond);
+        emit BondRefunded(auctionId, bidder, bond);
+    }
+
+    /** @dev Pays the defaulting winner's bond to the seller, less the platform cut. */
+    function _forfeitBond(uint256 auctionId, Auction storage a) private {
+        address winner = a.highestBidder;
+        uint256 bond = bidBonds[auctionId][winner];
+        if (bond == 0) return;
+
+        delete bidBonds[auctionId][winner];
+        uint256 cut = (bond * bondForfeitFeeBps) / BPS;
+        if (cut > 0) _payOut(a, _feeCollector(), cut);
+        _payOut(a, a.seller, bond - cut);
+
+        emit BondForfeited(auctionId, winner, bond - cut, cut);
+    }
+
     /* -------------------------- EARLY CANCEL (NO BIDS) ------------------------- */
 
     /** @notice Seller can cancel before the first bid and before endTime. */
@@ -434,6 +1158,7 @@ contract PropertyAuction is
         if (a.status != AuctionStatus.Active) revert AuctionNotActive();
         if (msg.sender != a.seller) revert NotSeller();
         if (a.highestBidder != address(0)) revert AuctionHasBids();
+        if (sealedConfigs[auctionId].commitCount != 0) revert AuctionHasBids();
         if (block.timestamp >= a.biddingEnd) revert AuctionExpired();
 
         a.status = AuctionStatus.Cancelled;
@@ -444,6 +1169,54 @@ contract PropertyAuction is
     /*                              VIEW FUNCTIONS                                */
     /* -------------------------------------------------------------------------- */
 
+    /**
+     * @notice Current asking price of a Dutch auction.
+     * @dev    Falls from startPrice to the floor (minBid) between startTime and
+     *         endTime, linearly or once per stepDuration.
+     */
+    function currentDutchPrice(uint256 auctionId) public view returns (uint128) {
+        if (auctionTypes[auctionId] != AuctionType.Dutch) revert WrongAuctionType();
+        DutchConfig storage d = dutchConfigs[auctionId];
+        uint128 floor = auctions[auctionId].minBid;
+        if (block.timestamp >= d.endTime) return floor;
+
+        uint256 window = d.endTime - d.startTime;
+        uint256 elapsed = block.timestamp - d.startTime;
+        if (d.stepDuration != 0) {
+            // Count whole steps only; the floor is reached after the last full step.
+            window = window / d.stepDuration;
+            elapsed = elapsed / d.stepDuration;
+            if (elapsed >= window) return floor;
+        }
+
+        uint256 drop = (uint256(d.startPrice - floor) * elapsed) / window;
+        return d.startPrice - uint128(drop);
+    }
+
+    /** @notice Bond required to back a bid of `amount` (ignored for fixed bonds). */
+    function bondFor(uint256 auctionId, uint128 amount) public view returns (uint256) {
+        BondConfig storage b = bondConfigs[auctionId];
+        if (b.bps != 0) return (uint256(amount) * b.bps) / BPS;
+        return b.fixedAmount;
+    }
+
+    /**
+     * @notice Commitment a sealed bidder submits to commitBid.
+     * @dev    Binds the auction and bidder so commitments cannot be replayed or copied.
+     */
+    function hashSealedBid(uint256 auctionId, address bidder, uint128 amount, bytes32 salt)
+        public
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(auctionId, bidder, amount, salt));
+    }
+
+    /** @notice Commitment a seller submits to setReserveCommitment. */
+    function hashReserve(uint256 auctionId, uint128 reserve, bytes32 salt) public pure returns (bytes32) {
+        return keccak256(abi.encode(auctionId, reserve, salt));
+    }
+
     function isSettleable(uint256 auctionId) external view returns (bool) {
         Auction storage a = auctions[auctionId];
         return
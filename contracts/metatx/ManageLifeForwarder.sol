@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {ERC2771Forwarder} from "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/// @title ManageLifeForwarder
+/// @notice ERC-2771 forwarder for the ManageLife contracts. Users sign an EIP-712 `ForwardRequest`
+/// and a relayer submits it, paying the gas. Targets must name this contract as their trusted
+/// forwarder (see TrustedForwarderContext).
+contract ManageLifeForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("ManageLifeForwarder") {}
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/// @title TrustedForwarderContext
+/// @notice ERC-2771 meta-transaction support: calls relayed by the trusted forwarder are
+/// attributed to the user who signed them, so that user needs no ETH for gas.
+/// @dev Sender/data extraction matches OpenZeppelin's ERC2771Context, but the forwarder is kept in
+/// storage rather than an immutable so it can be set on existing deployments without changing
+/// constructors. Inheriting contracts wrap `_setTrustedForwarder` in their own access control, and
+/// may override `isTrustedForwarder` to trust further callers that append the sender the same way.
+abstract contract TrustedForwarderContext {
+    /// @notice The ERC-2771 forwarder trusted to append the original sender, zero when disabled.
+    address public trustedForwarder;
+
+    /// @notice Emitted when the trusted forwarder is changed.
+    /// @param oldForwarder The previous forwarder.
+    /// @param newForwarder The new forwarder, zero to disable meta-transactions.
+    event TrustedForwarderUpdated(address indexed oldForwarder, address indexed newForwarder);
+
+    /// @notice Whether `forwarder` is the trusted forwarder (ERC-2771).
+    /// @param forwarder The address to check.
+    function isTrustedForwarder(address forwarder) public view virtual returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    /// @dev Sets the trusted forwarder; callers must check authorization.
+    function _setTrustedForwarder(address forwarder) internal {
+        emit TrustedForwarderUpdated(trustedForwarder, forwarder);
+        trustedForwarder = forwarder;
+    }
+
+    /// @dev The signer of a forwarded call (the last 20 bytes of calldata), otherwise `msg.sender`.
+    /// No zero check is needed here: `msg.sender` is never address(0).
+    function _msgSender() internal view virtual returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /// @dev The calldata of a forwarded call without the appended sender, otherwise `msg.data`.
+    function _msgData() internal view virtual returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+}
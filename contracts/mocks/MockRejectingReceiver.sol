@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/// @title MockRejectingReceiver
+/// @notice Mock recipient that reverts on any ETH transfer, for testing pull payments
+contract MockRejectingReceiver {
+    /// @notice Forward a call so the mock can act as a party (e.g. claim a credited payment)
+    /// @param target Contract to call
+    /// @param data Calldata to forward
+    function forward(address target, bytes calldata data) external returns (bytes memory) {
+        (bool ok, bytes memory result) = target.call(data);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        revert("MockRejectingReceiver: ETH not accepted");
+    }
+}
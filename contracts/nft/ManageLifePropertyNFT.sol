@@ -2,8 +2,10 @@
 pragma solidity 0.8.20;
 
 import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import {ERC2981} from "@openzeppelin/contracts/token/common/ERC2981.sol";
 import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
 import {IAdminControl} from "../interfaces/IAdminControl.sol";
+import {IPropertyTransferHook} from "../interfaces/IPropertyTransferHook.sol";
 
 /// @title ManageLife Property NFT
 /// @notice ERC-721 for ManageLife property tokens, minted and managed via an external controller.
@@ -13,7 +15,9 @@ import {IAdminControl} from "../interfaces/IAdminControl.sol";
 /// - LLC/legal property information MUST live in the off-chain NFT metadata (e.g., tokenURI JSON), not on-chain:
 ///   - to minimize gas/storage costs
 ///   - and because such information is authored by the platform, not by end-users.
-contract ManageLifePropertyNFT is ERC721 {
+/// - Resale royalties (ERC-2981) are configured per token, or by default, through `propertyControllerContract`.
+/// - An optional `transferHook` (e.g. PropertyMarket) is told about every transfer so it can drop stale listings.
+contract ManageLifePropertyNFT is ERC721, ERC2981 {
     using Strings for uint256;
     /// @dev Sequential token ID counter. Incremented on each mint.
     uint256 private _tokenIdCounter;
@@ -31,6 +35,15 @@ contract ManageLifePropertyNFT is ERC721 {
     /// @dev Updated only by `propertyControllerContract`.
     mapping(uint256 => bool) public deedHeldAtManageLife;
 
+    /// @notice Contract notified of every transfer between two accounts; zero disables it.
+    address public transferHook;
+
+    /// @notice Upper bound for any royalty, in basis points of the sale price (10%).
+    uint96 public constant MAX_ROYALTY_BPS = 1000;
+
+    /// @notice Gas a transfer must have left when the transfer hook is called.
+    uint256 public constant TRANSFER_HOOK_MIN_GAS = 100_000;
+
     /// @notice Emitted when the base token URI is updated.
     /// @param baseTokenURI The new base URI
     event BaseTokenURISet(string indexed baseTokenURI);
@@ -45,11 +58,35 @@ contract ManageLifePropertyNFT is ERC721 {
     /// @param newController New controller address
     event ControllerContractUpdated(address oldController, address newController);
 
+    /// @notice Emitted when the transfer hook is updated.
+    /// @param oldHook Previous hook address
+    /// @param newHook New hook address (zero when disabled)
+    event TransferHookUpdated(address oldHook, address newHook);
+
+    /// @notice Emitted when the transfer hook reverts; the transfer still goes through.
+    /// @param tokenId Token ID whose transfer the hook failed to process.
+    event TransferHookFailed(uint256 indexed tokenId);
+
     /// @notice Emitted when the deed-held flag is updated for a token.
     /// @param tokenId Token ID whose deed-held flag was updated.
     /// @param deedHeldAtManageLife New deed-held flag value.
     event DeedHeldAtManageLifeUpdated(uint256 indexed tokenId, bool deedHeldAtManageLife);
 
+    /// @notice Emitted when the collection-wide default royalty is updated.
+    /// @param receiver Royalty receiver (zero when the default royalty is removed).
+    /// @param feeNumerator Royalty in basis points.
+    event DefaultRoyaltySet(address indexed receiver, uint96 feeNumerator);
+
+    /// @notice Emitted when a per-token royalty is set.
+    /// @param tokenId Token ID whose royalty was set.
+    /// @param receiver Royalty receiver.
+    /// @param feeNumerator Royalty in basis points.
+    event TokenRoyaltySet(uint256 indexed tokenId, address indexed receiver, uint96 feeNumerator);
+
+    /// @notice Emitted when a per-token royalty is removed and the token falls back to the default.
+    /// @param tokenId Token ID whose royalty was reset.
+    event TokenRoyaltyReset(uint256 indexed tokenId);
+
     /// @dev Revert when a zero address is provided where non-zero is required.
     error ZeroAddress();
 
@@ -62,6 +99,12 @@ contract ManageLifePropertyNFT is ERC721 {
     /// @dev Revert when an empty base URI is provided.
     error EmptyMetadataURI();
 
+    /// @dev Revert when a royalty above `MAX_ROYALTY_BPS` is requested.
+    error RoyaltyTooHigh(uint96 feeNumerator, uint96 maxFeeNumerator);
+
+    /// @dev Revert when a transfer is sent with too little gas for the transfer hook to run.
+    error InsufficientTransferHookGas();
+
     /// @notice Restricts caller to `DEFAULT_ADMIN_ROLE` from `adminController`.
     modifier onlyAdmin() {
         if (!adminController.hasRole(adminController.DEFAULT_ADMIN_ROLE(), msg.sender)) {
@@ -125,6 +168,46 @@ contract ManageLifePropertyNFT is ERC721 {
         emit DeedHeldAtManageLifeUpdated(tokenId, _deedHeldAtManageLife);
     }
 
+    /// @notice Sets the royalty applied to tokens without a per-token royalty.
+    /// @dev Callable only by `propertyControllerContract`. A zero `receiver` removes the default royalty.
+    /// @param receiver Royalty receiver.
+    /// @param feeNumerator Royalty in basis points, at most `MAX_ROYALTY_BPS`.
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) external onlyController {
+        if (receiver == address(0)) {
+            _deleteDefaultRoyalty();
+            emit DefaultRoyaltySet(address(0), 0);
+            return;
+        }
+        _checkRoyalty(feeNumerator);
+        _setDefaultRoyalty(receiver, feeNumerator);
+        emit DefaultRoyaltySet(receiver, feeNumerator);
+    }
+
+    /// @notice Sets the royalty for a single token, e.g. to pay the originating LLC on resales.
+    /// @dev Callable only by `propertyControllerContract`. Reverts if token does not exist.
+    /// @param tokenId Token ID whose royalty will be set.
+    /// @param receiver Royalty receiver.
+    /// @param feeNumerator Royalty in basis points, at most `MAX_ROYALTY_BPS`.
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeNumerator) external onlyController {
+        _requireOwned(tokenId);
+        _checkRoyalty(feeNumerator);
+        _setTokenRoyalty(tokenId, receiver, feeNumerator);
+        emit TokenRoyaltySet(tokenId, receiver, feeNumerator);
+    }
+
+    /// @notice Removes the per-token royalty so the default royalty applies again.
+    /// @dev Callable only by `propertyControllerContract`.
+    /// @param tokenId Token ID whose royalty will be reset.
+    function resetTokenRoyalty(uint256 tokenId) external onlyController {
+        _resetTokenRoyalty(tokenId);
+        emit TokenRoyaltyReset(tokenId);
+    }
+
+    /// @inheritdoc ERC721
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
     /// @notice Returns the token metadata URI for `tokenId` as base + tokenId + ".json".
     /// @dev Reverts if token does not exist.
     /// @param tokenId Token ID for the metadata lookup.
@@ -159,6 +242,15 @@ contract ManageLifePropertyNFT is ERC721 {
         emit AdminContractUpdated(oldAdminController, newAdminController);
     }
 
+    /// @notice Sets the contract notified of every transfer.
+    /// @dev Only `DEFAULT_ADMIN_ROLE`. Zero address disables the hook.
+    /// @param newTransferHook The new hook address.
+    function setTransferHook(address newTransferHook) external onlyAdmin {
+        address oldTransferHook = transferHook;
+        transferHook = newTransferHook;
+        emit TransferHookUpdated(oldTransferHook, newTransferHook);
+    }
+
     /// @notice Updates the base token URI. Accepts inputs with or without trailing slashes.
     /// @dev Only `DEFAULT_ADMIN_ROLE`. Normalized to exactly one trailing '/' before storage.
     /// @param _baseUri New base URI string.
@@ -168,6 +260,28 @@ contract ManageLifePropertyNFT is ERC721 {
         emit BaseTokenURISet(_baseTokenURI);
     }
 
+    /// @dev Notifies `transferHook` after transfers (not mints or burns). A failing hook
+    ///      must never lock a property, so its reverts are reported with `TransferHookFailed`.
+    ///      The caller cannot starve the hook on purpose: the transfer reverts if it starts
+    ///      below `TRANSFER_HOOK_MIN_GAS`, or if the hook ran out of the gas it was given.
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (transferHook != address(0) && from != address(0) && to != address(0)) {
+            uint256 gasBefore = gasleft();
+            if (gasBefore < TRANSFER_HOOK_MIN_GAS) revert InsufficientTransferHookGas();
+            try IPropertyTransferHook(transferHook).onPropertyTransfer(from, to, tokenId) {} catch {
+                // Only the 1/64 kept back by the call is left: the hook ran out of gas
+                if (gasleft() <= gasBefore / 64) revert InsufficientTransferHookGas();
+                emit TransferHookFailed(tokenId);
+            }
+        }
+    }
+
+    /// @dev Reverts if `feeNumerator` exceeds `MAX_ROYALTY_BPS`.
+    function _checkRoyalty(uint96 feeNumerator) internal pure {
+        if (feeNumerator > MAX_ROYALTY_BPS) revert RoyaltyTooHigh(feeNumerator, MAX_ROYALTY_BPS);
+    }
+
     /// @dev Normalizes an input URI to exactly one trailing '/'.
     /// @param s Input URI (may have zero or multiple trailing slashes).
     /// @return normalized Normalized URI with exactly one trailing '/'.
@@ -3,12 +3,16 @@ pragma solidity 0.8.20;
 
 import {IAdminControl} from "../interfaces/IAdminControl.sol";
 import {IManageLifePropertyNFT} from "../interfaces/IManageLifePropertyNFT.sol";
+import {TrustedForwarderContext} from "../metatx/TrustedForwarderContext.sol";
 
 /// @title ManageLifePropertyNFTController
 /// @author Jose Herrera
 /// @notice This contract is responsible for controlling the minting process of ManageLifePropertyNFTs.
 /// It acts as a layer between the admin/managers and the NFT contract itself, enforcing specific roles for minting.
-contract ManageLifePropertyNFTController{
+/// Managers may also act through the ERC-2771 trusted forwarder.
+/// It also keeps a versioned record of content hashes attesting each token's off-chain metadata JSON,
+/// so any change to that JSON is detectable.
+contract ManageLifePropertyNFTController is TrustedForwarderContext {
     // ============ Immutable/State ============
     /// @notice The address of the AdminControl contract.
     IAdminControl public adminController;
@@ -17,6 +21,22 @@ contract ManageLifePropertyNFTController{
     /// @notice The maximum number of NFTs that can be minted in a single batch transaction.
     uint256 public immutable MAX_BATCH_SIZE = 25;
 
+    /// @notice A property manager's attestation of a token's metadata JSON.
+    /// @param contentHash keccak256 of the exact metadata bytes served for the token.
+    /// @param cid IPFS CID of the metadata, empty when it is not pinned to IPFS.
+    /// @param attester The property manager who recorded the attestation.
+    /// @param attestedAt Block timestamp of the attestation.
+    struct MetadataAttestation {
+        bytes32 contentHash;
+        string cid;
+        address attester;
+        uint64 attestedAt;
+    }
+
+    /// @dev Every attestation per NFT contract and token, oldest first; version N is at index N - 1.
+    /// Keyed by NFT contract so token ids of a replacement contract start without history.
+    mapping(address => mapping(uint256 => MetadataAttestation[])) private _metadataAttestations;
+
     // ============ Events ============
     /// @notice Emitted when a new property NFT is minted.
     /// @param to The address receiving the new NFT.
@@ -29,6 +49,13 @@ contract ManageLifePropertyNFTController{
     /// @notice Emitted when the AdminControl contract address is updated.
     /// @param newAdminController The address of the new admin controller.
     event AdminControllerUpdated(address oldAdminController, address newAdminController);
+    /// @notice Emitted when a new version of a token's metadata is attested.
+    /// @param tokenId The ID of the token.
+    /// @param version The attestation version, starting at 1.
+    /// @param contentHash keccak256 of the metadata bytes.
+    /// @param cid IPFS CID of the metadata, possibly empty.
+    /// @param attester The property manager who attested it.
+    event MetadataAttested(uint256 indexed tokenId, uint256 indexed version, bytes32 contentHash, string cid, address indexed attester);
 
     // ============ Errors ============
     /// @notice Thrown when a function is called with a zero address parameter where it is not allowed.
@@ -43,6 +70,12 @@ contract ManageLifePropertyNFTController{
     error InvalidBatchSize(uint256 batchSize, uint256 maxBatchSize);
     /// @notice Thrown when the input arrays for a batch operation do not have the same length.
     error InvalidBatchDataInputs();
+    /// @notice Thrown when attesting a zero content hash.
+    error InvalidContentHash();
+    /// @notice Thrown when reading an attestation version that does not exist.
+    /// @param tokenId The ID of the token.
+    /// @param version The requested version.
+    error UnknownMetadataVersion(uint256 tokenId, uint256 version);
     
     /// @notice Thrown when trying to set a new NFT contract that points to a different controller, when it should be this contract.
     /// @param controllerOnNftContract The controller address on the new NFT contract.
@@ -73,7 +106,7 @@ contract ManageLifePropertyNFTController{
     // ============ Modifiers ============
     /// @notice Modifier to restrict function access to default admins only.
     modifier onlyAdmin() {
-        if (!adminController.hasRole(adminController.DEFAULT_ADMIN_ROLE(), msg.sender)) {
+        if (!adminController.hasRole(adminController.DEFAULT_ADMIN_ROLE(), _msgSender())) {
             revert NotAdmin();
         }
         _;
@@ -81,7 +114,7 @@ contract ManageLifePropertyNFTController{
     
     /// @notice Modifier to restrict function access to NFT Property Managers only.
     modifier onlyNftPropertyManager() {
-        if (!adminController.hasRole(adminController.NFT_PROPERTY_MANAGER_ROLE(), msg.sender)) {
+        if (!adminController.hasRole(adminController.NFT_PROPERTY_MANAGER_ROLE(), _msgSender())) {
             revert NotNftPropertyManager();
         }
         _;
@@ -100,6 +133,13 @@ contract ManageLifePropertyNFTController{
         emit AdminControllerUpdated(oldAdminController,address(newController));
     }
 
+    /// @notice Sets the ERC-2771 forwarder whose relayed calls are attributed to their signer.
+    /// @dev This function can only be called by a default admin. The zero address disables meta-transactions.
+    /// @param forwarder The trusted forwarder.
+    function setTrustedForwarder(address forwarder) external onlyAdmin {
+        _setTrustedForwarder(forwarder);
+    }
+
     /// @notice Sets the `deedHeldAtManageLife` status for a specific property NFT.
     /// @dev This can only be called by an address with the NFT_PROPERTY_MANAGER_ROLE.
     /// @param tokenId The ID of the token to update.
@@ -108,6 +148,30 @@ contract ManageLifePropertyNFTController{
         manageLifePropertiesNftContract.setDeedHeldAtManageLife(tokenId, deedHeldAtManageLife);
     }
 
+    /// @notice Sets the royalty paid on resales of a specific property NFT (ERC-2981).
+    /// @dev This can only be called by an address with the NFT_PROPERTY_MANAGER_ROLE.
+    /// @param tokenId The ID of the token to update.
+    /// @param receiver The address receiving the royalty, e.g. the originating LLC.
+    /// @param feeNumerator The royalty in basis points.
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeNumerator) external onlyNftPropertyManager {
+        manageLifePropertiesNftContract.setTokenRoyalty(tokenId, receiver, feeNumerator);
+    }
+
+    /// @notice Removes the royalty of a specific property NFT so the default royalty applies.
+    /// @dev This can only be called by an address with the NFT_PROPERTY_MANAGER_ROLE.
+    /// @param tokenId The ID of the token to update.
+    function resetTokenRoyalty(uint256 tokenId) external onlyNftPropertyManager {
+        manageLifePropertiesNftContract.resetTokenRoyalty(tokenId);
+    }
+
+    /// @notice Sets the royalty applied to every property NFT without a token-specific royalty.
+    /// @dev This function can only be called by a default admin. A zero receiver removes the default royalty.
+    /// @param receiver The address receiving the royalty.
+    /// @param feeNumerator The royalty in basis points.
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) external onlyAdmin {
+        manageLifePropertiesNftContract.setDefaultRoyalty(receiver, feeNumerator);
+    }
+
     /// @notice Updates the ManageLifePropertyNFT contract address.
     /// @dev This function can only be called by a default admin.
     /// The new NFT contract must have this contract as its controller and the same admin controller.
@@ -131,7 +195,7 @@ contract ManageLifePropertyNFTController{
     /// @return tokenId The ID of the newly minted token.
     function mint(address to, bool deedHeldAtManageLife) external onlyNftPropertyManager returns (uint256) {
         uint256 tokenId = manageLifePropertiesNftContract.mintPropertyNFT(to, deedHeldAtManageLife);
-        emit PropertyMinted(to, tokenId, msg.sender);
+        emit PropertyMinted(to, tokenId, _msgSender());
         return tokenId;
     }
 
@@ -154,12 +218,79 @@ contract ManageLifePropertyNFTController{
         uint256[] memory tokenIds = new uint256[](length);
         for (uint256 i = 0; i < length; ) {
             tokenIds[i] = manageLifePropertiesNftContract.mintPropertyNFT(recipients[i], deedHeldAtManageLife[i]);
-            emit PropertyMinted(recipients[i], tokenIds[i], msg.sender);
+            emit PropertyMinted(recipients[i], tokenIds[i], _msgSender());
             unchecked { ++i; }
         }
         return tokenIds;
     }
 
+    // ============ Metadata Attestations ============
+    /// @notice Records the content hash, and optionally the IPFS CID, of a token's current metadata JSON.
+    /// @dev Can only be called by an address with the NFT_PROPERTY_MANAGER_ROLE. Each call adds a new version;
+    /// earlier versions stay readable so the metadata history can be audited.
+    /// @param tokenId The ID of an existing token.
+    /// @param contentHash keccak256 of the exact metadata bytes.
+    /// @param cid IPFS CID of the metadata, or an empty string.
+    /// @return version The new attestation version.
+    function attestMetadata(uint256 tokenId, bytes32 contentHash, string calldata cid) external onlyNftPropertyManager returns (uint256 version) {
+        if (contentHash == bytes32(0)) {
+            revert InvalidContentHash();
+        }
+        // Reverts for tokens that were never minted
+        manageLifePropertiesNftContract.ownerOf(tokenId);
+
+        MetadataAttestation[] storage attestations = _attestations(tokenId);
+        attestations.push(MetadataAttestation({
+            contentHash: contentHash,
+            cid: cid,
+            attester: _msgSender(),
+            attestedAt: uint64(block.timestamp)
+        }));
+        version = attestations.length;
+        emit MetadataAttested(tokenId, version, contentHash, cid, _msgSender());
+    }
+
+    /// @notice Returns the number of metadata attestations recorded for a token.
+    /// @param tokenId The ID of the token.
+    function metadataVersionCount(uint256 tokenId) external view returns (uint256) {
+        return _attestations(tokenId).length;
+    }
+
+    /// @notice Returns a specific metadata attestation of a token.
+    /// @param tokenId The ID of the token.
+    /// @param version The attestation version, starting at 1.
+    function metadataAttestation(uint256 tokenId, uint256 version) public view returns (MetadataAttestation memory) {
+        MetadataAttestation[] storage attestations = _attestations(tokenId);
+        if (version == 0 || version > attestations.length) {
+            revert UnknownMetadataVersion(tokenId, version);
+        }
+        return attestations[version - 1];
+    }
+
+    /// @notice Returns the latest metadata attestation of a token.
+    /// @param tokenId The ID of the token.
+    /// @return attestation The latest attestation.
+    /// @return version Its version.
+    function latestMetadataAttestation(uint256 tokenId) external view returns (MetadataAttestation memory attestation, uint256 version) {
+        version = _attestations(tokenId).length;
+        attestation = metadataAttestation(tokenId, version);
+    }
+
+    /// @notice Checks a content hash against the latest attestation of a token.
+    /// @param tokenId The ID of the token.
+    /// @param contentHash keccak256 of the metadata bytes to check.
+    /// @return True if the hash matches the latest attested version.
+    function verifyMetadata(uint256 tokenId, bytes32 contentHash) external view returns (bool) {
+        MetadataAttestation[] storage attestations = _attestations(tokenId);
+        uint256 length = attestations.length;
+        return length > 0 && attestations[length - 1].contentHash == contentHash;
+    }
+
+    /// @dev Returns the attestations of a token on the current NFT contract.
+    /// @param tokenId The ID of the token.
+    function _attestations(uint256 tokenId) private view returns (MetadataAttestation[] storage) {
+        return _metadataAttestations[address(manageLifePropertiesNftContract)][tokenId];
+    }
 
     /// @dev Checks that the new NFT contract is correctly wired to this controller and the correct admin controller.
     /// Reverts if the NFT contract's controller or admin controller do not match expectations.
@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {AdminControl} from "../governance/AdminControl.sol";
+import {PropertyMarket} from "../market/PropertyMarket.sol";
+import {PropertyVault} from "../fractional/PropertyVault.sol";
+import {PropertyVaultFactory} from "../fractional/PropertyVaultFactory.sol";
+import {IPropertyEscrow} from "../interfaces/IPropertyEscrow.sol";
+import {ErrorCodes} from "../libraries/ErrorCodes.sol";
+
+// Pays rent collected by property managers out to whoever owns the property when it is
+// deposited. Every deposit is a distribution:
+// - a property held by a PropertyVault is split pro-rata over the vault's share holdings at
+//   the deposit block, so shares bought or sold afterwards do not change who earned it;
+// - otherwise the current NFT owner can claim all of it. A property held by a registered
+//   escrow contract, such as PropertyAuction awaiting settlement, pays the account it is
+//   escrowed for instead.
+// Payment tokens follow the market's allowlist.
+contract RentDistributor is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct Distribution {
+        uint256 tokenId;
+        address paymentToken;
+        uint256 amount;
+        // NFT owner at deposit time, or whom an escrow holds it for: a PropertyVault when `fractional`
+        address recipient;
+        bool fractional;
+        uint256 snapshotBlock;
+        uint256 depositedAt;
+    }
+
+    PropertyMarket public immutable market;
+    IERC721 public immutable nftiContract;
+    PropertyVaultFactory public immutable vaultFactory;
+
+    Distribution[] private _distributions;
+    mapping(uint256 => mapping(address => bool)) public claimed;
+    mapping(uint256 => uint256) public totalRentDeposited;
+    // Contracts that hold NFTs for someone else and report whom through IPropertyEscrow
+    mapping(address => bool) public escrowContracts;
+
+    event RentDeposited(
+        uint256 indexed distributionId,
+        uint256 indexed tokenId,
+        address indexed paymentToken,
+        uint256 amount,
+        address recipient,
+        bool fractional,
+        address manager
+    );
+
+    event RentClaimed(uint256 indexed distributionId, address indexed account, uint256 amount);
+    event EscrowContractSet(address indexed escrow, bool registered);
+
+    // `_vaultFactory` may be address(0) when properties are not fractionalized
+    constructor(PropertyMarket _market, PropertyVaultFactory _vaultFactory) {
+        require(address(_market) != address(0), ErrorCodes.E001);
+        market = _market;
+        nftiContract = _market.nftiContract();
+        vaultFactory = _vaultFactory;
+    }
+
+    modifier onlyPropertyManager() {
+        AdminControl adminControl = market.adminControl();
+        require(adminControl.hasRole(adminControl.NFT_PROPERTY_MANAGER_ROLE(), msg.sender), ErrorCodes.E002);
+        _;
+    }
+
+    // Registers or removes an escrow contract whose NFTs earn rent for their depositor
+    function setEscrowContract(address escrow, bool registered) external {
+        AdminControl adminControl = market.adminControl();
+        require(adminControl.hasRole(adminControl.DEFAULT_ADMIN_ROLE(), msg.sender), ErrorCodes.E002);
+        require(escrow != address(0), ErrorCodes.E001);
+
+        escrowContracts[escrow] = registered;
+        emit EscrowContractSet(escrow, registered);
+    }
+
+    // Pulls `amount` of rent for `tokenId` from the manager and opens a distribution for it
+    function depositRent(
+        uint256 tokenId,
+        address paymentToken,
+        uint256 amount
+    ) external nonReentrant onlyPropertyManager returns (uint256 distributionId) {
+        require(market.allowedPaymentTokens(paymentToken), ErrorCodes.E301);
+        require(amount > 0, ErrorCodes.E003);
+
+        address recipient = nftiContract.ownerOf(tokenId);
+        if (escrowContracts[recipient]) {
+            recipient = IPropertyEscrow(recipient).escrowedBy(address(nftiContract), tokenId);
+            require(recipient != address(0), ErrorCodes.E913);
+        }
+        bool fractional = _isVault(tokenId, recipient);
+
+        // Fee-on-transfer tokens distribute what actually arrived
+        uint256 balanceBefore = IERC20(paymentToken).balanceOf(address(this));
+        IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), amount);
+        amount = IERC20(paymentToken).balanceOf(address(this)) - balanceBefore;
+
+        distributionId = _distributions.length;
+        _distributions.push(Distribution({
+            tokenId: tokenId,
+            paymentToken: paymentToken,
+            amount: amount,
+            recipient: recipient,
+            fractional: fractional,
+            snapshotBlock: block.number,
+            depositedAt: block.timestamp
+        }));
+        totalRentDeposited[tokenId] += amount;
+
+        emit RentDeposited(distributionId, tokenId, paymentToken, amount, recipient, fractional, msg.sender);
+    }
+
+    // Pays the caller's share of each distribution; distributions with nothing owed are skipped
+    function claim(uint256[] calldata distributionIds) external nonReentrant returns (uint256 total) {
+        for (uint256 i = 0; i < distributionIds.length; ) {
+            uint256 id = distributionIds[i];
+            uint256 amount = claimable(id, msg.sender);
+            if (amount > 0) {
+                claimed[id][msg.sender] = true;
+                total += amount;
+                IERC20(_distributions[id].paymentToken).safeTransfer(msg.sender, amount);
+                emit RentClaimed(id, msg.sender, amount);
+            }
+            unchecked { ++i; }
+        }
+        require(total > 0, ErrorCodes.E962);
+    }
+
+    // Amount `account` can still claim from a distribution
+    function claimable(uint256 distributionId, address account) public view returns (uint256) {
+        require(distributionId < _distributions.length, ErrorCodes.E961);
+        Distribution storage d = _distributions[distributionId];
+        if (claimed[distributionId][account]) return 0;
+
+        if (!d.fractional) {
+            return account == d.recipient ? d.amount : 0;
+        }
+        // Holdings are only final once the deposit block has ended
+        if (d.snapshotBlock >= block.number) return 0;
+        PropertyVault vault = PropertyVault(d.recipient);
+        uint256 supply = vault.totalSupplyAt(d.snapshotBlock);
+        if (supply == 0) return 0;
+        return (vault.holdingsAt(account, d.snapshotBlock) * d.amount) / supply;
+    }
+
+    function getDistribution(uint256 distributionId) external view returns (Distribution memory) {
+        require(distributionId < _distributions.length, ErrorCodes.E961);
+        return _distributions[distributionId];
+    }
+
+    function distributionCount() external view returns (uint256) {
+        return _distributions.length;
+    }
+
+    function _isVault(uint256 tokenId, address owner) private view returns (bool) {
+        return address(vaultFactory) != address(0) && vaultFactory.vaultOf(tokenId) == owner;
+    }
+}
@@ -0,0 +1,291 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {AdminControl} from "../governance/AdminControl.sol";
+import {LeaseRegistry} from "../lease/LeaseRegistry.sol";
+import {IRentStanding} from "../interfaces/IRentStanding.sol";
+import {RentDistributor} from "./RentDistributor.sol";
+import {ErrorCodes} from "../libraries/ErrorCodes.sol";
+
+// Collects rent and holds security deposits for leases in LeaseRegistry.
+//
+// Rent: the lease rent is due every RENT_PERIOD from the lease start, in the payment token
+// chosen when the manager opens the escrow account. Payments made after the grace period
+// carry a late fee. Rent and fees are passed on to the property's owners through the
+// RentDistributor, and every payment moves the tenant's community score up (on time) or
+// down (late). LeaseRegistry withholds the lease bonus while a tenant is in arrears.
+//
+// Deposit: held until the lease ends. The manager then proposes a deduction and the tenant
+// either approves it, disputes it within DISPUTE_WINDOW for an admin to settle, or lets the
+// window pass. If the manager proposes nothing within MOVE_OUT_PERIOD the deposit is refunded.
+//
+// Needs NFT_PROPERTY_MANAGER_ROLE (to deposit rent) and COMMUNITY_SCORE_ROLE in AdminControl.
+contract RentEscrow is IRentStanding, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant RENT_PERIOD = 30 days;
+    uint256 public constant GRACE_PERIOD = 5 days;
+    uint256 public constant LATE_FEE = 500; // 5% of the period's rent
+    uint256 public constant DISPUTE_WINDOW = 7 days;
+    uint256 public constant MOVE_OUT_PERIOD = 14 days;
+    uint256 public constant ON_TIME_SCORE = 10;
+    uint256 public constant LATE_SCORE = 50;
+
+    enum DepositStatus {
+        NONE,
+        HELD,
+        MOVE_OUT,
+        DISPUTED,
+        RELEASED
+    }
+
+    struct EscrowAccount {
+        address paymentToken;
+        uint256 depositAmount;
+        uint256 depositHeld;
+        uint256 paidPeriods;
+        uint256 latePayments;
+        uint256 penaltiesPaid;
+        // Proposed by the manager at move-out, or set by an admin when disputed
+        uint256 deduction;
+        uint256 disputeDeadline;
+        DepositStatus depositStatus;
+    }
+
+    LeaseRegistry public immutable leaseRegistry;
+    RentDistributor public immutable rentDistributor;
+    AdminControl public immutable adminControl;
+
+    mapping(uint256 => EscrowAccount) private _accounts;
+
+    event EscrowOpened(uint256 indexed leaseId, address indexed paymentToken, uint256 depositAmount);
+    event DepositPaid(uint256 indexed leaseId, address indexed tenant, uint256 amount);
+    event RentPaid(uint256 indexed leaseId, uint256 indexed period, address indexed payer, uint256 rent, uint256 penalty);
+    event DeductionProposed(uint256 indexed leaseId, uint256 deduction, uint256 disputeDeadline);
+    event DeductionDisputed(uint256 indexed leaseId, address indexed tenant);
+    event DisputeResolved(uint256 indexed leaseId, uint256 deduction, address indexed admin);
+    event DepositReleased(uint256 indexed leaseId, uint256 refund, uint256 deduction);
+
+    constructor(LeaseRegistry _leaseRegistry, RentDistributor _rentDistributor) {
+        require(address(_leaseRegistry) != address(0) && address(_rentDistributor) != address(0), ErrorCodes.E001);
+        leaseRegistry = _leaseRegistry;
+        rentDistributor = _rentDistributor;
+        adminControl = _rentDistributor.market().adminControl();
+    }
+
+    modifier onlyPropertyManager() {
+        require(adminControl.hasRole(adminControl.NFT_PROPERTY_MANAGER_ROLE(), msg.sender), ErrorCodes.E002);
+        _;
+    }
+
+    // Sets the payment token and security deposit of a drafted or signed lease
+    function openEscrow(uint256 leaseId, address paymentToken, uint256 depositAmount) external onlyPropertyManager {
+        LeaseRegistry.Lease memory lease = leaseRegistry.getLease(leaseId);
+        require(
+            lease.status == LeaseRegistry.LeaseStatus.PENDING || lease.status == LeaseRegistry.LeaseStatus.ACTIVE,
+            ErrorCodes.E974
+        );
+        require(rentDistributor.market().allowedPaymentTokens(paymentToken), ErrorCodes.E301);
+        EscrowAccount storage account = _accounts[leaseId];
+        require(account.paymentToken == address(0), ErrorCodes.E981);
+
+        account.paymentToken = paymentToken;
+        account.depositAmount = depositAmount;
+        emit EscrowOpened(leaseId, paymentToken, depositAmount);
+    }
+
+    // Tenant pays the security deposit into escrow
+    function payDeposit(uint256 leaseId) external nonReentrant {
+        EscrowAccount storage account = _getAccount(leaseId);
+        require(msg.sender == leaseRegistry.getLease(leaseId).tenant, ErrorCodes.E975);
+        require(account.depositStatus == DepositStatus.NONE && account.depositAmount > 0, ErrorCodes.E984);
+
+        account.depositStatus = DepositStatus.HELD;
+        account.depositHeld = _pull(account.paymentToken, account.depositAmount);
+        emit DepositPaid(leaseId, msg.sender, account.depositHeld);
+    }
+
+    // Pays the oldest unpaid rent period, plus the late fee once its grace period has passed.
+    // Anyone may pay on the tenant's behalf; the tenant's score is what changes.
+    function payRent(uint256 leaseId) external nonReentrant {
+        EscrowAccount storage account = _getAccount(leaseId);
+        LeaseRegistry.Lease memory lease = leaseRegistry.getLease(leaseId);
+        require(
+            lease.status == LeaseRegistry.LeaseStatus.ACTIVE || lease.status == LeaseRegistry.LeaseStatus.TERMINATED,
+            ErrorCodes.E974
+        );
+        uint256 period = account.paidPeriods;
+        require(period < _periodCount(lease), ErrorCodes.E983);
+
+        bool late = block.timestamp > lease.start + period * RENT_PERIOD + GRACE_PERIOD;
+        uint256 penalty = late ? (lease.rent * LATE_FEE) / BASIS_POINTS : 0;
+        account.paidPeriods = period + 1;
+        if (late) {
+            account.latePayments += 1;
+            account.penaltiesPaid += penalty;
+        }
+
+        uint256 received = _pull(account.paymentToken, lease.rent + penalty);
+        _payOwners(lease.tokenId, account.paymentToken, received);
+        adminControl.updateCommunityScore(lease.tenant, late ? LATE_SCORE : ON_TIME_SCORE, !late);
+
+        emit RentPaid(leaseId, period, msg.sender, lease.rent, penalty);
+    }
+
+    // Starts move-out once the lease has ended by proposing what to keep from the deposit
+    function proposeDeduction(uint256 leaseId, uint256 deduction) external onlyPropertyManager {
+        EscrowAccount storage account = _getAccount(leaseId);
+        require(account.depositStatus == DepositStatus.HELD, ErrorCodes.E984);
+        require(_hasEnded(leaseRegistry.getLease(leaseId)), ErrorCodes.E985);
+        require(deduction <= account.depositHeld, ErrorCodes.E986);
+
+        account.depositStatus = DepositStatus.MOVE_OUT;
+        account.deduction = deduction;
+        account.disputeDeadline = block.timestamp + DISPUTE_WINDOW;
+        emit DeductionProposed(leaseId, deduction, account.disputeDeadline);
+    }
+
+    // Tenant accepts the proposed deduction, releasing the deposit right away
+    function approveRelease(uint256 leaseId) external nonReentrant {
+        EscrowAccount storage account = _getAccount(leaseId);
+        require(msg.sender == leaseRegistry.getLease(leaseId).tenant, ErrorCodes.E975);
+        require(account.depositStatus == DepositStatus.MOVE_OUT, ErrorCodes.E984);
+
+        _release(leaseId, account);
+    }
+
+    // Tenant contests the proposed deduction within the dispute window
+    function disputeDeduction(uint256 leaseId) external {
+        EscrowAccount storage account = _getAccount(leaseId);
+        require(msg.sender == leaseRegistry.getLease(leaseId).tenant, ErrorCodes.E975);
+        require(account.depositStatus == DepositStatus.MOVE_OUT, ErrorCodes.E984);
+        require(block.timestamp < account.disputeDeadline, ErrorCodes.E987);
+
+        account.depositStatus = DepositStatus.DISPUTED;
+        emit DeductionDisputed(leaseId, msg.sender);
+    }
+
+    // Settles a disputed deposit
+    function resolveDispute(uint256 leaseId, uint256 deduction) external nonReentrant {
+        require(adminControl.hasRole(adminControl.DEFAULT_ADMIN_ROLE(), msg.sender), ErrorCodes.E002);
+        EscrowAccount storage account = _getAccount(leaseId);
+        require(account.depositStatus == DepositStatus.DISPUTED, ErrorCodes.E984);
+        require(deduction <= account.depositHeld, ErrorCodes.E986);
+
+        account.deduction = deduction;
+        emit DisputeResolved(leaseId, deduction, msg.sender);
+        _release(leaseId, account);
+    }
+
+    // Releases an undisputed deposit after the dispute window, or refunds it in full when the
+    // manager proposed nothing within MOVE_OUT_PERIOD of the lease ending or the lease was
+    // cancelled before the tenant signed it. Anyone can call it.
+    function releaseDeposit(uint256 leaseId) external nonReentrant {
+        EscrowAccount storage account = _getAccount(leaseId);
+        if (account.depositStatus == DepositStatus.MOVE_OUT) {
+            require(block.timestamp >= account.disputeDeadline, ErrorCodes.E988);
+        } else {
+            require(account.depositStatus == DepositStatus.HELD, ErrorCodes.E984);
+            LeaseRegistry.Lease memory lease = leaseRegistry.getLease(leaseId);
+            require(
+                lease.status == LeaseRegistry.LeaseStatus.CANCELLED ||
+                    (_hasEnded(lease) && block.timestamp >= lease.end + MOVE_OUT_PERIOD),
+                ErrorCodes.E988
+            );
+        }
+        _release(leaseId, account);
+    }
+
+    function getAccount(uint256 leaseId) external view returns (EscrowAccount memory) {
+        return _accounts[leaseId];
+    }
+
+    // Next unpaid period of a lease and what paying it now costs; `periodsOverdue` counts the
+    // unpaid periods whose grace period has passed
+    function rentDue(uint256 leaseId)
+        external
+        view
+        returns (uint256 dueDate, uint256 amount, uint256 periodsOverdue)
+    {
+        EscrowAccount storage account = _getAccount(leaseId);
+        LeaseRegistry.Lease memory lease = leaseRegistry.getLease(leaseId);
+        uint256 periods = _periodCount(lease);
+        if (account.paidPeriods >= periods) return (0, 0, 0);
+
+        dueDate = lease.start + account.paidPeriods * RENT_PERIOD;
+        amount = lease.rent;
+        if (block.timestamp > dueDate + GRACE_PERIOD) {
+            amount += (lease.rent * LATE_FEE) / BASIS_POINTS;
+            uint256 overdueUntil = (block.timestamp - lease.start - GRACE_PERIOD - 1) / RENT_PERIOD + 1;
+            periodsOverdue = (overdueUntil < periods ? overdueUntil : periods) - account.paidPeriods;
+        }
+    }
+
+    // True when any of the tenant's signed leases has rent unpaid past its grace period
+    function isInArrears(address tenant) external view returns (bool) {
+        uint256[] memory leaseIds = leaseRegistry.leasesOf(tenant);
+        for (uint256 i = 0; i < leaseIds.length; ) {
+            EscrowAccount storage account = _accounts[leaseIds[i]];
+            if (account.paymentToken != address(0)) {
+                LeaseRegistry.Lease memory lease = leaseRegistry.getLease(leaseIds[i]);
+                if (
+                    (lease.status == LeaseRegistry.LeaseStatus.ACTIVE || lease.status == LeaseRegistry.LeaseStatus.TERMINATED) &&
+                    account.paidPeriods < _periodCount(lease) &&
+                    block.timestamp > lease.start + account.paidPeriods * RENT_PERIOD + GRACE_PERIOD
+                ) {
+                    return true;
+                }
+            }
+            unchecked { ++i; }
+        }
+        return false;
+    }
+
+    function _release(uint256 leaseId, EscrowAccount storage account) private {
+        uint256 held = account.depositHeld;
+        uint256 deduction = account.depositStatus == DepositStatus.HELD ? 0 : account.deduction;
+        account.depositStatus = DepositStatus.RELEASED;
+        account.depositHeld = 0;
+        account.deduction = deduction;
+
+        LeaseRegistry.Lease memory lease = leaseRegistry.getLease(leaseId);
+        if (deduction > 0) {
+            _payOwners(lease.tokenId, account.paymentToken, deduction);
+        }
+        if (held > deduction) {
+            IERC20(account.paymentToken).safeTransfer(lease.tenant, held - deduction);
+        }
+        emit DepositReleased(leaseId, held - deduction, deduction);
+    }
+
+    function _payOwners(uint256 tokenId, address paymentToken, uint256 amount) private {
+        IERC20(paymentToken).forceApprove(address(rentDistributor), amount);
+        rentDistributor.depositRent(tokenId, paymentToken, amount);
+    }
+
+    // Fee-on-transfer tokens are credited with what actually arrived
+    function _pull(address token, uint256 amount) private returns (uint256) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        return IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+
+    function _hasEnded(LeaseRegistry.Lease memory lease) private view returns (bool) {
+        return
+            lease.status == LeaseRegistry.LeaseStatus.TERMINATED ||
+            (lease.status == LeaseRegistry.LeaseStatus.ACTIVE && block.timestamp >= lease.end);
+    }
+
+    function _periodCount(LeaseRegistry.Lease memory lease) private pure returns (uint256) {
+        return (lease.end - lease.start + RENT_PERIOD - 1) / RENT_PERIOD;
+    }
+
+    function _getAccount(uint256 leaseId) private view returns (EscrowAccount storage account) {
+        account = _accounts[leaseId];
+        require(account.paymentToken != address(0), ErrorCodes.E982);
+    }
+}
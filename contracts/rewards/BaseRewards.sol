@@ -5,17 +5,22 @@ import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/Context.sol";
+import "../metatx/TrustedForwarderContext.sol";
+import "../interfaces/ILeaseRegistry.sol";
 import "../../libraries/StakingConstants.sol";
 
 // Admin control interface
 interface IAdminControl {
     function getCommunityScore(address user) external view returns (uint256);
+    function leaseRegistry() external view returns (ILeaseRegistry);
 }
 
 /// @title BaseRewards - Basic staking and reward distribution contract
 /// @notice Implements a staking mechanism where users can stake tokens and earn rewards
-/// @dev Inherits from Ownable for access control and ReentrancyGuard for security
-contract BaseRewards is Ownable, ReentrancyGuard {
+/// @dev Inherits from Ownable for access control and ReentrancyGuard for security;
+///      users can also stake and claim gaslessly through the ERC-2771 trusted forwarder
+contract BaseRewards is Ownable, ReentrancyGuard, TrustedForwarderContext {
     using SafeMath for uint256; // Enhanced overflow protection
     uint256 public constant MIN_STAKING_PERIOD = StakingConstants.MIN_STAKING_PERIOD;
     uint256 public constant BASIS_POINTS = 10000;
@@ -118,7 +123,7 @@ contract BaseRewards is Ownable, ReentrancyGuard {
     /// @notice Allows users to stake tokens
     /// @dev Updates rewards before processing stake
     /// @param amount Amount of tokens to stake
-    function stake(uint256 amount) external nonReentrant updateReward(msg.sender) {
+    function stake(uint256 amount) external nonReentrant updateReward(_msgSender()) {
         require(amount > 0, "Cannot stake 0");
         
         // Check if rewards pool has sufficient tokens
@@ -126,7 +131,7 @@ contract BaseRewards is Ownable, ReentrancyGuard {
         
         // Transfer tokens first to ensure the transaction succeeds before updating state
         uint256 balanceBefore = stakingToken.balanceOf(address(this));
-        require(stakingToken.transferFrom(msg.sender, address(this), amount), "Token transfer failed");
+        require(stakingToken.transferFrom(_msgSender(), address(this), amount), "Token transfer failed");
         uint256 balanceAfter = stakingToken.balanceOf(address(this));
         
         // Verify the actual amount received
@@ -135,41 +140,41 @@ contract BaseRewards is Ownable, ReentrancyGuard {
         
         // Update state variables
         _totalSupply = _totalSupply + amountReceived;
-        _balances[msg.sender] = _balances[msg.sender] + amountReceived;
-        _stakeTimestamps[msg.sender] = block.timestamp;
+        _balances[_msgSender()] = _balances[_msgSender()] + amountReceived;
+        _stakeTimestamps[_msgSender()] = block.timestamp;
         
-        emit Staked(msg.sender, amountReceived);
+        emit Staked(_msgSender(), amountReceived);
     }
 
     /// @notice Allows users to withdraw their staked tokens
     /// @dev Updates rewards before processing withdrawal
     /// @param amount Amount of tokens to withdraw
-    function withdraw(uint256 amount) public nonReentrant updateReward(msg.sender) {
-        require(block.timestamp >= _stakeTimestamps[msg.sender] + minStakingPeriod, "Minimum staking period not met");
+    function withdraw(uint256 amount) public nonReentrant updateReward(_msgSender()) {
+        require(block.timestamp >= _stakeTimestamps[_msgSender()] + minStakingPeriod, "Minimum staking period not met");
         require(amount > 0, "Cannot withdraw 0");
         // Explicit balance check using SafeMath
-        uint256 currentBalance = _balances[msg.sender];
+        uint256 currentBalance = _balances[_msgSender()];
         require(currentBalance >= amount, "Insufficient staked balance");
         
         // Native subtraction with automatic underflow protection in Solidity 0.8.20
-        _balances[msg.sender] = currentBalance - amount;
+        _balances[_msgSender()] = currentBalance - amount;
         _totalSupply = _totalSupply - amount;
         
         // Maintain checks-effects-interactions pattern
-        require(stakingToken.transfer(msg.sender, amount), "Token transfer failed");
-        emit Withdrawn(msg.sender, amount);
+        require(stakingToken.transfer(_msgSender(), amount), "Token transfer failed");
+        emit Withdrawn(_msgSender(), amount);
     }
 
     /// @notice Allows users to claim their accumulated rewards
     /// @dev Updates rewards before processing claim
-    function claimReward() public nonReentrant updateReward(msg.sender) {
-        require(block.timestamp <= rewardExpirationTimestamps[msg.sender], "Reward claim period expired");
-        uint256 reward = rewards[msg.sender];
+    function claimReward() public nonReentrant updateReward(_msgSender()) {
+        require(block.timestamp <= rewardExpirationTimestamps[_msgSender()], "Reward claim period expired");
+        uint256 reward = rewards[_msgSender()];
         if (reward > 0) {
-            rewards[msg.sender] = 0;
+            rewards[_msgSender()] = 0;
             require(rewardsToken.balanceOf(address(this)) >= reward, "Insufficient reward token balance");
-            require(rewardsToken.transfer(msg.sender, reward), "Reward transfer failed");
-            emit RewardPaid(msg.sender, reward);
+            require(rewardsToken.transfer(_msgSender(), reward), "Reward transfer failed");
+            emit RewardPaid(_msgSender(), reward);
         }
     }
 
@@ -210,7 +215,7 @@ contract BaseRewards is Ownable, ReentrancyGuard {
         }));
         
         lastRateChange = block.timestamp;
-        emit RewardRateUpdated(oldRate, _rewardRate, msg.sender);
+        emit RewardRateUpdated(oldRate, _rewardRate, _msgSender());
     }
 
     function pauseRateChanges() external onlyOwner {
@@ -223,8 +228,8 @@ contract BaseRewards is Ownable, ReentrancyGuard {
 
     function rescueTokens(address token, uint256 amount) external onlyOwner {
         require(token != address(stakingToken), "Cannot rescue staking token");
-        require(ERC20(token).transfer(msg.sender, amount), "Token transfer failed");
-        emit TokensRescued(token, amount, msg.sender);
+        require(ERC20(token).transfer(_msgSender(), amount), "Token transfer failed");
+        emit TokensRescued(token, amount, _msgSender());
     }
 
     /******************** View Functions ********************/
@@ -404,9 +409,9 @@ contract BaseRewards is Ownable, ReentrancyGuard {
     /// @param baseReward The base reward amount
     /// @return bonus The calculated lease bonus
     function _calculateLeaseBonus(address user, uint256 baseReward) internal view returns (uint256 bonus) {
-        // Check if user has active leases (simplified check)
-        bool hasActiveLeases = _hasActiveLeases(user);
-        if (!hasActiveLeases) {
+        // Zero without an active lease, full once the tenure reaches a year
+        uint256 leaseFactor = _leaseBonusFactor(user);
+        if (leaseFactor == 0) {
             return 0;
         }
         
@@ -422,18 +427,21 @@ contract BaseRewards is Ownable, ReentrancyGuard {
             }
             bonus = (baseReward * bonusRate) / BASIS_POINTS;
         }
+        bonus = (bonus * leaseFactor) / BASIS_POINTS;
         
         return bonus;
     }
     
-    /// @notice Checks if user has active leases
+    /// @notice Gets the share of the lease bonus a user has earned
     /// @dev Internal helper function
     /// @param user The user address
-    /// @return hasLeases True if user has active leases
-    function _hasActiveLeases(address user) internal pure returns (bool hasLeases) {
-        // This is a simplified implementation
-        // In a real scenario, this would check against a lease registry
-        return user != address(0); // Placeholder logic
+    /// @return factor Basis points of the full lease bonus, 0 when AdminControl has no lease registry
+    function _leaseBonusFactor(address user) internal view returns (uint256 factor) {
+        ILeaseRegistry registry = adminControl.leaseRegistry();
+        if (address(registry) == address(0)) {
+            return 0;
+        }
+        return registry.leaseBonusFactor(user);
     }
 
     /******************** Modifiers ********************/
@@ -456,4 +464,20 @@ contract BaseRewards is Ownable, ReentrancyGuard {
         }
         _;
     }
+
+    /******************** Meta-transactions ********************/
+    /// @notice Sets the ERC-2771 forwarder whose relayed calls are attributed to their signer
+    /// @dev The zero address disables meta-transactions
+    /// @param forwarder The trusted forwarder
+    function setTrustedForwarder(address forwarder) external onlyOwner {
+        _setTrustedForwarder(forwarder);
+    }
+
+    function _msgSender() internal view override(Context, TrustedForwarderContext) returns (address) {
+        return TrustedForwarderContext._msgSender();
+    }
+
+    function _msgData() internal view override(Context, TrustedForwarderContext) returns (bytes calldata) {
+        return TrustedForwarderContext._msgData();
+    }
 }
\ No newline at end of file
@@ -4,9 +4,11 @@ pragma solidity 0.8.20;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Context.sol";
+import "../metatx/TrustedForwarderContext.sol";
 import "../../libraries/StakingConstants.sol";
 
-contract DynamicRewards is AccessControl, ReentrancyGuard {
+contract DynamicRewards is AccessControl, ReentrancyGuard, TrustedForwarderContext {
     bool private _paused;
 
     modifier whenNotPaused() {
@@ -64,32 +66,32 @@ contract DynamicRewards is AccessControl, ReentrancyGuard {
     }
 
     // ================== Core Functions ==================
-    function stake(uint256 amount) external nonReentrant whenNotPaused updateReward(msg.sender) {
+    function stake(uint256 amount) external nonReentrant whenNotPaused updateReward(_msgSender()) {
         require(amount > 0, "Amount must be > 0");
-        _updateRewards(msg.sender);
+        _updateRewards(_msgSender());
         
         _totalSupply = _totalSupply + amount;
-        _balances[msg.sender] = _balances[msg.sender] + amount;
-        _stakeTimestamps[msg.sender] = block.timestamp;
+        _balances[_msgSender()] = _balances[_msgSender()] + amount;
+        _stakeTimestamps[_msgSender()] = block.timestamp;
         
-        bool success = stakingToken.transferFrom(msg.sender, address(this), amount);
+        bool success = stakingToken.transferFrom(_msgSender(), address(this), amount);
         require(success, "Transfer failed");
-        emit Staked(msg.sender, amount);
+        emit Staked(_msgSender(), amount);
     }
 
-    function withdraw(uint256 amount) external nonReentrant whenNotPaused updateReward(msg.sender) {
-        require(block.timestamp >= _stakeTimestamps[msg.sender] + minStakingPeriod, "Minimum staking period not met");
+    function withdraw(uint256 amount) external nonReentrant whenNotPaused updateReward(_msgSender()) {
+        require(block.timestamp >= _stakeTimestamps[_msgSender()] + minStakingPeriod, "Minimum staking period not met");
         require(amount > 0, "Amount must be > 0");
-        require(_balances[msg.sender] >= amount, "Insufficient balance");
+        require(_balances[_msgSender()] >= amount, "Insufficient balance");
         
-        _updateRewards(msg.sender);
+        _updateRewards(_msgSender());
         _totalSupply = _totalSupply - amount;
-        _snapshotBalances[msg.sender] = _balances[msg.sender];
-        _balances[msg.sender] = _balances[msg.sender] - amount;
+        _snapshotBalances[_msgSender()] = _balances[_msgSender()];
+        _balances[_msgSender()] = _balances[_msgSender()] - amount;
         
-        bool success = stakingToken.transfer(msg.sender, amount);
+        bool success = stakingToken.transfer(_msgSender(), amount);
         require(success, "Transfer failed");
-        emit Withdrawn(msg.sender, amount);
+        emit Withdrawn(_msgSender(), amount);
     }
 
     // ================== Reward Management ==================
@@ -179,25 +181,25 @@ contract DynamicRewards is AccessControl, ReentrancyGuard {
 
     // ================== Reward Claiming ==================
     function claimRewards() external nonReentrant whenNotPaused {
-        _updateRewards(msg.sender);
+        _updateRewards(_msgSender());
         
         uint256 totalClaimed = 0;
         for (uint256 i = 1; i <= currentScheduleId; i++) {
             RewardSchedule storage schedule = rewardSchedules[i];
-            uint256 amount = _userAccrued[msg.sender][i];
+            uint256 amount = _userAccrued[_msgSender()][i];
             if (amount == 0) continue;
 
             // Security checks
             require(amount > 0, "Nothing to claim");
-            _userAccrued[msg.sender][i] = 0;
+            _userAccrued[_msgSender()][i] = 0;
             schedule.claimedRewards = schedule.claimedRewards + amount;
             
-            _sendReward(schedule.rewardsToken, msg.sender, amount);
+            _sendReward(schedule.rewardsToken, _msgSender(), amount);
             totalClaimed = totalClaimed + amount;
         }
 
         require(totalClaimed > 0, "No rewards");
-        emit RewardClaimed(msg.sender, totalClaimed, address(stakingToken));
+        emit RewardClaimed(_msgSender(), totalClaimed, address(stakingToken));
     }
 
     // ================== Internal Functions ==================
@@ -261,4 +263,20 @@ contract DynamicRewards is AccessControl, ReentrancyGuard {
         }
         return rewardPerTokenStored + ((block.timestamp - lastUpdateTime) * MULTIPLIER * rewardPerTokenStored) / _totalSupply;
     }
+
+    // ================== Meta-transactions ==================
+    /// @notice Sets the ERC-2771 forwarder whose relayed calls are attributed to their signer
+    /// @dev The zero address disables meta-transactions
+    /// @param forwarder The trusted forwarder
+    function setTrustedForwarder(address forwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setTrustedForwarder(forwarder);
+    }
+
+    function _msgSender() internal view override(Context, TrustedForwarderContext) returns (address) {
+        return TrustedForwarderContext._msgSender();
+    }
+
+    function _msgData() internal view override(Context, TrustedForwarderContext) returns (bytes calldata) {
+        return TrustedForwarderContext._msgData();
+    }
 }
@@ -0,0 +1,74 @@
+// Decodes a ManageLife revert into its code, meaning and raising function.
+//
+// Usage:
+//   node hardhat_scripts/decode-error.js <txHash | revertData | code> [--rpc <url>] [--json]
+//
+//   node hardhat_scripts/decode-error.js 0x5c1d...e9a            # failed transaction (RPC_URL or --rpc)
+//   node hardhat_scripts/decode-error.js 0x08c379a0000...        # raw revert payload
+//   node hardhat_scripts/decode-error.js E914                    # bare code / Errors.sol name / auction error
+
+const { ethers } = require("ethers");
+const {
+    decodeTransaction,
+    decodePayload,
+    decodeCode,
+    formatDecoded
+} = require("../sdk/revertDecoder");
+
+function parseArgs(argv) {
+    const args = { input: null, rpc: process.env.RPC_URL || "http://127.0.0.1:8545", json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--rpc") args.rpc = argv[++i];
+        else if (argv[i] === "--json") args.json = true;
+        else args.input = argv[i];
+    }
+    return args;
+}
+
+function isTxHash(input) {
+    return ethers.utils.isHexString(input, 32);
+}
+
+async function decode(input, rpc) {
+    if (isTxHash(input)) {
+        const provider = new ethers.providers.JsonRpcProvider(rpc);
+        return decodeTransaction(provider, input);
+    }
+    if (ethers.utils.isHexString(input)) {
+        return decodePayload(input);
+    }
+    return decodeCode(input);
+}
+
+async function main() {
+    const { input, rpc, json } = parseArgs(process.argv.slice(2));
+    if (!input) {
+        console.error("Usage: node hardhat_scripts/decode-error.js <txHash | revertData | code> [--rpc <url>] [--json]");
+        process.exit(2);
+    }
+
+    const decoded = await decode(input, rpc);
+    if (!decoded) {
+        console.log(isTxHash(input) ? "✅ Transaction did not revert" : `❓ Unknown error: ${input}`);
+        return;
+    }
+    if (json) {
+        console.log(JSON.stringify(decoded, (key, value) =>
+            ethers.BigNumber.isBigNumber(value) ? value.toString() : value, 2));
+        return;
+    }
+
+    console.log(`❌ ${formatDecoded(decoded)}`);
+    for (const site of decoded.sites) {
+        console.log(`   ${site.file}:${site.line}  ${site.contract}.${site.function}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { decode };
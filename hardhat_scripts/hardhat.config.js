@@ -43,6 +43,6 @@ module.exports = {
     disambiguatePaths: false,
     runOnCompile: false,
     strict: false,
-    only: [':PropertyMarket$']
+    only: [':PropertyMarket$', ':PropertyMarketPeriphery$']
   }
 };
\ No newline at end of file
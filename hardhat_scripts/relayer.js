@@ -0,0 +1,126 @@
+// Minimal ERC-2771 relayer for local testing of gasless flows.
+//
+// Accepts forward requests signed with sdk/metatx.js and submits them to
+// ManageLifeForwarder, paying the gas from a node account.
+//
+// Usage:
+//   npx hardhat node
+//   node hardhat_scripts/relayer.js --forwarder <address> [--port 8546] [--rpc <url>] [--account <index>] [--allow-value]
+//
+//   POST /relay            body: signed request   -> { txHash, blockNumber }
+//   GET  /nonce/<address>                          -> { nonce }
+//
+// A request's `value` is paid from the relayer account, so anyone who can reach
+// the port could spend its ETH (e.g. on native ETH auction bids). Requests with
+// a non-zero value are therefore rejected with a 400 unless --allow-value is set.
+//
+// Not meant for production: there is no rate limiting, allow-listing of targets
+// or gas accounting.
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { FORWARDER_ABI } = require("../sdk/metatx");
+
+function parseArgs(argv) {
+    const args = {
+        forwarder: process.env.FORWARDER,
+        rpc: process.env.RPC_URL || "http://127.0.0.1:8545",
+        port: Number(process.env.PORT || 8546),
+        account: 0,
+        allowValue: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--forwarder") args.forwarder = argv[++i];
+        else if (argv[i] === "--rpc") args.rpc = argv[++i];
+        else if (argv[i] === "--port") args.port = Number(argv[++i]);
+        else if (argv[i] === "--account") args.account = Number(argv[++i]);
+        else if (argv[i] === "--allow-value") args.allowValue = true;
+    }
+    return args;
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let raw = "";
+        req.on("data", chunk => { raw += chunk; });
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(JSON.stringify(body));
+}
+
+function errorMessage(error) {
+    return error.reason || (error.error && error.error.message) || error.message;
+}
+
+/**
+ * Creates the relay HTTP server; call `listen` on the result.
+ * @param {ethers.Signer} relayer account that pays for submitted requests
+ * @param {string} forwarderAddress ManageLifeForwarder address
+ * @param {Object} [options]
+ * @param {boolean} [options.allowValue=false] relay requests that spend the relayer's ETH
+ * @returns {http.Server}
+ */
+function createRelayServer(relayer, forwarderAddress, { allowValue = false } = {}) {
+    const forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, relayer);
+
+    return http.createServer(async (req, res) => {
+        try {
+            const nonceMatch = req.method === "GET" && req.url.match(/^\/nonce\/(0x[0-9a-fA-F]{40})$/);
+            if (nonceMatch) {
+                return send(res, 200, { nonce: (await forwarder.nonces(nonceMatch[1])).toString() });
+            }
+            if (req.method !== "POST" || req.url !== "/relay") {
+                return send(res, 404, { error: "Not found" });
+            }
+
+            const request = await readJson(req);
+            const value = ethers.BigNumber.from(request.value || 0);
+            if (value.gt(0) && !allowValue) {
+                return send(res, 400, { error: "Requests with a non-zero value are not relayed" });
+            }
+            if (!(await forwarder.verify(request))) {
+                return send(res, 400, { error: "Invalid or expired request" });
+            }
+            const tx = await forwarder.execute(request, { value });
+            const receipt = await tx.wait();
+            console.log(`Relayed ${request.from} -> ${request.to} in ${receipt.transactionHash}`);
+            return send(res, 200, { txHash: receipt.transactionHash, blockNumber: receipt.blockNumber });
+        } catch (error) {
+            return send(res, 500, { error: errorMessage(error) });
+        }
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.forwarder) {
+        console.error("Usage: node hardhat_scripts/relayer.js --forwarder <address> [--port 8546] [--rpc <url>] [--account <index>] [--allow-value]");
+        process.exit(1);
+    }
+    const provider = new ethers.providers.JsonRpcProvider(args.rpc);
+    const relayer = provider.getSigner(args.account);
+    const server = createRelayServer(relayer, args.forwarder, { allowValue: args.allowValue });
+    server.listen(args.port, () => {
+        console.log(`Relaying to forwarder ${args.forwarder} on http://127.0.0.1:${args.port} (node ${args.rpc})`);
+    });
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createRelayServer };
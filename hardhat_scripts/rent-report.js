@@ -0,0 +1,55 @@
+// Prints monthly rent distribution reports for a RentDistributor.
+//
+// Usage:
+//   node hardhat_scripts/rent-report.js --distributor <address> [--month YYYY-MM] [--rpc <url>] [--format json|csv] [--out <file>]
+//
+//   node hardhat_scripts/rent-report.js --distributor 0x5FbD...0aa3                  # every month, as JSON
+//   node hardhat_scripts/rent-report.js --distributor 0x5FbD...0aa3 --month 2026-09 --format csv --out rent-2026-09.csv
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const RentDistributorClient = require("../sdk/RentDistributorClient");
+const { buildRentReports, formatRentReportCsv } = require("../sdk/rentReport");
+
+function parseArgs(argv) {
+    const args = {
+        distributor: process.env.RENT_DISTRIBUTOR,
+        rpc: process.env.RPC_URL || "http://127.0.0.1:8545",
+        month: null,
+        format: "json",
+        out: null
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--distributor") args.distributor = argv[++i];
+        else if (argv[i] === "--rpc") args.rpc = argv[++i];
+        else if (argv[i] === "--month") args.month = argv[++i];
+        else if (argv[i] === "--format") args.format = argv[++i];
+        else if (argv[i] === "--out") args.out = argv[++i];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.distributor || !["json", "csv"].includes(args.format) || (args.month && !/^\d{4}-\d{2}$/.test(args.month))) {
+        console.error("Usage: node hardhat_scripts/rent-report.js --distributor <address> [--month YYYY-MM] [--rpc <url>] [--format json|csv] [--out <file>]");
+        process.exit(2);
+    }
+
+    const provider = new ethers.providers.JsonRpcProvider(args.rpc);
+    const client = new RentDistributorClient(args.distributor, provider);
+    const reports = await buildRentReports(client, { month: args.month });
+    const output = args.format === "csv" ? formatRentReportCsv(reports) : JSON.stringify(reports, null, 2);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, output + "\n");
+        console.log(`Wrote ${reports.length} monthly report(s) to ${args.out}`);
+    } else {
+        console.log(output);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
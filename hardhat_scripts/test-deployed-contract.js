@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const fs = require('fs');
+const { describeError } = require("../sdk/revertDecoder");
 
 async function main() {
     console.log("🧪 Testing deployed PropertyMarket contract...\n");
@@ -43,7 +44,7 @@ async function main() {
         console.log("   Token ID:", tokenId);
         console.log("   Price:", ethers.utils.formatEther(price), "ETH");
     } catch (error) {
-        console.error("❌ Failed to list property:", error.message);
+        console.error("❌ Failed to list property:", describeError(error));
         return;
     }
 
@@ -72,7 +73,7 @@ async function main() {
         await tx2.wait();
         console.log("✅ Property purchased successfully");
     } catch (error) {
-        console.error("❌ Failed to purchase property:", error.message);
+        console.error("❌ Failed to purchase property:", describeError(error));
         return;
     }
 
@@ -107,7 +108,7 @@ async function main() {
         console.log("   Token ID:", tokenId2);
         console.log("   Confirmation Period:", confirmationPeriod / 3600, "hours");
     } catch (error) {
-        console.error("❌ Failed to list property with confirmation:", error.message);
+        console.error("❌ Failed to list property with confirmation:", describeError(error));
         return;
     }
 
@@ -127,7 +128,7 @@ async function main() {
         console.log("   Buyer:", buyer2.address);
         console.log("   Status: Pending seller confirmation");
     } catch (error) {
-        console.error("❌ Failed to submit purchase request:", error.message);
+        console.error("❌ Failed to submit purchase request:", describeError(error));
         return;
     }
 
@@ -149,7 +150,7 @@ async function main() {
         await tx5.wait();
         console.log("✅ Purchase confirmed by seller");
     } catch (error) {
-        console.error("❌ Failed to confirm purchase:", error.message);
+        console.error("❌ Failed to confirm purchase:", describeError(error));
         return;
     }
 
@@ -233,7 +234,7 @@ if (require.main === module) {
         })
         .catch((error) => {
             console.error("\n❌ Contract testing failed:");
-            console.error(error.message);
+            console.error(describeError(error));
             process.exit(1);
         });
 }
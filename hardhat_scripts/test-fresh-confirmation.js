@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const fs = require('fs');
+const { describeError } = require("../sdk/revertDecoder");
 
 async function main() {
     console.log("🧪 Testing PENDING_SELLER_CONFIRMATION with fresh NFT...\n");
@@ -63,7 +64,7 @@ async function main() {
             console.log("✅ Marketplace already approved");
         }
     } catch (error) {
-        console.error("❌ Failed to mint NFT:", error.message);
+        console.error("❌ Failed to mint NFT:", describeError(error));
         return;
     }
 
@@ -95,7 +96,7 @@ async function main() {
         console.log("   Price:", ethers.utils.formatEther(price), "ETH");
         console.log("   Confirmation Period:", confirmationPeriod / 3600, "hours");
     } catch (error) {
-        console.error("❌ Failed to list property:", error.message);
+        console.error("❌ Failed to list property:", describeError(error));
         return;
     }
 
@@ -132,7 +133,7 @@ async function main() {
         console.log("   Buyer:", buyer1.address);
         console.log("   Amount paid:", ethers.utils.formatEther(price), "ETH");
     } catch (error) {
-        console.error("❌ Failed to submit purchase request:", error.message);
+        console.error("❌ Failed to submit purchase request:", describeError(error));
         
         // Detailed error analysis
         console.log("\n🔍 Error Analysis:");
@@ -180,7 +181,7 @@ async function main() {
         // Store for later use in global scope
         global.pendingPurchaseData = pendingPurchase;
     } catch (error) {
-        console.log("\n📋 Error getting pending purchase details:", error.message);
+        console.log("\n📋 Error getting pending purchase details:", describeError(error));
         console.log("   This might indicate immediate purchase or error in setup");
     }
 
@@ -220,7 +221,7 @@ async function main() {
                 await confirmTx.wait();
                 console.log("✅ Purchase confirmed by seller (no additional ETH required)");
             } catch (confirmError) {
-                console.log("❌ Failed to confirm without ETH:", confirmError.message);
+                console.log("❌ Failed to confirm without ETH:", describeError(confirmError));
 
                 if (confirmError.message.includes("Insufficient ETH sent")) {
                     console.log("🔄 Trying to confirm with ETH amount...");
@@ -231,17 +232,17 @@ async function main() {
                         await confirmTxWithETH.wait();
                         console.log("✅ Purchase confirmed by seller (with ETH sent)");
                     } catch (ethError) {
-                        console.log("❌ Failed to confirm with ETH:", ethError.message);
+                        console.log("❌ Failed to confirm with ETH:", describeError(ethError));
                     }
                 } else {
-                    console.log("❌ Other confirmation error:", confirmError.message);
+                    console.log("❌ Other confirmation error:", describeError(confirmError));
                 }
             }
         } else {
             console.log("❌ No active pending purchase found");
         }
     } catch (error) {
-        console.log("❌ Failed to check/confirm purchase:", error.message);
+        console.log("❌ Failed to check/confirm purchase:", describeError(error));
         console.log("   This might indicate the purchase was immediate or already completed");
     }
 
@@ -309,7 +310,7 @@ if (require.main === module) {
         })
         .catch((error) => {
             console.error("\n❌ Fresh confirmation testing failed:");
-            console.error(error.message);
+            console.error(describeError(error));
             process.exit(1);
         });
 }
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { describeError } = require("../sdk/revertDecoder");
 
 async function testModularContract() {
     console.log("🧪 Testing Modular PropertyMarket Functionality\n");
@@ -60,7 +61,7 @@ async function testModularContract() {
         console.log("   Confirmation Period:", confirmationPeriod / 3600, "hours");
         console.log("   Transaction:", tx1.hash);
     } catch (error) {
-        console.error("❌ Failed to list property:", error.message);
+        console.error("❌ Failed to list property:", describeError(error));
         return;
     }
 
@@ -89,7 +90,7 @@ async function testModularContract() {
         console.log("   Offer:", ethers.utils.formatEther(price), "ETH");
         console.log("   Transaction:", tx2.hash);
     } catch (error) {
-        console.error("❌ Failed to submit purchase request:", error.message);
+        console.error("❌ Failed to submit purchase request:", describeError(error));
         return;
     }
 
@@ -113,7 +114,7 @@ async function testModularContract() {
         console.log("✅ Purchase confirmed by seller");
         console.log("   Transaction:", tx3.hash);
     } catch (error) {
-        console.error("❌ Failed to confirm purchase:", error.message);
+        console.error("❌ Failed to confirm purchase:", describeError(error));
         return;
     }
 
@@ -144,7 +145,7 @@ async function testModularContract() {
         await tx4.wait();
         console.log("✅ Second property listed (no confirmation period)");
     } catch (error) {
-        console.error("❌ Failed to list second property:", error.message);
+        console.error("❌ Failed to list second property:", describeError(error));
         return;
     }
 
@@ -162,7 +163,7 @@ async function testModularContract() {
         console.log("   Bidder:", buyer2.address);
         console.log("   Bid Amount:", ethers.utils.formatEther(bidAmount), "ETH");
     } catch (error) {
-        console.error("❌ Failed to place bid:", error.message);
+        console.error("❌ Failed to place bid:", describeError(error));
         return;
     }
 
@@ -181,7 +182,7 @@ async function testModularContract() {
         await tx6.wait();
         console.log("✅ Bid accepted by seller");
     } catch (error) {
-        console.error("❌ Failed to accept bid:", error.message);
+        console.error("❌ Failed to accept bid:", describeError(error));
         return;
     }
 
@@ -209,7 +210,7 @@ async function testModularContract() {
         await tx7.wait();
         console.log("✅ Third property listed with confirmation period");
     } catch (error) {
-        console.error("❌ Failed to list third property:", error.message);
+        console.error("❌ Failed to list third property:", describeError(error));
         return;
     }
 
@@ -223,7 +224,7 @@ async function testModularContract() {
         await tx8.wait();
         console.log("✅ Purchase request submitted for third property");
     } catch (error) {
-        console.error("❌ Failed to submit purchase request:", error.message);
+        console.error("❌ Failed to submit purchase request:", describeError(error));
         return;
     }
 
@@ -234,7 +235,7 @@ async function testModularContract() {
         console.log("✅ Purchase rejected by seller");
         console.log("   Buyer should receive refund");
     } catch (error) {
-        console.error("❌ Failed to reject purchase:", error.message);
+        console.error("❌ Failed to reject purchase:", describeError(error));
         return;
     }
 
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { describeError } = require("../sdk/revertDecoder");
 
 async function testOptimizedContract() {
     console.log("🧪 Testing PropertyMarketOptimized Functionality\n");
@@ -54,7 +55,7 @@ async function testOptimizedContract() {
         console.log("   Confirmation Period:", confirmationPeriod / 3600, "hours");
         console.log("   Transaction:", tx1.hash);
     } catch (error) {
-        console.error("❌ Failed to list property:", error.message);
+        console.error("❌ Failed to list property:", describeError(error));
         return;
     }
 
@@ -83,7 +84,7 @@ async function testOptimizedContract() {
         console.log("   Offer:", ethers.utils.formatEther(price), "ETH");
         console.log("   Transaction:", tx2.hash);
     } catch (error) {
-        console.error("❌ Failed to submit purchase request:", error.message);
+        console.error("❌ Failed to submit purchase request:", describeError(error));
         return;
     }
 
@@ -107,7 +108,7 @@ async function testOptimizedContract() {
         console.log("✅ Purchase confirmed by seller");
         console.log("   Transaction:", tx3.hash);
     } catch (error) {
-        console.error("❌ Failed to confirm purchase:", error.message);
+        console.error("❌ Failed to confirm purchase:", describeError(error));
         return;
     }
 
@@ -138,7 +139,7 @@ async function testOptimizedContract() {
         await tx4.wait();
         console.log("✅ Second property listed (no confirmation period)");
     } catch (error) {
-        console.error("❌ Failed to list second property:", error.message);
+        console.error("❌ Failed to list second property:", describeError(error));
         return;
     }
 
@@ -156,7 +157,7 @@ async function testOptimizedContract() {
         console.log("   Bidder:", buyer2.address);
         console.log("   Bid Amount:", ethers.utils.formatEther(bidAmount), "ETH");
     } catch (error) {
-        console.error("❌ Failed to place bid:", error.message);
+        console.error("❌ Failed to place bid:", describeError(error));
         return;
     }
 
@@ -175,7 +176,7 @@ async function testOptimizedContract() {
         await tx6.wait();
         console.log("✅ Bid accepted by seller");
     } catch (error) {
-        console.error("❌ Failed to accept bid:", error.message);
+        console.error("❌ Failed to accept bid:", describeError(error));
         return;
     }
 
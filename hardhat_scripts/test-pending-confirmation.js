@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const fs = require('fs');
+const { describeError } = require("../sdk/revertDecoder");
 
 async function main() {
     console.log("🧪 Testing PENDING_SELLER_CONFIRMATION functionality...\n");
@@ -77,7 +78,7 @@ async function main() {
             }
             
         } catch (error) {
-            console.log("   Error during diagnosis:", error.message);
+            console.log("   Error during diagnosis:", describeError(error));
         }
     }
 
@@ -116,7 +117,7 @@ async function main() {
                 await delistTx.wait();
                 console.log("✅ Property delisted successfully");
             } catch (delistError) {
-                console.log("❌ Failed to delist:", delistError.message);
+                console.log("❌ Failed to delist:", describeError(delistError));
             }
         }
     } catch (error) {
@@ -165,7 +166,7 @@ async function main() {
             console.log("   Confirmation Period:", confirmationPeriod / 3600, "hours");
         }
     } catch (error) {
-        console.error("❌ Failed to list property:", error.message);
+        console.error("❌ Failed to list property:", describeError(error));
 
         // Additional diagnosis for E102 error
         if (error.message.includes('E102')) {
@@ -218,7 +219,7 @@ async function main() {
         console.log("   Buyer:", buyer1.address);
         console.log("   Amount paid:", ethers.utils.formatEther(price), "ETH");
     } catch (error) {
-        console.error("❌ Failed to submit purchase request:", error.message);
+        console.error("❌ Failed to submit purchase request:", describeError(error));
         
         // Diagnose the error
         await diagnoseE403Error(tokenId, buyer1.address);
@@ -257,7 +258,7 @@ async function main() {
         await tx3.wait();
         console.log("✅ Purchase confirmed by seller");
     } catch (error) {
-        console.error("❌ Failed to confirm purchase:", error.message);
+        console.error("❌ Failed to confirm purchase:", describeError(error));
         return;
     }
 
@@ -318,7 +319,7 @@ async function main() {
         console.log("   Buyer 2 balance after refund:", ethers.utils.formatEther(buyer2BalanceAfter), "ETH");
 
     } catch (error) {
-        console.error("❌ Failed in rejection test:", error.message);
+        console.error("❌ Failed in rejection test:", describeError(error));
         if (error.message.includes('E403')) {
             await diagnoseE403Error(tokenId2, buyer2.address);
         }
@@ -366,7 +367,7 @@ if (require.main === module) {
         })
         .catch((error) => {
             console.error("\n❌ PENDING_SELLER_CONFIRMATION testing failed:");
-            console.error(error.message);
+            console.error(describeError(error));
             process.exit(1);
         });
 }
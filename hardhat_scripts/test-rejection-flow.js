@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const fs = require('fs');
+const { describeError } = require("../sdk/revertDecoder");
 
 async function main() {
     console.log("🧪 Testing Purchase Rejection Flow...\n");
@@ -60,7 +61,7 @@ async function main() {
             console.log("✅ Marketplace already approved");
         }
     } catch (error) {
-        console.error("❌ Failed to mint NFT:", error.message);
+        console.error("❌ Failed to mint NFT:", describeError(error));
         return;
     }
 
@@ -92,7 +93,7 @@ async function main() {
         console.log("   Price:", ethers.utils.formatEther(price), "ETH");
         console.log("   Confirmation Period:", confirmationPeriod / 3600, "hours");
     } catch (error) {
-        console.error("❌ Failed to list property:", error.message);
+        console.error("❌ Failed to list property:", describeError(error));
         return;
     }
 
@@ -122,7 +123,7 @@ async function main() {
         console.log("   Buyer:", buyer1.address);
         console.log("   Amount paid:", ethers.utils.formatEther(price), "ETH");
     } catch (error) {
-        console.error("❌ Failed to submit purchase request:", error.message);
+        console.error("❌ Failed to submit purchase request:", describeError(error));
         return;
     }
 
@@ -154,7 +155,7 @@ async function main() {
         await rejectTx.wait();
         console.log("✅ Purchase rejected by seller");
     } catch (error) {
-        console.error("❌ Failed to reject purchase:", error.message);
+        console.error("❌ Failed to reject purchase:", describeError(error));
         return;
     }
 
@@ -214,7 +215,7 @@ async function main() {
             console.log("❌ Property not back to LISTED status");
         }
     } catch (error) {
-        console.error("❌ Failed in re-listing test:", error.message);
+        console.error("❌ Failed in re-listing test:", describeError(error));
     }
 
     console.log("\n🎉 Purchase rejection testing completed!");
@@ -268,7 +269,7 @@ if (require.main === module) {
         })
         .catch((error) => {
             console.error("\n❌ Purchase rejection testing failed:");
-            console.error(error.message);
+            console.error(describeError(error));
             process.exit(1);
         });
 }
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { describeError } = require("../sdk/revertDecoder");
 
 async function testSellerConfirmation() {
     console.log("🧪 Testing Seller Confirmation Functionality\n");
@@ -54,7 +55,7 @@ async function testSellerConfirmation() {
         console.log("   Confirmation Period:", confirmationPeriod / 3600, "hours");
         console.log("   Transaction:", tx1.hash);
     } catch (error) {
-        console.error("❌ Failed to list property:", error.message);
+        console.error("❌ Failed to list property:", describeError(error));
         return;
     }
 
@@ -83,7 +84,7 @@ async function testSellerConfirmation() {
         console.log("   Offer:", ethers.utils.formatEther(price), "ETH");
         console.log("   Transaction:", tx2.hash);
     } catch (error) {
-        console.error("❌ Failed to submit purchase request:", error.message);
+        console.error("❌ Failed to submit purchase request:", describeError(error));
         return;
     }
 
@@ -108,7 +109,7 @@ async function testSellerConfirmation() {
         console.log("✅ Purchase confirmed by seller");
         console.log("   Transaction:", tx3.hash);
     } catch (error) {
-        console.error("❌ Failed to confirm purchase:", error.message);
+        console.error("❌ Failed to confirm purchase:", describeError(error));
         return;
     }
 
@@ -139,7 +140,7 @@ async function testSellerConfirmation() {
         await tx4.wait();
         console.log("✅ Second property listed");
     } catch (error) {
-        console.error("❌ Failed to list second property:", error.message);
+        console.error("❌ Failed to list second property:", describeError(error));
         return;
     }
 
@@ -153,7 +154,7 @@ async function testSellerConfirmation() {
         await tx5.wait();
         console.log("✅ Second purchase request submitted");
     } catch (error) {
-        console.error("❌ Failed to submit second purchase request:", error.message);
+        console.error("❌ Failed to submit second purchase request:", describeError(error));
         return;
     }
 
@@ -164,7 +165,7 @@ async function testSellerConfirmation() {
         console.log("✅ Purchase rejected by seller");
         console.log("   Buyer should receive refund");
     } catch (error) {
-        console.error("❌ Failed to reject purchase:", error.message);
+        console.error("❌ Failed to reject purchase:", describeError(error));
         return;
     }
 
@@ -0,0 +1,75 @@
+// Checks a property's metadata JSON against the property document schema and
+// its attested content hash on ManageLifePropertyNFTController.
+//
+// Usage:
+//   node hardhat_scripts/validate-metadata.js --controller <address> --token <id> [--source <path|url>] [--rpc <url>] [--gateway <url>]
+//   node hardhat_scripts/validate-metadata.js --source <path|url> [--hash <0x...>]
+//
+//   node hardhat_scripts/validate-metadata.js --controller 0x5FbD...0aa3 --token 1            # fetches ipfs://<attested cid>
+//   node hardhat_scripts/validate-metadata.js --source ./metadata/1.json                      # schema only, prints the hash to attest
+//
+// Exits with 1 when the metadata is invalid or does not match the attestation.
+
+const { ethers } = require("ethers");
+const PropertyNFTControllerClient = require("../sdk/PropertyNFTControllerClient");
+const { DEFAULT_IPFS_GATEWAY, loadMetadata, validatePropertyMetadata } = require("../sdk/metadata");
+
+function parseArgs(argv) {
+    const args = {
+        controller: process.env.NFT_CONTROLLER,
+        rpc: process.env.RPC_URL || "http://127.0.0.1:8545",
+        gateway: process.env.IPFS_GATEWAY || DEFAULT_IPFS_GATEWAY,
+        token: null,
+        source: null,
+        hash: null
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--controller") args.controller = argv[++i];
+        else if (argv[i] === "--token") args.token = argv[++i];
+        else if (argv[i] === "--source") args.source = argv[++i];
+        else if (argv[i] === "--hash") args.hash = argv[++i];
+        else if (argv[i] === "--rpc") args.rpc = argv[++i];
+        else if (argv[i] === "--gateway") args.gateway = argv[++i];
+    }
+    return args;
+}
+
+async function validate(args) {
+    if (args.controller && args.token !== null) {
+        const provider = new ethers.providers.JsonRpcProvider(args.rpc);
+        const controller = new PropertyNFTControllerClient(args.controller, provider);
+        return controller.validateMetadata(args.token, { source: args.source, ipfsGateway: args.gateway });
+    }
+
+    const result = validatePropertyMetadata(await loadMetadata(args.source, { ipfsGateway: args.gateway }));
+    if (args.hash && args.hash.toLowerCase() !== result.contentHash) {
+        result.errors.push(`Content hash ${result.contentHash} does not match ${args.hash}`);
+        result.valid = false;
+    }
+    return result;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.source && !(args.controller && args.token !== null)) {
+        console.error("Usage: node hardhat_scripts/validate-metadata.js --controller <address> --token <id> [--source <path|url>] [--rpc <url>] [--gateway <url>]");
+        console.error("       node hardhat_scripts/validate-metadata.js --source <path|url> [--hash <0x...>]");
+        process.exit(2);
+    }
+
+    const result = await validate(args);
+    console.log(`Content hash: ${result.contentHash}`);
+    if (result.attestation) {
+        console.log(`Attested:     ${result.attestation.contentHash} (version ${result.attestation.version})`);
+    }
+    for (const error of result.errors) {
+        console.log(`  ✗ ${error}`);
+    }
+    console.log(result.valid ? "Metadata is valid" : "Metadata is INVALID");
+    process.exit(result.valid ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
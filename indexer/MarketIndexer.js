@@ -0,0 +1,278 @@
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { loadAbi } = require("../sdk/artifacts");
+const { MemoryStore } = require("./stores");
+const { STATUS, INDEXED_EVENTS, emptyState, cloneState, applyEvent } = require("./reducer");
+
+const STATE_VERSION = 1;
+
+/**
+ * Replays PropertyMarket events from a JSON-RPC node into a queryable store of
+ * listings, bids and pending purchases.
+ *
+ * Reorgs: events from the last `reorgDepth` blocks are kept unapplied to the
+ * finalized snapshot together with the hashes of the blocks they came from.
+ * Before each sync the newest recorded hash is compared with the chain; on a
+ * mismatch the indexer rewinds to the newest block that still matches,
+ * rebuilds state from the snapshot and re-reads the rest. Reorgs deeper than
+ * `reorgDepth` are not detected.
+ *
+ * Emits "event" for every applied event, "reorg" ({ from, to }) when rewinding
+ * and "synced" (blockNumber) after each sync.
+ */
+class MarketIndexer extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {ethers.providers.Provider} options.provider
+     * @param {string} options.address PropertyMarket address
+     * @param {Object} [options.store] persistence backend, defaults to MemoryStore
+     * @param {number} [options.startBlock=0] deployment block of the market
+     * @param {number} [options.confirmations=0] blocks to stay behind the head
+     * @param {number} [options.reorgDepth=12] blocks kept rewindable
+     * @param {number} [options.batchSize=2000] max block range per eth_getLogs
+     * @param {Array} [options.abi] PropertyMarket ABI, loaded from artifacts when omitted
+     * @param {string} [options.artifactsDir]
+     */
+    constructor(options) {
+        super();
+        if (!options || !options.provider || !options.address) {
+            throw new Error("MarketIndexer needs a provider and the PropertyMarket address");
+        }
+        this.provider = options.provider;
+        this.address = ethers.utils.getAddress(options.address);
+        this.store = options.store || new MemoryStore();
+        this.startBlock = options.startBlock || 0;
+        this.confirmations = options.confirmations || 0;
+        this.reorgDepth = options.reorgDepth === undefined ? 12 : options.reorgDepth;
+        this.batchSize = options.batchSize || 2000;
+        this.iface = new ethers.utils.Interface(options.abi || loadAbi("PropertyMarket", options));
+
+        this._loaded = false;
+        this._timer = null;
+    }
+
+    /* ------------------------------ Lifecycle ------------------------------- */
+
+    async _load() {
+        if (this._loaded) return;
+        const saved = await this.store.load();
+        if (saved && saved.version === STATE_VERSION && saved.address === this.address) {
+            this.lastBlock = saved.lastBlock;
+            this.finalized = saved.finalized;
+            this.recent = saved.recent;
+            this.blockHashes = saved.blockHashes;
+        } else {
+            this.lastBlock = this.startBlock - 1;
+            this.finalized = { block: this.startBlock - 1, state: emptyState() };
+            this.recent = [];
+            this.blockHashes = {};
+        }
+        this._rebuild();
+        this._loaded = true;
+    }
+
+    async _persist() {
+        await this.store.save({
+            version: STATE_VERSION,
+            address: this.address,
+            lastBlock: this.lastBlock,
+            finalized: this.finalized,
+            recent: this.recent,
+            blockHashes: this.blockHashes
+        });
+    }
+
+    _rebuild() {
+        this.state = cloneState(this.finalized.state);
+        for (const event of this.recent) applyEvent(this.state, event);
+    }
+
+    /**
+     * Indexes everything up to the current head (minus confirmations).
+     * @returns {Promise<number>} last indexed block
+     */
+    async sync() {
+        await this._load();
+        await this._handleReorg();
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        for (let from = this.lastBlock + 1; from <= head; from = this.lastBlock + 1) {
+            const to = Math.min(from + this.batchSize - 1, head);
+            const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to });
+            for (const log of logs) {
+                if (log.removed) continue;
+                const event = this._decode(log);
+                if (!event) continue;
+                this.recent.push(event);
+                this.blockHashes[event.blockNumber] = event.blockHash;
+                applyEvent(this.state, event);
+                this.emit("event", event);
+            }
+            const block = await this.provider.getBlock(to);
+            this.blockHashes[to] = block.hash;
+            this.lastBlock = to;
+            this._finalize();
+            await this._persist();
+        }
+        this.emit("synced", this.lastBlock);
+        return this.lastBlock;
+    }
+
+    /**
+     * Polls the node, calling sync every `intervalMs`. Errors are emitted as
+     * "error" events and polling continues.
+     */
+    start(intervalMs = 5000) {
+        const tick = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                this.emit("error", error);
+            }
+            if (this._timer) this._timer = setTimeout(tick, intervalMs);
+        };
+        this._timer = setTimeout(tick, 0);
+    }
+
+    stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    _decode(log) {
+        let parsed;
+        try {
+            parsed = this.iface.parseLog(log);
+        } catch (_) {
+            return null;
+        }
+        if (!INDEXED_EVENTS.includes(parsed.name)) return null;
+
+        const args = {};
+        parsed.eventFragment.inputs.forEach((input, i) => {
+            const value = parsed.args[i];
+            args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+        });
+        return {
+            event: parsed.name,
+            args,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex
+        };
+    }
+
+    /** Folds events older than `reorgDepth` into the finalized snapshot. */
+    _finalize() {
+        const boundary = this.lastBlock - this.reorgDepth;
+        if (boundary <= this.finalized.block) return;
+
+        const keep = [];
+        for (const event of this.recent) {
+            if (event.blockNumber <= boundary) applyEvent(this.finalized.state, event);
+            else keep.push(event);
+        }
+        this.recent = keep;
+        this.finalized.block = boundary;
+        for (const n of Object.keys(this.blockHashes)) {
+            if (Number(n) <= boundary && Number(n) !== this.lastBlock) delete this.blockHashes[n];
+        }
+    }
+
+    async _handleReorg() {
+        const recorded = Object.keys(this.blockHashes).map(Number).sort((a, b) => b - a);
+        if (recorded.length === 0) return;
+
+        let ancestor = null;
+        for (const n of recorded) {
+            const block = await this.provider.getBlock(n);
+            if (block && block.hash === this.blockHashes[n]) {
+                ancestor = n;
+                break;
+            }
+        }
+        if (ancestor === recorded[0]) return;
+        if (ancestor === null) ancestor = this.finalized.block;
+
+        const from = this.lastBlock;
+        this.recent = this.recent.filter((e) => e.blockNumber <= ancestor);
+        for (const n of recorded) {
+            if (n > ancestor) delete this.blockHashes[n];
+        }
+        this.lastBlock = ancestor;
+        this._rebuild();
+        await this._persist();
+        this.emit("reorg", { from, to: ancestor });
+    }
+
+    /* -------------------------------- Queries ------------------------------- */
+
+    /** @returns {Object|null} listing for `tokenId` */
+    getListing(tokenId) {
+        return this.state.listings[String(tokenId)] || null;
+    }
+
+    /**
+     * Listings currently open for purchase or bids.
+     * @param {Object} [filter]
+     * @param {string} [filter.seller]
+     * @param {string} [filter.paymentToken]
+     */
+    getActiveListings(filter = {}) {
+        return this.getListings({ ...filter, status: STATUS.LISTED });
+    }
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.status] one of STATUS
+     * @param {string} [filter.seller]
+     * @param {string} [filter.paymentToken]
+     */
+    getListings(filter = {}) {
+        return Object.values(this.state.listings).filter((l) =>
+            (!filter.status || l.status === filter.status) &&
+            (!filter.seller || sameAddress(l.seller, filter.seller)) &&
+            (!filter.paymentToken || sameAddress(l.paymentToken, filter.paymentToken)));
+    }
+
+    /** Active bids on `tokenId`, highest first. */
+    getBids(tokenId) {
+        const bids = Object.values(this.state.bids[String(tokenId)] || {});
+        return bids.sort((a, b) => compareAmounts(b.amount, a.amount));
+    }
+
+    /** Active bids placed by `bidder` across all tokens. */
+    getBidsByBidder(bidder) {
+        const result = [];
+        for (const [tokenId, bids] of Object.entries(this.state.bids)) {
+            for (const bid of Object.values(bids)) {
+                if (sameAddress(bid.bidder, bidder)) result.push({ tokenId, ...bid });
+            }
+        }
+        return result;
+    }
+
+    /** @returns {Object|null} pending purchase awaiting seller confirmation */
+    getPendingPurchase(tokenId) {
+        return this.state.pendingPurchases[String(tokenId)] || null;
+    }
+
+    getPendingPurchases() {
+        return Object.values(this.state.pendingPurchases);
+    }
+}
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+function compareAmounts(a, b) {
+    const x = ethers.BigNumber.from(a);
+    const y = ethers.BigNumber.from(b);
+    return x.lt(y) ? -1 : x.gt(y) ? 1 : 0;
+}
+
+MarketIndexer.STATUS = STATUS;
+
+module.exports = MarketIndexer;
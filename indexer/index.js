@@ -0,0 +1,11 @@
+const MarketIndexer = require("./MarketIndexer");
+const { MemoryStore, JsonFileStore } = require("./stores");
+const { STATUS, INDEXED_EVENTS } = require("./reducer");
+
+module.exports = {
+    MarketIndexer,
+    MemoryStore,
+    JsonFileStore,
+    STATUS,
+    INDEXED_EVENTS
+};
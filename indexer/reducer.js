@@ -0,0 +1,179 @@
+// Folds PropertyMarket events into listing / bid / pending-purchase state.
+//
+// State is plain JSON (amounts as decimal strings) so it can be persisted and
+// cloned freely:
+//   listings[tokenId]          -> { tokenId, seller, price, paymentToken, status, ... }
+//   bids[tokenId][bidder]      -> { bidder, amount, paymentToken, placedAtBlock, expiresAt }
+//   pendingPurchases[tokenId]  -> { buyer, offerPrice, paymentToken, confirmationDeadline, ... }
+
+const STATUS = {
+    LISTED: "LISTED",
+    SOLD: "SOLD",
+    DELISTED: "DELISTED",
+    PENDING_SELLER_CONFIRMATION: "PENDING_SELLER_CONFIRMATION",
+    EXPIRED: "EXPIRED"
+};
+
+function emptyState() {
+    return { listings: {}, bids: {}, pendingPurchases: {} };
+}
+
+function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+function setStatus(state, tokenId, status, blockNumber) {
+    const listing = state.listings[tokenId];
+    if (!listing) return;
+    listing.status = status;
+    listing.updatedAtBlock = blockNumber;
+}
+
+function removeBid(state, tokenId, bidder) {
+    const bids = state.bids[tokenId];
+    if (!bids) return;
+    delete bids[bidder];
+    if (Object.keys(bids).length === 0) delete state.bids[tokenId];
+}
+
+const handlers = {
+    NewListing(state, a, blockNumber) {
+        state.listings[a.tokenId] = {
+            tokenId: a.tokenId,
+            seller: a.seller,
+            price: a.price,
+            paymentToken: a.paymentToken,
+            status: STATUS.LISTED,
+            listedAtBlock: blockNumber,
+            updatedAtBlock: blockNumber
+        };
+    },
+
+    ListingUpdated(state, a, blockNumber) {
+        const listing = state.listings[a.tokenId];
+        if (!listing) return;
+        listing.price = a.newPrice;
+        listing.paymentToken = a.newPaymentToken;
+        listing.updatedAtBlock = blockNumber;
+    },
+
+    BidPlaced(state, a, blockNumber) {
+        state.bids[a.tokenId] = state.bids[a.tokenId] || {};
+        const previous = state.bids[a.tokenId][a.bidder];
+        state.bids[a.tokenId][a.bidder] = {
+            bidder: a.bidder,
+            amount: a.amount,
+            paymentToken: a.paymentToken,
+            placedAtBlock: blockNumber,
+            // Only re-emitted by the contract when it changes.
+            expiresAt: previous ? previous.expiresAt : null
+        };
+    },
+
+    BidExpirySet(state, a) {
+        const bid = state.bids[a.tokenId] && state.bids[a.tokenId][a.bidder];
+        if (bid) bid.expiresAt = a.expiresAt === "0" ? null : a.expiresAt;
+    },
+
+    BidExpired(state, a) {
+        removeBid(state, a.tokenId, a.bidder);
+    },
+
+    BidAccepted(state, a, blockNumber) {
+        removeBid(state, a.tokenId, a.bidder);
+        setStatus(state, a.tokenId, STATUS.SOLD, blockNumber);
+    },
+
+    BidCancelled(state, a) {
+        removeBid(state, a.tokenId, a.bidder);
+    },
+
+    PurchaseRequested(state, a, blockNumber) {
+        state.pendingPurchases[a.tokenId] = {
+            tokenId: a.tokenId,
+            buyer: a.buyer,
+            offerPrice: a.offerPrice,
+            paymentToken: a.paymentToken,
+            confirmationDeadline: a.confirmationDeadline,
+            requestedAtBlock: blockNumber
+        };
+        setStatus(state, a.tokenId, STATUS.PENDING_SELLER_CONFIRMATION, blockNumber);
+    },
+
+    PurchaseConfirmed(state, a, blockNumber) {
+        delete state.pendingPurchases[a.tokenId];
+        setStatus(state, a.tokenId, STATUS.SOLD, blockNumber);
+    },
+
+    PurchaseRejected(state, a, blockNumber) {
+        delete state.pendingPurchases[a.tokenId];
+        setStatus(state, a.tokenId, STATUS.LISTED, blockNumber);
+    },
+
+    PurchaseExpired(state, a, blockNumber) {
+        delete state.pendingPurchases[a.tokenId];
+        setStatus(state, a.tokenId, STATUS.LISTED, blockNumber);
+    },
+
+    // Seller withdrew the listing, or transferred the NFT away.
+    Delisted(state, a, blockNumber) {
+        setStatus(state, a.tokenId, STATUS.DELISTED, blockNumber);
+    },
+
+    ListingRenewed(state, a, blockNumber) {
+        const listing = state.listings[a.tokenId];
+        if (!listing) return;
+        listing.expiresAt = a.expiresAt;
+        listing.updatedAtBlock = blockNumber;
+    },
+
+    ListingExpired(state, a, blockNumber) {
+        setStatus(state, a.tokenId, STATUS.EXPIRED, blockNumber);
+    },
+
+    PropertySold(state, a, blockNumber) {
+        setStatus(state, a.tokenId, STATUS.SOLD, blockNumber);
+        const listing = state.listings[a.tokenId];
+        if (listing) {
+            listing.lastSale = { buyer: a.buyer, price: a.price, paymentToken: a.paymentToken, blockNumber };
+        }
+    },
+
+    // Emitted on every sale path with the platform fee and royalty split.
+    SaleSettled(state, a, blockNumber) {
+        const listing = state.listings[a.tokenId];
+        if (!listing) return;
+        listing.lastSettlement = {
+            seller: a.seller,
+            buyer: a.buyer,
+            paymentToken: a.paymentToken,
+            grossAmount: a.grossAmount,
+            feeAmount: a.feeAmount,
+            royaltyReceiver: a.royaltyReceiver,
+            royaltyAmount: a.royaltyAmount,
+            netAmount: a.netAmount,
+            blockNumber
+        };
+    }
+};
+
+/** Event names the reducer understands. */
+const INDEXED_EVENTS = Object.keys(handlers);
+
+/**
+ * Applies one decoded event to `state` in place.
+ * @param {Object} state
+ * @param {{event: string, args: Object, blockNumber: number}} event
+ */
+function applyEvent(state, event) {
+    const handler = handlers[event.event];
+    if (handler) handler(state, event.args, event.blockNumber);
+}
+
+module.exports = {
+    STATUS,
+    INDEXED_EVENTS,
+    emptyState,
+    cloneState,
+    applyEvent
+};
@@ -0,0 +1,50 @@
+// Runs the PropertyMarket indexer against a JSON-RPC node and logs the
+// listing state after every sync.
+//
+//   RPC_URL=http://127.0.0.1:8545 MARKET_ADDRESS=0x... node indexer/run.js
+//
+// Optional: START_BLOCK (market deployment block), STATE_FILE (default
+// indexer/state/<address>.json), POLL_INTERVAL_MS (default 5000),
+// CONFIRMATIONS (default 0).
+
+const path = require("path");
+const { ethers } = require("ethers");
+const MarketIndexer = require("./MarketIndexer");
+const { JsonFileStore } = require("./stores");
+
+async function main() {
+    const address = process.env.MARKET_ADDRESS;
+    if (!address) {
+        console.error("❌ MARKET_ADDRESS is required");
+        process.exit(2);
+    }
+    const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+    const stateFile = process.env.STATE_FILE || path.join(__dirname, "state", `${address.toLowerCase()}.json`);
+
+    const indexer = new MarketIndexer({
+        provider,
+        address,
+        store: new JsonFileStore(stateFile),
+        startBlock: Number(process.env.START_BLOCK || 0),
+        confirmations: Number(process.env.CONFIRMATIONS || 0)
+    });
+
+    indexer.on("event", (e) => console.log(`📥 #${e.blockNumber} ${e.event} token ${e.args.tokenId}`));
+    indexer.on("reorg", ({ from, to }) => console.log(`⚠️  Reorg detected, rewound from block ${from} to ${to}`));
+    indexer.on("synced", (block) => {
+        console.log(`✅ Synced to block ${block}: ${indexer.getActiveListings().length} active listings, ` +
+            `${indexer.getPendingPurchases().length} pending purchases`);
+    });
+    indexer.on("error", (error) => console.error("❌ Sync failed:", error.message));
+
+    console.log(`🔎 Indexing PropertyMarket ${address}, state in ${stateFile}`);
+    indexer.start(Number(process.env.POLL_INTERVAL_MS || 5000));
+    process.on("SIGINT", () => {
+        indexer.stop();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,50 @@
+// Persistence backends for MarketIndexer. A store only has to load and save
+// one JSON-serialisable object; the indexer owns its shape.
+
+const fs = require("fs");
+const path = require("path");
+
+/** Keeps the indexer state in memory (tests, short-lived scripts). */
+class MemoryStore {
+    constructor() {
+        this.data = null;
+    }
+
+    async load() {
+        return this.data ? JSON.parse(this.data) : null;
+    }
+
+    async save(state) {
+        this.data = JSON.stringify(state);
+    }
+}
+
+/**
+ * Keeps the indexer state in a JSON file so a restarted indexer resumes from
+ * the last processed block. Writes go to a temp file first and are renamed
+ * into place, so a crash mid-write never leaves a truncated state file.
+ */
+class JsonFileStore {
+    /** @param {string} file path of the state file */
+    constructor(file) {
+        this.file = file;
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    }
+
+    async save(state) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+        await fs.promises.rename(tmp, this.file);
+    }
+}
+
+module.exports = { MemoryStore, JsonFileStore };
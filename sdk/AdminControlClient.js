@@ -0,0 +1,59 @@
+const BaseClient = require("./BaseClient");
+
+/**
+ * Wrapper around AdminControl for the settings the market and auction flows
+ * depend on: fees, KYC and roles.
+ */
+class AdminControlClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("AdminControl", address, signerOrProvider, options);
+    }
+
+    /** @returns {Promise<{baseFee: number, maxFee: number, feeCollector: string}>} basis points */
+    async getFeeConfig() {
+        const c = await this._call("feeConfig");
+        return { baseFee: c.baseFee.toNumber(), maxFee: c.maxFee.toNumber(), feeCollector: c.feeCollector };
+    }
+
+    /** @returns {Promise<number>} current base fee in basis points */
+    async getCurrentFee() {
+        return (await this._call("getCurrentFee")).toNumber();
+    }
+
+    async updateFeeConfig(baseFee, feeCollector) {
+        return this._send("updateFeeConfig", [baseFee, feeCollector]);
+    }
+
+    /** @returns {Promise<number>} seconds a market listing stays valid, 0 if listings never expire */
+    async getMaxListingLifetime() {
+        return (await this._call("maxListingLifetime")).toNumber();
+    }
+
+    async setMaxListingLifetime(seconds) {
+        return this._send("setMaxListingLifetime", [seconds]);
+    }
+
+    async isKYCVerified(account) {
+        return this._call("isKYCVerified", [account]);
+    }
+
+    /**
+     * Approves or revokes KYC for a list of accounts.
+     * @param {string[]} accounts
+     * @param {boolean} [approved=true]
+     */
+    async setKYC(accounts, approved = true) {
+        return this._send("batchApproveKYC", [accounts, approved]);
+    }
+
+    /**
+     * @param {string} role role name as declared on AdminControl, e.g. "KYC_ROLE"
+     * @param {string} account
+     */
+    async hasRole(role, account) {
+        const roleId = await this._call(role);
+        return this._call("hasRole", [roleId, account]);
+    }
+}
+
+module.exports = AdminControlClient;
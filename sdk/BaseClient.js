@@ -0,0 +1,76 @@
+const { ethers } = require("ethers");
+const { loadAbi } = require("./artifacts");
+const { decodeContractError } = require("./errors");
+
+/**
+ * Common plumbing for the contract clients: ABI loading, signer handling and
+ * revert decoding.
+ */
+class BaseClient {
+    /**
+     * @param {string} contractName artifact name used to load the ABI
+     * @param {string} address deployed contract address
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider
+     * @param {Object} [options]
+     * @param {Array} [options.abi] ABI to use instead of loading the artifact
+     * @param {string} [options.artifactsDir] where to look for artifacts
+     */
+    constructor(contractName, address, signerOrProvider, options = {}) {
+        this.contractName = contractName;
+        this.options = options;
+        const abi = options.abi || loadAbi(contractName, options);
+        this.contract = new ethers.Contract(address, abi, signerOrProvider);
+    }
+
+    get address() {
+        return this.contract.address;
+    }
+
+    get signer() {
+        if (!this.contract.signer) {
+            throw new Error(`${this.contractName} client has no signer; use connect(signer)`);
+        }
+        return this.contract.signer;
+    }
+
+    get provider() {
+        return this.contract.provider || this.contract.signer.provider;
+    }
+
+    /**
+     * Returns a new client of the same type bound to another signer.
+     * @param {ethers.Signer} signer
+     */
+    connect(signer) {
+        return new this.constructor(this.address, signer, { ...this.options, abi: this.contract.interface.fragments });
+    }
+
+    /** Rethrows `error` as a PropertyContractError when it is a known revert. */
+    decodeError(error) {
+        return decodeContractError(error, [this.contract.interface]);
+    }
+
+    /**
+     * Sends a transaction and waits for it to be mined.
+     * @returns {Promise<ethers.ContractReceipt>}
+     */
+    async _send(method, args, overrides = {}) {
+        try {
+            const tx = await this.contract[method](...args, overrides);
+            return await tx.wait();
+        } catch (error) {
+            throw this.decodeError(error);
+        }
+    }
+
+    /** Performs a read-only call, decoding reverts. */
+    async _call(method, args = []) {
+        try {
+            return await this.contract[method](...args);
+        } catch (error) {
+            throw this.decodeError(error);
+        }
+    }
+}
+
+module.exports = BaseClient;
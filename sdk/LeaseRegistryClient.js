@@ -0,0 +1,102 @@
+const BaseClient = require("./BaseClient");
+
+const LEASE_STATUS = ["PENDING", "ACTIVE", "TERMINATED", "CANCELLED"];
+
+// Lease bonus factors are in basis points of the full bonus
+const BASIS_POINTS = 10000;
+
+/** Unix seconds from a Date or a number of seconds. */
+function toTimestamp(value) {
+    return value instanceof Date ? Math.floor(value.getTime() / 1000) : Number(value);
+}
+
+/**
+ * High-level wrapper around LeaseRegistry: property managers draft leases,
+ * tenants countersign them, and the signed leases drive the lease bonus in
+ * the reward contracts.
+ *
+ * Rent is recorded as-is, in base units.
+ */
+class LeaseRegistryClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("LeaseRegistry", address, signerOrProvider, options);
+    }
+
+    /**
+     * Drafts a lease. Must be sent by an NFT_PROPERTY_MANAGER_ROLE holder.
+     * @param {Object} params
+     * @param {ethers.BigNumberish} params.tokenId
+     * @param {string} params.tenant
+     * @param {Date|number} params.start Date or unix seconds
+     * @param {Date|number} params.end Date or unix seconds
+     * @param {ethers.BigNumberish} params.rent
+     * @returns {Promise<number>} id of the new lease
+     */
+    async createLease({ tokenId, tenant, start, end, rent }) {
+        const receipt = await this._send("createLease", [tokenId, tenant, toTimestamp(start), toTimestamp(end), rent]);
+        return receipt.events.find(e => e.event === "LeaseCreated").args.leaseId.toNumber();
+    }
+
+    /** Countersigns a drafted lease; the connected account must be its tenant. */
+    async signLease(leaseId) {
+        return this._send("signLease", [leaseId]);
+    }
+
+    /** Withdraws a lease that has not been signed yet. */
+    async cancelLease(leaseId) {
+        return this._send("cancelLease", [leaseId]);
+    }
+
+    /** Ends a signed lease now. */
+    async terminateLease(leaseId) {
+        return this._send("terminateLease", [leaseId]);
+    }
+
+    /** @param {number} leaseId */
+    async getLease(leaseId) {
+        const lease = await this._call("getLease", [leaseId]);
+        return {
+            leaseId,
+            tenant: lease.tenant,
+            tokenId: lease.tokenId,
+            start: lease.start.toNumber(),
+            end: lease.end.toNumber(),
+            rent: lease.rent,
+            status: LEASE_STATUS[lease.status] || "UNKNOWN"
+        };
+    }
+
+    /** Every lease drafted for `tenant`, signed or not. */
+    async getLeasesOf(tenant) {
+        const ids = await this._call("leasesOf", [tenant]);
+        return Promise.all(ids.map(id => this.getLease(id.toNumber())));
+    }
+
+    /**
+     * The signed lease currently in effect for a property.
+     * @returns {Promise<Object|null>}
+     */
+    async getCurrentLease(tokenId) {
+        const { exists, leaseId } = await this._call("currentLease", [tokenId]);
+        return exists ? this.getLease(leaseId.toNumber()) : null;
+    }
+
+    /**
+     * What a tenant's leases count for in the reward contracts.
+     * @param {string} tenant
+     * @returns {Promise<{active: boolean, tenure: number, bonusFactor: number}>}
+     *          tenure in seconds, bonusFactor as a fraction of the full lease bonus (0 to 1)
+     */
+    async getLeaseStanding(tenant) {
+        const [active, tenure, factor] = await Promise.all([
+            this._call("hasActiveLease", [tenant]),
+            this._call("leaseTenure", [tenant]),
+            this._call("leaseBonusFactor", [tenant])
+        ]);
+        return { active, tenure: tenure.toNumber(), bonusFactor: factor.toNumber() / BASIS_POINTS };
+    }
+}
+
+LeaseRegistryClient.LEASE_STATUS = LEASE_STATUS;
+
+module.exports = LeaseRegistryClient;
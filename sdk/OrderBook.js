@@ -0,0 +1,158 @@
+const { ethers } = require("ethers");
+const { hashOffer, normalizeOffer, recoverOfferSigner } = require("./orders");
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Off-chain book of signed buyer offers for one PropertyOrderSettlement
+ * deployment.
+ *
+ * Offers are checked on the way in (domain, hash, signer, expiry) and can be
+ * pruned against on-chain state with `sync`. The book holds plain JSON, so
+ * `toJSON`/`fromJSON` are enough to persist it.
+ *
+ *   const book = new OrderBook({ chainId, settlement: settlementAddress });
+ *   book.add(signedOffer);
+ *   const best = book.bestOffer(tokenId, usdcAddress);
+ */
+class OrderBook {
+    /**
+     * @param {Object} params
+     * @param {number} params.chainId
+     * @param {string} params.settlement PropertyOrderSettlement address
+     */
+    constructor({ chainId, settlement }) {
+        this.chainId = chainId;
+        this.settlement = ethers.utils.getAddress(settlement);
+        this.orders = new Map();
+    }
+
+    /**
+     * Adds a signed offer and returns its hash.
+     * @param {Object} signed signed offer as produced by `signOffer`
+     * @param {Object} [options]
+     * @param {number} [options.now] unix time used for the expiry check
+     * @param {boolean} [options.verifySignature=true] set false for contract-wallet buyers
+     * @returns {string}
+     */
+    add(signed, { now = nowSeconds(), verifySignature = true } = {}) {
+        if (signed.chainId !== this.chainId || ethers.utils.getAddress(signed.settlement) !== this.settlement) {
+            throw new Error("Offer belongs to another settlement contract");
+        }
+        const offer = normalizeOffer(signed.offer);
+        const hash = hashOffer(this.chainId, this.settlement, offer);
+        if (signed.hash && signed.hash !== hash) {
+            throw new Error("Offer hash does not match its contents");
+        }
+        if (offer.expiry <= now) {
+            throw new Error("Offer has expired");
+        }
+        if (verifySignature) {
+            const signer = recoverOfferSigner(this.chainId, this.settlement, offer, signed.signature);
+            if (signer !== offer.buyer) {
+                throw new Error("Offer is not signed by its buyer");
+            }
+        }
+        this.orders.set(hash, { ...signed, settlement: this.settlement, offer, hash });
+        return hash;
+    }
+
+    /** Removes an offer; returns whether it was in the book. */
+    remove(hash) {
+        return this.orders.delete(hash);
+    }
+
+    /** Returns the signed offer with `hash`, or undefined. */
+    get(hash) {
+        return this.orders.get(hash);
+    }
+
+    get size() {
+        return this.orders.size;
+    }
+
+    /**
+     * Live offers on `tokenId`, highest price first.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {Object} [options]
+     * @param {string} [options.paymentToken] only offers paying in this token
+     * @param {number} [options.now]
+     */
+    offersFor(tokenId, { paymentToken, now = nowSeconds() } = {}) {
+        const id = ethers.BigNumber.from(tokenId).toString();
+        const token = paymentToken && ethers.utils.getAddress(paymentToken);
+        return [...this.orders.values()]
+            .filter(o => o.offer.tokenId === id && o.offer.expiry > now)
+            .filter(o => !token || o.offer.paymentToken === token)
+            .sort((a, b) => {
+                const diff = ethers.BigNumber.from(b.offer.price).sub(a.offer.price);
+                return diff.isZero() ? 0 : diff.isNegative() ? -1 : 1;
+            });
+    }
+
+    /** Highest live offer on `tokenId` in `paymentToken`, or null. */
+    bestOffer(tokenId, paymentToken, { now = nowSeconds() } = {}) {
+        return this.offersFor(tokenId, { paymentToken, now })[0] || null;
+    }
+
+    /** All offers signed by `buyer`. */
+    offersBy(buyer) {
+        const address = ethers.utils.getAddress(buyer);
+        return [...this.orders.values()].filter(o => o.offer.buyer === address);
+    }
+
+    /**
+     * Drops expired offers and offers that can no longer be filled.
+     * @param {Object} [state]
+     * @param {number} [state.now]
+     * @param {Object<string, ethers.BigNumberish>} [state.nonces] buyer => current on-chain nonce
+     * @param {Set<string>} [state.filled] hashes of filled offers
+     * @returns {string[]} hashes removed
+     */
+    prune({ now = nowSeconds(), nonces = {}, filled = new Set() } = {}) {
+        const removed = [];
+        for (const [hash, o] of this.orders) {
+            const nonce = nonces[o.offer.buyer];
+            const stale = nonce !== undefined && !ethers.BigNumber.from(nonce).eq(o.offer.nonce);
+            if (o.offer.expiry <= now || stale || filled.has(hash)) {
+                this.orders.delete(hash);
+                removed.push(hash);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Prunes against the chain: buyer nonces and filled flags are read from
+     * the settlement contract, expiry from the latest block.
+     * @param {import("./PropertyOrderSettlementClient")} client
+     * @returns {Promise<string[]>} hashes removed
+     */
+    async sync(client) {
+        const buyers = [...new Set([...this.orders.values()].map(o => o.offer.buyer))];
+        const hashes = [...this.orders.keys()];
+        const [block, nonceList, filledList] = await Promise.all([
+            client.provider.getBlock("latest"),
+            Promise.all(buyers.map(b => client.getNonce(b))),
+            Promise.all(hashes.map(h => client.isFilled(h)))
+        ]);
+        const nonces = Object.fromEntries(buyers.map((b, i) => [b, nonceList[i]]));
+        const filled = new Set(hashes.filter((_, i) => filledList[i]));
+        return this.prune({ now: block.timestamp, nonces, filled });
+    }
+
+    toJSON() {
+        return { chainId: this.chainId, settlement: this.settlement, orders: [...this.orders.values()] };
+    }
+
+    /** Restores a book saved with `toJSON`; offers are not re-verified. */
+    static fromJSON(json) {
+        const book = new OrderBook(json);
+        for (const o of json.orders) book.orders.set(o.hash, o);
+        return book;
+    }
+}
+
+module.exports = OrderBook;
@@ -0,0 +1,421 @@
+const { ethers } = require("ethers");
+const BaseClient = require("./BaseClient");
+const { normalizeAmount, getTokenDecimals, preparePayment } = require("./amounts");
+
+const AUCTION_STATUS = ["Active", "Settled", "Voided", "Cancelled", "ReserveNotMet"];
+const AUCTION_TYPE = ["English", "Dutch", "Sealed"];
+
+const ERC721_ABI = [
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function approve(address to, uint256 tokenId)"
+];
+
+/**
+ * High-level wrapper around PropertyAuction (contracts/market/SimpleAuction.sol).
+ *
+ * Bids are non-custodial: placeBid only records the amount, funds are pulled
+ * by depositFunds/buyNow once the auction has a winner.
+ *
+ * Auctions with payToken NATIVE_TOKEN (address(0)) are paid in ETH; ETH owed
+ * to sellers, fee/royalty receivers and refunded winners is claimed with
+ * withdrawPayments.
+ *
+ * When the seller requires a bidder bond (setBidBond), placeBid, commitBid and
+ * acceptDutchPrice escrow the missing part of it automatically.
+ */
+class PropertyAuctionClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("PropertyAuction", address, signerOrProvider, options);
+    }
+
+    async _amount(amount, payToken) {
+        return normalizeAmount(amount, await getTokenDecimals(this.provider, payToken));
+    }
+
+    /** Approves or attaches the bond top-up a bid of `amount` needs. */
+    async _bondPayment(auctionId, payToken, amount) {
+        const bidder = await this.signer.getAddress();
+        const [required, posted] = await Promise.all([
+            this._call("bondFor", [auctionId, amount]),
+            this._call("bidBonds", [auctionId, bidder])
+        ]);
+        const topUp = required.gt(posted) ? required.sub(posted) : ethers.constants.Zero;
+        return preparePayment(this.signer, payToken, this.address, topUp, { allowNative: true });
+    }
+
+    /**
+     * Creates an auction. The NFT stays with the seller until depositNFT.
+     * @param {Object} params
+     * @param {string} params.nft ERC-721 collection
+     * @param {ethers.BigNumberish} params.tokenId
+     * @param {string} params.payToken ERC20 payment token, or NATIVE_TOKEN for ETH
+     * @param {ethers.BigNumberish|string|number} params.minBid
+     * @param {number} params.duration bidding window in seconds
+     * @param {ethers.BigNumberish|string|number} [params.buyNowPrice] 0/omitted disables buy-now
+     * @returns {Promise<{auctionId: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+     */
+    async createAuction({ nft, tokenId, payToken, minBid, duration, buyNowPrice = 0 }) {
+        const receipt = await this._send("createAuction", [
+            nft,
+            tokenId,
+            payToken,
+            await this._amount(minBid, payToken),
+            duration,
+            buyNowPrice ? await this._amount(buyNowPrice, payToken) : 0
+        ]);
+        const created = receipt.events.find((e) => e.event === "AuctionCreated");
+        return { auctionId: created.args.auctionId, receipt };
+    }
+
+    /**
+     * Creates a Dutch auction whose price falls from `startPrice` to
+     * `floorPrice` over `duration` seconds.
+     * @param {Object} params
+     * @param {string} params.nft ERC-721 collection
+     * @param {ethers.BigNumberish} params.tokenId
+     * @param {string} params.payToken ERC20 payment token
+     * @param {ethers.BigNumberish|string|number} params.startPrice
+     * @param {ethers.BigNumberish|string|number} params.floorPrice
+     * @param {number} params.duration descending window in seconds
+     * @param {number} [params.stepDuration] seconds between price drops, 0/omitted for a linear decline
+     * @returns {Promise<{auctionId: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+     */
+    async createDutchAuction({ nft, tokenId, payToken, startPrice, floorPrice, duration, stepDuration = 0 }) {
+        const receipt = await this._send("createDutchAuction", [
+            nft,
+            tokenId,
+            payToken,
+            await this._amount(startPrice, payToken),
+            await this._amount(floorPrice, payToken),
+            duration,
+            stepDuration
+        ]);
+        const created = receipt.events.find((e) => e.event === "AuctionCreated");
+        return { auctionId: created.args.auctionId, receipt };
+    }
+
+    /**
+     * Takes a Dutch auction at its current price. Funds are escrowed
+     * afterwards with depositFunds.
+     */
+    async acceptDutchPrice(auctionId) {
+        const auction = await this.getAuction(auctionId);
+        const overrides = await this._bondPayment(auctionId, auction.payToken, await this.getDutchPrice(auctionId));
+        return this._send("acceptDutchPrice", [auctionId], overrides);
+    }
+
+    /** Current asking price of a Dutch auction, in base units. */
+    async getDutchPrice(auctionId) {
+        return this._call("currentDutchPrice", [auctionId]);
+    }
+
+    /**
+     * Creates a sealed-bid auction: bids are committed for `commitDuration`
+     * seconds, then revealed for `revealDuration` seconds.
+     * @param {Object} params
+     * @param {string} params.nft ERC-721 collection
+     * @param {ethers.BigNumberish} params.tokenId
+     * @param {string} params.payToken ERC20 payment token
+     * @param {ethers.BigNumberish|string|number} params.minBid
+     * @param {number} params.commitDuration
+     * @param {number} params.revealDuration
+     * @param {boolean} [params.vickrey] winner pays the second-highest revealed bid
+     * @returns {Promise<{auctionId: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+     */
+    async createSealedAuction({ nft, tokenId, payToken, minBid, commitDuration, revealDuration, vickrey = false }) {
+        const receipt = await this._send("createSealedAuction", [
+            nft,
+            tokenId,
+            payToken,
+            await this._amount(minBid, payToken),
+            commitDuration,
+            revealDuration,
+            vickrey
+        ]);
+        const created = receipt.events.find((e) => e.event === "AuctionCreated");
+        return { auctionId: created.args.auctionId, receipt };
+    }
+
+    /**
+     * Commits a sealed bid. Keep the returned `amount` and `salt`: both are
+     * needed for revealBid and cannot be recovered from the chain.
+     * @param {ethers.BigNumberish} auctionId
+     * @param {ethers.BigNumberish|string|number} amount
+     * @param {string} [salt] 32-byte hex, random if omitted
+     * @returns {Promise<{amount: ethers.BigNumber, salt: string, commitment: string, receipt: ethers.ContractReceipt}>}
+     */
+    async commitBid(auctionId, amount, salt = ethers.utils.hexlify(ethers.utils.randomBytes(32))) {
+        const auction = await this.getAuction(auctionId);
+        const baseAmount = await this._amount(amount, auction.payToken);
+        const commitment = hashSealedBid(auctionId, await this.signer.getAddress(), baseAmount, salt);
+        const overrides = await this._bondPayment(auctionId, auction.payToken, 0);
+        const receipt = await this._send("commitBid", [auctionId, commitment], overrides);
+        return { amount: baseAmount, salt, commitment, receipt };
+    }
+
+    /** Reveals a bid committed with commitBid; `amount` is in base units. */
+    async revealBid(auctionId, amount, salt) {
+        return this._send("revealBid", [auctionId, amount, salt]);
+    }
+
+    /**
+     * Records a bid on `auctionId`. No funds are pulled beyond any bidder
+     * bond. A bid inside the
+     * anti-sniping window extends the auction; the receipt then carries an
+     * AuctionExtended event (see onAuctionExtended).
+     */
+    async placeBid(auctionId, amount) {
+        const auction = await this.getAuction(auctionId);
+        const baseAmount = await this._amount(amount, auction.payToken);
+        const overrides = await this._bondPayment(auctionId, auction.payToken, baseAmount);
+        return this._send("placeBid", [auctionId, baseAmount], overrides);
+    }
+
+    /**
+     * Seller enables anti-sniping on an English auction before the first bid:
+     * a bid within `window` seconds of the end pushes it out by `extension`
+     * seconds, up to `maxExtension` in total. Pass zeros to disable.
+     */
+    async setAntiSniping(auctionId, { window, extension, maxExtension }) {
+        return this._send("setAntiSniping", [auctionId, window, extension, maxExtension]);
+    }
+
+    /** Anti-sniping settings of `auctionId`, all zero when disabled. */
+    async getAntiSniping(auctionId) {
+        const x = await this._call("extensionConfigs", [auctionId]);
+        return {
+            window: x.window,
+            extension: x.extension,
+            maxExtension: x.maxExtension,
+            totalExtended: x.totalExtended
+        };
+    }
+
+    /**
+     * Past AuctionExtended events of `auctionId`, oldest first.
+     * @returns {Promise<Array<{auctionId: ethers.BigNumber, newBiddingEnd: number, totalExtended: number, blockNumber: number, transactionHash: string}>>}
+     */
+    async getAuctionExtensions(auctionId, fromBlock = 0) {
+        const events = await this.contract.queryFilter(this.contract.filters.AuctionExtended(auctionId), fromBlock);
+        return events.map(toExtension);
+    }
+
+    /**
+     * Calls `listener(extension)` whenever `auctionId` (or any auction, if
+     * null) is extended by a late bid.
+     * @returns {Function} unsubscribe
+     */
+    onAuctionExtended(auctionId, listener) {
+        const filter = this.contract.filters.AuctionExtended(auctionId);
+        const handler = (...args) => listener(toExtension(args[args.length - 1]));
+        this.contract.on(filter, handler);
+        return () => this.contract.off(filter, handler);
+    }
+
+    /**
+     * Seller commits a hidden reserve before the first bid. Keep the returned
+     * `reserve` and `salt` to decline a winning bid below it later.
+     * @param {ethers.BigNumberish} auctionId
+     * @param {ethers.BigNumberish|string|number} reserve
+     * @param {string} [salt] 32-byte hex, random if omitted
+     * @returns {Promise<{reserve: ethers.BigNumber, salt: string, commitment: string, receipt: ethers.ContractReceipt}>}
+     */
+    async setReserve(auctionId, reserve, salt = ethers.utils.hexlify(ethers.utils.randomBytes(32))) {
+        const auction = await this.getAuction(auctionId);
+        const baseReserve = await this._amount(reserve, auction.payToken);
+        const commitment = hashReserve(auctionId, baseReserve, salt);
+        const receipt = await this._send("setReserveCommitment", [auctionId, commitment]);
+        return { reserve: baseReserve, salt, commitment, receipt };
+    }
+
+    /** Seller reveals the reserve to decline a winning bid below it; `reserve` is in base units. */
+    async declineBelowReserve(auctionId, reserve, salt) {
+        return this._send("declineBelowReserve", [auctionId, reserve, salt]);
+    }
+
+    /** Seller reveals the reserve to raise a Vickrey price below it when the winner bid above it. */
+    async applyReserve(auctionId, reserve, salt) {
+        return this._send("applyReserve", [auctionId, reserve, salt]);
+    }
+
+    /**
+     * Seller requires a bidder bond before the first bid: either `bps` of each
+     * bid (English only) or a flat `fixedAmount`. Pass neither to remove it.
+     */
+    async setBidBond(auctionId, { bps = 0, fixedAmount = 0 } = {}) {
+        const auction = await this.getAuction(auctionId);
+        return this._send("setBidBond", [auctionId, bps, await this._amount(fixedAmount, auction.payToken)]);
+    }
+
+    /** @returns {Promise<{bps: number, fixedAmount: ethers.BigNumber}>} */
+    async getBidBond(auctionId) {
+        const b = await this._call("bondConfigs", [auctionId]);
+        return { bps: Number(b.bps), fixedAmount: b.fixedAmount };
+    }
+
+    /** Bond escrowed by `bidder` (default: the signer), in base units. */
+    async getPostedBond(auctionId, bidder) {
+        return this._call("bidBonds", [auctionId, bidder || (await this.signer.getAddress())]);
+    }
+
+    /** Reclaims the signer's bond once bidding has ended and they did not win. */
+    async claimBond(auctionId) {
+        return this._send("claimBond", [auctionId]);
+    }
+
+    /** Withdraws the caller's (non-highest) bid. */
+    async withdrawBid(auctionId) {
+        return this._send("withdrawBid", [auctionId]);
+    }
+
+    /** Buys at the buy-now price, escrowing the funds immediately. */
+    async buyNow(auctionId) {
+        const auction = await this.getAuction(auctionId);
+        const overrides = await preparePayment(this.signer, auction.payToken, this.address, auction.buyNowPrice, { allowNative: true });
+        return this._send("buyNow", [auctionId], overrides);
+    }
+
+    /**
+     * Seller ends the auction early by accepting one of the top bids.
+     * @param {ethers.BigNumberish} auctionId
+     * @param {number} bidIndex 0-based index into the top bids
+     */
+    async acceptBid(auctionId, bidIndex) {
+        return this._send("acceptBid", [auctionId, bidIndex]);
+    }
+
+    /** Seller escrows the NFT, approving the auction contract first if needed. */
+    async depositNFT(auctionId) {
+        const auction = await this.getAuction(auctionId);
+        const nft = new ethers.Contract(auction.nft, ERC721_ABI, this.signer);
+        const owner = await this.signer.getAddress();
+        const approved = await nft.getApproved(auction.tokenId);
+        if (approved !== this.address && !(await nft.isApprovedForAll(owner, this.address))) {
+            await (await nft.approve(this.address, auction.tokenId)).wait();
+        }
+        return this._send("depositNFT", [auctionId]);
+    }
+
+    /** Winner, or the current second-chance offeree, escrows the winning amount. */
+    async depositFunds(auctionId) {
+        const auction = await this.getAuction(auctionId);
+        const overrides = await preparePayment(this.signer, auction.payToken, this.address, auction.highestBid, { allowNative: true });
+        return this._send("depositFunds", [auctionId], overrides);
+    }
+
+    /** ETH credited to `account` (default: the signer) by ETH auctions. */
+    async getPendingWithdrawal(account) {
+        return this._call("pendingWithdrawals", [account || (await this.signer.getAddress())]);
+    }
+
+    /** Claims the signer's credited ETH, to `to` (default: the signer). */
+    async withdrawPayments(to) {
+        return this._send("withdrawPayments", [to || (await this.signer.getAddress())]);
+    }
+
+    /**
+     * Seller offers a defaulted auction to the highest remaining bidder at
+     * their own bid. The offeree accepts with depositFunds within
+     * `acceptWindow` seconds; after that the seller can offer it further down.
+     * @returns {Promise<{bidder: string, amount: ethers.BigNumber, deadline: number, receipt: ethers.ContractReceipt}>}
+     */
+    async offerSecondChance(auctionId, acceptWindow) {
+        const receipt = await this._send("offerSecondChance", [auctionId, acceptWindow]);
+        const event = receipt.events.find((e) => e.event === "SecondChanceOffered");
+        return {
+            bidder: event.args.bidder,
+            amount: event.args.amount,
+            deadline: Number(event.args.deadline),
+            receipt
+        };
+    }
+
+    /**
+     * The pending second-chance offer, or null if none was made.
+     * @returns {Promise<{bidder: string, amount: ethers.BigNumber, deadline: number, expired: boolean}|null>}
+     */
+    async getSecondChanceOffer(auctionId) {
+        const deadline = Number(await this._call("secondChanceDeadlines", [auctionId]));
+        if (deadline === 0) {
+            return null;
+        }
+        const [auction, block] = await Promise.all([
+            this.getAuction(auctionId),
+            this.provider.getBlock("latest")
+        ]);
+        return {
+            bidder: auction.highestBidder,
+            amount: auction.highestBid,
+            deadline,
+            expired: !auction.fundsDeposited && block.timestamp > deadline
+        };
+    }
+
+    async voidAuction(auctionId) {
+        return this._send("voidAuction", [auctionId]);
+    }
+
+    async cancelAuction(auctionId) {
+        return this._send("cancelAuction", [auctionId]);
+    }
+
+    /* --------------------------------- Views -------------------------------- */
+
+    async getAuction(auctionId) {
+        const a = await this._call("auctions", [auctionId]);
+        if (a.seller === ethers.constants.AddressZero) {
+            throw new Error(`Auction ${auctionId} does not exist`);
+        }
+        const type = await this._call("auctionTypes", [auctionId]);
+        return {
+            type: AUCTION_TYPE[type] || "UNKNOWN",
+            seller: a.seller,
+            nft: a.nft,
+            tokenId: a.tokenId,
+            payToken: a.payToken,
+            minBid: a.minBid,
+            buyNowPrice: a.buyNowPrice,
+            biddingEnd: Number(a.biddingEnd),
+            highestBidder: a.highestBidder,
+            highestBid: a.highestBid,
+            nftDeposited: a.nftDeposited,
+            fundsDeposited: a.fundsDeposited,
+            status: AUCTION_STATUS[a.status] || "UNKNOWN"
+        };
+    }
+}
+
+function toExtension(event) {
+    return {
+        auctionId: event.args.auctionId,
+        newBiddingEnd: Number(event.args.newBiddingEnd),
+        totalExtended: Number(event.args.totalExtended),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+    };
+}
+
+/** Off-chain equivalent of PropertyAuction.hashSealedBid. */
+function hashSealedBid(auctionId, bidder, amount, salt) {
+    return ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(
+            ["uint256", "address", "uint128", "bytes32"],
+            [auctionId, bidder, amount, salt]
+        )
+    );
+}
+
+/** Off-chain equivalent of PropertyAuction.hashReserve. */
+function hashReserve(auctionId, reserve, salt) {
+    return ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(["uint256", "uint128", "bytes32"], [auctionId, reserve, salt])
+    );
+}
+
+PropertyAuctionClient.hashSealedBid = hashSealedBid;
+PropertyAuctionClient.hashReserve = hashReserve;
+PropertyAuctionClient.AUCTION_STATUS = AUCTION_STATUS;
+PropertyAuctionClient.AUCTION_TYPE = AUCTION_TYPE;
+
+module.exports = PropertyAuctionClient;
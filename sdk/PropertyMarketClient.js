@@ -0,0 +1,374 @@
+const { ethers } = require("ethers");
+const BaseClient = require("./BaseClient");
+const { normalizeAmount, getTokenDecimals, preparePayment } = require("./amounts");
+const { permitIfNeeded } = require("./permit");
+const { loadAbi } = require("./artifacts");
+const { decodeContractError } = require("./errors");
+
+const PROPERTY_STATUS = ["LISTED", "SOLD", "DELISTED", "PENDING_SELLER_CONFIRMATION", "EXPIRED"];
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * High-level wrapper around PropertyMarket.
+ *
+ * Amounts may be given in base units (BigNumber/bigint) or as human-readable
+ * strings/numbers, which are scaled by the payment token's decimals.
+ * ERC20 allowances are topped up automatically before paying calls; for
+ * ERC-2612 tokens such as LIFE a signed permit is sent with the call instead
+ * of a separate approve transaction.
+ *
+ * Batch listing, permit payments and the active-bid views are served by
+ * PropertyMarketPeriphery; pass its address as `options.periphery` to use
+ * them. Without it purchases and bids always pay through an approve.
+ */
+class PropertyMarketClient extends BaseClient {
+    /**
+     * @param {string} address PropertyMarket address
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider
+     * @param {Object} [options] see BaseClient
+     * @param {string} [options.periphery] PropertyMarketPeriphery address
+     * @param {Array} [options.peripheryAbi] periphery ABI to use instead of loading the artifact
+     */
+    constructor(address, signerOrProvider, options = {}) {
+        super("PropertyMarket", address, signerOrProvider, options);
+        this.periphery = options.periphery
+            ? new ethers.Contract(
+                options.periphery,
+                options.peripheryAbi || loadAbi("PropertyMarketPeriphery", options),
+                signerOrProvider
+            )
+            : null;
+    }
+
+    decodeError(error) {
+        const interfaces = [this.contract.interface];
+        if (this.periphery) interfaces.push(this.periphery.interface);
+        return decodeContractError(error, interfaces);
+    }
+
+    async _amount(amount, paymentToken) {
+        return normalizeAmount(amount, await getTokenDecimals(this.provider, paymentToken));
+    }
+
+    /* ------------------------------- Listings ------------------------------- */
+
+    /**
+     * Lists a property for direct sale.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {ethers.BigNumberish|string|number} price
+     * @param {string} paymentToken allowed ERC20 payment token
+     */
+    async listProperty(tokenId, price, paymentToken) {
+        const amount = await this._amount(price, paymentToken);
+        return this._send("listProperty", [tokenId, amount, paymentToken]);
+    }
+
+    /**
+     * Lists a property whose purchases must be confirmed by the seller.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {ethers.BigNumberish|string|number} price
+     * @param {string} paymentToken
+     * @param {number} confirmationPeriod seconds, at most 7 days
+     */
+    async listPropertyWithConfirmation(tokenId, price, paymentToken, confirmationPeriod) {
+        const amount = await this._amount(price, paymentToken);
+        return this._send("listPropertyWithConfirmation", [tokenId, amount, paymentToken, confirmationPeriod]);
+    }
+
+    /** Updates price and payment token of the caller's own listing. */
+    async updateListing(tokenId, newPrice, newPaymentToken) {
+        const amount = await this._amount(newPrice, newPaymentToken);
+        return this._send("updateListingBySeller", [tokenId, amount, newPaymentToken]);
+    }
+
+    /** Withdraws the caller's listing, refunding all active bids and any pending purchase. */
+    async delistProperty(tokenId) {
+        return this._send("delistProperty", [tokenId]);
+    }
+
+    /** Restarts the lifetime of the caller's listing (see AdminControl.maxListingLifetime). */
+    async renewListing(tokenId) {
+        return this._send("renewListing", [tokenId]);
+    }
+
+    /** Marks a lapsed listing EXPIRED and refunds its bids. Anyone may call this. */
+    async expireListing(tokenId) {
+        return this._send("expireListing", [tokenId]);
+    }
+
+    /**
+     * Lists several properties in one transaction. Each token must be owned by
+     * the signer and approved for the market.
+     * @param {Array<{tokenId: ethers.BigNumberish, price: ethers.BigNumberish|string|number, paymentToken: string}>} items
+     * @param {Object} [options]
+     * @param {boolean} [options.atomic=false] revert on the first invalid item instead of skipping it
+     * @param {number} [options.confirmationPeriod] list with seller confirmation (seconds, at most 7 days)
+     * @returns {Promise<{receipt: ethers.ContractReceipt, results: Array<{tokenId: ethers.BigNumber, ok: boolean, reason: string|null}>}>}
+     */
+    async batchListProperty(items, { atomic = false, confirmationPeriod } = {}) {
+        const args = await this._batchArgs(items, "price");
+        const receipt = confirmationPeriod === undefined
+            ? await this._sendPeriphery("batchListProperty", [...args, atomic])
+            : await this._sendPeriphery("batchListPropertyWithConfirmation", [...args, confirmationPeriod, atomic]);
+        return { receipt, results: this._batchResults(args[0], receipt, "NewListing") };
+    }
+
+    /**
+     * Updates several of the signer's listings in one transaction.
+     * @param {Array<{tokenId: ethers.BigNumberish, price: ethers.BigNumberish|string|number, paymentToken: string}>} items
+     * @param {Object} [options]
+     * @param {boolean} [options.atomic=false]
+     */
+    async batchUpdateListing(items, { atomic = false } = {}) {
+        const args = await this._batchArgs(items, "price");
+        const receipt = await this._sendPeriphery("batchUpdateListingBySeller", [...args, atomic]);
+        return { receipt, results: this._batchResults(args[0], receipt, "ListingUpdated") };
+    }
+
+    async _batchArgs(items, amountKey) {
+        const tokenIds = items.map((item) => item.tokenId);
+        const amounts = await Promise.all(items.map((item) => this._amount(item[amountKey], item.paymentToken)));
+        return [tokenIds, amounts, items.map((item) => item.paymentToken)];
+    }
+
+    // Each item emits either `successEvent` from the market or BatchItemFailed from the periphery, in order.
+    _batchResults(tokenIds, receipt, successEvent) {
+        const outcomes = receipt.logs
+            .map((log) => this._parseLog(log))
+            .filter((event) => event && (event.name === successEvent || event.name === "BatchItemFailed"));
+        return tokenIds.map((tokenId, i) => {
+            const reason = outcomes[i].name === "BatchItemFailed" ? outcomes[i].args.reason : null;
+            return { tokenId: ethers.BigNumber.from(tokenId), ok: reason === null, reason };
+        });
+    }
+
+    _parseLog(log) {
+        const emitter = log.address.toLowerCase();
+        const contract = [this.contract, this.periphery].find((c) => c && c.address.toLowerCase() === emitter);
+        if (!contract) return null;
+        try {
+            return contract.interface.parseLog(log);
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Buys a listed property. With a confirmation period this only creates a
+     * pending purchase; the funds stay escrowed until the seller decides.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {ethers.BigNumberish|string|number} [offerPrice] defaults to the listing price
+     * @param {Object} [options]
+     * @param {boolean} [options.permit=true] pay through a permit when the token supports it
+     */
+    async purchaseProperty(tokenId, offerPrice, { permit = true } = {}) {
+        const listing = await this.getListing(tokenId);
+        const amount = offerPrice === undefined
+            ? listing.price
+            : await this._amount(offerPrice, listing.paymentToken);
+        const signed = permit && this.periphery
+            && await permitIfNeeded(this.signer, listing.paymentToken, this.address, amount, amount);
+        if (signed) {
+            return this._sendPeriphery("purchasePropertyWithPermit", [tokenId, amount, signed.deadline, signed.v, signed.r, signed.s]);
+        }
+        const overrides = await preparePayment(this.signer, listing.paymentToken, this.address, amount);
+        return this._send("purchaseProperty", [tokenId, amount], overrides);
+    }
+
+    /** Seller accepts the pending purchase on `tokenId`. */
+    async confirmPurchase(tokenId) {
+        return this._send("confirmPurchase", [tokenId]);
+    }
+
+    /** Seller rejects the pending purchase on `tokenId`, refunding the buyer. */
+    async rejectPurchase(tokenId) {
+        return this._send("rejectPurchase", [tokenId]);
+    }
+
+    /** Refunds a pending purchase the seller did not answer in time. */
+    async cancelExpiredPurchase(tokenId) {
+        return this._send("cancelExpiredPurchase", [tokenId]);
+    }
+
+    /* --------------------------------- Bids --------------------------------- */
+
+    /**
+     * Places or raises a bid. When raising, only the difference is pulled.
+     * Raising without `expiresAt` clears any expiry set earlier. Bids with an
+     * expiry are always paid through an approve.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {ethers.BigNumberish|string|number} amount total bid amount
+     * @param {string} paymentToken
+     * @param {Object} [options]
+     * @param {number} [options.expiresAt] unix time after which the bid stops counting
+     * @param {boolean} [options.permit=true] pay through a permit when the token supports it
+     */
+    async placeBid(tokenId, amount, paymentToken, { expiresAt, permit = true } = {}) {
+        const bidAmount = await this._amount(amount, paymentToken);
+        const bidder = await this.signer.getAddress();
+        const existing = await this.getBidOf(tokenId, bidder);
+        const due = existing && existing.isActive ? bidAmount.sub(existing.amount) : bidAmount;
+        // The contract permits the full bid amount, of which only `due` is pulled.
+        const signed = permit && !expiresAt && this.periphery
+            && await permitIfNeeded(this.signer, paymentToken, this.address, due, bidAmount);
+        if (signed) {
+            return this._sendPeriphery("placeBidWithPermit", [tokenId, bidAmount, paymentToken, signed.deadline, signed.v, signed.r, signed.s]);
+        }
+        const overrides = await preparePayment(this.signer, paymentToken, this.address, due);
+        if (expiresAt) {
+            return this._send("placeBidWithExpiry", [tokenId, bidAmount, paymentToken, expiresAt], overrides);
+        }
+        return this._send("placeBid", [tokenId, bidAmount, paymentToken], overrides);
+    }
+
+    /** Refunds every expired bid on `tokenId`. Anyone may call this. */
+    async sweepExpiredBids(tokenId) {
+        return this._send("sweepExpiredBids", [tokenId]);
+    }
+
+    /**
+     * Seller accepts a bid. The expected bidder/amount/token guards required by
+     * the contract are filled in from the current on-chain bid.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {number} bidIndex 1-based bid index as used by the contract
+     */
+    async acceptBid(tokenId, bidIndex) {
+        const bid = await this._call("bidsForToken", [tokenId, bidIndex - 1]);
+        return this._send("acceptBid", [tokenId, bidIndex, bid.bidder, bid.amount, bid.paymentToken]);
+    }
+
+    /** Cancels the caller's bid on `tokenId` and refunds it. */
+    async cancelBid(tokenId) {
+        return this._send("cancelBid", [tokenId]);
+    }
+
+    /* --------------------------------- Views -------------------------------- */
+
+    /**
+     * `expiresAt` is 0 when listings never expire; `expired` is true once a
+     * LISTED listing has lapsed, even before anyone calls expireListing.
+     * @returns {Promise<{seller: string, price: ethers.BigNumber, paymentToken: string,
+     *   status: string, listTimestamp: number, confirmationPeriod: number,
+     *   expiresAt: number, expired: boolean}>}
+     */
+    async getListing(tokenId) {
+        const [l, expiresAt, expired] = await Promise.all([
+            this._call("getListingDetails", [tokenId]),
+            this._call("listingExpiresAt", [tokenId]),
+            this._call("isListingExpired", [tokenId])
+        ]);
+        return {
+            seller: l.seller,
+            price: l.price,
+            paymentToken: l.paymentToken,
+            status: PROPERTY_STATUS[l.status] || "UNKNOWN",
+            listTimestamp: l.listTimestamp.toNumber(),
+            confirmationPeriod: l.confirmationPeriod.toNumber(),
+            expiresAt: expiresAt.toNumber(),
+            expired: l.status === 0 && expired
+        };
+    }
+
+    /** Returns the pending purchase for `tokenId`, or null when there is none. */
+    async getPendingPurchase(tokenId) {
+        const p = await this._call("pendingPurchases", [tokenId]);
+        if (!p.isActive) return null;
+        return {
+            buyer: p.buyer,
+            offerPrice: p.offerPrice,
+            paymentToken: p.paymentToken,
+            purchaseTimestamp: p.purchaseTimestamp.toNumber(),
+            confirmationDeadline: p.confirmationDeadline.toNumber()
+        };
+    }
+
+    /**
+     * Returns `bidder`'s bid on `tokenId` (with its 1-based index), or null.
+     * `expiresAt` is a unix time, or 0 for a bid that never expires.
+     */
+    async getBidOf(tokenId, bidder) {
+        const index = (await this._call("bidIndexByBidder", [bidder, tokenId])).toNumber();
+        if (index === 0) return null;
+        const [bid, expiresAt] = await Promise.all([
+            this._call("bidsForToken", [tokenId, index - 1]),
+            this._call("bidExpiresAt", [tokenId, bidder])
+        ]);
+        return { index, ...toBid(bid), expiresAt: expiresAt.toNumber() };
+    }
+
+    /** Number of active bids on `tokenId`. */
+    async getActiveBidCount(tokenId) {
+        return (await this._callPeriphery("getActiveBidCount", [tokenId])).toNumber();
+    }
+
+    /**
+     * One page of active bids on `tokenId`, in bid order. Each bid carries
+     * its 1-based index for `acceptBid`; `total` is the active bid count.
+     */
+    async getActiveBidsPage(tokenId, offset = 0, limit = DEFAULT_PAGE_SIZE) {
+        const [page, bidIndices, total] = await this._callPeriphery("getActiveBids", [tokenId, offset, limit]);
+        return {
+            bids: page.map((bid, i) => ({ index: bidIndices[i].toNumber(), ...toBid(bid) })),
+            total: total.toNumber()
+        };
+    }
+
+    /** Returns all active bids on `tokenId`, fetched page by page. */
+    async getActiveBids(tokenId, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        const bids = [];
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await this.getActiveBidsPage(tokenId, offset, pageSize);
+            bids.push(...page.bids);
+            if (page.bids.length < pageSize || bids.length >= page.total) break;
+        }
+        return bids;
+    }
+
+    /** Highest active bid on `tokenId` for each payment token bid in. */
+    async getHighestBids(tokenId) {
+        const [paymentTokens, amounts, bidders] = await this._callPeriphery("getHighestBidsByPaymentToken", [tokenId]);
+        return paymentTokens.map((paymentToken, i) => ({ paymentToken, amount: amounts[i], bidder: bidders[i] }));
+    }
+
+    /* ------------------------------ Periphery ------------------------------- */
+
+    _requirePeriphery(method) {
+        if (!this.periphery) {
+            throw new Error(`${method} is served by PropertyMarketPeriphery; pass its address as options.periphery`);
+        }
+        return this.periphery;
+    }
+
+    async _sendPeriphery(method, args) {
+        const periphery = this._requirePeriphery(method);
+        try {
+            const tx = await periphery[method](...args);
+            return await tx.wait();
+        } catch (error) {
+            throw this.decodeError(error);
+        }
+    }
+
+    async _callPeriphery(method, args) {
+        const periphery = this._requirePeriphery(method);
+        try {
+            return await periphery[method](...args);
+        } catch (error) {
+            throw this.decodeError(error);
+        }
+    }
+}
+
+function toBid(bid) {
+    return {
+        bidder: bid.bidder,
+        amount: bid.amount,
+        paymentToken: bid.paymentToken,
+        bidTimestamp: bid.bidTimestamp.toNumber(),
+        isActive: bid.isActive
+    };
+}
+
+PropertyMarketClient.PROPERTY_STATUS = PROPERTY_STATUS;
+
+module.exports = PropertyMarketClient;
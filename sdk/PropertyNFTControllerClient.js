@@ -0,0 +1,91 @@
+const BaseClient = require("./BaseClient");
+const { loadMetadata, hashMetadata, validatePropertyMetadata } = require("./metadata");
+
+/**
+ * High-level wrapper around ManageLifePropertyNFTController's metadata
+ * attestations: property managers record the hash of each token's metadata
+ * JSON, and anyone can check the JSON served for a token against it.
+ */
+class PropertyNFTControllerClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("ManageLifePropertyNFTController", address, signerOrProvider, options);
+    }
+
+    /**
+     * Attests the metadata of `tokenId`. Must be sent by an
+     * NFT_PROPERTY_MANAGER_ROLE holder.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {Object} params
+     * @param {string} [params.source] path or URL to hash the metadata from
+     * @param {string} [params.contentHash] hash to attest instead of loading `source`
+     * @param {string} [params.cid] IPFS CID of the metadata
+     * @param {string} [params.ipfsGateway]
+     * @returns {Promise<number>} the new attestation version
+     */
+    async attestMetadata(tokenId, { source, contentHash, cid = "", ipfsGateway } = {}) {
+        const hash = contentHash || hashMetadata(await loadMetadata(source, { ipfsGateway }));
+        const receipt = await this._send("attestMetadata", [tokenId, hash, cid]);
+        return receipt.events.find(e => e.event === "MetadataAttested").args.version.toNumber();
+    }
+
+    /**
+     * An attestation of `tokenId`; the latest one unless `version` is given.
+     * @returns {Promise<{version: number, contentHash: string, cid: string, attester: string, attestedAt: number}|null>}
+     *          null when the token has never been attested
+     */
+    async getMetadataAttestation(tokenId, version) {
+        const count = (await this._call("metadataVersionCount", [tokenId])).toNumber();
+        if (version === undefined) version = count;
+        if (version === 0) return null;
+        const a = await this._call("metadataAttestation", [tokenId, version]);
+        return { version, contentHash: a.contentHash, cid: a.cid, attester: a.attester, attestedAt: a.attestedAt.toNumber() };
+    }
+
+    /** Every attestation of `tokenId`, oldest first. */
+    async getMetadataHistory(tokenId) {
+        const count = (await this._call("metadataVersionCount", [tokenId])).toNumber();
+        return Promise.all([...Array(count).keys()].map(i => this.getMetadataAttestation(tokenId, i + 1)));
+    }
+
+    /**
+     * Loads a token's metadata, checks it against the property document schema
+     * and compares its hash with the latest attestation.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {Object} [options]
+     * @param {string} [options.source] path or URL; defaults to ipfs://<cid> of the latest attestation
+     * @param {string} [options.ipfsGateway]
+     * @param {Object} [options.schema]
+     * @returns {Promise<{valid: boolean, schemaValid: boolean, hashMatches: boolean, errors: Array<string>,
+     *          contentHash: string, attestation: Object|null, metadata: Object|null}>}
+     */
+    async validateMetadata(tokenId, { source, ipfsGateway, schema } = {}) {
+        const attestation = await this.getMetadataAttestation(tokenId);
+        const location = source || (attestation && attestation.cid ? `ipfs://${attestation.cid}` : null);
+        if (!location) {
+            throw new Error(`No metadata source given and token ${tokenId} has no attested IPFS CID`);
+        }
+
+        const result = validatePropertyMetadata(await loadMetadata(location, { ipfsGateway }), { schema });
+        const errors = [...result.errors];
+        let hashMatches = false;
+        if (!attestation) {
+            errors.push(`Token ${tokenId} has no metadata attestation`);
+        } else if (attestation.contentHash !== result.contentHash) {
+            errors.push(`Content hash ${result.contentHash} does not match attested version ${attestation.version} (${attestation.contentHash})`);
+        } else {
+            hashMatches = true;
+        }
+
+        return {
+            valid: result.valid && hashMatches,
+            schemaValid: result.valid,
+            hashMatches,
+            errors,
+            contentHash: result.contentHash,
+            attestation,
+            metadata: result.metadata
+        };
+    }
+}
+
+module.exports = PropertyNFTControllerClient;
@@ -0,0 +1,89 @@
+const BaseClient = require("./BaseClient");
+const { normalizeAmount, getTokenDecimals, preparePayment } = require("./amounts");
+const { signOffer, normalizeOffer } = require("./orders");
+const { signPermit } = require("./permit");
+
+/**
+ * High-level wrapper around PropertyOrderSettlement: buyers sign offers
+ * off-chain, sellers fill them.
+ *
+ * Signed offers are plain JSON (see orders.js) and can be collected in an
+ * OrderBook. The seller must approve the settlement contract for the NFT
+ * before filling.
+ */
+class PropertyOrderSettlementClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("PropertyOrderSettlement", address, signerOrProvider, options);
+    }
+
+    async _amount(amount, paymentToken) {
+        return normalizeAmount(amount, await getTokenDecimals(this.provider, paymentToken));
+    }
+
+    /**
+     * Signs an offer as the connected buyer. Nothing is sent on-chain except,
+     * for tokens without ERC-2612 permits, an allowance top-up.
+     *
+     * A permit consumes the token's permit nonce, so with several open offers
+     * in the same permit token only the first one filled can use its permit;
+     * pass `permit: false` to rely on an allowance instead.
+     * @param {Object} params
+     * @param {ethers.BigNumberish} params.tokenId
+     * @param {ethers.BigNumberish|string|number} params.price
+     * @param {string} params.paymentToken
+     * @param {number} params.expiry unix time the offer is valid until
+     * @param {ethers.BigNumberish} [params.nonce] defaults to the buyer's current nonce
+     * @param {boolean} [params.permit=true] attach a permit when the token supports it
+     * @returns {Promise<Object>} signed offer
+     */
+    async signOffer({ tokenId, price, paymentToken, expiry, nonce, permit = true }) {
+        const buyer = await this.signer.getAddress();
+        const amount = await this._amount(price, paymentToken);
+        const offerNonce = nonce === undefined ? await this.getNonce(buyer) : nonce;
+        const signed = await signOffer(this.signer, this.address, {
+            buyer,
+            tokenId,
+            paymentToken,
+            price: amount,
+            expiry,
+            nonce: offerNonce
+        });
+
+        const permitSignature = permit ? await signPermit(this.signer, paymentToken, this.address, amount, expiry) : null;
+        if (permitSignature) {
+            signed.permit = permitSignature;
+        } else {
+            await preparePayment(this.signer, paymentToken, this.address, amount);
+        }
+        return signed;
+    }
+
+    /**
+     * Fills a signed offer as the current NFT owner, using its permit if it has one.
+     * @param {Object} signed signed offer
+     */
+    async fillOffer(signed) {
+        const offer = normalizeOffer(signed.offer);
+        if (signed.permit) {
+            return this._send("fillOfferWithPermit", [offer, signed.signature, signed.permit]);
+        }
+        return this._send("fillOffer", [offer, signed.signature]);
+    }
+
+    /** Cancels every open offer the connected buyer has signed. */
+    async incrementNonce() {
+        return this._send("incrementNonce", []);
+    }
+
+    /** Nonce that new offers from `buyer` must carry. */
+    async getNonce(buyer) {
+        return this._call("nonces", [buyer]);
+    }
+
+    /** Whether the offer with EIP-712 hash `hash` has been filled. */
+    async isFilled(hash) {
+        return this._call("filled", [hash]);
+    }
+}
+
+module.exports = PropertyOrderSettlementClient;
@@ -0,0 +1,157 @@
+const { ethers } = require("ethers");
+const BaseClient = require("./BaseClient");
+const { normalizeAmount, getTokenDecimals, preparePayment } = require("./amounts");
+
+const VAULT_STATE = ["ACTIVE", "BUYOUT", "SOLD", "RECLAIMED"];
+
+// Shares are a plain 18-decimal ERC20
+const SHARE_DECIMALS = 18;
+
+/**
+ * High-level wrapper around a PropertyVault: one fractionalized property and
+ * its ERC20 shares. Vaults are created with PropertyVaultFactoryClient.
+ *
+ * Share amounts given as strings/numbers are whole shares (18 decimals);
+ * buyout prices are scaled by the vault's payment token decimals.
+ */
+class PropertyVaultClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("PropertyVault", address, signerOrProvider, options);
+    }
+
+    async _price(amount) {
+        const token = await this._call("paymentToken");
+        return normalizeAmount(amount, await getTokenDecimals(this.provider, token));
+    }
+
+    /**
+     * Starts a buyout for the whole property, or outbids the running one.
+     * The price is deposited, approving the payment token if needed.
+     * @param {ethers.BigNumberish|string|number} price
+     */
+    async startBuyout(price) {
+        const amount = await this._price(price);
+        await preparePayment(this.signer, await this._call("paymentToken"), this.address, amount);
+        return this._send("startBuyout", [amount]);
+    }
+
+    /**
+     * Escrows shares in favour of the running buyout.
+     * @param {ethers.BigNumberish|string|number} [shares] defaults to the whole balance
+     */
+    async acceptBuyout(shares) {
+        const amount = shares === undefined
+            ? await this.balanceOf(await this.signer.getAddress())
+            : normalizeAmount(shares, SHARE_DECIMALS);
+        return this._send("acceptBuyout", [amount]);
+    }
+
+    /** Withdraws the connected account's deposits from buyouts that were outbid. */
+    async withdrawRefund() {
+        return this._send("withdrawRefund", []);
+    }
+
+    /** Hands the NFT to the winning proposer once the buyout can complete. */
+    async completeBuyout() {
+        return this._send("completeBuyout", []);
+    }
+
+    /** Burns the connected holder's shares for their part of the sale price. */
+    async redeem() {
+        return this._send("redeem", []);
+    }
+
+    /** Dissolves the vault; the connected account must hold every share. */
+    async reclaim() {
+        return this._send("reclaim", []);
+    }
+
+    /**
+     * Share transfer; the recipient must be KYC-verified.
+     * @param {string} to
+     * @param {ethers.BigNumberish|string|number} shares
+     */
+    async transferShares(to, shares) {
+        return this._send("transfer", [to, normalizeAmount(shares, SHARE_DECIMALS)]);
+    }
+
+    async balanceOf(account) {
+        return this._call("balanceOf", [account]);
+    }
+
+    /** Static vault configuration. */
+    async getInfo() {
+        const [nft, tokenId, curator, paymentToken, reservePrice, buyoutDuration, totalSupply, name, symbol] = await Promise.all([
+            this._call("nft"),
+            this._call("tokenId"),
+            this._call("curator"),
+            this._call("paymentToken"),
+            this._call("reservePrice"),
+            this._call("buyoutDuration"),
+            this._call("totalSupply"),
+            this._call("name"),
+            this._call("symbol")
+        ]);
+        return {
+            address: this.address,
+            nft,
+            tokenId,
+            curator,
+            paymentToken,
+            reservePrice,
+            buyoutDuration: buyoutDuration.toNumber(),
+            totalSupply,
+            name,
+            symbol
+        };
+    }
+
+    /**
+     * Current vault state and buyout, if any. `canComplete` tells whether
+     * completeBuyout would succeed now.
+     */
+    async getBuyout() {
+        const [state, proposer, price, endTime, acceptedShares, totalSupply, quorum, base, block] = await Promise.all([
+            this._call("state"),
+            this._call("buyoutProposer"),
+            this._call("buyoutPrice"),
+            this._call("buyoutEnd"),
+            this._call("acceptedShares"),
+            this._call("totalSupply"),
+            this._call("ACCEPT_QUORUM"),
+            this._call("PERCENTAGE_BASE"),
+            this.provider.getBlock("latest")
+        ]);
+        const status = VAULT_STATE[state] || "UNKNOWN";
+        const quorumReached = acceptedShares.mul(base).gt(totalSupply.mul(quorum));
+        return {
+            state: status,
+            proposer,
+            price,
+            endTime: endTime.toNumber(),
+            acceptedShares,
+            quorumReached,
+            canComplete: status === "BUYOUT" && (block.timestamp >= endTime.toNumber() || quorumReached)
+        };
+    }
+
+    /**
+     * What `holder` would receive from redeem after a sale, escrowed shares
+     * included; zero before the vault is sold.
+     */
+    async getRedeemableAmount(holder) {
+        const [state, balance, escrowed, price, saleSupply] = await Promise.all([
+            this._call("state"),
+            this._call("balanceOf", [holder]),
+            this._call("acceptedBy", [holder]),
+            this._call("buyoutPrice"),
+            this._call("saleSupply")
+        ]);
+        if (VAULT_STATE[state] !== "SOLD") return ethers.constants.Zero;
+        return balance.add(escrowed).mul(price).div(saleSupply);
+    }
+}
+
+PropertyVaultClient.VAULT_STATE = VAULT_STATE;
+
+module.exports = PropertyVaultClient;
@@ -0,0 +1,95 @@
+const { ethers } = require("ethers");
+const BaseClient = require("./BaseClient");
+const PropertyVaultClient = require("./PropertyVaultClient");
+const { normalizeAmount, getTokenDecimals } = require("./amounts");
+
+const ERC721_ABI = [
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function approve(address to, uint256 tokenId)"
+];
+
+/**
+ * High-level wrapper around PropertyVaultFactory: fractionalizes properties
+ * and finds their vaults.
+ *
+ *   const factory = new PropertyVaultFactoryClient(factoryAddress, owner);
+ *   const vault = await factory.fractionalize({ tokenId, shares: "1000", paymentToken: usdc, reservePrice: "250000" });
+ *   await vault.connect(investor).startBuyout("300000");
+ */
+class PropertyVaultFactoryClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("PropertyVaultFactory", address, signerOrProvider, options);
+    }
+
+    /**
+     * Returns a PropertyVaultClient for `address`, sharing this client's signer and options.
+     * @param {string} address
+     */
+    vault(address) {
+        // The factory ABI must not be reused for the vault
+        return new PropertyVaultClient(address, this.contract.signer || this.provider, { ...this.options, abi: undefined });
+    }
+
+    /**
+     * Locks the connected owner's property in a new vault, approving the
+     * factory for the NFT first if needed.
+     * @param {Object} params
+     * @param {ethers.BigNumberish} params.tokenId
+     * @param {ethers.BigNumberish|string|number} params.shares share supply minted to the owner (18 decimals)
+     * @param {string} params.paymentToken ERC20 that buyouts are paid in
+     * @param {ethers.BigNumberish|string|number} params.reservePrice lowest buyout price for the whole property
+     * @param {number} [params.buyoutDuration=7 days] seconds a buyout stays open to outbids
+     * @param {string} [params.name] share token name, defaults to "ManageLife Property #<id>"
+     * @param {string} [params.symbol] share token symbol, defaults to "MLP<id>"
+     * @returns {Promise<PropertyVaultClient>}
+     */
+    async fractionalize({ tokenId, shares, paymentToken, reservePrice, buyoutDuration = 7 * 24 * 3600, name, symbol }) {
+        const id = ethers.BigNumber.from(tokenId);
+        const owner = await this.signer.getAddress();
+        const nft = new ethers.Contract(await this._call("nft"), ERC721_ABI, this.signer);
+        const approved = await nft.getApproved(id);
+        if (approved !== this.address && !(await nft.isApprovedForAll(owner, this.address))) {
+            await (await nft.approve(this.address, id)).wait();
+        }
+
+        const reserve = normalizeAmount(reservePrice, await getTokenDecimals(this.provider, paymentToken));
+        const receipt = await this._send("fractionalize", [
+            id,
+            name || `ManageLife Property #${id}`,
+            symbol || `MLP${id}`,
+            normalizeAmount(shares, 18),
+            paymentToken,
+            reserve,
+            buyoutDuration
+        ]);
+        const event = receipt.events.find(e => e.event === "VaultCreated");
+        return this.vault(event.args.vault);
+    }
+
+    /**
+     * Latest vault created for `tokenId`, or null.
+     * @param {ethers.BigNumberish} tokenId
+     * @returns {Promise<PropertyVaultClient|null>}
+     */
+    async getVault(tokenId) {
+        const address = await this._call("vaultOf", [tokenId]);
+        return address === ethers.constants.AddressZero ? null : this.vault(address);
+    }
+
+    /**
+     * Every vault with its configuration and buyout state.
+     * @returns {Promise<Array<Object>>}
+     */
+    async listVaults() {
+        const count = (await this._call("vaultCount")).toNumber();
+        const addresses = await Promise.all([...Array(count).keys()].map(i => this._call("vaults", [i])));
+        return Promise.all(addresses.map(async address => {
+            const vault = this.vault(address);
+            const [info, buyout] = await Promise.all([vault.getInfo(), vault.getBuyout()]);
+            return { ...info, ...buyout };
+        }));
+    }
+}
+
+module.exports = PropertyVaultFactoryClient;
@@ -0,0 +1,123 @@
+const BaseClient = require("./BaseClient");
+const PropertyVaultClient = require("./PropertyVaultClient");
+const { normalizeAmount, getTokenDecimals, preparePayment } = require("./amounts");
+
+/**
+ * High-level wrapper around RentDistributor: property managers deposit rent,
+ * owners and fractional holders claim it.
+ *
+ * Every deposit is a distribution. Rent for a property held by a
+ * PropertyVault is split over the share holdings at the deposit block; for
+ * any other property it all goes to the owner at deposit time.
+ */
+class RentDistributorClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("RentDistributor", address, signerOrProvider, options);
+    }
+
+    /**
+     * Deposits rent for `tokenId`, approving the payment token if needed.
+     * Must be sent by an NFT_PROPERTY_MANAGER_ROLE holder.
+     * @param {ethers.BigNumberish} tokenId
+     * @param {ethers.BigNumberish|string|number} amount
+     * @param {string} paymentToken
+     * @returns {Promise<number>} id of the new distribution
+     */
+    async depositRent(tokenId, amount, paymentToken) {
+        const value = normalizeAmount(amount, await getTokenDecimals(this.provider, paymentToken));
+        await preparePayment(this.signer, paymentToken, this.address, value);
+        const receipt = await this._send("depositRent", [tokenId, paymentToken, value]);
+        return receipt.events.find(e => e.event === "RentDeposited").args.distributionId.toNumber();
+    }
+
+    /**
+     * Registers or removes a contract that escrows NFTs for their seller, such
+     * as PropertyAuction, so its properties' rent goes to the seller. Admin only.
+     * @param {string} escrow
+     * @param {boolean} [registered]
+     */
+    async setEscrowContract(escrow, registered = true) {
+        return this._send("setEscrowContract", [escrow, registered]);
+    }
+
+    /**
+     * Claims every distribution in `distributionIds` that owes the connected
+     * account something; defaults to all of them.
+     * @param {Array<number>} [distributionIds]
+     */
+    async claim(distributionIds) {
+        const ids = distributionIds || (await this.getClaimable(await this.signer.getAddress())).map(c => c.distributionId);
+        return this._send("claim", [ids]);
+    }
+
+    /**
+     * Distributions `account` can still claim from.
+     * @param {string} account
+     * @returns {Promise<Array<{distributionId: number, tokenId: ethers.BigNumber, paymentToken: string, amount: ethers.BigNumber}>>}
+     */
+    async getClaimable(account) {
+        const count = (await this._call("distributionCount")).toNumber();
+        const ids = [...Array(count).keys()];
+        const amounts = await Promise.all(ids.map(id => this._call("claimable", [id, account])));
+        const owed = ids.filter((id, i) => amounts[i].gt(0));
+        const distributions = await Promise.all(owed.map(id => this.getDistribution(id)));
+        return distributions.map(d => ({
+            distributionId: d.distributionId,
+            tokenId: d.tokenId,
+            paymentToken: d.paymentToken,
+            amount: amounts[d.distributionId]
+        }));
+    }
+
+    /** @param {number} distributionId */
+    async getDistribution(distributionId) {
+        const d = await this._call("getDistribution", [distributionId]);
+        return {
+            distributionId,
+            tokenId: d.tokenId,
+            paymentToken: d.paymentToken,
+            amount: d.amount,
+            recipient: d.recipient,
+            fractional: d.fractional,
+            snapshotBlock: d.snapshotBlock.toNumber(),
+            depositedAt: d.depositedAt.toNumber()
+        };
+    }
+
+    /** Every distribution, oldest first. */
+    async getDistributions() {
+        const count = (await this._call("distributionCount")).toNumber();
+        return Promise.all([...Array(count).keys()].map(id => this.getDistribution(id)));
+    }
+
+    /**
+     * What each account is entitled to from a distribution, claimed or not.
+     * Fractional holders are found from the vault's Transfer events up to the
+     * snapshot block.
+     * @param {Object} distribution result of getDistribution
+     * @returns {Promise<Array<{account: string, amount: ethers.BigNumber, claimed: boolean}>>}
+     */
+    async getEntitlements(distribution) {
+        const { distributionId, recipient, amount, snapshotBlock } = distribution;
+        if (!distribution.fractional) {
+            return [{ account: recipient, amount, claimed: await this._call("claimed", [distributionId, recipient]) }];
+        }
+
+        const vault = new PropertyVaultClient(recipient, this.provider, { ...this.options, abi: undefined });
+        const transfers = await vault.contract.queryFilter(vault.contract.filters.Transfer(), 0, snapshotBlock);
+        const holders = [...new Set(transfers.map(e => e.args.to))].filter(a => a !== recipient && !/^0x0{40}$/.test(a));
+        const supply = await vault.contract.totalSupplyAt(snapshotBlock);
+
+        const entitlements = await Promise.all(holders.map(async account => {
+            const holding = await vault.contract.holdingsAt(account, snapshotBlock);
+            return {
+                account,
+                amount: supply.isZero() ? supply : holding.mul(amount).div(supply),
+                claimed: await this._call("claimed", [distributionId, account])
+            };
+        }));
+        return entitlements.filter(e => e.amount.gt(0));
+    }
+}
+
+module.exports = RentDistributorClient;
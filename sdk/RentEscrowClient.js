@@ -0,0 +1,121 @@
+const BaseClient = require("./BaseClient");
+const { normalizeAmount, getTokenDecimals, preparePayment } = require("./amounts");
+
+const DEPOSIT_STATUS = ["NONE", "HELD", "MOVE_OUT", "DISPUTED", "RELEASED"];
+
+/**
+ * High-level wrapper around RentEscrow: rent payments and security deposits
+ * for leases in LeaseRegistry.
+ *
+ * Amounts given as strings/numbers are scaled by the escrow account's payment
+ * token decimals; BigNumbers are passed through as base units.
+ */
+class RentEscrowClient extends BaseClient {
+    constructor(address, signerOrProvider, options = {}) {
+        super("RentEscrow", address, signerOrProvider, options);
+    }
+
+    async _amount(leaseId, amount) {
+        const { paymentToken } = await this._call("getAccount", [leaseId]);
+        return normalizeAmount(amount, await getTokenDecimals(this.provider, paymentToken));
+    }
+
+    /**
+     * Opens the escrow account of a lease. Must be sent by an
+     * NFT_PROPERTY_MANAGER_ROLE holder.
+     * @param {number} leaseId
+     * @param {string} paymentToken an allowed market payment token, e.g. LIFE
+     * @param {ethers.BigNumberish|string|number} depositAmount
+     */
+    async openEscrow(leaseId, paymentToken, depositAmount) {
+        const deposit = normalizeAmount(depositAmount, await getTokenDecimals(this.provider, paymentToken));
+        return this._send("openEscrow", [leaseId, paymentToken, deposit]);
+    }
+
+    /** Pays the security deposit, approving the payment token if needed. */
+    async payDeposit(leaseId) {
+        const account = await this.getAccount(leaseId);
+        await preparePayment(this.signer, account.paymentToken, this.address, account.depositAmount);
+        return this._send("payDeposit", [leaseId]);
+    }
+
+    /** Pays the next rent period, late fee included, approving the payment token if needed. */
+    async payRent(leaseId) {
+        const [account, due] = await Promise.all([this.getAccount(leaseId), this.getRentDue(leaseId)]);
+        await preparePayment(this.signer, account.paymentToken, this.address, due.amount);
+        return this._send("payRent", [leaseId]);
+    }
+
+    /**
+     * Proposes what to keep from the deposit once the lease has ended.
+     * @param {number} leaseId
+     * @param {ethers.BigNumberish|string|number} deduction
+     */
+    async proposeDeduction(leaseId, deduction) {
+        return this._send("proposeDeduction", [leaseId, await this._amount(leaseId, deduction)]);
+    }
+
+    /** Tenant accepts the proposed deduction. */
+    async approveRelease(leaseId) {
+        return this._send("approveRelease", [leaseId]);
+    }
+
+    /** Tenant disputes the proposed deduction. */
+    async disputeDeduction(leaseId) {
+        return this._send("disputeDeduction", [leaseId]);
+    }
+
+    /**
+     * Admin settles a disputed deposit.
+     * @param {number} leaseId
+     * @param {ethers.BigNumberish|string|number} deduction
+     */
+    async resolveDispute(leaseId, deduction) {
+        return this._send("resolveDispute", [leaseId, await this._amount(leaseId, deduction)]);
+    }
+
+    /** Releases the deposit once the dispute window or move-out period has passed. */
+    async releaseDeposit(leaseId) {
+        return this._send("releaseDeposit", [leaseId]);
+    }
+
+    /** @param {number} leaseId */
+    async getAccount(leaseId) {
+        const a = await this._call("getAccount", [leaseId]);
+        return {
+            leaseId,
+            paymentToken: a.paymentToken,
+            depositAmount: a.depositAmount,
+            depositHeld: a.depositHeld,
+            paidPeriods: a.paidPeriods.toNumber(),
+            latePayments: a.latePayments.toNumber(),
+            penaltiesPaid: a.penaltiesPaid,
+            deduction: a.deduction,
+            disputeDeadline: a.disputeDeadline.toNumber(),
+            depositStatus: DEPOSIT_STATUS[a.depositStatus] || "UNKNOWN"
+        };
+    }
+
+    /**
+     * The next unpaid rent period.
+     * @returns {Promise<{dueDate: number, amount: ethers.BigNumber, periodsOverdue: number, paidUp: boolean}>}
+     */
+    async getRentDue(leaseId) {
+        const due = await this._call("rentDue", [leaseId]);
+        return {
+            dueDate: due.dueDate.toNumber(),
+            amount: due.amount,
+            periodsOverdue: due.periodsOverdue.toNumber(),
+            paidUp: due.amount.isZero()
+        };
+    }
+
+    /** Whether `tenant` has rent unpaid past its grace period. */
+    async isInArrears(tenant) {
+        return this._call("isInArrears", [tenant]);
+    }
+}
+
+RentEscrowClient.DEPOSIT_STATUS = DEPOSIT_STATUS;
+
+module.exports = RentEscrowClient;
@@ -0,0 +1,90 @@
+// Amount normalisation shared by the SDK clients.
+
+const { ethers } = require("ethers");
+
+const NATIVE_TOKEN = ethers.constants.AddressZero;
+
+const ERC20_ABI = [
+    "function decimals() view returns (uint8)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+/**
+ * Converts an amount into token base units.
+ *
+ * BigNumber and bigint values are taken to already be in base units.
+ * Strings and numbers are human-readable amounts ("1.5" LIFE) and are scaled by
+ * `decimals`.
+ * @param {ethers.BigNumberish|string|number} amount
+ * @param {number} [decimals=18]
+ * @returns {ethers.BigNumber}
+ */
+function normalizeAmount(amount, decimals = 18) {
+    if (ethers.BigNumber.isBigNumber(amount)) return amount;
+    if (typeof amount === "bigint") return ethers.BigNumber.from(amount.toString());
+    if (typeof amount === "number" || typeof amount === "string") {
+        return ethers.utils.parseUnits(String(amount), decimals);
+    }
+    throw new Error(`Unsupported amount: ${amount}`);
+}
+
+const decimalsCache = new Map();
+
+/**
+ * Returns the decimals of a payment token (18 for native ETH).
+ * Results are cached per token address.
+ * @param {ethers.providers.Provider|ethers.Signer} signerOrProvider
+ * @param {string} token
+ * @returns {Promise<number>}
+ */
+async function getTokenDecimals(signerOrProvider, token) {
+    if (token === NATIVE_TOKEN) return 18;
+    const key = token.toLowerCase();
+    if (!decimalsCache.has(key)) {
+        const erc20 = new ethers.Contract(token, ERC20_ABI, signerOrProvider);
+        decimalsCache.set(key, await erc20.decimals());
+    }
+    return decimalsCache.get(key);
+}
+
+/**
+ * Gets a payment ready to be pulled by `spender`.
+ *
+ * For ERC20 tokens the signer's allowance is topped up to `amount` if needed.
+ * Native ETH is only accepted with `allowNative`, for contracts whose paying
+ * calls are payable (PropertyAuction); nothing is sent yet and the returned
+ * overrides carry the value.
+ * @param {ethers.Signer} signer
+ * @param {string} token payment token, address(0) for ETH
+ * @param {string} spender contract that pulls the funds
+ * @param {ethers.BigNumber} amount base units
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNative=false] whether `spender` takes native ETH
+ * @returns {Promise<Object>} transaction overrides to pass to the paying call
+ */
+async function preparePayment(signer, token, spender, amount, { allowNative = false } = {}) {
+    if (token === NATIVE_TOKEN) {
+        if (!allowNative) {
+            throw new Error(`${spender} only takes ERC20 payments; native ETH (address(0)) is not supported`);
+        }
+        return { value: amount };
+    }
+    const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+    const owner = await signer.getAddress();
+    const allowance = await erc20.allowance(owner, spender);
+    if (allowance.lt(amount)) {
+        const tx = await erc20.approve(spender, amount);
+        await tx.wait();
+    }
+    return {};
+}
+
+module.exports = {
+    NATIVE_TOKEN,
+    ERC20_ABI,
+    normalizeAmount,
+    getTokenDecimals,
+    preparePayment
+};
@@ -0,0 +1,79 @@
+// Loads contract ABIs from compiled artifacts.
+//
+// Hardhat writes `<artifacts>/contracts/<dir>/<File>.sol/<Contract>.json`,
+// forge writes `out/<File>.sol/<Contract>.json`. Both carry an `abi` field,
+// so the loader just searches the known output directories by contract name.
+
+const fs = require("fs");
+const path = require("path");
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+
+const DEFAULT_ARTIFACT_DIRS = [
+    path.join(REPO_ROOT, "browser", "contracts", "artifacts"), // hardhat_scripts/hardhat.config.js
+    path.join(REPO_ROOT, "artifacts"),
+    path.join(REPO_ROOT, "out")
+];
+
+const cache = new Map();
+
+function findArtifactFile(dir, contractName) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (_) {
+        return null;
+    }
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name === "build-info") continue;
+            const found = findArtifactFile(full, contractName);
+            if (found) return found;
+        } else if (entry.name === `${contractName}.json`) {
+            return full;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the compiled artifact (at least `{ abi }`) for a contract.
+ * @param {string} contractName e.g. "PropertyMarket", "PropertyAuction"
+ * @param {Object} [options]
+ * @param {string} [options.artifactsDir] directory to search before the defaults
+ * @returns {{abi: Array, bytecode?: string}}
+ */
+function loadArtifact(contractName, options = {}) {
+    const dirs = options.artifactsDir ? [options.artifactsDir] : DEFAULT_ARTIFACT_DIRS;
+    const key = `${dirs.join(":")}#${contractName}`;
+    if (cache.has(key)) return cache.get(key);
+
+    for (const dir of dirs) {
+        const file = findArtifactFile(dir, contractName);
+        if (!file) continue;
+        const artifact = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (!Array.isArray(artifact.abi)) continue;
+        cache.set(key, artifact);
+        return artifact;
+    }
+    throw new Error(
+        `Artifact for ${contractName} not found in ${dirs.join(", ")}. Compile the contracts first.`
+    );
+}
+
+/**
+ * Shortcut for `loadArtifact(name).abi`.
+ * @param {string} contractName
+ * @param {Object} [options] see loadArtifact
+ * @returns {Array}
+ */
+function loadAbi(contractName, options = {}) {
+    return loadArtifact(contractName, options).abi;
+}
+
+module.exports = {
+    DEFAULT_ARTIFACT_DIRS,
+    loadArtifact,
+    loadAbi
+};
@@ -0,0 +1,395 @@
+// Revert decoding for ManageLife contracts.
+//
+// PropertyMarket reverts with the short string codes from
+// contracts/libraries/ErrorCodes.sol, PropertyAuction uses custom errors.
+// Both are turned into a PropertyContractError carrying the raw code and a
+// readable message.
+
+const { ethers } = require("ethers");
+
+// Mirrors contracts/libraries/ErrorCodes.sol (kept in sync by tests/SDK.test.js).
+const ERROR_CODES = {
+    // General
+    E001: "Invalid address",
+    E002: "Unauthorized access",
+    E003: "Invalid amount",
+    E004: "Transfer failed",
+    E005: "Payment failed",
+    // Listing
+    E101: "Not available",
+    E102: "Already listed",
+    E103: "Not listed",
+    E104: "Invalid price",
+    E105: "Not owner",
+    E106: "Market not approved for token",
+    E107: "Listing expired",
+    E108: "Listing not expired",
+    // Bidding
+    E201: "No active bid",
+    E202: "Bid not active",
+    E203: "Not your bid",
+    E204: "Bid too low",
+    E205: "Bid increment low",
+    E206: "Must meet price",
+    E207: "ETH amount mismatch",
+    E208: "Insufficient allowance",
+    E209: "Bid expired",
+    E210: "Bid expiry in the past",
+    // Offers
+    E211: "Offer expired",
+    E212: "Offer nonce cancelled",
+    E213: "Offer already filled",
+    E214: "Invalid offer signature",
+    // Payment
+    E301: "Token not allowed",
+    E302: "Payment token mismatch",
+    E303: "ETH refund failed",
+    E304: "Excess refund failed",
+    // Access control
+    E401: "Not admin",
+    E402: "Not operator",
+    E403: "KYC required",
+    E404: "Paused",
+    // Validation
+    E501: "Invalid input",
+    E502: "Out of range",
+    E503: "Already exists",
+    E504: "Not found",
+    // Purchase / confirmation
+    E601: "Insufficient ETH sent",
+    E602: "No pending purchase",
+    E603: "Purchase not active",
+    E604: "Not the seller",
+    E605: "Confirmation period expired",
+    E606: "Confirmation period not expired",
+    E607: "Confirmation period too long",
+    E608: "No additional payment required",
+    E609: "Payment to seller failed",
+    E610: "Payment to fee collector failed",
+    // Bid management
+    E701: "No active ETH bid found",
+    E702: "Not in pending payment status",
+    E703: "Payment deadline not expired",
+    E704: "No pending refund",
+    E705: "Refund withdrawal failed",
+    E706: "Must send exact additional amount",
+    E707: "Token transfer failed",
+    // Timelock / multisig
+    E801: "Timelock required",
+    E802: "MultiSig required",
+    E803: "Invalid timelock",
+    E804: "Invalid multisig",
+    // Transfer
+    E901: "Token transfer failed",
+    E902: "ETH refund failed",
+    E903: "Payment to seller failed",
+    E904: "Fee payment failed",
+    E905: "ETH transfer failed",
+    E906: "Payment deadline expired",
+    E907: "No active bid found",
+    E908: "Bid is not active",
+    E909: "Not your bid",
+    E910: "Not an ETH bid",
+    E911: "Cannot change payment token with active bids",
+    E912: "Unauthorized: admin role required",
+    E913: "Invalid recipient address",
+    E914: "Insufficient contract balance",
+    E915: "Invalid token address",
+    E916: "Insufficient token balance",
+    // Fractional vault
+    E951: "Vault closed",
+    E952: "Buyout in progress",
+    E953: "No active buyout",
+    E954: "Buyout period ended",
+    E955: "Buyout cannot complete yet",
+    E956: "Vault not sold",
+    E957: "Must hold all shares",
+    // Rent distribution
+    E961: "Unknown distribution",
+    E962: "Nothing to claim",
+    // Leases
+    E971: "Unknown lease",
+    E972: "Invalid lease period",
+    E973: "Lease not pending",
+    E974: "Lease not active",
+    E975: "Not the tenant",
+    E976: "Overlaps the property's last lease",
+    E977: "Lease already ended",
+    // Rent escrow
+    E981: "Escrow already open",
+    E982: "No escrow for lease",
+    E983: "Rent fully paid",
+    E984: "Invalid deposit state",
+    E985: "Lease not ended",
+    E986: "Deduction exceeds deposit",
+    E987: "Dispute window closed",
+    E988: "Deposit not releasable yet"
+};
+
+// Mirrors contracts/libraries/Errors.sol. These are full revert strings, so
+// decoding maps the message back to the constant's name.
+const LIBRARY_ERRORS = {
+    ZERO_ADDRESS: "Zero address not allowed",
+    INVALID_ADDRESS: "Invalid address",
+    INVALID_AMOUNT: "Invalid amount",
+    INSUFFICIENT_BALANCE: "Insufficient balance",
+    UNAUTHORIZED_ACCESS: "Unauthorized access",
+    OPERATION_FAILED: "Operation failed",
+    NOT_OWNER: "Not the owner",
+    NOT_OPERATOR: "Operator required",
+    NOT_REBASER: "Caller is not the rebaser",
+    NOT_DISTRIBUTOR: "Caller is not the distributor",
+    KYC_REQUIRED: "KYC required",
+    INVALID_TOKEN: "Invalid token",
+    TOKEN_NOT_ALLOWED: "Payment token not allowed",
+    INSUFFICIENT_ALLOWANCE: "Insufficient token allowance",
+    TRANSFER_FAILED: "Transfer failed",
+    MINT_FAILED: "Mint failed",
+    BURN_FAILED: "Burn failed",
+    NOT_NFT_OWNER: "Not NFT owner",
+    NFT_NOT_EXISTS: "NFT does not exist",
+    NFT_ALREADY_EXISTS: "NFT already exists",
+    INVALID_TOKEN_ID: "Invalid token ID",
+    NOT_LISTED: "Property not listed",
+    NOT_AVAILABLE: "Not available",
+    ALREADY_LISTED: "Already listed",
+    INVALID_PRICE: "Invalid price",
+    PAYMENT_FAILED: "Payment failed",
+    NOT_SELLER: "Not the seller",
+    CANNOT_BID_OWN_LISTING: "Cannot bid on your own listing",
+    ETH_AMOUNT_MISMATCH: "ETH amount mismatch",
+    ETH_REFUND_FAILED: "ETH refund failed",
+    BID_MUST_MEET_PRICE: "Bid must meet listing price",
+    NO_BIDS_AVAILABLE: "No bids available",
+    NO_PENDING_PAYMENT: "No pending payment",
+    EXCESS_REFUND_FAILED: "Excess refund failed",
+    BID_INCREMENT_LOW: "Bid increment too low",
+    BID_AMOUNT_TOO_LARGE: "Bid amount too large",
+    CANNOT_CHANGE_TOKEN: "Cannot change payment token",
+    ETH_DEFAULT_ALLOWED: "ETH is allowed by default",
+    CANNOT_REMOVE_ETH: "Cannot remove ETH as payment method",
+    NO_ACTIVE_BID: "No active bid found",
+    BID_NOT_ACTIVE: "Bid is not active",
+    NOT_YOUR_BID: "Not your bid",
+    INVALID_BID_INDEX: "Invalid bid index",
+    BID_TOO_LOW: "Bid too low",
+    BIDDER_MISMATCH: "Bidder mismatch",
+    AMOUNT_MISMATCH: "Amount mismatch",
+    PAYMENT_TOKEN_MISMATCH: "Payment token mismatch",
+    INSUFFICIENT_ETH_DEPOSIT: "Insufficient ETH deposit",
+    INSUFFICIENT_STAKE: "Insufficient stake",
+    STAKING_PERIOD_NOT_MET: "Staking period not met",
+    ALREADY_STAKED: "Already staked",
+    NOT_STAKED: "Not staked",
+    REWARD_CALCULATION_FAILED: "Reward calculation failed",
+    CLAIM_FAILED: "Claim failed",
+    REBASE_TOO_SOON: "Rebase too soon",
+    INVALID_REBASE_FACTOR: "Invalid rebase factor",
+    REBASE_FAILED: "Rebase failed",
+    SUPPLY_LIMIT_EXCEEDED: "Supply limit exceeded",
+    BELOW_MIN_SUPPLY: "Below minimum supply",
+    INVALID_CONFIGURATION: "Invalid configuration",
+    RATE_TOO_HIGH: "Rate too high",
+    PERIOD_TOO_SHORT: "Period too short",
+    PERIOD_TOO_LONG: "Period too long",
+    COOLDOWN_NOT_MET: "Cooldown not met",
+    PAUSED: "Contract is paused",
+    INSUFFICIENT_ETH_SENT: "Insufficient ETH sent",
+    PAYMENT_TO_SELLER_FAILED: "Payment to seller failed",
+    FEE_PAYMENT_FAILED: "Fee payment failed",
+    REFUND_FAILED: "Refund failed",
+    TRANSFER_TO_SELLER_FAILED: "Transfer to seller failed",
+    FEE_TRANSFER_FAILED: "Fee transfer failed",
+    INVALID_SIGNATURE: "Invalid signature",
+    EXPIRED: "Expired",
+    ALREADY_USED: "Already used",
+    INVALID_PROOF: "Invalid proof",
+    OUT_OF_BOUNDS: "Out of bounds",
+    ARRAY_LENGTH_MISMATCH: "Array length mismatch",
+    TIMELOCK_NOT_SET: "Timelock not configured",
+    MULTISIG_NOT_SET: "MultiSig not configured",
+    INVALID_TIMELOCK: "Invalid timelock address",
+    INVALID_MULTISIG: "Invalid multisig address",
+    TIMELOCK_ALREADY_SET: "Timelock already configured",
+    MULTISIG_ALREADY_SET: "MultiSig already configured",
+    MUST_USE_TIMELOCK: "Must be called through timelock",
+    MUST_OUTBID_HIGHEST: "Must exceed highest active bid",
+    PURCHASE_AMOUNT_MISMATCH: "Purchase amount mismatch"
+};
+
+const LIBRARY_ERRORS_BY_MESSAGE = Object.fromEntries(
+    Object.entries(LIBRARY_ERRORS).map(([name, message]) => [message, name])
+);
+
+// Readable messages for the PropertyAuction custom errors.
+const AUCTION_ERRORS = {
+    InvalidParams: "Invalid auction parameters",
+    AuctionNotFound: "Auction not found",
+    AuctionActive: "Auction bidding is still open",
+    AuctionNotActive: "Auction is not active",
+    AuctionExpired: "Auction bidding has ended",
+    NotSeller: "Caller is not the seller",
+    NotWinner: "Caller is not the winning bidder",
+    BidTooLow: "Bid too low",
+    NFTAlreadyDeposited: "NFT already deposited",
+    FundsAlreadyDeposited: "Funds already deposited",
+    NotSettleable: "Auction cannot be settled yet",
+    NotVoidable: "Auction cannot be voided",
+    BuyNowNotAvailable: "Buy-now is not available",
+    BidExceedsBuyNowPrice: "Bid meets or exceeds the buy-now price, use buyNow instead",
+    AuctionHasBids: "Auction already has bids",
+    CannotWithdrawHighestBid: "The highest bid cannot be withdrawn",
+    NotABidder: "Caller has no bid in this auction",
+    InvalidBidIndex: "Invalid bid index",
+    WrongAuctionType: "Not supported for this auction type",
+    NotCommitPhase: "Sealed-bid commit phase is over",
+    NotRevealPhase: "Not in the sealed-bid reveal phase",
+    InvalidReveal: "Revealed bid does not match the commitment",
+    InvalidReserve: "Reserve does not match the commitment",
+    ReserveMet: "The highest bid meets the reserve",
+    BelowReserve: "The winning bid is below the reserve",
+    IncorrectPayment: "Sent ETH does not match the amount due",
+    NothingToWithdraw: "No ETH credited to withdraw",
+    TransferFailed: "ETH transfer failed",
+    NoBond: "No bidder bond to claim",
+    BondLocked: "The bond still backs a live or winning bid",
+    NoFallbackBid: "No remaining bidder to offer the auction to",
+    OfferExpired: "The second-chance offer has expired"
+};
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+/**
+ * Error thrown by the SDK when a contract call reverts.
+ * @property {string|null} code   ErrorCodes code ("E914") or custom error name ("BidTooLow")
+ * @property {string}      reason Human-readable description
+ * @property {Object}      args   Decoded custom error arguments, keyed by name
+ * @property {Error}       cause  The original ethers error
+ */
+class PropertyContractError extends Error {
+    constructor(code, reason, args, cause) {
+        super(code ? `${code}: ${reason}` : reason);
+        this.name = "PropertyContractError";
+        this.code = code;
+        this.reason = reason;
+        this.args = args || {};
+        this.cause = cause;
+    }
+}
+
+/**
+ * Digs the raw revert payload out of the many shapes ethers v5 errors take
+ * (call exceptions, JSON-RPC errors, hardhat errors wrapped in `error.error`).
+ * @param {any} error
+ * @returns {string|null} hex encoded revert data, or null if none was found
+ */
+function extractRevertData(error) {
+    const seen = new Set();
+    const queue = [error];
+    while (queue.length > 0) {
+        const e = queue.shift();
+        if (!e || typeof e !== "object" || seen.has(e)) continue;
+        seen.add(e);
+        if (typeof e.data === "string" && ethers.utils.isHexString(e.data) && e.data.length >= 10) {
+            return e.data;
+        }
+        if (e.data && typeof e.data === "object" && typeof e.data.data === "string") {
+            return e.data.data;
+        }
+        queue.push(e.error, e.data, e.cause);
+        if (typeof e.body === "string") {
+            try { queue.push(JSON.parse(e.body).error); } catch (_) { /* not JSON */ }
+        }
+    }
+    return null;
+}
+
+/**
+ * Describes a revert string: ErrorCodes codes are expanded, Errors.sol
+ * messages are mapped to their constant name, anything else is passed
+ * through as-is.
+ * @param {string} reason
+ * @returns {{code: string|null, reason: string}}
+ */
+function describeReason(reason) {
+    if (Object.prototype.hasOwnProperty.call(ERROR_CODES, reason)) {
+        return { code: reason, reason: ERROR_CODES[reason] };
+    }
+    if (Object.prototype.hasOwnProperty.call(LIBRARY_ERRORS_BY_MESSAGE, reason)) {
+        return { code: LIBRARY_ERRORS_BY_MESSAGE[reason], reason };
+    }
+    return { code: null, reason };
+}
+
+/**
+ * Decodes a raw revert payload.
+ * @param {string} data hex encoded revert data
+ * @param {ethers.utils.Interface[]} [interfaces] ABIs to try for custom errors
+ * @returns {{code: string|null, reason: string, args: Object}|null}
+ */
+function decodeRevertData(data, interfaces = []) {
+    if (!data || data === "0x") return null;
+    const selector = data.slice(0, 10).toLowerCase();
+
+    if (selector === ERROR_STRING_SELECTOR) {
+        const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], "0x" + data.slice(10));
+        return { ...describeReason(reason), args: {} };
+    }
+    if (selector === PANIC_SELECTOR) {
+        const [panicCode] = ethers.utils.defaultAbiCoder.decode(["uint256"], "0x" + data.slice(10));
+        return { code: "Panic", reason: `Panic(0x${panicCode.toHexString().slice(2)})`, args: { code: panicCode } };
+    }
+
+    for (const iface of interfaces) {
+        let parsed;
+        try {
+            parsed = iface.parseError(data);
+        } catch (_) {
+            continue;
+        }
+        const args = {};
+        parsed.errorFragment.inputs.forEach((input, i) => {
+            args[input.name || i] = parsed.args[i];
+        });
+        const base = AUCTION_ERRORS[parsed.name] || parsed.name;
+        const detail = Object.entries(args).map(([k, v]) => `${k}=${v.toString()}`).join(", ");
+        return { code: parsed.name, reason: detail ? `${base} (${detail})` : base, args };
+    }
+    return null;
+}
+
+/**
+ * Converts an ethers error into a PropertyContractError when it carries a
+ * recognisable revert, otherwise returns the original error untouched.
+ * @param {Error} error
+ * @param {ethers.utils.Interface[]} [interfaces]
+ * @returns {Error}
+ */
+function decodeContractError(error, interfaces = []) {
+    if (error instanceof PropertyContractError) return error;
+
+    const decoded = decodeRevertData(extractRevertData(error), interfaces);
+    if (decoded) {
+        return new PropertyContractError(decoded.code, decoded.reason, decoded.args, error);
+    }
+
+    // Some providers only surface the reason string, e.g. "reverted with reason string 'E403'".
+    const reason = error && (error.reason || error.message || "");
+    const match = /\b(E\d{3})\b/.exec(reason);
+    if (match && ERROR_CODES[match[1]]) {
+        return new PropertyContractError(match[1], ERROR_CODES[match[1]], {}, error);
+    }
+    return error;
+}
+
+module.exports = {
+    ERROR_CODES,
+    LIBRARY_ERRORS,
+    AUCTION_ERRORS,
+    PropertyContractError,
+    extractRevertData,
+    describeReason,
+    decodeRevertData,
+    decodeContractError
+};
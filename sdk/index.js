@@ -0,0 +1,49 @@
+// ManageLife contracts JavaScript SDK.
+//
+//   const { PropertyMarketClient } = require("./sdk");
+//   const market = new PropertyMarketClient(marketAddress, signer);
+//   await market.listProperty(tokenId, "250000", usdcAddress);
+
+const PropertyMarketClient = require("./PropertyMarketClient");
+const PropertyAuctionClient = require("./PropertyAuctionClient");
+const AdminControlClient = require("./AdminControlClient");
+const PropertyOrderSettlementClient = require("./PropertyOrderSettlementClient");
+const PropertyVaultFactoryClient = require("./PropertyVaultFactoryClient");
+const PropertyVaultClient = require("./PropertyVaultClient");
+const RentDistributorClient = require("./RentDistributorClient");
+const RentEscrowClient = require("./RentEscrowClient");
+const LeaseRegistryClient = require("./LeaseRegistryClient");
+const PropertyNFTControllerClient = require("./PropertyNFTControllerClient");
+const OrderBook = require("./OrderBook");
+const artifacts = require("./artifacts");
+const amounts = require("./amounts");
+const errors = require("./errors");
+const revertDecoder = require("./revertDecoder");
+const orders = require("./orders");
+const permit = require("./permit");
+const metatx = require("./metatx");
+const rentReport = require("./rentReport");
+const metadata = require("./metadata");
+
+module.exports = {
+    PropertyMarketClient,
+    PropertyAuctionClient,
+    AdminControlClient,
+    PropertyOrderSettlementClient,
+    PropertyVaultFactoryClient,
+    PropertyVaultClient,
+    RentDistributorClient,
+    RentEscrowClient,
+    LeaseRegistryClient,
+    PropertyNFTControllerClient,
+    OrderBook,
+    ...artifacts,
+    ...amounts,
+    ...errors,
+    ...revertDecoder,
+    ...orders,
+    ...permit,
+    ...metatx,
+    ...rentReport,
+    ...metadata
+};
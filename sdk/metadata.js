@@ -0,0 +1,135 @@
+// Property metadata validation: loads a token's metadata JSON, checks it
+// against the property document schema and hashes it for comparison with the
+// attestation recorded on ManageLifePropertyNFTController.
+//
+//   const { loadMetadata, validatePropertyMetadata, hashMetadata } = require("./sdk");
+//   const bytes = await loadMetadata("ipfs://bafy.../1.json");
+//   const { valid, errors } = validatePropertyMetadata(bytes);
+
+const fs = require("fs");
+const { fileURLToPath } = require("url");
+const { ethers } = require("ethers");
+const PROPERTY_METADATA_SCHEMA = require("./schemas/property-metadata.schema.json");
+
+const DEFAULT_IPFS_GATEWAY = "https://ipfs.io";
+
+/**
+ * Reads metadata bytes from a local path, file://, http(s):// or ipfs:// URI.
+ * @param {string} source
+ * @param {Object} [options]
+ * @param {string} [options.ipfsGateway] gateway used for ipfs:// URIs
+ * @returns {Promise<Buffer>}
+ */
+async function loadMetadata(source, { ipfsGateway = DEFAULT_IPFS_GATEWAY } = {}) {
+    let url = source;
+    if (source.startsWith("ipfs://")) {
+        url = `${ipfsGateway.replace(/\/+$/, "")}/ipfs/${source.slice("ipfs://".length).replace(/^ipfs\//, "")}`;
+    }
+    if (/^https?:\/\//.test(url)) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch metadata from ${url}: HTTP ${response.status}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    }
+    return fs.readFileSync(source.startsWith("file://") ? fileURLToPath(source) : source);
+}
+
+/**
+ * keccak256 of the exact metadata bytes, as attested on-chain.
+ * @param {Buffer|Uint8Array|string} metadata bytes, or a string hashed as UTF-8
+ * @returns {string} 0x-prefixed hash
+ */
+function hashMetadata(metadata) {
+    return ethers.utils.keccak256(typeof metadata === "string" ? ethers.utils.toUtf8Bytes(metadata) : metadata);
+}
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+/**
+ * Validates `value` against the subset of JSON Schema used by the property
+ * document schema: type, enum, required, properties, additionalProperties,
+ * items, minLength, pattern, minimum and maximum.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path]
+ * @returns {Array<string>} one message per violation, empty when valid
+ */
+function validateSchema(value, schema, path = "$") {
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const matches = types.includes(actual) || (actual === "integer" && types.includes("number"));
+        if (!matches) {
+            return [`${path}: expected ${types.join(" or ")}, got ${actual}`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+    }
+
+    if (actual === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must not be shorter than ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path}: must match ${schema.pattern}`);
+        }
+    }
+    if (actual === "number" || actual === "integer") {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+
+    if (actual === "object") {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key}: is required`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (schema.properties && schema.properties[key]) {
+                errors.push(...validateSchema(child, schema.properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not allowed`);
+            }
+        }
+    }
+    if (actual === "array" && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    return errors;
+}
+
+/**
+ * Parses metadata bytes and checks them against the property document schema.
+ * @param {Buffer|Uint8Array|string} metadata
+ * @param {Object} [options]
+ * @param {Object} [options.schema] schema to use instead of the property document schema
+ * @returns {{valid: boolean, errors: Array<string>, metadata: Object|null, contentHash: string}}
+ */
+function validatePropertyMetadata(metadata, { schema = PROPERTY_METADATA_SCHEMA } = {}) {
+    const contentHash = hashMetadata(metadata);
+    let parsed;
+    try {
+        parsed = JSON.parse(Buffer.from(metadata).toString("utf8"));
+    } catch (error) {
+        return { valid: false, errors: [`$: invalid JSON (${error.message})`], metadata: null, contentHash };
+    }
+    const errors = validateSchema(parsed, schema);
+    return { valid: errors.length === 0, errors, metadata: parsed, contentHash };
+}
+
+module.exports = {
+    PROPERTY_METADATA_SCHEMA,
+    DEFAULT_IPFS_GATEWAY,
+    loadMetadata,
+    hashMetadata,
+    validateSchema,
+    validatePropertyMetadata
+};
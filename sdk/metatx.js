@@ -0,0 +1,101 @@
+// ERC-2771 meta-transactions through ManageLifeForwarder.
+//
+// The user signs a ForwardRequest off-chain; a relayer (hardhat_scripts/relayer.js
+// locally) submits it and pays the gas. The target contract sees the user as
+// _msgSender().
+//
+//   const data = market.interface.encodeFunctionData("cancelBid", [tokenId]);
+//   const request = await signForwardRequest(user, forwarderAddress, { to: market.address, data });
+//   await relayRequest("http://127.0.0.1:8546", request);
+
+const { ethers } = require("ethers");
+
+const FORWARDER_ABI = [
+    "function nonces(address owner) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function verify((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) view returns (bool)",
+    "function execute((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) payable"
+];
+
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" }
+    ]
+};
+
+// How long a signed request stays valid by default, in seconds
+const DEFAULT_REQUEST_TTL = 3600;
+
+/**
+ * Signs an ERC-2771 forward request as `signer`. The signer needs no ETH.
+ * @param {ethers.Signer} signer the user the target contract will see
+ * @param {string} forwarder ManageLifeForwarder address
+ * @param {Object} params
+ * @param {string} params.to target contract
+ * @param {string} params.data encoded call
+ * @param {ethers.BigNumberish} [params.value=0] ETH forwarded with the call, paid by the relayer
+ * @param {ethers.BigNumberish} [params.gas] gas for the inner call; estimated when omitted
+ * @param {number} [params.deadline] unix time; defaults to one hour from the latest block
+ * @returns {Promise<Object>} request data accepted by the forwarder's `execute`
+ */
+async function signForwardRequest(signer, forwarder, { to, data, value = 0, gas, deadline }) {
+    const provider = signer.provider;
+    const contract = new ethers.Contract(forwarder, FORWARDER_ABI, provider);
+    const from = await signer.getAddress();
+    const [domain, nonce, block] = await Promise.all([contract.eip712Domain(), contract.nonces(from), provider.getBlock("latest")]);
+
+    if (gas === undefined) {
+        // Simulate the forwarded call: forwarder as caller, user appended to the calldata.
+        const estimate = await provider.estimateGas({ from: forwarder, to, value, data: ethers.utils.hexConcat([data, from]) });
+        gas = estimate.mul(12).div(10);
+    }
+    const request = {
+        from,
+        to,
+        value: ethers.BigNumber.from(value).toString(),
+        gas: ethers.BigNumber.from(gas).toString(),
+        nonce: nonce.toString(),
+        deadline: deadline || block.timestamp + DEFAULT_REQUEST_TTL,
+        data
+    };
+    const signature = await signer._signTypedData(
+        { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+        FORWARD_REQUEST_TYPES,
+        request
+    );
+    // The forwarder reads the nonce from its own state, so it is not part of the submitted data.
+    return { from, to, value: request.value, gas: request.gas, deadline: request.deadline, data, signature };
+}
+
+/**
+ * Posts a signed request to a relayer.
+ * @param {string} url relayer base URL
+ * @param {Object} request result of `signForwardRequest`
+ * @returns {Promise<{txHash: string, blockNumber: number}>}
+ */
+async function relayRequest(url, request) {
+    const response = await fetch(`${url.replace(/\/$/, "")}/relay`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(request)
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(`Relayer rejected the request: ${body.error || response.status}`);
+    }
+    return body;
+}
+
+module.exports = {
+    FORWARDER_ABI,
+    FORWARD_REQUEST_TYPES,
+    DEFAULT_REQUEST_TTL,
+    signForwardRequest,
+    relayRequest
+};
@@ -0,0 +1,98 @@
+// EIP-712 buyer offers for PropertyOrderSettlement.
+//
+// A signed offer is plain JSON and can be stored or sent anywhere:
+//   { chainId, settlement, offer, signature, hash, permit? }
+// where `offer` mirrors the Solidity struct with amounts as decimal strings and
+// `permit` is an optional ERC-2612 permit for the settlement contract.
+
+const { ethers } = require("ethers");
+
+const ORDER_DOMAIN_NAME = "ManageLife Property Orders";
+const ORDER_DOMAIN_VERSION = "1";
+
+const OFFER_TYPES = {
+    Offer: [
+        { name: "buyer", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "paymentToken", type: "address" },
+        { name: "price", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+/**
+ * EIP-712 domain of a PropertyOrderSettlement deployment.
+ * @param {number} chainId
+ * @param {string} settlement contract address
+ */
+function orderDomain(chainId, settlement) {
+    return {
+        name: ORDER_DOMAIN_NAME,
+        version: ORDER_DOMAIN_VERSION,
+        chainId,
+        verifyingContract: settlement
+    };
+}
+
+/** Returns `offer` with checksummed addresses and amounts as decimal strings. */
+function normalizeOffer(offer) {
+    return {
+        buyer: ethers.utils.getAddress(offer.buyer),
+        tokenId: ethers.BigNumber.from(offer.tokenId).toString(),
+        paymentToken: ethers.utils.getAddress(offer.paymentToken),
+        price: ethers.BigNumber.from(offer.price).toString(),
+        expiry: ethers.BigNumber.from(offer.expiry).toNumber(),
+        nonce: ethers.BigNumber.from(offer.nonce).toString()
+    };
+}
+
+/**
+ * EIP-712 digest of an offer, as computed by `hashOffer` on-chain.
+ * @param {number} chainId
+ * @param {string} settlement
+ * @param {Object} offer
+ * @returns {string}
+ */
+function hashOffer(chainId, settlement, offer) {
+    return ethers.utils._TypedDataEncoder.hash(orderDomain(chainId, settlement), OFFER_TYPES, normalizeOffer(offer));
+}
+
+/**
+ * Address that signed `offer`. Only meaningful for EOA buyers; offers from
+ * contract wallets (ERC-1271) are checked on-chain at fill time.
+ */
+function recoverOfferSigner(chainId, settlement, offer, signature) {
+    return ethers.utils.verifyTypedData(orderDomain(chainId, settlement), OFFER_TYPES, normalizeOffer(offer), signature);
+}
+
+/**
+ * Signs an offer as its buyer.
+ * @param {ethers.Signer} signer the buyer
+ * @param {string} settlement PropertyOrderSettlement address
+ * @param {Object} offer {buyer, tokenId, paymentToken, price, expiry, nonce}, amounts in base units
+ * @returns {Promise<Object>} signed offer
+ */
+async function signOffer(signer, settlement, offer) {
+    const { chainId } = await signer.provider.getNetwork();
+    const normalized = normalizeOffer(offer);
+    const signature = await signer._signTypedData(orderDomain(chainId, settlement), OFFER_TYPES, normalized);
+    return {
+        chainId,
+        settlement: ethers.utils.getAddress(settlement),
+        offer: normalized,
+        signature,
+        hash: hashOffer(chainId, settlement, normalized)
+    };
+}
+
+module.exports = {
+    ORDER_DOMAIN_NAME,
+    ORDER_DOMAIN_VERSION,
+    OFFER_TYPES,
+    orderDomain,
+    normalizeOffer,
+    hashOffer,
+    recoverOfferSigner,
+    signOffer
+};
@@ -0,0 +1,107 @@
+// ERC-2612 permit signing for payment tokens such as LIFE.
+
+const { ethers } = require("ethers");
+
+const PERMIT_ABI = [
+    "function name() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+// How long SDK-built permits stay valid, in seconds
+const PERMIT_TTL = 3600;
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * Returns the token's EIP-712 domain, or null when it does not implement
+ * ERC-2612. The domain comes from ERC-5267 `eip712Domain()` when available,
+ * otherwise from `name()` with version "1", checked against DOMAIN_SEPARATOR.
+ * @param {ethers.providers.Provider|ethers.Signer} signerOrProvider
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+async function getPermitDomain(signerOrProvider, token) {
+    const erc20 = new ethers.Contract(token, PERMIT_ABI, signerOrProvider);
+    let separator;
+    try {
+        separator = await erc20.DOMAIN_SEPARATOR();
+    } catch (_) {
+        return null;
+    }
+    try {
+        const d = await erc20.eip712Domain();
+        return { name: d.name, version: d.version, chainId: d.chainId.toNumber(), verifyingContract: d.verifyingContract };
+    } catch (_) {
+        // Pre-ERC-5267 token; fall through.
+    }
+    const provider = signerOrProvider.provider || signerOrProvider;
+    const { chainId } = await provider.getNetwork();
+    const domain = { name: await erc20.name(), version: "1", chainId, verifyingContract: token };
+    return ethers.utils._TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+}
+
+/**
+ * Signs an ERC-2612 permit letting `spender` pull `value` of `token` from the
+ * signer. Returns null when the token does not support permits.
+ * @param {ethers.Signer} signer token owner
+ * @param {string} token
+ * @param {string} spender
+ * @param {ethers.BigNumberish} value base units
+ * @param {number} deadline unix time the permit is valid until
+ * @returns {Promise<{deadline: number, v: number, r: string, s: string}|null>}
+ */
+async function signPermit(signer, token, spender, value, deadline) {
+    const domain = await getPermitDomain(signer, token);
+    if (!domain) return null;
+    const owner = await signer.getAddress();
+    const nonce = await new ethers.Contract(token, PERMIT_ABI, signer).nonces(owner);
+    const signature = await signer._signTypedData(domain, PERMIT_TYPES, {
+        owner,
+        spender,
+        value,
+        nonce,
+        deadline
+    });
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { deadline, v, r, s };
+}
+
+/**
+ * Signs a permit for `value` when the signer's allowance for `spender` is
+ * below `needed`. Returns null when the allowance already covers it or the
+ * token has no permit support, so the caller can fall back to approve.
+ * @param {ethers.Signer} signer token owner
+ * @param {string} token payment token, address(0) for ETH
+ * @param {string} spender
+ * @param {ethers.BigNumber} needed amount the call will pull
+ * @param {ethers.BigNumber} value amount the permit must be signed for
+ * @returns {Promise<{deadline: number, v: number, r: string, s: string}|null>}
+ */
+async function permitIfNeeded(signer, token, spender, needed, value) {
+    if (token === ethers.constants.AddressZero) return null;
+    const erc20 = new ethers.Contract(token, PERMIT_ABI, signer);
+    const allowance = await erc20.allowance(await signer.getAddress(), spender);
+    if (allowance.gte(needed)) return null;
+    // Chain time rather than the local clock, which may differ on test networks.
+    const { timestamp } = await signer.provider.getBlock("latest");
+    return signPermit(signer, token, spender, value, timestamp + PERMIT_TTL);
+}
+
+module.exports = {
+    PERMIT_TTL,
+    PERMIT_TYPES,
+    getPermitDomain,
+    signPermit,
+    permitIfNeeded
+};
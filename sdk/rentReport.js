@@ -0,0 +1,113 @@
+// Monthly rent distribution reports built from RentDistributor state.
+//
+//   const reports = await buildRentReports(new RentDistributorClient(address, provider), { month: "2026-09" });
+//   console.log(formatRentReportCsv(reports));
+
+const { ethers } = require("ethers");
+const { getTokenDecimals } = require("./amounts");
+
+/** "YYYY-MM" (UTC) of a unix timestamp. */
+function monthOf(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 7);
+}
+
+/**
+ * Groups distributions by calendar month, then by property and payment token,
+ * with every holder's entitlement and whether it has been claimed.
+ * @param {RentDistributorClient} client
+ * @param {Object} [options]
+ * @param {string} [options.month] only report this "YYYY-MM" month
+ * @returns {Promise<Array<Object>>} one report per month, oldest first
+ */
+async function buildRentReports(client, { month } = {}) {
+    const distributions = (await client.getDistributions())
+        .filter(d => !month || monthOf(d.depositedAt) === month);
+
+    const months = new Map();
+    for (const d of distributions) {
+        const key = monthOf(d.depositedAt);
+        if (!months.has(key)) months.set(key, new Map());
+        const properties = months.get(key);
+        const propertyKey = `${d.tokenId}:${d.paymentToken}`;
+        if (!properties.has(propertyKey)) {
+            properties.set(propertyKey, {
+                tokenId: d.tokenId.toString(),
+                paymentToken: d.paymentToken,
+                deposited: ethers.constants.Zero,
+                claimed: ethers.constants.Zero,
+                distributions: [],
+                holders: new Map()
+            });
+        }
+        const property = properties.get(propertyKey);
+        property.deposited = property.deposited.add(d.amount);
+        property.distributions.push(d.distributionId);
+
+        for (const e of await client.getEntitlements(d)) {
+            const holder = property.holders.get(e.account) || { account: e.account, entitled: ethers.constants.Zero, claimed: ethers.constants.Zero };
+            holder.entitled = holder.entitled.add(e.amount);
+            if (e.claimed) {
+                holder.claimed = holder.claimed.add(e.amount);
+                property.claimed = property.claimed.add(e.amount);
+            }
+            property.holders.set(e.account, holder);
+        }
+    }
+
+    const decimals = {};
+    const format = async (token, amount) => {
+        if (decimals[token] === undefined) decimals[token] = await getTokenDecimals(client.provider, token);
+        return ethers.utils.formatUnits(amount, decimals[token]);
+    };
+
+    const reports = [];
+    for (const [key, properties] of [...months].sort(([a], [b]) => a.localeCompare(b))) {
+        const rows = [];
+        for (const p of properties.values()) {
+            const holders = [];
+            for (const h of p.holders.values()) {
+                holders.push({
+                    account: h.account,
+                    entitled: await format(p.paymentToken, h.entitled),
+                    claimed: await format(p.paymentToken, h.claimed),
+                    unclaimed: await format(p.paymentToken, h.entitled.sub(h.claimed))
+                });
+            }
+            rows.push({
+                tokenId: p.tokenId,
+                paymentToken: p.paymentToken,
+                distributions: p.distributions,
+                deposited: await format(p.paymentToken, p.deposited),
+                claimed: await format(p.paymentToken, p.claimed),
+                // Rounding dust from pro-rata splits stays unclaimed
+                unclaimed: await format(p.paymentToken, p.deposited.sub(p.claimed)),
+                holders
+            });
+        }
+        reports.push({ month: key, properties: rows });
+    }
+    return reports;
+}
+
+/**
+ * One CSV line per holder and property, for spreadsheets and accounting.
+ * @param {Array<Object>} reports result of buildRentReports
+ * @returns {string}
+ */
+function formatRentReportCsv(reports) {
+    const lines = ["month,tokenId,paymentToken,account,entitled,claimed,unclaimed"];
+    for (const report of reports) {
+        for (const p of report.properties) {
+            for (const h of p.holders) {
+                lines.push([report.month, p.tokenId, p.paymentToken, h.account, h.entitled, h.claimed, h.unclaimed].join(","));
+            }
+        }
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    monthOf,
+    buildRentReports,
+    formatRentReportCsv
+};
@@ -0,0 +1,248 @@
+// Turns failed transactions, raw revert payloads and ethers errors into
+// `{ code, reason, function }` descriptions for operators.
+//
+// The code and reason come from sdk/errors.js. The function is the decoded
+// entry point when the calldata is known (transaction hash or an ethers
+// error that carries the transaction); otherwise the contract sources are
+// searched for the places that can raise the error.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadAbi } = require("./artifacts");
+const {
+    ERROR_CODES,
+    LIBRARY_ERRORS,
+    AUCTION_ERRORS,
+    describeReason,
+    decodeRevertData,
+    extractRevertData
+} = require("./errors");
+
+const DEFAULT_CONTRACTS = [
+    "PropertyMarket",
+    "PropertyAuction",
+    "AdminControl",
+    "ManageLifePropertyNFT",
+    "ManageLifePropertyNFTController"
+];
+
+const CONTRACTS_DIR = path.resolve(__dirname, "..", "contracts");
+
+/**
+ * @typedef {Object} DecodedRevert
+ * @property {string|null} code     "E914", "NOT_OWNER", "BidTooLow" or null for unknown strings
+ * @property {string}      reason   human-readable meaning
+ * @property {Object}      args     custom error arguments
+ * @property {string}      [contract] contract whose function was called
+ * @property {string}      [function] signature of the function that was called
+ * @property {Array<{contract: string, function: string, file: string, line: number}>} sites
+ *           source locations that raise this error
+ */
+
+/**
+ * Loads the ABIs used for decoding. Contracts without artifacts are skipped so
+ * the decoder still works for ErrorCodes strings before anything is compiled.
+ * @param {Object} [options]
+ * @param {string[]} [options.contracts] contract names, defaults to the market/auction/admin set
+ * @param {string} [options.artifactsDir]
+ * @returns {Array<{name: string, iface: ethers.utils.Interface}>}
+ */
+function loadInterfaces(options = {}) {
+    const interfaces = [];
+    for (const name of options.contracts || DEFAULT_CONTRACTS) {
+        try {
+            interfaces.push({ name, iface: new ethers.utils.Interface(loadAbi(name, options)) });
+        } catch (_) {
+            // not compiled yet
+        }
+    }
+    return interfaces;
+}
+
+function listSolidityFiles(dir) {
+    let files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) files = files.concat(listSolidityFiles(full));
+        else if (entry.name.endsWith(".sol")) files.push(full);
+    }
+    return files;
+}
+
+function searchPatternFor(code) {
+    if (ERROR_CODES[code]) return new RegExp(`ErrorCodes\\.${code}\\b`);
+    if (LIBRARY_ERRORS[code]) return new RegExp(`Errors\\.${code}\\b`);
+    if (/^[A-Z][A-Za-z0-9]*$/.test(code)) return new RegExp(`revert\\s+${code}\\s*\\(`);
+    return null;
+}
+
+/**
+ * Finds the functions and modifiers in the contract sources that raise `code`.
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {string} [options.contractsDir] defaults to the repo's contracts/
+ */
+function findRaisingSites(code, options = {}) {
+    const pattern = searchPatternFor(code);
+    const dir = options.contractsDir || CONTRACTS_DIR;
+    if (!pattern || !fs.existsSync(dir)) return [];
+
+    const sites = [];
+    for (const file of listSolidityFiles(dir)) {
+        let contract = null;
+        let fn = null;
+        fs.readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+            const decl = /^\s*(?:abstract\s+)?(?:contract|library|interface)\s+(\w+)/.exec(line);
+            if (decl) contract = decl[1];
+            const member = /^\s*(function|modifier|constructor)\s*(\w*)/.exec(line);
+            if (member) fn = member[1] === "function" ? member[2] : `${member[1]} ${member[2]}`.trim();
+            if (pattern.test(line)) {
+                sites.push({ contract, function: fn, file: path.relative(path.dirname(dir), file), line: i + 1 });
+            }
+        });
+    }
+    return sites;
+}
+
+function describeCall(interfaces, data) {
+    if (!data || data.length < 10) return {};
+    for (const { name, iface } of interfaces) {
+        try {
+            const tx = iface.parseTransaction({ data });
+            return { contract: name, function: tx.signature, args: tx.args };
+        } catch (_) {
+            // not this contract
+        }
+    }
+    return {};
+}
+
+function finish(decoded, call, options) {
+    if (!decoded) return null;
+    const result = { ...decoded, sites: [] };
+    if (call.function) {
+        result.contract = call.contract;
+        result.function = call.function;
+    }
+    if (decoded.code && decoded.code !== "Panic") {
+        result.sites = findRaisingSites(decoded.code, options);
+    }
+    return result;
+}
+
+/**
+ * Decodes a raw revert payload (`0x08c379a0...` or a custom error).
+ * @param {string} data
+ * @param {Object} [options] see loadInterfaces
+ * @returns {DecodedRevert|null}
+ */
+function decodePayload(data, options = {}) {
+    const interfaces = options.interfaces || loadInterfaces(options);
+    return finish(decodeRevertData(data, interfaces.map((i) => i.iface)), {}, options);
+}
+
+/**
+ * Decodes a bare ErrorCodes code, Errors.sol constant or auction error name.
+ * @param {string} code e.g. "E914", "NOT_OWNER" or "BidTooLow"
+ * @returns {DecodedRevert|null}
+ */
+function decodeCode(code, options = {}) {
+    let decoded = null;
+    if (ERROR_CODES[code]) decoded = describeReason(code);
+    else if (LIBRARY_ERRORS[code]) decoded = { code, reason: LIBRARY_ERRORS[code] };
+    else if (AUCTION_ERRORS[code]) decoded = { code, reason: AUCTION_ERRORS[code] };
+    return decoded && finish({ ...decoded, args: {} }, {}, options);
+}
+
+/**
+ * Decodes an error thrown by ethers (call exception, gas estimation failure,
+ * hardhat revert).
+ * @param {Error} error
+ * @param {Object} [options] see loadInterfaces
+ * @returns {DecodedRevert|null}
+ */
+function decodeError(error, options = {}) {
+    const interfaces = options.interfaces || loadInterfaces(options);
+    let decoded = decodeRevertData(extractRevertData(error), interfaces.map((i) => i.iface));
+    if (!decoded) {
+        const text = (error && (error.reason || error.message)) || "";
+        const match = /reverted with reason string '([^']*)'/.exec(text) || /\b(E\d{3})\b/.exec(text);
+        if (match) decoded = { ...describeReason(match[1]), args: {} };
+    }
+    const tx = error && (error.transaction || (error.error && error.error.transaction));
+    const call = tx ? describeCall(interfaces, tx.data) : {};
+    return finish(decoded, call, options);
+}
+
+/**
+ * Decodes a mined transaction. Failed transactions are replayed with
+ * `eth_call` at their block to recover the revert payload.
+ * @param {ethers.providers.Provider} provider
+ * @param {string} txHash
+ * @param {Object} [options] see loadInterfaces
+ * @returns {Promise<DecodedRevert|null>} null when the transaction succeeded
+ */
+async function decodeTransaction(provider, txHash, options = {}) {
+    const interfaces = options.interfaces || loadInterfaces(options);
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) throw new Error(`Transaction ${txHash} not found`);
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (receipt && receipt.status === 1) return null;
+
+    // ethers v5 returns the revert payload from call() on some nodes and
+    // throws it on others.
+    let data = null;
+    try {
+        data = await provider.call(
+            { from: tx.from, to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit },
+            receipt ? receipt.blockNumber - 1 : "latest"
+        );
+    } catch (error) {
+        data = extractRevertData(error);
+        if (!data) return decodeError(error, { ...options, interfaces });
+    }
+    const decoded = decodeRevertData(data, interfaces.map((i) => i.iface)) ||
+        { code: null, reason: "Reverted without a reason", args: {} };
+    return finish(decoded, describeCall(interfaces, tx.data), options);
+}
+
+/**
+ * One-line summary for logs, e.g.
+ * "E403: KYC required (in PropertyMarket.purchaseProperty(uint256,uint256))".
+ * @param {DecodedRevert} decoded
+ * @returns {string}
+ */
+function formatDecoded(decoded) {
+    const head = decoded.code ? `${decoded.code}: ${decoded.reason}` : decoded.reason;
+    if (decoded.function) return `${head} (in ${decoded.contract}.${decoded.function})`;
+    if (decoded.sites.length > 0) {
+        const where = [...new Set(decoded.sites.map((s) => `${s.contract}.${s.function}`))];
+        return `${head} (raised by ${where.join(", ")})`;
+    }
+    return head;
+}
+
+/**
+ * Best-effort readable message for any error; falls back to `error.message`.
+ * Used by the hardhat_scripts runners in their catch blocks.
+ * @param {Error} error
+ * @param {Object} [options]
+ * @returns {string}
+ */
+function describeError(error, options = {}) {
+    const decoded = decodeError(error, options);
+    return decoded ? formatDecoded(decoded) : (error && error.message) || String(error);
+}
+
+module.exports = {
+    DEFAULT_CONTRACTS,
+    loadInterfaces,
+    findRaisingSites,
+    decodePayload,
+    decodeCode,
+    decodeError,
+    decodeTransaction,
+    formatDecoded,
+    describeError
+};
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers, network, config } = require("hardhat");
+
+const { PropertyAuctionClient } = require("../sdk");
+const { expectCustomError } = require("./helpers");
+
+describe("PropertyAuction anti-sniping", function () {
+    const DURATION = 3600;
+    let owner, seller, alice, bob;
+    let nft, token, auction, auctionId, biddingEnd;
+
+    async function bidAt(timestamp, bidder, amount) {
+        await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        return auction.connect(bidder).placeBid(auctionId, amount);
+    }
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        const adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.deployed();
+
+        const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+        auction = await PropertyAuction.deploy();
+        await auction.deployed();
+
+        const tx = await auction.connect(seller).createAuction(nft.address, 1, token.address, 1000, DURATION, 0);
+        auctionId = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+        biddingEnd = (await auction.auctions(auctionId)).biddingEnd.toNumber();
+    });
+
+    it("Should not extend auctions without anti-sniping", async function () {
+        await bidAt(biddingEnd - 10, alice, 1000);
+        expect((await auction.auctions(auctionId)).biddingEnd).to.equal(biddingEnd);
+    });
+
+    it("Should extend on late bids up to the maximum", async function () {
+        // Bids in the last 5 minutes add 4 minutes, at most 10 minutes overall.
+        await auction.connect(seller).setAntiSniping(auctionId, 300, 240, 600);
+
+        await bidAt(biddingEnd - 301, alice, 1000);
+        expect((await auction.auctions(auctionId)).biddingEnd).to.equal(biddingEnd);
+
+        await expect(bidAt(biddingEnd - 60, bob, 1100))
+            .to.emit(auction, "AuctionExtended")
+            .withArgs(auctionId, biddingEnd + 240, 240);
+        await bidAt(biddingEnd + 200, alice, 1200);
+        await expect(bidAt(biddingEnd + 470, bob, 1300))
+            .to.emit(auction, "AuctionExtended")
+            .withArgs(auctionId, biddingEnd + 600, 600);
+
+        // The cap is reached: later bids no longer extend.
+        await expect(bidAt(biddingEnd + 590, alice, 1400)).to.not.emit(auction, "AuctionExtended");
+        await expectCustomError(bidAt(biddingEnd + 600, bob, 1500), auction, "AuctionExpired");
+    });
+
+    it("Should only be configurable by the seller before any bid", async function () {
+        await expectCustomError(auction.connect(alice).setAntiSniping(auctionId, 300, 240, 600), auction, "NotSeller");
+        await expectCustomError(auction.connect(seller).setAntiSniping(auctionId, 300, 240, 100), auction, "InvalidParams");
+        await expectCustomError(auction.connect(seller).setAntiSniping(auctionId, 0, 240, 600), auction, "InvalidParams");
+
+        await auction.connect(alice).placeBid(auctionId, 1000);
+        await expectCustomError(auction.connect(seller).setAntiSniping(auctionId, 300, 240, 600), auction, "AuctionHasBids");
+    });
+
+    it("Should surface extensions through the SDK", async function () {
+        const sellerClient = new PropertyAuctionClient(auction.address, seller, { artifactsDir: config.paths.artifacts });
+        await sellerClient.setAntiSniping(auctionId, { window: 300, extension: 120, maxExtension: 600 });
+        expect(await sellerClient.getAntiSniping(auctionId)).to.deep.equal({
+            window: 300,
+            extension: 120,
+            maxExtension: 600,
+            totalExtended: 0
+        });
+
+        const seen = [];
+        const unsubscribe = sellerClient.onAuctionExtended(auctionId, (extension) => seen.push(extension));
+
+        await network.provider.send("evm_setNextBlockTimestamp", [biddingEnd - 30]);
+        await sellerClient.connect(alice).placeBid(auctionId, "0.001");
+
+        const extensions = await sellerClient.getAuctionExtensions(auctionId);
+        expect(extensions).to.have.lengthOf(1);
+        expect(extensions[0].newBiddingEnd).to.equal(biddingEnd + 120);
+        expect((await sellerClient.getAuction(auctionId)).biddingEnd).to.equal(biddingEnd + 120);
+
+        // Event subscriptions are delivered on the provider's polling loop.
+        for (let i = 0; i < 100 && seen.length === 0; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+        unsubscribe();
+        expect(seen.map((e) => e.totalExtended)).to.deep.equal([120]);
+    });
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyMarketClient } = require("../sdk");
+const { deployMarketFixture } = require("./helpers");
+
+describe("PropertyMarket batch listing", function () {
+    let owner, seller, buyer;
+    let adminControl, nft, token, otherToken, market, periphery;
+
+    async function failuresOf(tx) {
+        const receipt = await tx.wait();
+        return receipt.events
+            .filter((e) => e.event === "BatchItemFailed")
+            .map((e) => [e.args.tokenId.toNumber(), e.args.reason]);
+    }
+
+    beforeEach(async function () {
+        [owner, seller, buyer] = await ethers.getSigners();
+
+        ({ adminControl, nft, token, market, periphery } = await deployMarketFixture());
+        for (let i = 0; i < 3; i++) await nft.mintPropertyNFT(seller.address, true);
+        await nft.mintPropertyNFT(buyer.address, true); // token 4
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        otherToken = await MockERC20.deploy("Tether USD", "USDT", 6);
+        await otherToken.deployed();
+        await market.addAllowedToken(otherToken.address);
+
+        await adminControl.batchApproveKYC([seller.address, buyer.address], true);
+        await nft.connect(seller).approve(market.address, 1);
+        await nft.connect(seller).approve(market.address, 2);
+    });
+
+    it("Should list valid items and report the others", async function () {
+        const ids = [1, 2, 3, 4, 99];
+        const prices = [1000, 2000, 3000, 4000, 5000];
+        const tokens = ids.map(() => token.address);
+
+        expect(await periphery.connect(seller).callStatic.batchListProperty(ids, prices, tokens, false))
+            .to.deep.equal([true, true, false, false, false]);
+        const tx = await periphery.connect(seller).batchListProperty(ids, prices, tokens, false);
+        expect(await failuresOf(tx)).to.deep.equal([[3, "E106"], [4, "E105"], [99, "E504"]]);
+
+        const listing = await market.getListingDetails(2);
+        expect(listing.seller).to.equal(seller.address);
+        expect(listing.price.toNumber()).to.equal(2000);
+        expect(listing.status).to.equal(0); // LISTED
+        expect((await market.getListingDetails(3)).seller).to.equal(ethers.constants.AddressZero);
+
+        // Listing again reports E102 per item.
+        expect(await failuresOf(await periphery.connect(seller).batchListProperty([1], [1000], [token.address], false)))
+            .to.deep.equal([[1, "E102"]]);
+    });
+
+    it("Should revert the whole batch in atomic mode", async function () {
+        await expect(
+            periphery.connect(seller).batchListProperty([1, 3], [1000, 3000], [token.address, token.address], true)
+        ).to.be.revertedWith("E106");
+        expect((await market.getListingDetails(1)).seller).to.equal(ethers.constants.AddressZero);
+
+        await expect(
+            periphery.connect(seller).batchListProperty([1, 2], [1000], [token.address, token.address], true)
+        ).to.be.revertedWith("E501");
+        await expect(
+            periphery.connect(owner).batchListProperty([1], [1000], [token.address], true)
+        ).to.be.revertedWith("E403");
+    });
+
+    it("Should batch-list with a confirmation period", async function () {
+        await expect(
+            periphery.connect(seller).batchListPropertyWithConfirmation([1], [1000], [token.address], 8 * 24 * 3600, false)
+        ).to.be.revertedWith("E607");
+
+        await periphery.connect(seller).batchListPropertyWithConfirmation(
+            [1, 2], [1000, 0], [token.address, token.address], 3600, false
+        );
+        expect((await market.getListingDetails(1)).confirmationPeriod.toNumber()).to.equal(3600);
+        expect((await market.getListingDetails(2)).seller).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should batch-update the seller's listings", async function () {
+        await periphery.connect(seller).batchListProperty([1, 2], [1000, 2000], [token.address, token.address], true);
+        await token.mint(buyer.address, 5000);
+        await token.connect(buyer).approve(market.address, 5000);
+        await market.connect(buyer).placeBid(2, 2500, token.address);
+
+        // Token 2 has an active bid, so its payment token cannot change; token 3 is not approved.
+        const tx = await periphery.connect(seller).batchUpdateListingBySeller(
+            [1, 2, 3], [1500, 2600, 100], [otherToken.address, otherToken.address, token.address], false
+        );
+        expect(await failuresOf(tx)).to.deep.equal([[2, "E911"], [3, "E106"]]);
+        const listing = await market.getListingDetails(1);
+        expect(listing.price.toNumber()).to.equal(1500);
+        expect(listing.paymentToken).to.equal(otherToken.address);
+
+        await expect(
+            periphery.connect(seller).batchUpdateListingBySeller([1, 2], [1, 2], [token.address, otherToken.address], true)
+        ).to.be.revertedWith("E911");
+        await expect(market.connect(seller).updateListingBySeller(2, 2600, otherToken.address)).to.be.revertedWith("E911");
+    });
+
+    it("Should map batch results through the SDK", async function () {
+        const client = new PropertyMarketClient(market.address, seller, {
+            artifactsDir: config.paths.artifacts,
+            periphery: periphery.address
+        });
+        const { results } = await client.batchListProperty([
+            { tokenId: 1, price: "0.001", paymentToken: token.address },
+            { tokenId: 1, price: "0.001", paymentToken: token.address },
+            { tokenId: 2, price: "0.002", paymentToken: token.address }
+        ]);
+        expect(results.map((r) => [r.tokenId.toNumber(), r.ok, r.reason])).to.deep.equal([
+            [1, true, null],
+            [1, false, "E102"],
+            [2, true, null]
+        ]);
+        expect((await market.getListingDetails(2)).price.toNumber()).to.equal(2000);
+
+        const update = await client.batchUpdateListing([{ tokenId: 2, price: "0.003", paymentToken: token.address }]);
+        expect(update.results[0].ok).to.equal(true);
+    });
+});
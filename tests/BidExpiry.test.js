@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyMarketClient } = require("../sdk");
+const { increaseTime, deployMarketFixture } = require("./helpers");
+
+describe("PropertyMarket bid expiry", function () {
+    const HOUR = 3600;
+    let owner, seller, alice, bob, carol, keeper;
+    let adminControl, nft, token, market, periphery;
+
+    async function now() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob, carol, keeper] = await ethers.getSigners();
+
+        ({ adminControl, nft, token, market, periphery } = await deployMarketFixture());
+        await nft.mintPropertyNFT(seller.address, true);
+        await adminControl.batchApproveKYC([seller.address, alice.address, bob.address, carol.address], true);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        for (const bidder of [alice, bob, carol]) {
+            await token.mint(bidder.address, 100000);
+            await token.connect(bidder).approve(market.address, 100000);
+        }
+
+        await market.connect(seller).listProperty(1, 10000, token.address);
+    });
+
+    it("Should reject an expiry that is not in the future", async function () {
+        const t = await now();
+        await expect(
+            market.connect(alice).placeBidWithExpiry(1, 11000, token.address, t)
+        ).to.be.revertedWith("E210");
+    });
+
+    it("Should stop counting an expired bid", async function () {
+        const expiresAt = (await now()) + HOUR;
+        await expect(market.connect(alice).placeBidWithExpiry(1, 15000, token.address, expiresAt))
+            .to.emit(market, "BidExpirySet")
+            .withArgs(1, alice.address, expiresAt);
+        await expect(market.connect(bob).placeBid(1, 12000, token.address)).to.be.revertedWith("E205");
+
+        await increaseTime(HOUR);
+        await expect(
+            market.connect(seller).acceptBid(1, 1, alice.address, 15000, token.address)
+        ).to.be.revertedWith("E209");
+
+        // A lower bid is fine once the higher one has lapsed.
+        await market.connect(bob).placeBid(1, 12000, token.address);
+        await market.connect(seller).acceptBid(1, 2, bob.address, 12000, token.address);
+        expect(await nft.ownerOf(1)).to.equal(bob.address);
+    });
+
+    it("Should refund expired bids and compact the bid list on sweep", async function () {
+        const t = await now();
+        await market.connect(alice).placeBidWithExpiry(1, 11000, token.address, t + HOUR);
+        await market.connect(bob).placeBid(1, 12000, token.address);
+        await market.connect(carol).placeBidWithExpiry(1, 13000, token.address, t + 3 * HOUR);
+
+        await increaseTime(HOUR);
+        expect(await market.connect(keeper).callStatic.sweepExpiredBids(1)).to.equal(1);
+        await expect(market.connect(keeper).sweepExpiredBids(1))
+            .to.emit(market, "BidExpired")
+            .withArgs(1, alice.address, 11000);
+
+        expect((await token.balanceOf(alice.address)).toNumber()).to.equal(100000);
+        expect(await market.bidExpiresAt(1, alice.address)).to.equal(0);
+        expect(await market.bidIndexByBidder(alice.address, 1)).to.equal(0);
+        expect(await market.bidIndexByBidder(bob.address, 1)).to.equal(1);
+        expect(await market.bidIndexByBidder(carol.address, 1)).to.equal(2);
+        expect((await market.bidsForToken(1, 1)).bidder).to.equal(carol.address);
+        await expect(market.bidsForToken(1, 2)).to.be.reverted;
+
+        // Nothing left to sweep until carol's bid lapses.
+        expect(await market.connect(keeper).callStatic.sweepExpiredBids(1)).to.equal(0);
+
+        await market.connect(seller).acceptBid(1, 2, carol.address, 13000, token.address);
+        expect(await nft.ownerOf(1)).to.equal(carol.address);
+        expect((await token.balanceOf(bob.address)).toNumber()).to.equal(100000);
+    });
+
+    it("Should leave expired but unswept bids out of the bid views", async function () {
+        const t = await now();
+        await market.connect(alice).placeBidWithExpiry(1, 15000, token.address, t + HOUR);
+        await increaseTime(HOUR);
+        await market.connect(bob).placeBid(1, 12000, token.address);
+
+        // alice's bid is still stored as active until someone sweeps it
+        expect((await market.bidsForToken(1, 0)).isActive).to.equal(true);
+        expect(await periphery.getActiveBidCount(1)).to.equal(1);
+
+        const [page, bidIndices, total] = await periphery.getActiveBids(1, 0, 10);
+        expect(total).to.equal(1);
+        expect(page.map(b => b.bidder)).to.deep.equal([bob.address]);
+        expect(bidIndices.map(i => i.toNumber())).to.deep.equal([2]);
+
+        const [paymentTokens, amounts, bidders] = await periphery.getHighestBidsByPaymentToken(1);
+        expect(paymentTokens).to.deep.equal([token.address]);
+        expect(amounts.map(a => a.toNumber())).to.deep.equal([12000]);
+        expect(bidders).to.deep.equal([bob.address]);
+
+        await market.connect(seller).acceptBid(1, bidIndices[0], bidders[0], amounts[0], paymentTokens[0]);
+        expect(await nft.ownerOf(1)).to.equal(bob.address);
+    });
+
+    it("Should forget the expiry of cancelled, outbid and accepted bids", async function () {
+        const t = await now();
+        await market.connect(alice).placeBidWithExpiry(1, 11000, token.address, t + HOUR);
+        await market.connect(bob).placeBidWithExpiry(1, 12000, token.address, t + HOUR);
+        await market.connect(carol).placeBidWithExpiry(1, 13000, token.address, t + HOUR);
+
+        await market.connect(alice).cancelBid(1);
+        expect(await market.bidExpiresAt(1, alice.address)).to.equal(0);
+
+        await market.connect(seller).acceptBid(1, 3, carol.address, 13000, token.address);
+        expect(await market.bidExpiresAt(1, carol.address)).to.equal(0);
+        // bob's bid was refunded when carol's was accepted
+        expect(await market.bidExpiresAt(1, bob.address)).to.equal(0);
+    });
+
+    it("Should clear the expiry when a bid is raised without one", async function () {
+        const expiresAt = (await now()) + HOUR;
+        await market.connect(alice).placeBidWithExpiry(1, 11000, token.address, expiresAt);
+        await expect(market.connect(alice).placeBid(1, 12000, token.address))
+            .to.emit(market, "BidExpirySet")
+            .withArgs(1, alice.address, 0);
+
+        await increaseTime(2 * HOUR);
+        expect(await market.connect(keeper).callStatic.sweepExpiredBids(1)).to.equal(0);
+        await market.connect(seller).acceptBid(1, 1, alice.address, 12000, token.address);
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+    });
+
+    it("Should place, read and sweep expiring bids through the SDK", async function () {
+        const options = { artifactsDir: config.paths.artifacts, periphery: periphery.address };
+        const aliceClient = new PropertyMarketClient(market.address, alice, options);
+        const keeperClient = new PropertyMarketClient(market.address, keeper, options);
+
+        const expiresAt = (await now()) + HOUR;
+        await aliceClient.placeBid(1, ethers.BigNumber.from(11000), token.address, { expiresAt });
+        const bid = await keeperClient.getBidOf(1, alice.address);
+        expect(bid.index).to.equal(1);
+        expect(bid.expiresAt).to.equal(expiresAt);
+
+        await increaseTime(HOUR);
+        await keeperClient.sweepExpiredBids(1);
+        expect(await keeperClient.getBidOf(1, alice.address)).to.equal(null);
+        expect((await token.balanceOf(alice.address)).toNumber()).to.equal(100000);
+    });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyMarketClient } = require("../sdk");
+const { deployMarketFixture } = require("./helpers");
+
+describe("PropertyMarket bid views", function () {
+    let owner, seller, bidders;
+    let adminControl, nft, usdc, dai, market, periphery;
+
+    beforeEach(async function () {
+        let signers;
+        [owner, seller, ...signers] = await ethers.getSigners();
+        bidders = signers.slice(0, 5);
+
+        ({ adminControl, nft, token: usdc, market, periphery } = await deployMarketFixture());
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        dai = await MockERC20.deploy("Dai", "DAI", 18);
+        await market.addAllowedToken(dai.address);
+
+        await adminControl.batchApproveKYC([seller.address, ...bidders.map((b) => b.address)], true);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        for (const bidder of bidders) {
+            for (const token of [usdc, dai]) {
+                await token.mint(bidder.address, 10000);
+                await token.connect(bidder).approve(market.address, 10000);
+            }
+        }
+
+        await market.connect(seller).listProperty(1, 100, usdc.address);
+        // Bids must not go below the current highest, whatever the token.
+        await market.connect(bidders[0]).placeBid(1, 100, usdc.address);
+        await market.connect(bidders[1]).placeBid(1, 110, dai.address);
+        await market.connect(bidders[2]).placeBid(1, 120, usdc.address);
+        await market.connect(bidders[3]).placeBid(1, 130, dai.address);
+        await market.connect(bidders[4]).placeBid(1, 140, usdc.address);
+        await market.connect(bidders[1]).cancelBid(1);
+    });
+
+    it("Should count only active bids", async function () {
+        expect((await periphery.getActiveBidCount(1)).toNumber()).to.equal(4);
+        expect((await periphery.getActiveBidCount(2)).toNumber()).to.equal(0);
+    });
+
+    it("Should page through active bids with their acceptBid indices", async function () {
+        let [page, indices, total] = await periphery.getActiveBids(1, 0, 3);
+        expect(total.toNumber()).to.equal(4);
+        expect(page.map((b) => b.bidder)).to.deep.equal([bidders[0], bidders[2], bidders[3]].map((b) => b.address));
+        expect(indices.map((i) => i.toNumber())).to.deep.equal([1, 3, 4]);
+
+        [page, indices] = await periphery.getActiveBids(1, 3, 3);
+        expect(page.map((b) => b.bidder)).to.deep.equal([bidders[4].address]);
+        expect(indices.map((i) => i.toNumber())).to.deep.equal([5]);
+
+        [page] = await periphery.getActiveBids(1, 4, 3);
+        expect(page).to.have.lengthOf(0);
+        [page] = await periphery.getActiveBids(1, 0, 0);
+        expect(page).to.have.lengthOf(0);
+    });
+
+    it("Should report the highest bid per payment token", async function () {
+        const [tokens, amounts, topBidders] = await periphery.getHighestBidsByPaymentToken(1);
+        expect(tokens).to.deep.equal([usdc.address, dai.address]);
+        expect(amounts.map((a) => a.toNumber())).to.deep.equal([140, 130]);
+        expect(topBidders).to.deep.equal([bidders[4].address, bidders[3].address]);
+    });
+
+    it("Should let the SDK read every page", async function () {
+        const client = new PropertyMarketClient(market.address, seller, {
+            artifactsDir: config.paths.artifacts,
+            periphery: periphery.address
+        });
+
+        const bids = await client.getActiveBids(1, { pageSize: 2 });
+        expect(bids.map((b) => b.index)).to.deep.equal([1, 3, 4, 5]);
+        expect(await client.getActiveBidCount(1)).to.equal(4);
+
+        const highest = await client.getHighestBids(1);
+        expect(highest.map((h) => [h.paymentToken, h.amount.toNumber()])).to.deep.equal([
+            [usdc.address, 140],
+            [dai.address, 130]
+        ]);
+
+        await client.acceptBid(1, bids[3].index);
+        expect(await nft.ownerOf(1)).to.equal(bidders[4].address);
+        expect(await client.getActiveBids(1)).to.have.lengthOf(0);
+    });
+});
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyAuctionClient, NATIVE_TOKEN } = require("../sdk");
+const { expectCustomError, increaseTime } = require("./helpers");
+
+describe("PropertyAuction bidder bonds", function () {
+    const DURATION = 3600;
+    const ESCROW_PERIOD = 6 * 24 * 3600;
+    let owner, seller, alice, bob, collector;
+    let adminControl, nft, token, auction, auctionId;
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob, collector] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        adminControl = await AdminControl.deploy(owner.address, collector.address, owner.address);
+        await adminControl.deployed();
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.deployed();
+        for (const bidder of [alice, bob]) {
+            await token.mint(bidder.address, 100000);
+        }
+
+        const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+        auction = await PropertyAuction.deploy();
+        await auction.deployed();
+        await auction.setAdminControl(adminControl.address);
+        await auction.setBondSettings(1000); // 10% platform cut
+
+        const tx = await auction.connect(seller).createAuction(nft.address, 1, token.address, 1000, DURATION, 0);
+        auctionId = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+        await auction.connect(seller).setBidBond(auctionId, 1000, 0); // 10% of each bid
+
+        for (const bidder of [alice, bob]) {
+            await token.connect(bidder).approve(auction.address, 100000);
+        }
+    });
+
+    it("Should escrow bonds with bids and return them to losers and the paying winner", async function () {
+        await expect(auction.connect(alice).placeBid(auctionId, 2000))
+            .to.emit(auction, "BondPosted")
+            .withArgs(auctionId, alice.address, 200);
+        await auction.connect(bob).placeBid(auctionId, 3000);
+        // A higher re-bid only tops the bond up.
+        await expect(auction.connect(alice).placeBid(auctionId, 4000))
+            .to.emit(auction, "BondPosted")
+            .withArgs(auctionId, alice.address, 200);
+        expect(await auction.bidBonds(auctionId, alice.address)).to.equal(400);
+        expect(await token.balanceOf(auction.address)).to.equal(700);
+
+        await expectCustomError(auction.connect(bob).claimBond(auctionId), auction, "BondLocked");
+        await increaseTime(DURATION);
+        await auction.connect(bob).claimBond(auctionId);
+        expect(await token.balanceOf(bob.address)).to.equal(100000);
+        await expectCustomError(auction.connect(bob).claimBond(auctionId), auction, "NoBond");
+        await expectCustomError(auction.connect(alice).claimBond(auctionId), auction, "BondLocked");
+
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(auctionId);
+        await expect(auction.connect(alice).depositFunds(auctionId))
+            .to.emit(auction, "BondRefunded")
+            .withArgs(auctionId, alice.address, 400);
+
+        expect(await token.balanceOf(alice.address)).to.equal(96000);
+        expect(await token.balanceOf(seller.address)).to.equal(4000);
+        expect(await token.balanceOf(auction.address)).to.equal(0);
+    });
+
+    it("Should forfeit a defaulting winner's bond to the seller and AdminControl's fee collector", async function () {
+        await auction.connect(alice).placeBid(auctionId, 5000);
+        await increaseTime(DURATION);
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(auctionId);
+        await increaseTime(ESCROW_PERIOD);
+
+        await expect(auction.connect(seller).voidAuction(auctionId))
+            .to.emit(auction, "BondForfeited")
+            .withArgs(auctionId, alice.address, 450, 50);
+
+        expect(await token.balanceOf(seller.address)).to.equal(450);
+        expect(await token.balanceOf(collector.address)).to.equal(50);
+        expect(await nft.ownerOf(1)).to.equal(seller.address);
+        await expectCustomError(auction.connect(alice).claimBond(auctionId), auction, "NoBond");
+    });
+
+    it("Should refund the winner's bond when the seller never delivered", async function () {
+        await auction.connect(alice).placeBid(auctionId, 5000);
+        await increaseTime(DURATION + ESCROW_PERIOD);
+
+        await auction.connect(seller).voidAuction(auctionId);
+        expect(await token.balanceOf(alice.address)).to.equal(100000);
+        expect(await token.balanceOf(seller.address)).to.equal(0);
+    });
+
+    it("Should validate the bond configuration", async function () {
+        await expectCustomError(auction.connect(alice).setBidBond(auctionId, 0, 100), auction, "NotSeller");
+        await expectCustomError(auction.connect(seller).setBidBond(auctionId, 100, 100), auction, "InvalidParams");
+        await expectCustomError(auction.connect(seller).setBidBond(auctionId, 10001, 0), auction, "InvalidParams");
+        await expectCustomError(auction.setBondSettings(10001), auction, "InvalidParams");
+
+        const tx = await auction.connect(seller).createDutchAuction(nft.address, 1, token.address, 5000, 1000, DURATION, 0);
+        const dutchId = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+        await expectCustomError(auction.connect(seller).setBidBond(dutchId, 100, 0), auction, "WrongAuctionType");
+        await auction.connect(seller).setBidBond(dutchId, 0, 300);
+        await auction.connect(bob).acceptDutchPrice(dutchId);
+        expect(await auction.bidBonds(dutchId, bob.address)).to.equal(300);
+
+        await auction.connect(alice).placeBid(auctionId, 2000);
+        await expectCustomError(auction.connect(seller).setBidBond(auctionId, 0, 0), auction, "AuctionHasBids");
+        await expectCustomError(auction.connect(bob).placeBid(auctionId, 3000, { value: 1 }), auction, "IncorrectPayment");
+    });
+
+    it("Should attach fixed ETH bonds to sealed commitments through the SDK", async function () {
+        const sellerClient = new PropertyAuctionClient(auction.address, seller, { artifactsDir: config.paths.artifacts });
+        const { auctionId: sealedId } = await sellerClient.createSealedAuction({
+            nft: nft.address,
+            tokenId: 1,
+            payToken: NATIVE_TOKEN,
+            minBid: "1",
+            commitDuration: 600,
+            revealDuration: 600
+        });
+        await sellerClient.setBidBond(sealedId, { fixedAmount: "0.5" });
+        expect((await sellerClient.getBidBond(sealedId)).fixedAmount).to.equal(ethers.utils.parseEther("0.5"));
+
+        const aliceClient = sellerClient.connect(alice);
+        const bobClient = sellerClient.connect(bob);
+        const aliceBid = await aliceClient.commitBid(sealedId, "3");
+        await aliceClient.commitBid(sealedId, "4"); // re-commit: bond already posted
+        const bobBid = await bobClient.commitBid(sealedId, "2");
+        expect(await aliceClient.getPostedBond(sealedId)).to.equal(ethers.utils.parseEther("0.5"));
+        expect(await ethers.provider.getBalance(auction.address)).to.equal(ethers.utils.parseEther("1"));
+
+        await increaseTime(600);
+        await expectCustomError(aliceClient.revealBid(sealedId, aliceBid.amount, aliceBid.salt), auction, "InvalidReveal");
+        await bobClient.revealBid(sealedId, bobBid.amount, bobBid.salt);
+        await increaseTime(600);
+
+        // Alice never revealed her latest commitment, so she is a loser too.
+        await aliceClient.claimBond(sealedId);
+        await bobClient.depositFunds(sealedId);
+        await sellerClient.depositNFT(sealedId);
+        expect(await auction.pendingWithdrawals(alice.address)).to.equal(ethers.utils.parseEther("0.5"));
+        expect(await auction.pendingWithdrawals(bob.address)).to.equal(ethers.utils.parseEther("0.5"));
+        expect(await auction.pendingWithdrawals(seller.address)).to.equal(ethers.utils.parseEther("2"));
+    });
+});
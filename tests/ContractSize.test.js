@@ -0,0 +1,15 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+
+// EIP-170: mainnet rejects contracts whose runtime code is larger than this. The hardhat
+// network allows unlimited sizes, so the other tests would not notice an oversized contract.
+const MAX_RUNTIME_SIZE = 24576;
+
+describe("Contract sizes", function () {
+    for (const name of ["PropertyMarket", "PropertyMarketPeriphery", "PropertyOrderSettlement", "PropertyAuction"]) {
+        it(`Should keep ${name} within the EIP-170 limit`, async function () {
+            const { deployedBytecode } = await artifacts.readArtifact(name);
+            expect((deployedBytecode.length - 2) / 2).to.be.at.most(MAX_RUNTIME_SIZE);
+        });
+    }
+});
@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { STATUS, emptyState, applyEvent } = require("../indexer/reducer");
+const { deployMarketFixture } = require("./helpers");
+
+describe("PropertyMarket delisting", function () {
+    const DELISTED = 2;
+    let owner, seller, alice, bob;
+    let adminControl, nft, token, market, periphery;
+
+    async function balanceOf(account) {
+        return (await token.balanceOf(account.address)).toNumber();
+    }
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob] = await ethers.getSigners();
+
+        ({ adminControl, nft, token, market, periphery } = await deployMarketFixture());
+        await nft.mintPropertyNFT(seller.address, true);
+        await adminControl.batchApproveKYC([seller.address, alice.address, bob.address], true);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        for (const buyer of [alice, bob]) {
+            await token.mint(buyer.address, 100000);
+            await token.connect(buyer).approve(market.address, 100000);
+        }
+        await market.connect(seller).listProperty(1, 10000, token.address);
+    });
+
+    it("Should let the seller delist and refund every active bid", async function () {
+        await market.connect(alice).placeBid(1, 11000, token.address);
+        await market.connect(bob).placeBid(1, 12000, token.address);
+
+        await expect(market.connect(alice).delistProperty(1)).to.be.revertedWith("E105");
+        await expect(market.connect(seller).delistProperty(1))
+            .to.emit(market, "Delisted")
+            .withArgs(1, seller.address)
+            .and.to.emit(market, "BidCancelled");
+
+        expect((await market.getListingDetails(1)).status).to.equal(DELISTED);
+        expect((await periphery.getActiveBidCount(1)).toNumber()).to.equal(0);
+        expect([await balanceOf(alice), await balanceOf(bob)]).to.deep.equal([100000, 100000]);
+        await expect(market.connect(seller).delistProperty(1)).to.be.revertedWith("E103");
+        await expect(market.connect(alice).purchaseProperty(1, 10000)).to.be.revertedWith("E101");
+
+        await market.connect(seller).listProperty(1, 9000, token.address);
+        expect((await market.getListingDetails(1)).status).to.equal(0);
+    });
+
+    it("Should release a pending purchase on delisting", async function () {
+        await market.connect(seller).delistProperty(1);
+        await market.connect(seller).listPropertyWithConfirmation(1, 10000, token.address, 3600);
+        await market.connect(alice).purchaseProperty(1, 10000);
+        expect(await balanceOf(alice)).to.equal(90000);
+
+        await expect(market.connect(seller).delistProperty(1)).to.emit(market, "PurchaseRejected");
+        expect(await balanceOf(alice)).to.equal(100000);
+        expect((await market.pendingPurchases(1)).isActive).to.equal(false);
+        await expect(market.connect(seller).confirmPurchase(1)).to.be.revertedWith("E602");
+    });
+
+    it("Should delist automatically when the seller transfers the NFT away", async function () {
+        await market.connect(alice).placeBid(1, 11000, token.address);
+
+        // Without the hook the listing goes stale.
+        await nft.connect(seller).transferFrom(seller.address, bob.address, 1);
+        expect((await market.getListingDetails(1)).status).to.equal(0);
+        await nft.connect(bob).transferFrom(bob.address, seller.address, 1);
+
+        await expect(nft.connect(alice).setTransferHook(market.address)).to.be.reverted;
+        await nft.setTransferHook(market.address);
+        await expect(nft.connect(seller).transferFrom(seller.address, bob.address, 1))
+            .to.emit(market, "Delisted")
+            .withArgs(1, seller.address);
+        expect((await market.getListingDetails(1)).status).to.equal(DELISTED);
+        expect(await balanceOf(alice)).to.equal(100000);
+
+        await expect(market.onPropertyTransfer(bob.address, alice.address, 1)).to.be.revertedWith("E002");
+    });
+
+    it("Should not delist on sales, and never block transfers when the hook fails", async function () {
+        await nft.setTransferHook(market.address);
+        const tx = await market.connect(alice).purchaseProperty(1, 10000);
+        const receipt = await tx.wait();
+        expect(receipt.events.some((e) => e.event === "Delisted")).to.equal(false);
+        expect((await market.getListingDetails(1)).status).to.equal(1); // SOLD
+
+        // A hook without onPropertyTransfer reverts on every call.
+        await nft.setTransferHook(token.address);
+        await expect(nft.connect(alice).transferFrom(alice.address, bob.address, 1))
+            .to.emit(nft, "TransferHookFailed")
+            .withArgs(1);
+        expect(await nft.ownerOf(1)).to.equal(bob.address);
+    });
+
+    it("Should not let a transfer starve the hook of gas", async function () {
+        // Enough bids that refunding them takes more than TRANSFER_HOOK_MIN_GAS
+        const bidders = (await ethers.getSigners()).slice(4, 10);
+        await adminControl.batchApproveKYC(bidders.map((b) => b.address), true);
+        for (const [i, bidder] of bidders.entries()) {
+            await token.mint(bidder.address, 100000);
+            await token.connect(bidder).approve(market.address, 100000);
+            await market.connect(bidder).placeBid(1, 11000 + i * 2000, token.address);
+        }
+        await nft.setTransferHook(market.address);
+
+        // Every gas limit either reverts the whole transfer or delists the property.
+        let reverted = 0;
+        for (let gasLimit = 60000; ; gasLimit += 5000) {
+            try {
+                await (await nft.connect(seller).transferFrom(seller.address, alice.address, 1, { gasLimit })).wait();
+                break;
+            } catch (error) {
+                reverted++;
+                expect(await nft.ownerOf(1)).to.equal(seller.address);
+                expect((await market.getListingDetails(1)).status).to.equal(0);
+            }
+        }
+        expect(reverted).to.be.greaterThan(0);
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+        expect((await market.getListingDetails(1)).status).to.equal(DELISTED);
+        for (const bidder of bidders) {
+            expect(await balanceOf(bidder)).to.equal(100000);
+        }
+    });
+
+    it("Should fold Delisted into the indexer state", function () {
+        const state = emptyState();
+        applyEvent(state, {
+            event: "NewListing",
+            args: { tokenId: "1", seller: seller.address, price: "10000", paymentToken: token.address },
+            blockNumber: 1
+        });
+        applyEvent(state, { event: "Delisted", args: { tokenId: "1", seller: seller.address }, blockNumber: 2 });
+        expect(state.listings["1"].status).to.equal(STATUS.DELISTED);
+        expect(state.listings["1"].updatedAtBlock).to.equal(2);
+    });
+});
@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers, network, config } = require("hardhat");
+
+const { PropertyAuctionClient } = require("../sdk");
+const { expectCustomError, mineAt } = require("./helpers");
+
+describe("PropertyAuction Dutch mode", function () {
+    let owner, seller, buyer, other;
+    let nft, token, auction;
+
+    async function createDutch({ startPrice = 10000, floorPrice = 4000, duration = 600, stepDuration = 0 } = {}) {
+        const tx = await auction.connect(seller).createDutchAuction(
+            nft.address, 1, token.address, startPrice, floorPrice, duration, stepDuration
+        );
+        const receipt = await tx.wait();
+        const { auctionId } = receipt.events.find((e) => e.event === "AuctionCreated").args;
+        const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+        return { auctionId, start: timestamp };
+    }
+
+    beforeEach(async function () {
+        [owner, seller, buyer, other] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        const adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.deployed();
+        await token.mint(buyer.address, 100000);
+
+        const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+        auction = await PropertyAuction.deploy();
+        await auction.deployed();
+    });
+
+    it("Should decline linearly from the start price to the floor", async function () {
+        const { auctionId, start } = await createDutch();
+        expect(await auction.currentDutchPrice(auctionId)).to.equal(10000);
+
+        await mineAt(start + 300);
+        expect(await auction.currentDutchPrice(auctionId)).to.equal(7000);
+        await mineAt(start + 600);
+        expect(await auction.currentDutchPrice(auctionId)).to.equal(4000);
+    });
+
+    it("Should decline in steps", async function () {
+        const { auctionId, start } = await createDutch({ stepDuration: 200 });
+
+        await mineAt(start + 199);
+        expect(await auction.currentDutchPrice(auctionId)).to.equal(10000);
+        await mineAt(start + 250);
+        expect(await auction.currentDutchPrice(auctionId)).to.equal(8000);
+        await mineAt(start + 400);
+        expect(await auction.currentDutchPrice(auctionId)).to.equal(6000);
+    });
+
+    it("Should let the first taker win and settle through escrow", async function () {
+        const { auctionId, start } = await createDutch();
+
+        await network.provider.send("evm_setNextBlockTimestamp", [start + 150]);
+        await expect(auction.connect(buyer).acceptDutchPrice(auctionId))
+            .to.emit(auction, "BidPlaced")
+            .withArgs(auctionId, buyer.address, 8500);
+        await expectCustomError(auction.connect(other).acceptDutchPrice(auctionId), auction, "AuctionExpired");
+
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(auctionId);
+        await token.connect(buyer).approve(auction.address, 8500);
+        await expect(auction.connect(buyer).depositFunds(auctionId))
+            .to.emit(auction, "AuctionSettled")
+            .withArgs(auctionId, buyer.address, 8500);
+
+        expect(await nft.ownerOf(1)).to.equal(buyer.address);
+        expect(await token.balanceOf(seller.address)).to.equal(8500);
+    });
+
+    it("Should reject English-only and out-of-window actions", async function () {
+        const { auctionId, start } = await createDutch();
+        await expectCustomError(auction.connect(buyer).placeBid(auctionId, 9000), auction, "WrongAuctionType");
+
+        await mineAt(start + 600);
+        await expectCustomError(auction.connect(buyer).acceptDutchPrice(auctionId), auction, "AuctionExpired");
+
+        const english = await auction.connect(seller).createAuction(nft.address, 1, token.address, 1000, 600, 0);
+        const { auctionId: englishId } = (await english.wait()).events.find((e) => e.event === "AuctionCreated").args;
+        await expectCustomError(auction.connect(buyer).acceptDutchPrice(englishId), auction, "WrongAuctionType");
+    });
+
+    it("Should validate Dutch parameters", async function () {
+        await expectCustomError(createDutch({ startPrice: 4000, floorPrice: 4000 }), auction, "InvalidParams");
+        await expectCustomError(createDutch({ floorPrice: 0 }), auction, "InvalidParams");
+        await expectCustomError(createDutch({ stepDuration: 601 }), auction, "InvalidParams");
+    });
+
+    it("Should be driven from the SDK", async function () {
+        const sellerClient = new PropertyAuctionClient(auction.address, seller, { artifactsDir: config.paths.artifacts });
+        const { auctionId } = await sellerClient.createDutchAuction({
+            nft: nft.address,
+            tokenId: 1,
+            payToken: token.address,
+            startPrice: "0.01",
+            floorPrice: "0.004",
+            duration: 600
+        });
+
+        const details = await sellerClient.getAuction(auctionId);
+        expect(details.type).to.equal("Dutch");
+        expect(details.minBid).to.equal(4000);
+
+        const buyerClient = sellerClient.connect(buyer);
+        const price = await buyerClient.getDutchPrice(auctionId);
+        await buyerClient.acceptDutchPrice(auctionId);
+        const taken = await buyerClient.getAuction(auctionId);
+        expect(taken.highestBidder).to.equal(buyer.address);
+        expect(taken.highestBid.lte(price)).to.equal(true);
+    });
+});
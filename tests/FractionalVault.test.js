@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyVaultFactoryClient } = require("../sdk");
+const { increaseTime } = require("./helpers");
+
+describe("Fractional property vaults", function () {
+    const DAY = 24 * 3600;
+    const SHARES = ethers.utils.parseEther("1000");
+    const RESERVE = 100000;
+    let owner, curator, alice, bob, carol, outsider;
+    let adminControl, nft, token, factory, vault;
+
+    beforeEach(async function () {
+        [owner, curator, alice, bob, carol, outsider] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(curator.address, true);
+        await nft.mintPropertyNFT(curator.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.deployed();
+
+        const Factory = await ethers.getContractFactory("PropertyVaultFactory");
+        factory = await Factory.deploy(nft.address, adminControl.address);
+        await factory.deployed();
+
+        await adminControl.batchApproveKYC([curator.address, alice.address, bob.address, carol.address], true);
+        for (const account of [alice, bob, carol]) {
+            await token.mint(account.address, 1000000);
+        }
+
+        await nft.connect(curator).approve(factory.address, 1);
+        const tx = await factory.connect(curator).fractionalize(1, "ManageLife Property #1", "MLP1", SHARES, token.address, RESERVE, 7 * DAY);
+        const event = (await tx.wait()).events.find(e => e.event === "VaultCreated");
+        vault = await ethers.getContractAt("PropertyVault", event.args.vault);
+    });
+
+    it("Should lock the NFT and mint shares to the curator", async function () {
+        expect(await nft.ownerOf(1)).to.equal(vault.address);
+        expect(await vault.balanceOf(curator.address)).to.equal(SHARES);
+        expect(await factory.vaultOf(1)).to.equal(vault.address);
+        expect(await factory.vaultCount()).to.equal(1);
+
+        await expect(
+            factory.connect(alice).fractionalize(2, "x", "x", SHARES, token.address, RESERVE, 7 * DAY)
+        ).to.be.revertedWith("E105");
+        await nft.connect(curator).approve(factory.address, 2);
+        await expect(
+            factory.connect(curator).fractionalize(2, "x", "x", SHARES, token.address, RESERVE, 3600)
+        ).to.be.revertedWith("E502");
+    });
+
+    it("Should only move shares between KYC-verified accounts", async function () {
+        await vault.connect(curator).transfer(alice.address, SHARES.div(4));
+        await expect(vault.connect(curator).transfer(outsider.address, 1)).to.be.revertedWith("E403");
+
+        await adminControl.batchApproveKYC([alice.address], false);
+        await expect(vault.connect(alice).transfer(bob.address, 1)).to.be.revertedWith("E403");
+        await expect(vault.connect(curator).transfer(alice.address, 1)).to.be.revertedWith("E403");
+
+        // Shares only enter the vault by accepting a buyout
+        await expect(vault.connect(curator).transfer(vault.address, 1)).to.be.revertedWith("E913");
+    });
+
+    it("Should complete a buyout once a majority accepts and pay every holder", async function () {
+        await vault.connect(curator).transfer(alice.address, SHARES.div(2));
+        await vault.connect(curator).transfer(bob.address, SHARES.div(4));
+
+        await expect(vault.connect(carol).startBuyout(RESERVE - 1)).to.be.revertedWith("E104");
+        await expect(vault.connect(outsider).startBuyout(RESERVE)).to.be.revertedWith("E403");
+
+        await token.connect(carol).approve(vault.address, 200000);
+        await expect(vault.connect(carol).startBuyout(200000)).to.emit(vault, "BuyoutStarted");
+        expect((await token.balanceOf(vault.address)).toNumber()).to.equal(200000);
+        await expect(vault.connect(curator).reclaim()).to.be.revertedWith("E952");
+
+        await vault.connect(alice).acceptBuyout(SHARES.div(2));
+        await expect(vault.completeBuyout()).to.be.revertedWith("E955");
+        await vault.connect(bob).acceptBuyout(1);
+
+        await expect(vault.connect(outsider).completeBuyout())
+            .to.emit(vault, "BuyoutCompleted")
+            .withArgs(carol.address, 200000);
+        expect(await nft.ownerOf(1)).to.equal(carol.address);
+        await expect(vault.connect(carol).startBuyout(300000)).to.be.revertedWith("E951");
+
+        // Escrowed and free shares redeem alike.
+        await vault.connect(alice).redeem();
+        await vault.connect(bob).redeem();
+        await vault.connect(curator).redeem();
+        expect((await token.balanceOf(alice.address)).toNumber()).to.equal(1000000 + 100000);
+        expect((await token.balanceOf(bob.address)).toNumber()).to.equal(1000000 + 50000);
+        expect((await token.balanceOf(curator.address)).toNumber()).to.equal(50000);
+        expect(await vault.totalSupply()).to.equal(0);
+        await expect(vault.connect(alice).redeem()).to.be.revertedWith("E003");
+    });
+
+    it("Should let holders outbid a buyout and win the property after the period", async function () {
+        await vault.connect(curator).transfer(alice.address, SHARES.div(10));
+        await token.connect(carol).approve(vault.address, 200000);
+        await vault.connect(carol).startBuyout(RESERVE);
+        await vault.connect(curator).acceptBuyout(SHARES.div(10));
+
+        await token.connect(alice).approve(vault.address, 200000);
+        await expect(vault.connect(alice).startBuyout(RESERVE + 4999)).to.be.revertedWith("E205");
+        await expect(vault.connect(alice).startBuyout(RESERVE + 5000)).to.emit(vault, "BuyoutOutbid");
+        // The outbid restarts the buyout period and credits the previous proposer's deposit.
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        expect((await vault.buyoutEnd()).toNumber()).to.equal(timestamp + 7 * DAY);
+        expect((await vault.pendingRefunds(carol.address)).toNumber()).to.equal(RESERVE);
+        await expect(vault.connect(carol).withdrawRefund()).to.emit(vault, "RefundWithdrawn").withArgs(carol.address, RESERVE);
+        expect((await token.balanceOf(carol.address)).toNumber()).to.equal(1000000);
+        await expect(vault.connect(carol).withdrawRefund()).to.be.revertedWith("E962");
+
+        await increaseTime(7 * DAY - 60);
+        await expect(vault.completeBuyout()).to.be.revertedWith("E955");
+        await increaseTime(60);
+        await expect(vault.connect(bob).startBuyout(200000)).to.be.revertedWith("E954");
+        await expect(vault.connect(curator).acceptBuyout(1)).to.be.revertedWith("E954");
+        await vault.completeBuyout();
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+
+        await vault.connect(alice).redeem();
+        await vault.connect(curator).redeem();
+        expect((await token.balanceOf(alice.address)).toNumber()).to.equal(1000000 - 105000 + 10500);
+        expect((await token.balanceOf(curator.address)).toNumber()).to.equal(94500);
+    });
+
+    it("Should let a holder of every share reclaim the NFT", async function () {
+        await vault.connect(curator).transfer(alice.address, 1);
+        await expect(vault.connect(curator).reclaim()).to.be.revertedWith("E957");
+        await vault.connect(alice).transfer(curator.address, 1);
+
+        await expect(vault.connect(curator).reclaim()).to.emit(vault, "PropertyReclaimed").withArgs(curator.address);
+        expect(await nft.ownerOf(1)).to.equal(curator.address);
+        expect(await vault.totalSupply()).to.equal(0);
+        await token.connect(carol).approve(vault.address, RESERVE);
+        await expect(vault.connect(carol).startBuyout(RESERVE)).to.be.revertedWith("E951");
+    });
+
+    it("Should manage vaults through the SDK", async function () {
+        const options = { artifactsDir: config.paths.artifacts };
+        const curatorFactory = new PropertyVaultFactoryClient(factory.address, curator, options);
+
+        const created = await curatorFactory.fractionalize({ tokenId: 2, shares: "500", paymentToken: token.address, reservePrice: "1" });
+        expect(await nft.ownerOf(2)).to.equal(created.address);
+        const info = await created.getInfo();
+        expect(info.symbol).to.equal("MLP2");
+        expect(info.reservePrice.toNumber()).to.equal(1000000);
+
+        await created.transferShares(alice.address, "400");
+        const aliceVault = created.connect(alice);
+        await aliceVault.startBuyout("1");
+        await aliceVault.acceptBuyout();
+        const buyout = await aliceVault.getBuyout();
+        expect(buyout.state).to.equal("BUYOUT");
+        expect(buyout.quorumReached).to.equal(true);
+        expect(buyout.canComplete).to.equal(true);
+
+        await aliceVault.completeBuyout();
+        expect(await nft.ownerOf(2)).to.equal(alice.address);
+        expect((await created.getRedeemableAmount(curator.address)).toNumber()).to.equal(200000);
+        await created.reclaim().then(() => expect.fail("Expected E951"), error => expect(error.code).to.equal("E951"));
+
+        const vaults = await curatorFactory.listVaults();
+        expect(vaults.map(v => v.state)).to.deep.equal(["ACTIVE", "SOLD"]);
+        expect((await curatorFactory.getVault(2)).address).to.equal(created.address);
+        expect(await curatorFactory.getVault(3)).to.equal(null);
+    });
+});
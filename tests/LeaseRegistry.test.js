@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { LeaseRegistryClient } = require("../sdk");
+const { mineAt } = require("./helpers");
+
+describe("Lease registry", function () {
+    const DAY = 24 * 3600;
+    const YEAR = 365 * DAY;
+    const RENT = 2500;
+    let owner, manager, tenant, other;
+    let adminControl, nft, registry;
+    let start;
+
+    beforeEach(async function () {
+        [owner, manager, tenant, other] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+        await adminControl.grantRole(await adminControl.NFT_PROPERTY_MANAGER_ROLE(), manager.address);
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(owner.address, true);
+
+        const LeaseRegistry = await ethers.getContractFactory("LeaseRegistry");
+        registry = await LeaseRegistry.deploy(adminControl.address, nft.address);
+        await registry.deployed();
+
+        start = (await ethers.provider.getBlock("latest")).timestamp + DAY;
+    });
+
+    it("Should let managers draft leases that only the tenant can sign", async function () {
+        await expect(registry.connect(other).createLease(1, tenant.address, start, start + YEAR, RENT)).to.be.revertedWith("E002");
+        await expect(registry.connect(manager).createLease(1, tenant.address, start, start, RENT)).to.be.revertedWith("E972");
+        await expect(registry.connect(manager).createLease(1, ethers.constants.AddressZero, start, start + YEAR, RENT)).to.be.revertedWith("E001");
+        await expect(registry.connect(manager).createLease(2, tenant.address, start, start + YEAR, RENT)).to.be.reverted;
+
+        await expect(registry.connect(manager).createLease(1, tenant.address, start, start + YEAR, RENT))
+            .to.emit(registry, "LeaseCreated")
+            .withArgs(0, 1, tenant.address, start, start + YEAR, RENT);
+        await expect(registry.connect(other).signLease(0)).to.be.revertedWith("E975");
+        await expect(registry.connect(tenant).signLease(1)).to.be.revertedWith("E971");
+
+        await expect(registry.connect(tenant).signLease(0)).to.emit(registry, "LeaseSigned").withArgs(0, tenant.address);
+        expect((await registry.getLease(0)).status).to.equal(1);
+        await expect(registry.connect(tenant).signLease(0)).to.be.revertedWith("E973");
+        await expect(registry.connect(manager).cancelLease(0)).to.be.revertedWith("E973");
+    });
+
+    it("Should keep signed leases of a property from overlapping", async function () {
+        await registry.connect(manager).createLease(1, tenant.address, start, start + YEAR, RENT);
+        await registry.connect(manager).createLease(1, other.address, start + YEAR / 2, start + 2 * YEAR, RENT);
+        await registry.connect(manager).createLease(1, other.address, start + YEAR, start + 2 * YEAR, RENT);
+        await registry.connect(tenant).signLease(0);
+
+        await expect(registry.connect(other).signLease(1)).to.be.revertedWith("E976");
+        await registry.connect(manager).cancelLease(1);
+        await registry.connect(other).signLease(2);
+        expect(await registry.leasesOfProperty(1)).to.deep.equal([ethers.BigNumber.from(0), ethers.BigNumber.from(2)]);
+
+        expect((await registry.currentLease(1)).exists).to.equal(false);
+        await mineAt(start + DAY);
+        const current = await registry.currentLease(1);
+        expect(current.exists).to.equal(true);
+        expect(current.leaseId).to.equal(0);
+        await mineAt(start + YEAR + DAY);
+        expect((await registry.currentLease(1)).leaseId).to.equal(2);
+    });
+
+    it("Should grow the lease bonus with tenure and drop it when the lease ends", async function () {
+        await registry.connect(manager).createLease(1, tenant.address, start, start + 2 * YEAR, RENT);
+        expect(await adminControl.calculateRewards(tenant.address, 1000000)).to.equal(100000);
+
+        await adminControl.setLeaseRegistry(registry.address);
+        await expect(adminControl.connect(other).setLeaseRegistry(registry.address)).to.be.reverted;
+        // Unsigned and not yet started leases earn nothing
+        expect(await adminControl.calculateRewards(tenant.address, 1000000)).to.equal(100000);
+        await registry.connect(tenant).signLease(0);
+        expect(await registry.hasActiveLease(tenant.address)).to.equal(false);
+
+        // A fifth of the full tenure earns a fifth of the 3% maximum
+        await mineAt(start + 73 * DAY);
+        expect(await registry.leaseTenure(tenant.address)).to.equal(73 * DAY);
+        expect(await registry.leaseBonusFactor(tenant.address)).to.equal(2000);
+        expect(await adminControl.calculateRewards(tenant.address, 1000000)).to.equal(106000);
+
+        await mineAt(start + 400 * DAY);
+        expect(await registry.leaseBonusFactor(tenant.address)).to.equal(10000);
+        expect(await adminControl.calculateRewards(tenant.address, 1000000)).to.equal(130000);
+
+        await expect(registry.connect(tenant).terminateLease(0)).to.be.revertedWith("E002");
+        const receipt = await (await registry.connect(manager).terminateLease(0)).wait();
+        const terminatedAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+        const lease = await registry.getLease(0);
+        expect(lease.status).to.equal(2);
+        expect(lease.end).to.equal(terminatedAt);
+        expect(await registry.leaseBonusFactor(tenant.address)).to.equal(0);
+        expect(await adminControl.calculateRewards(tenant.address, 1000000)).to.equal(100000);
+        await expect(registry.connect(manager).terminateLease(0)).to.be.revertedWith("E974");
+    });
+
+    it("Should manage leases through the SDK", async function () {
+        const options = { artifactsDir: config.paths.artifacts };
+        const asManager = new LeaseRegistryClient(registry.address, manager, options);
+        const leaseId = await asManager.createLease({
+            tokenId: 1,
+            tenant: tenant.address,
+            start: new Date(start * 1000),
+            end: start + YEAR,
+            rent: RENT
+        });
+        expect(leaseId).to.equal(0);
+        await asManager.connect(tenant).signLease(leaseId);
+
+        const [lease] = await asManager.getLeasesOf(tenant.address);
+        expect(lease).to.include({ leaseId: 0, tenant: tenant.address, start, end: start + YEAR, status: "ACTIVE" });
+        expect(await asManager.getCurrentLease(1)).to.equal(null);
+
+        await mineAt(start + YEAR / 2);
+        expect((await asManager.getCurrentLease(1)).leaseId).to.equal(0);
+        expect(await asManager.getLeaseStanding(tenant.address)).to.deep.equal({ active: true, tenure: YEAR / 2, bonusFactor: 0.5 });
+    });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyMarketClient, AdminControlClient } = require("../sdk");
+const { increaseTime, deployMarketFixture } = require("./helpers");
+
+describe("PropertyMarket listing expiry", function () {
+    const DAY = 24 * 3600;
+    const LIFETIME = 30 * DAY;
+    const EXPIRED = 4;
+    let owner, seller, alice, keeper;
+    let adminControl, nft, token, market;
+
+    beforeEach(async function () {
+        [owner, seller, alice, keeper] = await ethers.getSigners();
+
+        ({ adminControl, nft, token, market } = await deployMarketFixture());
+        await nft.mintPropertyNFT(seller.address, true);
+        await adminControl.batchApproveKYC([seller.address, alice.address], true);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        await token.mint(alice.address, 100000);
+        await token.connect(alice).approve(market.address, 100000);
+
+        await adminControl.setMaxListingLifetime(LIFETIME);
+        await market.connect(seller).listProperty(1, 10000, token.address);
+    });
+
+    it("Should only let the protocol parameter manager set a sane lifetime", async function () {
+        await expect(adminControl.connect(alice).setMaxListingLifetime(DAY)).to.be.reverted;
+        await expect(adminControl.setMaxListingLifetime(3600)).to.be.revertedWith("Lifetime <1 day");
+        await expect(adminControl.setMaxListingLifetime(0))
+            .to.emit(adminControl, "ListingLifetimeUpdated")
+            .withArgs(LIFETIME, 0, owner.address);
+        expect((await market.listingExpiresAt(1)).toNumber()).to.equal(0);
+    });
+
+    it("Should stop trading on a lapsed listing and let anyone expire it", async function () {
+        await market.connect(alice).placeBid(1, 11000, token.address);
+        await expect(market.connect(keeper).expireListing(1)).to.be.revertedWith("E108");
+
+        await increaseTime(LIFETIME);
+        expect(await market.isListingExpired(1)).to.equal(true);
+        await expect(market.connect(alice).purchaseProperty(1, 12000)).to.be.revertedWith("E107");
+        await expect(market.connect(alice).placeBid(1, 12000, token.address)).to.be.revertedWith("E107");
+        await expect(
+            market.connect(seller).acceptBid(1, 1, alice.address, 11000, token.address)
+        ).to.be.revertedWith("E107");
+
+        await expect(market.connect(keeper).expireListing(1))
+            .to.emit(market, "ListingExpired")
+            .withArgs(1, seller.address)
+            .and.to.emit(market, "BidCancelled");
+        expect((await market.getListingDetails(1)).status).to.equal(EXPIRED);
+        expect((await token.balanceOf(alice.address)).toNumber()).to.equal(100000);
+        await expect(market.connect(keeper).expireListing(1)).to.be.revertedWith("E103");
+        await expect(market.connect(seller).renewListing(1)).to.be.revertedWith("E103");
+
+        // The seller lists again from scratch.
+        await market.connect(seller).listProperty(1, 9000, token.address);
+        expect(await market.isListingExpired(1)).to.equal(false);
+    });
+
+    it("Should push the expiry out on renewal", async function () {
+        await increaseTime(LIFETIME - DAY);
+        await expect(market.connect(alice).renewListing(1)).to.be.revertedWith("E105");
+        const tx = await market.connect(seller).renewListing(1);
+        const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+        await expect(tx).to.emit(market, "ListingRenewed").withArgs(1, timestamp + LIFETIME);
+
+        await increaseTime(2 * DAY);
+        expect(await market.isListingExpired(1)).to.equal(false);
+        await market.connect(alice).purchaseProperty(1, 10000);
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+    });
+
+    it("Should report the pushed-out expiry when the price changes", async function () {
+        await increaseTime(LIFETIME - DAY);
+        for (const update of [
+            () => market.connect(seller).updateListingBySeller(1, 9000, token.address),
+            () => market.updateListing(1, 8000, token.address)
+        ]) {
+            const tx = await update();
+            const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+            await expect(tx).to.emit(market, "ListingRenewed").withArgs(1, timestamp + LIFETIME);
+            expect(await market.listingExpiresAt(1)).to.equal(timestamp + LIFETIME);
+        }
+    });
+
+    it("Should expose expiry through the SDK", async function () {
+        const options = { artifactsDir: config.paths.artifacts };
+        const admin = new AdminControlClient(adminControl.address, owner, options);
+        const client = new PropertyMarketClient(market.address, keeper, options);
+        expect(await admin.getMaxListingLifetime()).to.equal(LIFETIME);
+
+        await increaseTime(LIFETIME);
+        let listing = await client.getListing(1);
+        expect(listing.status).to.equal("LISTED");
+        expect(listing.expired).to.equal(true);
+
+        await client.expireListing(1);
+        listing = await client.getListing(1);
+        expect(listing.status).to.equal("EXPIRED");
+        expect(listing.expired).to.equal(false);
+        expect(listing.expiresAt).to.be.greaterThan(0);
+    });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { MarketIndexer, MemoryStore, JsonFileStore } = require("../indexer");
+const { deployMarketFixture } = require("./helpers");
+
+describe("MarketIndexer", function () {
+    const artifactsDir = config.paths.artifacts;
+    let owner, seller, buyer, bidder;
+    let adminControl, nft, token, market, startBlock;
+
+    function newIndexer(store = new MemoryStore(), options = {}) {
+        return new MarketIndexer({
+            provider: ethers.provider,
+            address: market.address,
+            store,
+            startBlock,
+            artifactsDir,
+            ...options
+        });
+    }
+
+    beforeEach(async function () {
+        [owner, seller, buyer, bidder] = await ethers.getSigners();
+
+        ({ adminControl, nft, token, market } = await deployMarketFixture());
+        startBlock = market.deployTransaction.blockNumber;
+        await adminControl.batchApproveKYC([seller.address, buyer.address, bidder.address], true);
+        for (let i = 0; i < 3; i++) await nft.mintPropertyNFT(seller.address, true);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        for (const account of [buyer, bidder]) {
+            await token.mint(account.address, 1000000);
+            await token.connect(account).approve(market.address, 1000000);
+        }
+    });
+
+    it("Should track listings, bids, pending purchases and sales", async function () {
+        await market.connect(seller).listProperty(1, 1000, token.address);
+        await market.connect(seller).listProperty(2, 2000, token.address);
+        await market.connect(seller).listPropertyWithConfirmation(3, 3000, token.address, 3600);
+
+        await market.connect(bidder).placeBid(1, 1100, token.address);
+        await market.connect(buyer).placeBid(1, 1200, token.address);
+        await market.connect(bidder).cancelBid(1);
+        await market.connect(buyer).purchaseProperty(2, 2000);
+        await market.connect(buyer).purchaseProperty(3, 3000);
+
+        const indexer = newIndexer();
+        await indexer.sync();
+
+        expect(indexer.getActiveListings().map((l) => l.tokenId)).to.deep.equal(["1"]);
+        expect(indexer.getBids(1).map((b) => [b.bidder, b.amount])).to.deep.equal([[buyer.address, "1200"]]);
+        expect(indexer.getListing(2).status).to.equal("SOLD");
+        expect(indexer.getListing(2).lastSale.buyer).to.equal(buyer.address);
+        expect(indexer.getListing(2).lastSettlement.feeAmount).to.equal("40");
+        expect(indexer.getListing(2).lastSettlement.netAmount).to.equal("1960");
+        expect(indexer.getListing(3).status).to.equal("PENDING_SELLER_CONFIRMATION");
+        expect(indexer.getPendingPurchase(3).offerPrice).to.equal("3000");
+
+        await market.connect(seller).rejectPurchase(3);
+        await indexer.sync();
+        expect(indexer.getPendingPurchases()).to.have.lengthOf(0);
+        expect(indexer.getActiveListings().map((l) => l.tokenId)).to.have.members(["1", "3"]);
+    });
+
+    it("Should resume from the last indexed block after a restart", async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "state.json");
+
+        await market.connect(seller).listProperty(1, 1000, token.address);
+        const first = newIndexer(new JsonFileStore(file));
+        const indexed = await first.sync();
+
+        await market.connect(seller).listProperty(2, 2000, token.address);
+        const restarted = newIndexer(new JsonFileStore(file));
+        const seen = [];
+        restarted.on("event", (e) => seen.push(e.event));
+        await restarted.sync();
+
+        expect(seen).to.deep.equal(["NewListing"]);
+        expect(restarted.lastBlock).to.be.greaterThan(indexed);
+        expect(restarted.getActiveListings()).to.have.lengthOf(2);
+    });
+
+    it("Should rewind and re-index after a reorg", async function () {
+        await market.connect(seller).listProperty(1, 1000, token.address);
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+        await market.connect(bidder).placeBid(1, 1100, token.address);
+        const indexer = newIndexer();
+        await indexer.sync();
+        expect(indexer.getBids(1)).to.have.lengthOf(1);
+
+        // Replace the bid block with a different chain of the same height and more.
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await market.connect(buyer).placeBid(1, 1500, token.address);
+        await ethers.provider.send("evm_mine", []);
+
+        const reorgs = [];
+        indexer.on("reorg", (r) => reorgs.push(r));
+        await indexer.sync();
+
+        expect(reorgs).to.have.lengthOf(1);
+        expect(indexer.getBids(1).map((b) => [b.bidder, b.amount])).to.deep.equal([[buyer.address, "1500"]]);
+    });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { decodeContractError, signForwardRequest, relayRequest, signPermit } = require("../sdk");
+const { createRelayServer } = require("../hardhat_scripts/relayer");
+const { deployMarketFixture } = require("./helpers");
+
+async function expectRelayRejected(url, request, message = "Relayer rejected") {
+    try {
+        await relayRequest(url, request);
+    } catch (error) {
+        expect(error.message).to.contain(message);
+        return;
+    }
+    expect.fail("Expected the relayer to reject the request");
+}
+
+describe("ERC-2771 meta-transactions", function () {
+    const PRICE = ethers.utils.parseEther("100");
+    let owner, seller, relayer, manager, llc;
+    let adminControl, nft, controller, life, market, periphery, forwarder;
+    let server, relayUrl;
+
+    beforeEach(async function () {
+        [owner, seller, relayer, manager, llc] = await ethers.getSigners();
+
+        ({ adminControl, nft, market, periphery } = await deployMarketFixture());
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const Controller = await ethers.getContractFactory("ManageLifePropertyNFTController");
+        const predicted = ethers.utils.getContractAddress({
+            from: owner.address,
+            nonce: (await owner.getTransactionCount()) + 1
+        });
+        await nft.setPropertyControllerContract(predicted);
+        controller = await Controller.deploy(adminControl.address, nft.address);
+        await controller.deployed();
+        await adminControl.grantRole(await adminControl.NFT_PROPERTY_MANAGER_ROLE(), manager.address);
+
+        const LifeToken = await ethers.getContractFactory("LifeToken");
+        life = await LifeToken.deploy(owner.address, "ManageLife Token", "LIFE");
+        await life.deployed();
+
+        const Forwarder = await ethers.getContractFactory("ManageLifeForwarder");
+        forwarder = await Forwarder.deploy();
+        await forwarder.deployed();
+
+        await market.addAllowedToken(life.address);
+        await market.setTrustedForwarder(forwarder.address);
+        await adminControl.batchApproveKYC([seller.address], true);
+        await controller.setTrustedForwarder(forwarder.address);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        await market.connect(seller).listProperty(1, PRICE, life.address);
+
+        server = createRelayServer(relayer, forwarder.address);
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        relayUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it("Should only let admins set the trusted forwarder", async function () {
+        await expect(market.connect(seller).setTrustedForwarder(seller.address)).to.be.revertedWith("E401");
+        await expect(market.setTrustedForwarder(ethers.constants.AddressZero))
+            .to.emit(market, "TrustedForwarderUpdated")
+            .withArgs(forwarder.address, ethers.constants.AddressZero);
+        expect(await market.isTrustedForwarder(forwarder.address)).to.equal(false);
+        expect(await market.isTrustedForwarder(ethers.constants.AddressZero)).to.equal(false);
+
+        try {
+            await controller.connect(manager).setTrustedForwarder(manager.address);
+            expect.fail("Expected NotAdmin revert");
+        } catch (error) {
+            expect(decodeContractError(error, [controller.interface]).code).to.equal("NotAdmin");
+        }
+    });
+
+    it("Should only attribute periphery calls to the appended sender while it is registered", async function () {
+        await expect(market.connect(seller).setPeriphery(seller.address)).to.be.revertedWith("E401");
+        expect(await market.isTrustedForwarder(periphery.address)).to.equal(true);
+        expect(await periphery.isTrustedForwarder(forwarder.address)).to.equal(true);
+
+        const buyer = (await ethers.getSigners())[6];
+        await adminControl.batchApproveKYC([buyer.address], true);
+        await life.transfer(buyer.address, PRICE);
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+        const p = await signPermit(buyer, life.address, market.address, PRICE, deadline);
+
+        await expect(market.setPeriphery(ethers.constants.AddressZero))
+            .to.emit(market, "PeripheryUpdated")
+            .withArgs(ethers.constants.AddressZero);
+        expect(await market.isTrustedForwarder(periphery.address)).to.equal(false);
+        // Unregistered, the periphery itself is the caller, and it is not KYC verified.
+        await expect(
+            periphery.connect(buyer).purchasePropertyWithPermit(1, PRICE, p.deadline, p.v, p.r, p.s)
+        ).to.be.revertedWith("E403");
+
+        await market.setPeriphery(periphery.address);
+        await periphery.connect(buyer).purchasePropertyWithPermit(1, PRICE, p.deadline, p.v, p.r, p.s);
+        expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should let a buyer without ETH purchase through the relayer", async function () {
+        const buyer = ethers.Wallet.createRandom().connect(ethers.provider);
+        await adminControl.batchApproveKYC([buyer.address], true);
+        await life.transfer(buyer.address, PRICE);
+        expect(await ethers.provider.getBalance(buyer.address)).to.equal(0);
+
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+        const p = await signPermit(buyer, life.address, market.address, PRICE, deadline);
+        // The permit entry point lives on the periphery, which trusts the market's forwarder.
+        const data = periphery.interface.encodeFunctionData("purchasePropertyWithPermit", [1, PRICE, p.deadline, p.v, p.r, p.s]);
+        const request = await signForwardRequest(buyer, forwarder.address, { to: periphery.address, data });
+
+        const { txHash } = await relayRequest(relayUrl, request);
+        const receipt = await ethers.provider.getTransactionReceipt(txHash);
+        expect(receipt.from).to.equal(relayer.address);
+        expect(await nft.ownerOf(1)).to.equal(buyer.address);
+        expect(await life.balanceOf(buyer.address)).to.equal(0);
+        expect(await forwarder.nonces(buyer.address)).to.equal(1);
+
+        // Replaying the same request fails verification at the relayer.
+        await expectRelayRejected(relayUrl, request, "Invalid or expired request");
+    });
+
+    it("Should not forward to a contract that no longer trusts the forwarder", async function () {
+        const buyer = ethers.Wallet.createRandom().connect(ethers.provider);
+        await adminControl.batchApproveKYC([buyer.address], true);
+        await market.setTrustedForwarder(ethers.constants.AddressZero);
+
+        const data = market.interface.encodeFunctionData("purchaseProperty", [1, PRICE]);
+        const request = await signForwardRequest(buyer, forwarder.address, { to: market.address, data, gas: 500000 });
+        // The forwarder refuses to call targets that do not trust it.
+        await expectRelayRejected(relayUrl, request);
+        expect(await nft.ownerOf(1)).to.equal(seller.address);
+    });
+
+    it("Should refuse requests that spend the relayer's ETH", async function () {
+        const buyer = ethers.Wallet.createRandom().connect(ethers.provider);
+        const request = await signForwardRequest(buyer, forwarder.address, { to: llc.address, data: "0x", value: 1, gas: 50000 });
+        const before = await relayer.getBalance();
+        await expectRelayRejected(relayUrl, request, "non-zero value");
+        expect(await relayer.getBalance()).to.equal(before);
+        expect(await forwarder.nonces(buyer.address)).to.equal(0);
+    });
+
+    it("Should accept forwarded calls from a property manager on the controller", async function () {
+        const data = controller.interface.encodeFunctionData("setTokenRoyalty", [1, llc.address, 500]);
+        const request = await signForwardRequest(manager, forwarder.address, { to: controller.address, data });
+        await relayRequest(relayUrl, request);
+
+        const [receiver, amount] = await nft.royaltyInfo(1, 10000);
+        expect([receiver, amount.toNumber()]).to.deep.equal([llc.address, 500]);
+
+        // A forwarded call from someone without the role still fails.
+        const other = ethers.Wallet.createRandom().connect(ethers.provider);
+        const denied = await signForwardRequest(other, forwarder.address, { to: controller.address, data, gas: 200000 });
+        await expectRelayRejected(relayUrl, denied);
+    });
+});
@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const {
+    PropertyNFTControllerClient,
+    hashMetadata,
+    loadMetadata,
+    validatePropertyMetadata
+} = require("../sdk");
+const { expectCustomError } = require("./helpers");
+
+function propertyMetadata(overrides = {}) {
+    return {
+        name: "ManageLife Property #1",
+        description: "Two-bedroom apartment held by 123 Main Street LLC",
+        image: "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi",
+        properties: {
+            llc: { name: "123 Main Street LLC", jurisdiction: "US-DE", registrationNumber: "7654321" },
+            propertyAddress: { street: "123 Main Street", city: "Wilmington", region: "DE", postalCode: "19801", country: "US" },
+            legal: { deedReference: "Book 1234, Page 56", deedHeldAtManageLife: true },
+            documents: [{ type: "deed", uri: "ipfs://bafkreideed", contentHash: ethers.utils.keccak256("0x01") }]
+        },
+        ...overrides
+    };
+}
+
+describe("Property metadata attestations", function () {
+    const CID = "bafkreimetadata1";
+    let owner, manager, holder, other;
+    let adminControl, nft, controller;
+    let server, baseUrl, files;
+
+    before(async function () {
+        files = {};
+        server = http.createServer((req, res) => {
+            const body = files[req.url];
+            res.writeHead(body === undefined ? 404 : 200, { "Content-Type": "application/json" });
+            res.end(body === undefined ? "" : body);
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async function () {
+        [owner, manager, holder, other] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+        await adminControl.grantRole(await adminControl.NFT_PROPERTY_MANAGER_ROLE(), manager.address);
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(holder.address, true);
+
+        const Controller = await ethers.getContractFactory("ManageLifePropertyNFTController");
+        const predicted = ethers.utils.getContractAddress({
+            from: owner.address,
+            nonce: (await owner.getTransactionCount()) + 1
+        });
+        await nft.setPropertyControllerContract(predicted);
+        controller = await Controller.deploy(adminControl.address, nft.address);
+        await controller.deployed();
+    });
+
+    describe("ManageLifePropertyNFTController", function () {
+        it("Should keep a version history of attested hashes", async function () {
+            const first = hashMetadata(JSON.stringify(propertyMetadata()));
+            const second = hashMetadata(JSON.stringify(propertyMetadata({ description: "Renovated" })));
+
+            await expectCustomError(controller.connect(other).attestMetadata(1, first, CID), controller, "NotNftPropertyManager");
+            await expectCustomError(controller.connect(manager).attestMetadata(1, ethers.constants.HashZero, CID), controller, "InvalidContentHash");
+            await expect(controller.connect(manager).attestMetadata(2, first, CID)).to.be.reverted;
+            await expectCustomError(controller.latestMetadataAttestation(1), controller, "UnknownMetadataVersion");
+            expect(await controller.verifyMetadata(1, first)).to.equal(false);
+
+            await expect(controller.connect(manager).attestMetadata(1, first, CID))
+                .to.emit(controller, "MetadataAttested")
+                .withArgs(1, 1, first, CID, manager.address);
+            await expect(controller.connect(manager).attestMetadata(1, second, ""))
+                .to.emit(controller, "MetadataAttested")
+                .withArgs(1, 2, second, "", manager.address);
+
+            expect(await controller.metadataVersionCount(1)).to.equal(2);
+            const [latest, version] = await controller.latestMetadataAttestation(1);
+            expect(version).to.equal(2);
+            expect(latest.contentHash).to.equal(second);
+            expect(latest.attester).to.equal(manager.address);
+            expect((await controller.metadataAttestation(1, 1)).cid).to.equal(CID);
+            await expectCustomError(controller.metadataAttestation(1, 3), controller, "UnknownMetadataVersion");
+            expect(await controller.verifyMetadata(1, second)).to.equal(true);
+            expect(await controller.verifyMetadata(1, first)).to.equal(false);
+        });
+
+        it("Should start a replacement NFT contract without history", async function () {
+            const hash = hashMetadata(JSON.stringify(propertyMetadata()));
+            await controller.connect(manager).attestMetadata(1, hash, CID);
+
+            const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+            const replacement = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+            await replacement.deployed();
+            await replacement.mintPropertyNFT(holder.address, true);
+            await replacement.setPropertyControllerContract(controller.address);
+            await controller.setManageLifePropertyNFTContract(replacement.address);
+
+            expect(await controller.metadataVersionCount(1)).to.equal(0);
+            expect(await controller.verifyMetadata(1, hash)).to.equal(false);
+
+            // Switching back restores the original contract's history.
+            await controller.setManageLifePropertyNFTContract(nft.address);
+            expect(await controller.verifyMetadata(1, hash)).to.equal(true);
+        });
+    });
+
+    describe("Metadata validator", function () {
+        it("Should report schema violations with their path", async function () {
+            const metadata = propertyMetadata();
+            delete metadata.properties.llc.registrationNumber;
+            metadata.properties.propertyAddress.country = "USA";
+            metadata.properties.legal.deedHeldAtManageLife = "yes";
+            metadata.properties.documents[0].type = "selfie";
+
+            const result = validatePropertyMetadata(JSON.stringify(metadata));
+            expect(result.valid).to.equal(false);
+            expect(result.errors).to.have.members([
+                "$.properties.llc.registrationNumber: is required",
+                "$.properties.propertyAddress.country: must match ^[A-Z]{2}$",
+                "$.properties.legal.deedHeldAtManageLife: expected boolean, got string",
+                "$.properties.documents[0].type: must be one of deed, operating_agreement, title_report, appraisal, inspection, other"
+            ]);
+            expect(validatePropertyMetadata("{not json").errors[0]).to.match(/^\$: invalid JSON/);
+            expect(validatePropertyMetadata(JSON.stringify(propertyMetadata())).valid).to.equal(true);
+        });
+
+        it("Should load metadata from local paths and URLs", async function () {
+            const body = JSON.stringify(propertyMetadata());
+            const file = path.join(os.tmpdir(), `managelife-metadata-${process.pid}.json`);
+            fs.writeFileSync(file, body);
+            files["/metadata/1.json"] = body;
+            files[`/ipfs/${CID}`] = body;
+            try {
+                expect(hashMetadata(await loadMetadata(file))).to.equal(hashMetadata(body));
+                expect(hashMetadata(await loadMetadata(`file://${file}`))).to.equal(hashMetadata(body));
+                expect((await loadMetadata(`${baseUrl}/metadata/1.json`)).toString()).to.equal(body);
+                expect((await loadMetadata(`ipfs://${CID}`, { ipfsGateway: baseUrl })).toString()).to.equal(body);
+            } finally {
+                fs.unlinkSync(file);
+            }
+
+            try {
+                await loadMetadata(`${baseUrl}/missing.json`);
+                expect.fail("Expected the fetch to fail");
+            } catch (error) {
+                expect(error.message).to.contain("HTTP 404");
+            }
+        });
+
+        it("Should attest and verify metadata through the SDK", async function () {
+            const body = JSON.stringify(propertyMetadata(), null, 2);
+            files[`/ipfs/${CID}`] = body;
+            files["/metadata/1.json"] = body;
+            const options = { artifactsDir: config.paths.artifacts };
+            const asManager = new PropertyNFTControllerClient(controller.address, manager, options);
+
+            expect(await asManager.getMetadataAttestation(1)).to.equal(null);
+            const version = await asManager.attestMetadata(1, { source: `${baseUrl}/metadata/1.json`, cid: CID });
+            expect(version).to.equal(1);
+
+            let result = await asManager.validateMetadata(1, { ipfsGateway: baseUrl });
+            expect(result).to.deep.include({ valid: true, schemaValid: true, hashMatches: true, errors: [] });
+            expect(result.attestation).to.include({ version: 1, cid: CID, contentHash: hashMetadata(body) });
+
+            // Silently edited metadata no longer matches the attestation
+            files[`/ipfs/${CID}`] = JSON.stringify(propertyMetadata({ name: "Edited" }), null, 2);
+            result = await asManager.validateMetadata(1, { ipfsGateway: baseUrl });
+            expect(result).to.deep.include({ valid: false, schemaValid: true, hashMatches: false });
+            expect(result.errors[0]).to.contain("does not match attested version 1");
+
+            await asManager.attestMetadata(1, { contentHash: hashMetadata(files[`/ipfs/${CID}`]) });
+            const history = await asManager.getMetadataHistory(1);
+            expect(history.map(a => a.version)).to.deep.equal([1, 2]);
+            try {
+                await asManager.validateMetadata(1);
+                expect.fail("Expected a missing source error");
+            } catch (error) {
+                expect(error.message).to.contain("has no attested IPFS CID");
+            }
+            result = await asManager.validateMetadata(1, { source: `ipfs://${CID}`, ipfsGateway: baseUrl });
+            expect(result.valid).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers, network, config } = require("hardhat");
+
+const { PropertyAuctionClient, NATIVE_TOKEN } = require("../sdk");
+const { expectCustomError } = require("./helpers");
+
+describe("PropertyAuction native ETH", function () {
+    const DURATION = 3600;
+    const PRICE = ethers.utils.parseEther("10");
+    let owner, seller, buyer, other;
+    let adminControl, nft, auction, rejecting;
+
+    async function createEthAuction(buyNowPrice = 0) {
+        const tx = await auction.connect(seller).createAuction(
+            nft.address, 1, NATIVE_TOKEN, ethers.utils.parseEther("1"), DURATION, buyNowPrice
+        );
+        return (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+    }
+
+    async function endBidding() {
+        await network.provider.send("evm_increaseTime", [DURATION]);
+        await network.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+        [owner, seller, buyer, other] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+        auction = await PropertyAuction.deploy();
+        await auction.deployed();
+        await auction.setAdminControl(adminControl.address);
+
+        const Rejecting = await ethers.getContractFactory("MockRejectingReceiver");
+        rejecting = await Rejecting.deploy();
+        await rejecting.deployed();
+    });
+
+    it("Should escrow msg.value and credit the proceeds for withdrawal", async function () {
+        await adminControl.updateFeeConfig(200, other.address);
+        await auction.setPlatformFee(100);
+        const auctionId = await createEthAuction();
+        await auction.connect(buyer).placeBid(auctionId, PRICE);
+        await endBidding();
+
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(auctionId);
+        await expectCustomError(
+            auction.connect(buyer).depositFunds(auctionId, { value: PRICE.sub(1) }), auction, "IncorrectPayment"
+        );
+        await auction.connect(buyer).depositFunds(auctionId, { value: PRICE });
+
+        expect(await nft.ownerOf(1)).to.equal(buyer.address);
+        expect(await auction.pendingWithdrawals(seller.address)).to.equal(ethers.utils.parseEther("9.9"));
+        expect(await auction.pendingWithdrawals(other.address)).to.equal(ethers.utils.parseEther("0.1"));
+
+        const before = await seller.getBalance();
+        const receipt = await (await auction.connect(seller).withdrawPayments(seller.address)).wait();
+        const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+        expect(await seller.getBalance()).to.equal(before.add(ethers.utils.parseEther("9.9")).sub(gas));
+        await expectCustomError(auction.connect(seller).withdrawPayments(seller.address), auction, "NothingToWithdraw");
+    });
+
+    it("Should settle even when a recipient rejects ETH", async function () {
+        await adminControl.updateFeeConfig(200, rejecting.address);
+        await auction.setPlatformFee(100);
+        const auctionId = await createEthAuction(PRICE);
+        await auction.connect(buyer).buyNow(auctionId, { value: PRICE });
+
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(auctionId);
+        expect((await auction.auctions(auctionId)).status).to.equal(1); // Settled
+
+        // The rejecting collector can only claim to another address.
+        const withdrawToSelf = auction.interface.encodeFunctionData("withdrawPayments", [rejecting.address]);
+        await expectCustomError(rejecting.forward(auction.address, withdrawToSelf), auction, "TransferFailed");
+        const withdrawToOther = auction.interface.encodeFunctionData("withdrawPayments", [other.address]);
+        const before = await other.getBalance();
+        await rejecting.forward(auction.address, withdrawToOther);
+        expect(await other.getBalance()).to.equal(before.add(ethers.utils.parseEther("0.1")));
+    });
+
+    it("Should credit refunds on void and reject ETH on ERC-20 auctions", async function () {
+        const auctionId = await createEthAuction(PRICE);
+        await auction.connect(buyer).buyNow(auctionId, { value: PRICE });
+        await network.provider.send("evm_increaseTime", [6 * 24 * 3600]);
+        await auction.connect(buyer).voidAuction(auctionId);
+        expect(await auction.pendingWithdrawals(buyer.address)).to.equal(PRICE);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.mint(buyer.address, 5000);
+        const tx = await auction.connect(seller).createAuction(nft.address, 1, token.address, 1000, DURATION, 5000);
+        const erc20Id = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+        await token.connect(buyer).approve(auction.address, 5000);
+        await expectCustomError(auction.connect(buyer).buyNow(erc20Id, { value: 1 }), auction, "IncorrectPayment");
+    });
+
+    it("Should pay and withdraw ETH through the SDK", async function () {
+        const sellerClient = new PropertyAuctionClient(auction.address, seller, { artifactsDir: config.paths.artifacts });
+        const { auctionId } = await sellerClient.createAuction({
+            nft: nft.address,
+            tokenId: 1,
+            payToken: NATIVE_TOKEN,
+            minBid: "1",
+            duration: DURATION
+        });
+        const buyerClient = sellerClient.connect(buyer);
+        await buyerClient.placeBid(auctionId, "10");
+        await endBidding();
+
+        await sellerClient.depositNFT(auctionId);
+        await buyerClient.depositFunds(auctionId);
+        expect(await sellerClient.getPendingWithdrawal()).to.equal(PRICE);
+        await sellerClient.withdrawPayments();
+        expect(await sellerClient.getPendingWithdrawal()).to.equal(0);
+    });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyMarketClient, signPermit } = require("../sdk");
+const { deployMarketFixture } = require("./helpers");
+
+describe("PropertyMarket ERC-2612 permit payments", function () {
+    const DAY = 24 * 3600;
+    const PRICE = ethers.utils.parseEther("100");
+    let owner, seller, alice, bob;
+    let adminControl, nft, life, market, periphery;
+
+    async function deadline() {
+        return (await ethers.provider.getBlock("latest")).timestamp + DAY;
+    }
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob] = await ethers.getSigners();
+
+        ({ adminControl, nft, market, periphery } = await deployMarketFixture());
+        await nft.mintPropertyNFT(seller.address, true);
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const LifeToken = await ethers.getContractFactory("LifeToken");
+        life = await LifeToken.deploy(owner.address, "ManageLife Token", "LIFE");
+        await life.deployed();
+
+        await market.addAllowedToken(life.address);
+        await adminControl.batchApproveKYC([seller.address, alice.address, bob.address], true);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        await life.transfer(alice.address, ethers.utils.parseEther("1000"));
+        await life.transfer(bob.address, ethers.utils.parseEther("1000"));
+
+        await market.connect(seller).listProperty(1, PRICE, life.address);
+    });
+
+    it("Should buy a property with a permit instead of an approve", async function () {
+        const p = await signPermit(alice, life.address, market.address, PRICE, await deadline());
+        await expect(periphery.connect(alice).purchasePropertyWithPermit(1, PRICE, p.deadline, p.v, p.r, p.s))
+            .to.emit(market, "PropertySold");
+
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+        expect(await life.allowance(alice.address, market.address)).to.equal(0);
+        expect(await life.nonces(alice.address)).to.equal(1);
+    });
+
+    it("Should place and raise bids with permits", async function () {
+        let p = await signPermit(alice, life.address, market.address, PRICE, await deadline());
+        await periphery.connect(alice).placeBidWithPermit(1, PRICE, life.address, p.deadline, p.v, p.r, p.s);
+
+        // The raise permits the new total; only the difference is pulled.
+        const raised = PRICE.mul(2);
+        p = await signPermit(alice, life.address, market.address, raised, await deadline());
+        await periphery.connect(alice).placeBidWithPermit(1, raised, life.address, p.deadline, p.v, p.r, p.s);
+
+        expect(await life.balanceOf(market.address)).to.equal(raised);
+        expect(await life.allowance(alice.address, market.address)).to.equal(PRICE);
+        await market.connect(seller).acceptBid(1, 1, alice.address, raised, life.address);
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+    });
+
+    it("Should fall back to the allowance when the permit fails", async function () {
+        // Permit for the wrong amount: ignored, and there is no allowance either.
+        let p = await signPermit(alice, life.address, market.address, PRICE.sub(1), await deadline());
+        await expect(
+            periphery.connect(alice).placeBidWithPermit(1, PRICE, life.address, p.deadline, p.v, p.r, p.s)
+        ).to.be.revertedWith("E208");
+
+        // A permit front-run by someone else has already set the allowance.
+        p = await signPermit(alice, life.address, market.address, PRICE, await deadline());
+        await life.connect(bob).permit(alice.address, market.address, PRICE, p.deadline, p.v, p.r, p.s);
+        await periphery.connect(alice).placeBidWithPermit(1, PRICE, life.address, p.deadline, p.v, p.r, p.s);
+        expect((await periphery.getActiveBidCount(1)).toNumber()).to.equal(1);
+    });
+
+    it("Should sign permits automatically in the SDK", async function () {
+        const options = { artifactsDir: config.paths.artifacts, periphery: periphery.address };
+        const aliceClient = new PropertyMarketClient(market.address, alice, options);
+        const bobClient = aliceClient.connect(bob);
+        await market.connect(seller).listProperty(2, PRICE, life.address);
+
+        await bobClient.placeBid(1, "150", life.address);
+        expect(await life.nonces(bob.address)).to.equal(1);
+
+        await aliceClient.purchaseProperty(2);
+        expect(await nft.ownerOf(2)).to.equal(alice.address);
+        expect(await life.nonces(alice.address)).to.equal(1);
+
+        // Opting out goes through approve as before.
+        await bobClient.placeBid(1, "160", life.address, { permit: false });
+        expect(await life.nonces(bob.address)).to.equal(1);
+        expect((await bobClient.getBidOf(1, bob.address)).amount).to.equal(ethers.utils.parseEther("160"));
+    });
+});
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { deployMarketFixture } = require("./helpers");
+
+describe("PropertyMarket platform fee", function () {
+    let owner, seller, buyer, feeCollector;
+    let adminControl, nft, token, market;
+
+    async function settlementOf(tx) {
+        const receipt = await tx.wait();
+        const event = receipt.events.find((e) => e.event === "SaleSettled");
+        expect(event, "SaleSettled").to.not.equal(undefined);
+        return event.args;
+    }
+
+    async function balances() {
+        return Promise.all([seller, buyer, feeCollector].map(async (a) => (await token.balanceOf(a.address)).toNumber()));
+    }
+
+    beforeEach(async function () {
+        [owner, seller, buyer, feeCollector] = await ethers.getSigners();
+
+        ({ adminControl, nft, token, market } = await deployMarketFixture({ feeCollector: feeCollector.address }));
+        for (let i = 0; i < 3; i++) await nft.mintPropertyNFT(seller.address, true);
+        await adminControl.batchApproveKYC([seller.address, buyer.address], true);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        await token.mint(buyer.address, 100000);
+        await token.connect(buyer).approve(market.address, 100000);
+    });
+
+    it("Should take the current fee on a direct purchase", async function () {
+        await market.connect(seller).listProperty(1, 10000, token.address);
+        const args = await settlementOf(await market.connect(buyer).purchaseProperty(1, 10000));
+
+        expect(args.tokenId.toNumber()).to.equal(1);
+        expect(args.seller).to.equal(seller.address);
+        expect(args.buyer).to.equal(buyer.address);
+        expect(args.paymentToken).to.equal(token.address);
+        expect([args.grossAmount, args.feeAmount, args.netAmount].map((a) => a.toNumber())).to.deep.equal([10000, 200, 9800]);
+        expect(await balances()).to.deep.equal([9800, 90000, 200]);
+    });
+
+    it("Should take the fee once when a pending purchase is confirmed", async function () {
+        await market.connect(seller).listPropertyWithConfirmation(1, 10000, token.address, 3600);
+        await market.connect(buyer).purchaseProperty(1, 10000);
+        const args = await settlementOf(await market.connect(seller).confirmPurchase(1));
+
+        expect([args.grossAmount, args.feeAmount, args.netAmount].map((a) => a.toNumber())).to.deep.equal([10000, 200, 9800]);
+        expect(await balances()).to.deep.equal([9800, 90000, 200]);
+        expect((await token.balanceOf(market.address)).toNumber()).to.equal(0);
+        expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should take the fee on an accepted bid", async function () {
+        await market.connect(seller).listProperty(1, 10000, token.address);
+        await market.connect(buyer).placeBid(1, 12000, token.address);
+        const args = await settlementOf(
+            await market.connect(seller).acceptBid(1, 1, buyer.address, 12000, token.address)
+        );
+
+        expect([args.grossAmount, args.feeAmount, args.netAmount].map((a) => a.toNumber())).to.deep.equal([12000, 240, 11760]);
+        expect(await balances()).to.deep.equal([11760, 88000, 240]);
+    });
+
+    it("Should follow fee and collector changes in AdminControl", async function () {
+        const [, , , , newCollector] = await ethers.getSigners();
+        await adminControl.updateFeeConfig(500, newCollector.address);
+        await market.connect(seller).listProperty(1, 10000, token.address);
+        const args = await settlementOf(await market.connect(buyer).purchaseProperty(1, 10000));
+
+        expect(args.feeAmount.toNumber()).to.equal(500);
+        expect((await token.balanceOf(newCollector.address)).toNumber()).to.equal(500);
+
+        await adminControl.updateFeeConfig(0, newCollector.address);
+        await market.connect(seller).listProperty(2, 10000, token.address);
+        const free = await settlementOf(await market.connect(buyer).purchaseProperty(2, 10000));
+        expect(free.feeAmount.toNumber()).to.equal(0);
+        expect(free.netAmount.toNumber()).to.equal(10000);
+    });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers, network, config } = require("hardhat");
+
+const { RentDistributorClient, buildRentReports, formatRentReportCsv, monthOf } = require("../sdk");
+const { deployMarketFixture } = require("./helpers");
+
+describe("Rent distribution", function () {
+    const DAY = 24 * 3600;
+    const SHARES = ethers.utils.parseEther("1000");
+    let owner, manager, landlord, curator, alice, bob, outsider;
+    let adminControl, nft, token, market, factory, distributor, vault;
+
+    beforeEach(async function () {
+        [owner, manager, landlord, curator, alice, bob, outsider] = await ethers.getSigners();
+
+        ({ adminControl, nft, token, market } = await deployMarketFixture());
+        await adminControl.grantRole(await adminControl.NFT_PROPERTY_MANAGER_ROLE(), manager.address);
+        await nft.mintPropertyNFT(landlord.address, true);
+        await nft.mintPropertyNFT(curator.address, true);
+        await token.mint(manager.address, 10000000000);
+
+        const Factory = await ethers.getContractFactory("PropertyVaultFactory");
+        factory = await Factory.deploy(nft.address, adminControl.address);
+        await factory.deployed();
+
+        const RentDistributor = await ethers.getContractFactory("RentDistributor");
+        distributor = await RentDistributor.deploy(market.address, factory.address);
+        await distributor.deployed();
+        await token.connect(manager).approve(distributor.address, ethers.constants.MaxUint256);
+
+        await adminControl.batchApproveKYC([curator.address, alice.address, bob.address], true);
+        await nft.connect(curator).approve(factory.address, 2);
+        const tx = await factory.connect(curator).fractionalize(2, "ManageLife Property #2", "MLP2", SHARES, token.address, 100000, 7 * DAY);
+        const event = (await tx.wait()).events.find(e => e.event === "VaultCreated");
+        vault = await ethers.getContractAt("PropertyVault", event.args.vault);
+    });
+
+    it("Should only accept deposits from property managers in allowed tokens", async function () {
+        await expect(distributor.connect(outsider).depositRent(1, token.address, 1000)).to.be.revertedWith("E002");
+        await expect(distributor.connect(manager).depositRent(1, outsider.address, 1000)).to.be.revertedWith("E301");
+        await expect(distributor.connect(manager).depositRent(1, token.address, 0)).to.be.revertedWith("E003");
+
+        await expect(distributor.connect(manager).depositRent(1, token.address, 1000))
+            .to.emit(distributor, "RentDeposited")
+            .withArgs(0, 1, token.address, 1000, landlord.address, false, manager.address);
+        expect(await distributor.totalRentDeposited(1)).to.equal(1000);
+        await expect(distributor.getDistribution(1)).to.be.revertedWith("E961");
+    });
+
+    it("Should pay whole-property rent to the owner at deposit time", async function () {
+        await distributor.connect(manager).depositRent(1, token.address, 5000);
+        await nft.connect(landlord).transferFrom(landlord.address, outsider.address, 1);
+
+        expect(await distributor.claimable(0, outsider.address)).to.equal(0);
+        await expect(distributor.connect(outsider).claim([0])).to.be.revertedWith("E962");
+
+        await expect(distributor.connect(landlord).claim([0]))
+            .to.emit(distributor, "RentClaimed")
+            .withArgs(0, landlord.address, 5000);
+        expect(await token.balanceOf(landlord.address)).to.equal(5000);
+        await expect(distributor.connect(landlord).claim([0])).to.be.revertedWith("E962");
+    });
+
+    it("Should pay rent for a property in auction escrow to its seller", async function () {
+        const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+        const auction = await PropertyAuction.deploy();
+        await auction.deployed();
+        await expect(distributor.connect(manager).setEscrowContract(auction.address, true)).to.be.revertedWith("E002");
+        await expect(distributor.setEscrowContract(auction.address, true))
+            .to.emit(distributor, "EscrowContractSet")
+            .withArgs(auction.address, true);
+
+        const tx = await auction.connect(landlord).createAuction(nft.address, 1, token.address, 1000, 3600, 0);
+        const auctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+        await auction.connect(alice).placeBid(auctionId, 2000);
+        await network.provider.send("evm_increaseTime", [3600]);
+        await nft.connect(landlord).approve(auction.address, 1);
+        await auction.connect(landlord).depositNFT(auctionId);
+        expect(await nft.ownerOf(1)).to.equal(auction.address);
+
+        await expect(distributor.connect(manager).depositRent(1, token.address, 1000))
+            .to.emit(distributor, "RentDeposited")
+            .withArgs(0, 1, token.address, 1000, landlord.address, false, manager.address);
+    });
+
+    it("Should split fractional rent by the holdings at the deposit block", async function () {
+        await vault.connect(curator).transfer(alice.address, SHARES.div(2));
+        await vault.connect(curator).transfer(bob.address, SHARES.div(4));
+        await distributor.connect(manager).depositRent(2, token.address, 8000);
+
+        // Shares moved after the deposit do not change who earned it
+        await vault.connect(alice).transfer(bob.address, SHARES.div(2));
+        await network.provider.send("evm_mine");
+
+        expect(await distributor.claimable(0, alice.address)).to.equal(4000);
+        expect(await distributor.claimable(0, bob.address)).to.equal(2000);
+        expect(await distributor.claimable(0, curator.address)).to.equal(2000);
+        expect(await distributor.claimable(0, vault.address)).to.equal(0);
+
+        await distributor.connect(alice).claim([0]);
+        await distributor.connect(bob).claim([0]);
+        await distributor.connect(curator).claim([0]);
+        expect(await token.balanceOf(alice.address)).to.equal(4000);
+        expect(await token.balanceOf(bob.address)).to.equal(2000);
+        expect(await token.balanceOf(curator.address)).to.equal(2000);
+        expect(await token.balanceOf(distributor.address)).to.equal(0);
+    });
+
+    it("Should count shares escrowed for a buyout as holdings", async function () {
+        await vault.connect(curator).transfer(alice.address, SHARES.div(2));
+        await token.mint(bob.address, 1000000);
+        await token.connect(bob).approve(vault.address, 1000000);
+        await vault.connect(bob).startBuyout(100000);
+        await vault.connect(alice).acceptBuyout(SHARES.div(4));
+
+        await distributor.connect(manager).depositRent(2, token.address, 1000);
+        await network.provider.send("evm_mine");
+
+        expect(await vault.holdingsOf(alice.address)).to.equal(SHARES.div(2));
+        expect(await distributor.claimable(0, alice.address)).to.equal(500);
+        expect(await distributor.claimable(0, curator.address)).to.equal(500);
+    });
+
+    it("Should deposit, claim and report through the SDK", async function () {
+        await vault.connect(curator).transfer(alice.address, SHARES.div(4));
+        const options = { artifactsDir: config.paths.artifacts };
+        const asManager = new RentDistributorClient(distributor.address, manager, options);
+        expect(await asManager.depositRent(1, "0.002", token.address)).to.equal(0);
+        expect(await asManager.depositRent(2, "0.004", token.address)).to.equal(1);
+        await network.provider.send("evm_mine");
+
+        const asAlice = asManager.connect(alice);
+        const owed = await asAlice.getClaimable(alice.address);
+        expect(owed.map(c => c.distributionId)).to.deep.equal([1]);
+        expect(owed[0].amount).to.equal(1000);
+        await asAlice.claim();
+
+        const [distribution] = await asAlice.getDistributions();
+        const month = monthOf(distribution.depositedAt);
+        const [report] = await buildRentReports(asAlice, { month });
+        expect(report.month).to.equal(month);
+        expect(report.properties).to.have.length(2);
+
+        const whole = report.properties.find(p => p.tokenId === "1");
+        expect(whole.deposited).to.equal("0.002");
+        expect(whole.unclaimed).to.equal("0.002");
+        expect(whole.holders).to.deep.equal([
+            { account: landlord.address, entitled: "0.002", claimed: "0.0", unclaimed: "0.002" }
+        ]);
+
+        const fractional = report.properties.find(p => p.tokenId === "2");
+        expect(fractional.claimed).to.equal("0.001");
+        expect(fractional.holders).to.deep.include({ account: alice.address, entitled: "0.001", claimed: "0.001", unclaimed: "0.0" });
+        expect(fractional.holders).to.deep.include({ account: curator.address, entitled: "0.003", claimed: "0.0", unclaimed: "0.003" });
+
+        const csv = formatRentReportCsv([report]).split("\n");
+        expect(csv[0]).to.equal("month,tokenId,paymentToken,account,entitled,claimed,unclaimed");
+        expect(csv).to.include(`${month},2,${token.address},${alice.address},0.001,0.001,0.0`);
+        expect(await buildRentReports(asAlice, { month: "1999-01" })).to.deep.equal([]);
+    });
+});
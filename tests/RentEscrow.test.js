@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers, network, config } = require("hardhat");
+
+const { RentEscrowClient } = require("../sdk");
+const { mineAt, deployMarketFixture } = require("./helpers");
+
+describe("Rent escrow", function () {
+    const DAY = 24 * 3600;
+    const RENT = ethers.utils.parseEther("1000");
+    const DEPOSIT = ethers.utils.parseEther("2000");
+    let owner, manager, landlord, tenant, other;
+    let adminControl, nft, life, market, distributor, registry, escrow;
+    let start, end;
+
+    async function setNextTimestamp(timestamp) {
+        await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    }
+
+    beforeEach(async function () {
+        [owner, manager, landlord, tenant, other] = await ethers.getSigners();
+
+        ({ adminControl, nft, market } = await deployMarketFixture());
+        await adminControl.grantRole(await adminControl.NFT_PROPERTY_MANAGER_ROLE(), manager.address);
+        await nft.mintPropertyNFT(landlord.address, true);
+
+        const LifeToken = await ethers.getContractFactory("LifeToken");
+        life = await LifeToken.deploy(owner.address, "ManageLife Token", "LIFE");
+        await life.deployed();
+        await life.transfer(tenant.address, ethers.utils.parseEther("100000"));
+        await market.addAllowedToken(life.address);
+
+        const RentDistributor = await ethers.getContractFactory("RentDistributor");
+        distributor = await RentDistributor.deploy(market.address, ethers.constants.AddressZero);
+        await distributor.deployed();
+
+        const LeaseRegistry = await ethers.getContractFactory("LeaseRegistry");
+        registry = await LeaseRegistry.deploy(adminControl.address, nft.address);
+        await registry.deployed();
+
+        const RentEscrow = await ethers.getContractFactory("RentEscrow");
+        escrow = await RentEscrow.deploy(registry.address, distributor.address);
+        await escrow.deployed();
+
+        await adminControl.grantRole(await adminControl.NFT_PROPERTY_MANAGER_ROLE(), escrow.address);
+        await adminControl.grantRole(await adminControl.COMMUNITY_SCORE_ROLE(), escrow.address);
+        await adminControl.setLeaseRegistry(registry.address);
+        await registry.setRentStanding(escrow.address);
+
+        start = (await ethers.provider.getBlock("latest")).timestamp + DAY;
+        end = start + 90 * DAY;
+        await registry.connect(manager).createLease(1, tenant.address, start, end, RENT);
+        await life.connect(tenant).approve(escrow.address, ethers.constants.MaxUint256);
+    });
+
+    it("Should open escrow accounts for leases in allowed tokens", async function () {
+        await expect(escrow.connect(other).openEscrow(0, life.address, DEPOSIT)).to.be.revertedWith("E002");
+        await expect(escrow.connect(manager).openEscrow(0, other.address, DEPOSIT)).to.be.revertedWith("E301");
+        await expect(escrow.connect(manager).openEscrow(1, life.address, DEPOSIT)).to.be.revertedWith("E971");
+        await expect(escrow.payRent(0)).to.be.revertedWith("E982");
+
+        await expect(escrow.connect(manager).openEscrow(0, life.address, DEPOSIT))
+            .to.emit(escrow, "EscrowOpened")
+            .withArgs(0, life.address, DEPOSIT);
+        await expect(escrow.connect(manager).openEscrow(0, life.address, DEPOSIT)).to.be.revertedWith("E981");
+
+        // Rent is only due on signed leases
+        await expect(escrow.connect(tenant).payRent(0)).to.be.revertedWith("E974");
+        await expect(escrow.connect(other).payDeposit(0)).to.be.revertedWith("E975");
+        await escrow.connect(tenant).payDeposit(0);
+        expect((await escrow.getAccount(0)).depositHeld).to.equal(DEPOSIT);
+        await expect(escrow.connect(tenant).payDeposit(0)).to.be.revertedWith("E984");
+    });
+
+    it("Should charge late fees and feed community scores and lease bonuses", async function () {
+        await escrow.connect(manager).openEscrow(0, life.address, DEPOSIT);
+        await registry.connect(tenant).signLease(0);
+        await adminControl.updateCommunityScore(tenant.address, 100, true);
+
+        await setNextTimestamp(start + DAY);
+        await expect(escrow.connect(tenant).payRent(0))
+            .to.emit(escrow, "RentPaid")
+            .withArgs(0, 0, tenant.address, RENT, 0);
+        expect(await adminControl.communityScores(tenant.address)).to.equal(110);
+        const distribution = await distributor.getDistribution(0);
+        expect(distribution.recipient).to.equal(landlord.address);
+        expect(distribution.amount).to.equal(RENT);
+
+        // The second period is past its grace period
+        await mineAt(start + 36 * DAY);
+        const due = await escrow.rentDue(0);
+        expect(due.dueDate).to.equal(start + 30 * DAY);
+        expect(due.amount).to.equal(RENT.mul(105).div(100));
+        expect(due.periodsOverdue).to.equal(1);
+        expect(await escrow.isInArrears(tenant.address)).to.equal(true);
+        expect(await registry.leaseBonusFactor(tenant.address)).to.equal(0);
+
+        await expect(escrow.connect(other).payRent(0)).to.be.reverted;
+        await escrow.connect(tenant).payRent(0);
+        expect(await adminControl.communityScores(tenant.address)).to.equal(60);
+        expect(await escrow.isInArrears(tenant.address)).to.equal(false);
+        expect(await registry.leaseBonusFactor(tenant.address)).to.be.gt(0);
+        const account = await escrow.getAccount(0);
+        expect(account.paidPeriods).to.equal(2);
+        expect(account.latePayments).to.equal(1);
+        expect(account.penaltiesPaid).to.equal(RENT.div(20));
+        expect((await distributor.getDistribution(1)).amount).to.equal(RENT.mul(105).div(100));
+
+        await escrow.connect(tenant).payRent(0);
+        await expect(escrow.connect(tenant).payRent(0)).to.be.revertedWith("E983");
+        expect((await escrow.rentDue(0)).amount).to.equal(0);
+    });
+
+    it("Should release the deposit once both parties agree", async function () {
+        await escrow.connect(manager).openEscrow(0, life.address, DEPOSIT);
+        await registry.connect(tenant).signLease(0);
+        await escrow.connect(tenant).payDeposit(0);
+
+        const deduction = ethers.utils.parseEther("300");
+        await expect(escrow.connect(manager).proposeDeduction(0, deduction)).to.be.revertedWith("E985");
+        await mineAt(end);
+        await expect(escrow.connect(manager).proposeDeduction(0, DEPOSIT.add(1))).to.be.revertedWith("E986");
+        await expect(escrow.connect(tenant).proposeDeduction(0, deduction)).to.be.revertedWith("E002");
+        await escrow.connect(manager).proposeDeduction(0, deduction);
+        await expect(escrow.releaseDeposit(0)).to.be.revertedWith("E988");
+        await expect(escrow.connect(other).approveRelease(0)).to.be.revertedWith("E975");
+
+        const before = await life.balanceOf(tenant.address);
+        await expect(escrow.connect(tenant).approveRelease(0))
+            .to.emit(escrow, "DepositReleased")
+            .withArgs(0, DEPOSIT.sub(deduction), deduction);
+        expect(await life.balanceOf(tenant.address)).to.equal(before.add(DEPOSIT.sub(deduction)));
+        expect((await distributor.getDistribution(0)).amount).to.equal(deduction);
+        expect((await escrow.getAccount(0)).depositStatus).to.equal(4);
+        await expect(escrow.connect(tenant).approveRelease(0)).to.be.revertedWith("E984");
+    });
+
+    it("Should let an admin settle disputed deductions", async function () {
+        await escrow.connect(manager).openEscrow(0, life.address, DEPOSIT);
+        await registry.connect(tenant).signLease(0);
+        await escrow.connect(tenant).payDeposit(0);
+        await mineAt(start + 10 * DAY);
+        // A terminated lease has ended
+        await registry.connect(manager).terminateLease(0);
+        await escrow.connect(manager).proposeDeduction(0, DEPOSIT);
+
+        await escrow.connect(tenant).disputeDeduction(0);
+        await expect(escrow.releaseDeposit(0)).to.be.revertedWith("E984");
+        await expect(escrow.connect(manager).resolveDispute(0, 0)).to.be.revertedWith("E002");
+        await expect(escrow.resolveDispute(0, DEPOSIT.add(1))).to.be.revertedWith("E986");
+
+        const before = await life.balanceOf(tenant.address);
+        await expect(escrow.resolveDispute(0, DEPOSIT.div(4)))
+            .to.emit(escrow, "DepositReleased")
+            .withArgs(0, DEPOSIT.mul(3).div(4), DEPOSIT.div(4));
+        expect(await life.balanceOf(tenant.address)).to.equal(before.add(DEPOSIT.mul(3).div(4)));
+    });
+
+    it("Should release deposits when the dispute window or move-out period passes", async function () {
+        await escrow.connect(manager).openEscrow(0, life.address, DEPOSIT);
+        await registry.connect(tenant).signLease(0);
+        await escrow.connect(tenant).payDeposit(0);
+        await mineAt(end);
+        await escrow.connect(manager).proposeDeduction(0, 1000);
+        await mineAt(end + 8 * DAY);
+        await expect(escrow.connect(tenant).disputeDeduction(0)).to.be.revertedWith("E987");
+        await expect(escrow.connect(other).releaseDeposit(0)).to.emit(escrow, "DepositReleased").withArgs(0, DEPOSIT.sub(1000), 1000);
+
+        // Without a proposal the tenant gets everything back after the move-out period
+        await registry.connect(manager).createLease(1, tenant.address, end + 10 * DAY, end + 40 * DAY, RENT);
+        await escrow.connect(manager).openEscrow(1, life.address, DEPOSIT);
+        await registry.connect(tenant).signLease(1);
+        await escrow.connect(tenant).payDeposit(1);
+        await mineAt(end + 40 * DAY);
+        await expect(escrow.releaseDeposit(1)).to.be.revertedWith("E988");
+        await mineAt(end + 54 * DAY);
+        await expect(escrow.releaseDeposit(1)).to.emit(escrow, "DepositReleased").withArgs(1, DEPOSIT, 0);
+    });
+
+    it("Should refund a deposit paid on a lease that was then cancelled", async function () {
+        await escrow.connect(manager).openEscrow(0, life.address, DEPOSIT);
+        await escrow.connect(tenant).payDeposit(0);
+        const before = await life.balanceOf(tenant.address);
+        await expect(escrow.releaseDeposit(0)).to.be.revertedWith("E988");
+
+        await registry.connect(manager).cancelLease(0);
+        await expect(escrow.connect(other).releaseDeposit(0)).to.emit(escrow, "DepositReleased").withArgs(0, DEPOSIT, 0);
+        expect(await life.balanceOf(tenant.address)).to.equal(before.add(DEPOSIT));
+    });
+
+    it("Should pay rent and deposits through the SDK", async function () {
+        const options = { artifactsDir: config.paths.artifacts };
+        const asManager = new RentEscrowClient(escrow.address, manager, options);
+        await asManager.openEscrow(0, life.address, "2000");
+        await registry.connect(tenant).signLease(0);
+        await life.connect(tenant).approve(escrow.address, 0);
+
+        const asTenant = asManager.connect(tenant);
+        await asTenant.payDeposit(0);
+        await mineAt(start + 40 * DAY);
+        const due = await asTenant.getRentDue(0);
+        expect(due).to.deep.include({ dueDate: start, periodsOverdue: 2, paidUp: false });
+        expect(await asTenant.isInArrears(tenant.address)).to.equal(true);
+        await asTenant.payRent(0);
+
+        const account = await asTenant.getAccount(0);
+        expect(account).to.deep.include({ paidPeriods: 1, latePayments: 1, depositStatus: "HELD" });
+        expect(account.depositHeld).to.equal(DEPOSIT);
+
+        await mineAt(end);
+        await asManager.proposeDeduction(0, "150.5");
+        expect((await asTenant.getAccount(0)).deduction).to.equal(ethers.utils.parseEther("150.5"));
+        await asTenant.disputeDeduction(0);
+        await asManager.connect(owner).resolveDispute(0, "50");
+        expect((await asTenant.getAccount(0)).depositStatus).to.equal("RELEASED");
+    });
+});
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers, network, config } = require("hardhat");
+
+const { PropertyAuctionClient } = require("../sdk");
+const { expectCustomError } = require("./helpers");
+
+describe("PropertyAuction hidden reserve", function () {
+    const DURATION = 3600;
+    const SALT = ethers.utils.id("reserve-salt");
+    let owner, seller, alice, bob;
+    let nft, token, auction, auctionId;
+
+    async function endBidding() {
+        await network.provider.send("evm_increaseTime", [DURATION]);
+        await network.provider.send("evm_mine");
+    }
+
+    async function commitReserve(reserve) {
+        const commitment = await auction.hashReserve(auctionId, reserve, SALT);
+        await auction.connect(seller).setReserveCommitment(auctionId, commitment);
+    }
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        const adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.deployed();
+        await token.mint(alice.address, 100000);
+
+        const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+        auction = await PropertyAuction.deploy();
+        await auction.deployed();
+
+        const tx = await auction.connect(seller).createAuction(nft.address, 1, token.address, 1000, DURATION, 0);
+        auctionId = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+    });
+
+    it("Should let the seller decline a winning bid below the reserve", async function () {
+        await commitReserve(5000);
+        await auction.connect(alice).placeBid(auctionId, 4000);
+
+        await expectCustomError(auction.connect(seller).declineBelowReserve(auctionId, 5000, SALT), auction, "AuctionActive");
+        await endBidding();
+
+        // The winner already escrowed funds: they come back.
+        await token.connect(alice).approve(auction.address, 4000);
+        await auction.connect(alice).depositFunds(auctionId);
+
+        await expect(auction.connect(seller).declineBelowReserve(auctionId, 5000, SALT))
+            .to.emit(auction, "AuctionReserveNotMet")
+            .withArgs(auctionId, 5000, 4000);
+
+        const state = await auction.auctions(auctionId);
+        expect(state.status).to.equal(4); // ReserveNotMet
+        expect(await token.balanceOf(alice.address)).to.equal(100000);
+        await expectCustomError(auction.connect(alice).voidAuction(auctionId), auction, "AuctionNotActive");
+    });
+
+    it("Should not allow declining when the reserve is met or misreported", async function () {
+        await commitReserve(5000);
+        await auction.connect(alice).placeBid(auctionId, 5000);
+        await endBidding();
+
+        await expectCustomError(auction.connect(seller).declineBelowReserve(auctionId, 6000, SALT), auction, "InvalidReserve");
+        await expectCustomError(auction.connect(seller).declineBelowReserve(auctionId, 5000, SALT), auction, "ReserveMet");
+        await expectCustomError(auction.connect(alice).declineBelowReserve(auctionId, 5000, SALT), auction, "NotSeller");
+    });
+
+    it("Should fix the reserve before bidding and keep it off Dutch auctions", async function () {
+        await expectCustomError(
+            auction.connect(alice).setReserveCommitment(auctionId, ethers.utils.id("x")), auction, "NotSeller"
+        );
+        await auction.connect(alice).placeBid(auctionId, 4000);
+        await expectCustomError(
+            auction.connect(seller).setReserveCommitment(auctionId, ethers.utils.id("x")), auction, "AuctionHasBids"
+        );
+
+        const dutch = await auction.connect(seller).createDutchAuction(nft.address, 1, token.address, 2000, 1000, 600, 0);
+        const dutchId = (await dutch.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+        await expectCustomError(
+            auction.connect(seller).setReserveCommitment(dutchId, ethers.utils.id("x")), auction, "WrongAuctionType"
+        );
+    });
+
+    it("Should not allow declining once the seller escrowed the NFT", async function () {
+        await commitReserve(5000);
+        await auction.connect(alice).placeBid(auctionId, 4000);
+        await endBidding();
+
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(auctionId);
+        await expectCustomError(auction.connect(seller).declineBelowReserve(auctionId, 5000, SALT), auction, "NFTAlreadyDeposited");
+    });
+
+    it("Should clear a Vickrey auction at the reserve when only the winner meets it", async function () {
+        const tx = await auction.connect(seller).createSealedAuction(nft.address, 1, token.address, 1000, 600, 600, true);
+        const sealedId = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+        await auction.connect(seller).setReserveCommitment(sealedId, await auction.hashReserve(sealedId, 5000, SALT));
+
+        await token.mint(bob.address, 100000);
+        for (const [bidder, amount] of [[alice, 6000], [bob, 3000]]) {
+            await auction.connect(bidder).commitBid(sealedId, await auction.hashSealedBid(sealedId, bidder.address, amount, SALT));
+        }
+        await network.provider.send("evm_increaseTime", [600]);
+        await auction.connect(alice).revealBid(sealedId, 6000, SALT);
+        await auction.connect(bob).revealBid(sealedId, 3000, SALT);
+        await network.provider.send("evm_increaseTime", [600]);
+        await network.provider.send("evm_mine");
+
+        // alice escrowed the runner-up price before the seller revealed the reserve
+        await token.connect(alice).approve(auction.address, 3000);
+        await auction.connect(alice).depositFunds(sealedId);
+
+        await expectCustomError(auction.connect(seller).declineBelowReserve(sealedId, 5000, SALT), auction, "ReserveMet");
+        await expect(auction.connect(seller).applyReserve(sealedId, 5000, SALT))
+            .to.emit(auction, "ReserveApplied")
+            .withArgs(sealedId, 5000);
+        expect(await token.balanceOf(alice.address)).to.equal(100000);
+        await expectCustomError(auction.connect(seller).applyReserve(sealedId, 5000, SALT), auction, "ReserveMet");
+
+        await token.connect(alice).approve(auction.address, 5000);
+        await auction.connect(alice).depositFunds(sealedId);
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(sealedId);
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+        expect(await token.balanceOf(alice.address)).to.equal(95000);
+    });
+
+    it("Should not apply a reserve the winner did not meet", async function () {
+        await commitReserve(5000);
+        await auction.connect(alice).placeBid(auctionId, 4000);
+        await endBidding();
+
+        await expectCustomError(auction.connect(seller).applyReserve(auctionId, 5000, SALT), auction, "BelowReserve");
+    });
+
+    it("Should commit and reveal the reserve through the SDK", async function () {
+        const sellerClient = new PropertyAuctionClient(auction.address, seller, { artifactsDir: config.paths.artifacts });
+        const { reserve, salt, commitment } = await sellerClient.setReserve(auctionId, "0.005");
+        expect(commitment).to.equal(await auction.reserveCommitments(auctionId));
+
+        await sellerClient.connect(alice).placeBid(auctionId, "0.004");
+        await endBidding();
+        await sellerClient.declineBelowReserve(auctionId, reserve, salt);
+        expect((await sellerClient.getAuction(auctionId)).status).to.equal("ReserveNotMet");
+    });
+});
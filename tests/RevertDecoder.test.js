@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const {
+    decodePayload,
+    decodeCode,
+    decodeError,
+    decodeTransaction,
+    findRaisingSites,
+    formatDecoded
+} = require("../sdk/revertDecoder");
+const { LIBRARY_ERRORS } = require("../sdk/errors");
+const { deployMarketFixture } = require("./helpers");
+
+describe("Revert decoder", function () {
+    const options = { artifactsDir: config.paths.artifacts };
+
+    function errorString(reason) {
+        return new ethers.utils.Interface(["function Error(string)"]).encodeFunctionData("Error", [reason]);
+    }
+
+    describe("Static decoding", function () {
+        it("Should mirror every message in Errors.sol", function () {
+            const fs = require("fs");
+            const path = require("path");
+            const source = fs.readFileSync(
+                path.join(__dirname, "..", "contracts", "libraries", "Errors.sol"),
+                "utf8"
+            );
+            const constants = [...source.matchAll(/string constant (\w+) = "([^"]+)";/g)];
+            for (const [, name, message] of constants) {
+                expect(LIBRARY_ERRORS[name], name).to.equal(message);
+            }
+            expect(Object.keys(LIBRARY_ERRORS)).to.have.lengthOf(constants.length);
+        });
+
+        it("Should decode an ErrorCodes payload and locate the raising functions", function () {
+            const decoded = decodePayload(errorString("E403"), options);
+            expect(decoded.code).to.equal("E403");
+            expect(decoded.reason).to.equal("KYC required");
+            const functions = decoded.sites.map((s) => `${s.contract}.${s.function}`);
+            expect(functions).to.include("PropertyMarket._checkKYCVerified");
+        });
+
+        it("Should decode Errors.sol messages to their constant name", function () {
+            const decoded = decodePayload(errorString("Array length mismatch"), options);
+            expect(decoded.code).to.equal("ARRAY_LENGTH_MISMATCH");
+            expect(decoded.sites.map((s) => s.contract)).to.include("Validation");
+        });
+
+        it("Should decode bare codes and auction error names", function () {
+            expect(decodeCode("E914").reason).to.equal("Insufficient contract balance");
+            expect(decodeCode("NotWinner").reason).to.equal("Caller is not the winning bidder");
+            expect(findRaisingSites("NotWinner").map((s) => s.function)).to.include("depositFunds");
+            expect(decodeCode("E999")).to.equal(null);
+        });
+    });
+
+    describe("Live decoding", function () {
+        let owner, seller, market, nft, token;
+
+        beforeEach(async function () {
+            [owner, seller] = await ethers.getSigners();
+
+            ({ nft, token, market } = await deployMarketFixture());
+            await nft.mintPropertyNFT(seller.address, true);
+        });
+
+        it("Should name the called function for an ethers error", async function () {
+            try {
+                await market.connect(seller).callStatic.listProperty(1, 100, token.address);
+                expect.fail("seller is not KYC verified");
+            } catch (error) {
+                const decoded = decodeError(error, options);
+                expect(decoded.code).to.equal("E403");
+                expect(decoded.contract).to.equal("PropertyMarket");
+                expect(decoded.function).to.equal("listProperty(uint256,uint256,address)");
+                expect(formatDecoded(decoded)).to.equal(
+                    "E403: KYC required (in PropertyMarket.listProperty(uint256,uint256,address))"
+                );
+            }
+        });
+
+        it("Should decode a mined failed transaction by hash", async function () {
+            // A fixed gas limit skips estimation, so the reverting transaction gets mined.
+            await market.connect(seller)
+                .listProperty(1, 100, token.address, { gasLimit: 500000 })
+                .then((tx) => tx.wait())
+                .catch(() => {});
+            const [hash] = (await ethers.provider.getBlock("latest")).transactions;
+
+            const decoded = await decodeTransaction(ethers.provider, hash, options);
+            expect(decoded.code).to.equal("E403");
+            expect(decoded.function).to.equal("listProperty(uint256,uint256,address)");
+        });
+    });
+});
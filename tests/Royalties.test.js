@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { expectCustomError } = require("./helpers");
+
+describe("ERC-2981 royalties", function () {
+    let owner, seller, buyer, feeCollector, llc, manager;
+    let adminControl, nft, controller, token;
+
+    beforeEach(async function () {
+        [owner, seller, buyer, feeCollector, llc, manager] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        adminControl = await AdminControl.deploy(owner.address, feeCollector.address, owner.address);
+        await adminControl.deployed();
+
+        // The controller checks the NFT points back at it, so wire the NFT to it after deployment.
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(seller.address, true);
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const Controller = await ethers.getContractFactory("ManageLifePropertyNFTController");
+        await nft.setPropertyControllerContract(owner.address);
+        const predicted = ethers.utils.getContractAddress({
+            from: owner.address,
+            nonce: (await owner.getTransactionCount()) + 1
+        });
+        await nft.setPropertyControllerContract(predicted);
+        controller = await Controller.deploy(adminControl.address, nft.address);
+        await controller.deployed();
+        expect(controller.address).to.equal(predicted);
+
+        await adminControl.grantRole(await adminControl.NFT_PROPERTY_MANAGER_ROLE(), manager.address);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.deployed();
+        await token.mint(buyer.address, 1000000);
+    });
+
+    describe("ManageLifePropertyNFT", function () {
+        it("Should report per-token royalties set through the controller", async function () {
+            await controller.setDefaultRoyalty(owner.address, 100);
+            await controller.connect(manager).setTokenRoyalty(1, llc.address, 500);
+
+            let [receiver, amount] = await nft.royaltyInfo(1, 10000);
+            expect([receiver, amount.toNumber()]).to.deep.equal([llc.address, 500]);
+            [receiver, amount] = await nft.royaltyInfo(2, 10000);
+            expect([receiver, amount.toNumber()]).to.deep.equal([owner.address, 100]);
+
+            await controller.connect(manager).resetTokenRoyalty(1);
+            [receiver] = await nft.royaltyInfo(1, 10000);
+            expect(receiver).to.equal(owner.address);
+
+            expect(await nft.supportsInterface("0x2a55205a")).to.equal(true);
+            expect(await nft.supportsInterface("0x80ac58cd")).to.equal(true);
+        });
+
+        it("Should restrict royalty configuration", async function () {
+            await expectCustomError(
+                controller.connect(seller).setTokenRoyalty(1, llc.address, 500), controller, "NotNftPropertyManager"
+            );
+            await expectCustomError(controller.connect(manager).setDefaultRoyalty(llc.address, 500), controller, "NotAdmin");
+            await expectCustomError(nft.connect(manager).setTokenRoyalty(1, llc.address, 500), nft, "NotController");
+            await expectCustomError(controller.connect(manager).setTokenRoyalty(1, llc.address, 1001), nft, "RoyaltyTooHigh");
+        });
+    });
+
+    describe("PropertyMarket", function () {
+        let market;
+
+        beforeEach(async function () {
+            const PropertyMarket = await ethers.getContractFactory("PropertyMarket");
+            market = await PropertyMarket.deploy(nft.address, nft.address, adminControl.address);
+            await market.deployed();
+            await market.addAllowedToken(token.address);
+            await adminControl.batchApproveKYC([seller.address, buyer.address], true);
+            await nft.connect(seller).setApprovalForAll(market.address, true);
+            await token.connect(buyer).approve(market.address, 1000000);
+            await controller.connect(manager).setTokenRoyalty(1, llc.address, 500);
+        });
+
+        it("Should pay the royalty alongside the platform fee on a purchase", async function () {
+            await market.connect(seller).listProperty(1, 10000, token.address);
+            const receipt = await (await market.connect(buyer).purchaseProperty(1, 10000)).wait();
+            const { args } = receipt.events.find((e) => e.event === "SaleSettled");
+
+            expect(args.royaltyReceiver).to.equal(llc.address);
+            expect([args.grossAmount, args.feeAmount, args.royaltyAmount, args.netAmount].map((a) => a.toNumber()))
+                .to.deep.equal([10000, 200, 500, 9300]);
+            expect((await token.balanceOf(llc.address)).toNumber()).to.equal(500);
+            expect((await token.balanceOf(feeCollector.address)).toNumber()).to.equal(200);
+            expect((await token.balanceOf(seller.address)).toNumber()).to.equal(9300);
+        });
+
+        it("Should pay the royalty out of an accepted bid", async function () {
+            await market.connect(seller).listProperty(1, 10000, token.address);
+            await market.connect(buyer).placeBid(1, 20000, token.address);
+            await market.connect(seller).acceptBid(1, 1, buyer.address, 20000, token.address);
+
+            expect((await token.balanceOf(llc.address)).toNumber()).to.equal(1000);
+            expect((await token.balanceOf(seller.address)).toNumber()).to.equal(18600);
+            expect((await token.balanceOf(market.address)).toNumber()).to.equal(0);
+        });
+
+        it("Should settle without royalty when none is configured", async function () {
+            await market.connect(seller).listProperty(2, 10000, token.address);
+            await market.connect(buyer).purchaseProperty(2, 10000);
+            expect((await token.balanceOf(seller.address)).toNumber()).to.equal(9800);
+        });
+    });
+
+    describe("PropertyAuction", function () {
+        let auction;
+
+        async function runAuction(tokenId, price) {
+            const tx = await auction.connect(seller).createAuction(nft.address, tokenId, token.address, 1000, 3600, 0);
+            const { auctionId } = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args;
+            await auction.connect(buyer).placeBid(auctionId, price);
+            await network.provider.send("evm_increaseTime", [3601]);
+            await network.provider.send("evm_mine");
+
+            await nft.connect(seller).approve(auction.address, tokenId);
+            await auction.connect(seller).depositNFT(auctionId);
+            await token.connect(buyer).approve(auction.address, price);
+            return (await auction.connect(buyer).depositFunds(auctionId)).wait();
+        }
+
+        beforeEach(async function () {
+            const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+            auction = await PropertyAuction.deploy();
+            await auction.deployed();
+            await auction.setAdminControl(adminControl.address);
+            await controller.connect(manager).setTokenRoyalty(1, llc.address, 500);
+        });
+
+        it("Should pay the platform fee and royalty at settlement", async function () {
+            await auction.setPlatformFee(250);
+            const receipt = await runAuction(1, 10000);
+            const { args } = receipt.events.find((e) => e.event === "ProceedsDistributed");
+
+            expect([args.grossAmount, args.feeAmount, args.royaltyAmount, args.netAmount].map((a) => a.toNumber()))
+                .to.deep.equal([10000, 250, 500, 9250]);
+            expect((await token.balanceOf(feeCollector.address)).toNumber()).to.equal(250);
+            expect((await token.balanceOf(llc.address)).toNumber()).to.equal(500);
+            expect((await token.balanceOf(seller.address)).toNumber()).to.equal(9250);
+            expect(await nft.ownerOf(1)).to.equal(buyer.address);
+        });
+
+        it("Should pay the full price to the seller without fee or royalty", async function () {
+            await runAuction(2, 10000);
+            expect((await token.balanceOf(seller.address)).toNumber()).to.equal(10000);
+        });
+
+        it("Should pay the platform fee to the current AdminControl fee collector", async function () {
+            await auction.setPlatformFee(250);
+            await adminControl.updateFeeConfig(200, llc.address);
+            await runAuction(1, 10000);
+            expect((await token.balanceOf(feeCollector.address)).toNumber()).to.equal(0);
+            expect((await token.balanceOf(llc.address)).toNumber()).to.equal(750);
+        });
+
+        it("Should bound the platform fee", async function () {
+            await expectCustomError(auction.setPlatformFee(1001), auction, "InvalidParams");
+            await expectCustomError(auction.setAdminControl(ethers.constants.AddressZero), auction, "InvalidParams");
+            await expect(auction.connect(seller).setPlatformFee(100))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+
+            const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+            const unconfigured = await PropertyAuction.deploy();
+            await unconfigured.deployed();
+            await expectCustomError(unconfigured.setPlatformFee(100), unconfigured, "InvalidParams");
+        });
+    });
+});
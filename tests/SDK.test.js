@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const {
+    PropertyMarketClient,
+    AdminControlClient,
+    PropertyContractError,
+    ERROR_CODES,
+    decodeRevertData,
+    normalizeAmount
+} = require("../sdk");
+const { deployMarketFixture } = require("./helpers");
+
+describe("JavaScript SDK", function () {
+    const artifactsDir = config.paths.artifacts;
+
+    describe("Error codes", function () {
+        it("Should mirror every code in ErrorCodes.sol", function () {
+            const source = fs.readFileSync(
+                path.join(__dirname, "..", "contracts", "libraries", "ErrorCodes.sol"),
+                "utf8"
+            );
+            const codes = [...source.matchAll(/string constant (E\d{3}) = "E\d{3}"; \/\/ (.+)/g)];
+            expect(codes.length).to.be.greaterThan(0);
+            for (const [, code, meaning] of codes) {
+                expect(ERROR_CODES[code], code).to.equal(meaning.trim());
+            }
+            expect(Object.keys(ERROR_CODES)).to.have.lengthOf(codes.length);
+        });
+
+        it("Should decode Error(string) payloads carrying a code", function () {
+            const data = new ethers.utils.Interface(["function Error(string)"])
+                .encodeFunctionData("Error", ["E914"]);
+            const decoded = decodeRevertData(data);
+            expect(decoded.code).to.equal("E914");
+            expect(decoded.reason).to.equal("Insufficient contract balance");
+        });
+
+        it("Should decode PropertyAuction custom errors with arguments", function () {
+            const iface = new ethers.utils.Interface(["error BidTooLow(uint256 required)"]);
+            const decoded = decodeRevertData(iface.encodeErrorResult("BidTooLow", [1000]), [iface]);
+            expect(decoded.code).to.equal("BidTooLow");
+            expect(decoded.args.required.toNumber()).to.equal(1000);
+            expect(decoded.reason).to.equal("Bid too low (required=1000)");
+        });
+    });
+
+    describe("Amounts", function () {
+        it("Should scale human-readable amounts and keep base units as-is", function () {
+            expect(normalizeAmount("1.5", 6).toString()).to.equal("1500000");
+            expect(normalizeAmount(2).toString()).to.equal(ethers.utils.parseEther("2").toString());
+            expect(normalizeAmount(ethers.BigNumber.from(7), 6).toString()).to.equal("7");
+        });
+    });
+
+    describe("PropertyMarketClient", function () {
+        let owner, seller, buyer, feeCollector;
+        let adminControl, nft, token, market, periphery;
+
+        beforeEach(async function () {
+            [owner, seller, buyer, feeCollector] = await ethers.getSigners();
+
+            ({ adminControl, nft, token, market, periphery } = await deployMarketFixture({ feeCollector: feeCollector.address }));
+            await adminControl.batchApproveKYC([seller.address, buyer.address], true);
+            await nft.mintPropertyNFT(seller.address, true);
+            await nft.connect(seller).setApprovalForAll(market.address, true);
+            await token.mint(buyer.address, ethers.utils.parseUnits("1000", 6));
+        });
+
+        it("Should list and sell a property, approving the payment token automatically", async function () {
+            const sellerClient = new PropertyMarketClient(market.address, seller, { artifactsDir });
+            await sellerClient.listProperty(1, "100", token.address);
+
+            const listing = await sellerClient.getListing(1);
+            expect(listing.status).to.equal("LISTED");
+            expect(listing.price.toString()).to.equal("100000000");
+
+            await sellerClient.connect(buyer).purchaseProperty(1);
+            expect(await nft.ownerOf(1)).to.equal(buyer.address);
+        });
+
+        it("Should place and accept a bid", async function () {
+            const sellerClient = new PropertyMarketClient(market.address, seller, { artifactsDir, periphery: periphery.address });
+            const buyerClient = sellerClient.connect(buyer);
+            await sellerClient.listProperty(1, "100", token.address);
+
+            await buyerClient.placeBid(1, "120", token.address);
+            try {
+                await new PropertyMarketClient(market.address, seller, { artifactsDir }).getActiveBids(1);
+                expect.fail("the bid views are served by the periphery");
+            } catch (error) {
+                expect(error.message).to.contain("options.periphery");
+            }
+            const bids = await sellerClient.getActiveBids(1);
+            expect(bids).to.have.lengthOf(1);
+            expect(bids[0].bidder).to.equal(buyer.address);
+
+            await sellerClient.acceptBid(1, bids[0].index);
+            expect(await nft.ownerOf(1)).to.equal(buyer.address);
+        });
+
+        it("Should escrow a purchase until the seller decides", async function () {
+            const sellerClient = new PropertyMarketClient(market.address, seller, { artifactsDir });
+            await sellerClient.listPropertyWithConfirmation(1, "100", token.address, 3600);
+            await sellerClient.connect(buyer).purchaseProperty(1);
+
+            const pending = await sellerClient.getPendingPurchase(1);
+            expect(pending.buyer).to.equal(buyer.address);
+            expect((await token.balanceOf(market.address)).toString()).to.equal("100000000");
+
+            await sellerClient.rejectPurchase(1);
+            expect(await sellerClient.getPendingPurchase(1)).to.equal(null);
+            expect((await token.balanceOf(buyer.address)).toString()).to.equal("1000000000");
+        });
+
+        it("Should refuse native ETH payments", async function () {
+            const buyerClient = new PropertyMarketClient(market.address, buyer, { artifactsDir });
+            try {
+                await buyerClient.placeBid(1, "120", ethers.constants.AddressZero);
+                expect.fail("PropertyMarket does not take ETH");
+            } catch (error) {
+                expect(error.message).to.contain("only takes ERC20 payments");
+            }
+        });
+
+        it("Should surface reverts as PropertyContractError", async function () {
+            const buyerClient = new PropertyMarketClient(market.address, buyer, { artifactsDir });
+            try {
+                await buyerClient.listProperty(1, "100", token.address);
+                expect.fail("listing someone else's property should revert");
+            } catch (error) {
+                expect(error).to.be.instanceOf(PropertyContractError);
+                expect(error.code).to.equal("E105");
+                expect(error.reason).to.equal("Not owner");
+            }
+        });
+    });
+
+    describe("AdminControlClient", function () {
+        it("Should read the fee configuration", async function () {
+            const [owner, feeCollector] = await ethers.getSigners();
+            const AdminControl = await ethers.getContractFactory("AdminControl");
+            const adminControl = await AdminControl.deploy(owner.address, feeCollector.address, owner.address);
+            await adminControl.deployed();
+
+            const client = new AdminControlClient(adminControl.address, owner, { artifactsDir });
+            const fees = await client.getFeeConfig();
+            expect(fees.baseFee).to.equal(200);
+            expect(fees.feeCollector).to.equal(feeCollector.address);
+            expect(await client.hasRole("KYC_ROLE", owner.address)).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyAuctionClient } = require("../sdk");
+const { expectCustomError, increaseTime } = require("./helpers");
+
+describe("PropertyAuction sealed-bid mode", function () {
+    const COMMIT = 600;
+    const REVEAL = 600;
+    let owner, seller, alice, bob, carol;
+    let nft, token, auction;
+
+    async function createSealed(vickrey = false) {
+        const tx = await auction.connect(seller).createSealedAuction(
+            nft.address, 1, token.address, 1000, COMMIT, REVEAL, vickrey
+        );
+        return (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+    }
+
+    async function commit(auctionId, bidder, amount, salt = ethers.utils.formatBytes32String(bidder.address.slice(0, 20))) {
+        const hash = await auction.hashSealedBid(auctionId, bidder.address, amount, salt);
+        await auction.connect(bidder).commitBid(auctionId, hash);
+        return { amount, salt };
+    }
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob, carol] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        const adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.deployed();
+
+        const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+        auction = await PropertyAuction.deploy();
+        await auction.deployed();
+    });
+
+    it("Should award the highest revealed bid and drop unrevealed commitments", async function () {
+        const auctionId = await createSealed();
+        const a = await commit(auctionId, alice, 3000);
+        const b = await commit(auctionId, bob, 5000);
+        await commit(auctionId, carol, 9000);
+
+        await expectCustomError(auction.connect(alice).revealBid(auctionId, a.amount, a.salt), auction, "NotRevealPhase");
+        await increaseTime(COMMIT);
+        await expectCustomError(
+            auction.connect(carol).commitBid(auctionId, ethers.utils.id("late")), auction, "NotCommitPhase"
+        );
+
+        await auction.connect(alice).revealBid(auctionId, a.amount, a.salt);
+        await auction.connect(bob).revealBid(auctionId, b.amount, b.salt);
+        // carol never reveals
+
+        const state = await auction.auctions(auctionId);
+        expect(state.highestBidder).to.equal(bob.address);
+        expect(state.highestBid).to.equal(5000);
+
+        await increaseTime(REVEAL);
+        await expectCustomError(auction.connect(carol).revealBid(auctionId, 9000, ethers.constants.HashZero), auction, "NotRevealPhase");
+    });
+
+    it("Should reject reveals that do not match the commitment", async function () {
+        const auctionId = await createSealed();
+        const a = await commit(auctionId, alice, 3000);
+        const low = await commit(auctionId, bob, 500);
+        await increaseTime(COMMIT);
+
+        await expectCustomError(auction.connect(alice).revealBid(auctionId, 3001, a.salt), auction, "InvalidReveal");
+        await expectCustomError(auction.connect(carol).revealBid(auctionId, a.amount, a.salt), auction, "InvalidReveal");
+        await expectCustomError(auction.connect(bob).revealBid(auctionId, low.amount, low.salt), auction, "BidTooLow");
+
+        await auction.connect(alice).revealBid(auctionId, a.amount, a.salt);
+        await expectCustomError(auction.connect(alice).revealBid(auctionId, a.amount, a.salt), auction, "InvalidReveal");
+    });
+
+    it("Should charge the second price under Vickrey and settle through escrow", async function () {
+        const auctionId = await createSealed(true);
+        const a = await commit(auctionId, alice, 3000);
+        const b = await commit(auctionId, bob, 5000);
+        await increaseTime(COMMIT);
+
+        await auction.connect(bob).revealBid(auctionId, b.amount, b.salt);
+        expect((await auction.auctions(auctionId)).highestBid).to.equal(1000); // only bid: minBid
+        await auction.connect(alice).revealBid(auctionId, a.amount, a.salt);
+        expect((await auction.auctions(auctionId)).highestBid).to.equal(3000);
+        await increaseTime(REVEAL);
+
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(auctionId);
+        await token.mint(bob.address, 3000);
+        await token.connect(bob).approve(auction.address, 3000);
+        await expect(auction.connect(bob).depositFunds(auctionId))
+            .to.emit(auction, "AuctionSettled")
+            .withArgs(auctionId, bob.address, 3000);
+        expect(await nft.ownerOf(1)).to.equal(bob.address);
+    });
+
+    it("Should keep English-only actions away and bind the seller once bids are committed", async function () {
+        const auctionId = await createSealed();
+        await expectCustomError(auction.connect(alice).placeBid(auctionId, 2000), auction, "WrongAuctionType");
+        await commit(auctionId, alice, 3000);
+        await expectCustomError(auction.connect(seller).cancelAuction(auctionId), auction, "AuctionHasBids");
+        await expectCustomError(auction.connect(seller).acceptBid(auctionId, 0), auction, "WrongAuctionType");
+    });
+
+    it("Should commit and reveal through the SDK", async function () {
+        const sellerClient = new PropertyAuctionClient(auction.address, seller, { artifactsDir: config.paths.artifacts });
+        const { auctionId } = await sellerClient.createSealedAuction({
+            nft: nft.address,
+            tokenId: 1,
+            payToken: token.address,
+            minBid: "0.001",
+            commitDuration: COMMIT,
+            revealDuration: REVEAL,
+            vickrey: true
+        });
+        expect((await sellerClient.getAuction(auctionId)).type).to.equal("Sealed");
+
+        const aliceClient = sellerClient.connect(alice);
+        const sealed = await aliceClient.commitBid(auctionId, "0.004");
+        expect(sealed.commitment).to.equal(
+            await auction.hashSealedBid(auctionId, alice.address, sealed.amount, sealed.salt)
+        );
+
+        await increaseTime(COMMIT);
+        await aliceClient.revealBid(auctionId, sealed.amount, sealed.salt);
+        const state = await aliceClient.getAuction(auctionId);
+        expect(state.highestBidder).to.equal(alice.address);
+        expect(state.highestBid).to.equal(1000);
+    });
+});
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+const { PropertyAuctionClient } = require("../sdk");
+const { expectCustomError, increaseTime } = require("./helpers");
+
+describe("PropertyAuction second-chance offers", function () {
+    const DURATION = 3600;
+    const ESCROW_PERIOD = 6 * 24 * 3600;
+    const WINDOW = 24 * 3600;
+    let owner, seller, alice, bob, carol;
+    let nft, token, auction, auctionId;
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob, carol] = await ethers.getSigners();
+
+        const AdminControl = await ethers.getContractFactory("AdminControl");
+        const adminControl = await AdminControl.deploy(owner.address, owner.address, owner.address);
+        await adminControl.deployed();
+
+        const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+        nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+        await nft.deployed();
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.deployed();
+
+        const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+        auction = await PropertyAuction.deploy();
+        await auction.deployed();
+
+        const tx = await auction.connect(seller).createAuction(nft.address, 1, token.address, 1000, DURATION, 0);
+        auctionId = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+        await auction.connect(seller).setBidBond(auctionId, 0, 100);
+
+        for (const bidder of [alice, bob, carol]) {
+            await token.mint(bidder.address, 100000);
+            await token.connect(bidder).approve(auction.address, 100000);
+        }
+        await auction.connect(carol).placeBid(auctionId, 2000);
+        await auction.connect(alice).placeBid(auctionId, 3000);
+        await auction.connect(bob).placeBid(auctionId, 4000);
+        await auction.connect(alice).placeBid(auctionId, 5000);
+        await increaseTime(DURATION);
+
+        await nft.connect(seller).approve(auction.address, 1);
+        await auction.connect(seller).depositNFT(auctionId);
+    });
+
+    it("Should offer the runner-up their own bid once the winner defaults", async function () {
+        await expectCustomError(auction.connect(seller).offerSecondChance(auctionId, WINDOW), auction, "NotVoidable");
+        await increaseTime(ESCROW_PERIOD);
+        await expectCustomError(auction.connect(bob).offerSecondChance(auctionId, WINDOW), auction, "NotSeller");
+        await expectCustomError(
+            auction.connect(seller).offerSecondChance(auctionId, ESCROW_PERIOD + 1), auction, "InvalidParams"
+        );
+
+        // Alice's defaulted bond goes to the seller; her lower duplicate bid is skipped.
+        await expect(auction.connect(seller).offerSecondChance(auctionId, WINDOW))
+            .to.emit(auction, "BondForfeited")
+            .withArgs(auctionId, alice.address, 100, 0)
+            .and.to.emit(auction, "SecondChanceOffered");
+        const state = await auction.auctions(auctionId);
+        expect(state.highestBidder).to.equal(bob.address);
+        expect(state.highestBid).to.equal(4000);
+
+        await expectCustomError(auction.connect(alice).depositFunds(auctionId), auction, "NotWinner");
+        await auction.connect(bob).depositFunds(auctionId);
+
+        expect(await nft.ownerOf(1)).to.equal(bob.address);
+        expect(await token.balanceOf(seller.address)).to.equal(4100);
+        expect(await token.balanceOf(bob.address)).to.equal(96000);
+    });
+
+    it("Should chain offers down the list until a bidder accepts or none are left", async function () {
+        await increaseTime(ESCROW_PERIOD);
+        await auction.connect(seller).offerSecondChance(auctionId, WINDOW);
+        await expectCustomError(auction.connect(seller).offerSecondChance(auctionId, WINDOW), auction, "NotVoidable");
+        await increaseTime(WINDOW + 1);
+
+        await expectCustomError(auction.connect(bob).depositFunds(auctionId), auction, "OfferExpired");
+        // Bob's lapsed offer costs him nothing.
+        await expect(auction.connect(seller).offerSecondChance(auctionId, WINDOW))
+            .to.emit(auction, "BondRefunded")
+            .withArgs(auctionId, bob.address, 100);
+        expect((await auction.auctions(auctionId)).highestBidder).to.equal(carol.address);
+
+        await increaseTime(WINDOW + 1);
+        await expectCustomError(auction.connect(seller).offerSecondChance(auctionId, WINDOW), auction, "NoFallbackBid");
+
+        // With the list exhausted, the seller can void as soon as the last offer lapsed.
+        await auction.connect(seller).voidAuction(auctionId);
+        expect(await nft.ownerOf(1)).to.equal(seller.address);
+        expect(await token.balanceOf(carol.address)).to.equal(100000);
+        expect(await token.balanceOf(seller.address)).to.equal(100);
+    });
+
+    it("Should give the seller a fresh escrow period after an accepted offer", async function () {
+        const sellerClient = new PropertyAuctionClient(auction.address, seller, { artifactsDir: config.paths.artifacts });
+        const tx = await auction.connect(seller).createAuction(nft.address, 2, token.address, 1000, DURATION, 0);
+        const id = (await tx.wait()).events.find((e) => e.event === "AuctionCreated").args.auctionId;
+        await nft.mintPropertyNFT(seller.address, true);
+        await auction.connect(bob).placeBid(id, 1000);
+        await auction.connect(alice).placeBid(id, 2000);
+        await increaseTime(DURATION + ESCROW_PERIOD);
+
+        expect(await sellerClient.getSecondChanceOffer(id)).to.equal(null);
+        const offer = await sellerClient.offerSecondChance(id, WINDOW);
+        expect(offer.bidder).to.equal(bob.address);
+        expect(offer.amount).to.equal(1000);
+
+        await sellerClient.connect(bob).depositFunds(id);
+        const pending = await sellerClient.getSecondChanceOffer(id);
+        expect(pending.deadline).to.equal(offer.deadline);
+        expect(pending.expired).to.equal(false);
+
+        await increaseTime(WINDOW);
+        await expectCustomError(auction.connect(bob).voidAuction(id), auction, "NotVoidable");
+        await increaseTime(ESCROW_PERIOD);
+        const before = await token.balanceOf(bob.address);
+        await auction.connect(bob).voidAuction(id);
+        expect(await token.balanceOf(bob.address)).to.equal(before.add(1000));
+    });
+});
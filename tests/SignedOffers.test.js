@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers, network, config } = require("hardhat");
+
+const { PropertyOrderSettlementClient, OrderBook, signOffer } = require("../sdk");
+const { deployMarketFixture } = require("./helpers");
+
+describe("Signed offers (PropertyOrderSettlement)", function () {
+    const DAY = 24 * 3600;
+    let owner, seller, alice, bob, outsider;
+    let adminControl, nft, token, life, market, settlement;
+    let chainId;
+
+    async function now() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function offerFrom(buyer, overrides = {}) {
+        return signOffer(buyer, settlement.address, {
+            buyer: buyer.address,
+            tokenId: 1,
+            paymentToken: token.address,
+            price: 10000,
+            expiry: (await now()) + DAY,
+            nonce: await settlement.nonces(buyer.address),
+            ...overrides
+        });
+    }
+
+    beforeEach(async function () {
+        [owner, seller, alice, bob, outsider] = await ethers.getSigners();
+        ({ chainId } = await ethers.provider.getNetwork());
+
+        ({ adminControl, nft, token, market } = await deployMarketFixture());
+        await nft.mintPropertyNFT(seller.address, true);
+
+        const LifeToken = await ethers.getContractFactory("LifeToken");
+        life = await LifeToken.deploy(owner.address, "ManageLife Token", "LIFE");
+        await life.deployed();
+
+        const Settlement = await ethers.getContractFactory("PropertyOrderSettlement");
+        settlement = await Settlement.deploy(market.address);
+        await settlement.deployed();
+
+        await market.addAllowedToken(life.address);
+        await adminControl.batchApproveKYC([seller.address, alice.address, bob.address], true);
+        await nft.connect(seller).setApprovalForAll(settlement.address, true);
+        await token.mint(alice.address, 100000);
+        await life.transfer(alice.address, ethers.utils.parseEther("100"));
+    });
+
+    it("Should fill an offer through an allowance and pay the seller", async function () {
+        const signed = await offerFrom(alice);
+        await token.connect(alice).approve(settlement.address, 10000);
+
+        expect(await settlement.hashOffer(signed.offer)).to.equal(signed.hash);
+        await expect(settlement.connect(seller).fillOffer(signed.offer, signed.signature))
+            .to.emit(settlement, "OfferFilled")
+            .withArgs(signed.hash, 1, alice.address, seller.address, 10000, token.address)
+            .and.to.emit(settlement, "SaleSettled");
+
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+        expect((await token.balanceOf(alice.address)).toNumber()).to.equal(90000);
+        const received = (await token.balanceOf(seller.address)).add(await token.balanceOf(owner.address));
+        expect(received.toNumber()).to.equal(10000);
+        expect(await settlement.filled(signed.hash)).to.equal(true);
+
+        // The same signature can never be filled twice.
+        await nft.connect(alice).transferFrom(alice.address, seller.address, 1);
+        await token.connect(alice).approve(settlement.address, 10000);
+        await expect(
+            settlement.connect(seller).fillOffer(signed.offer, signed.signature)
+        ).to.be.revertedWith("E213");
+    });
+
+    it("Should reject expired, cancelled and forged offers", async function () {
+        await token.connect(alice).approve(settlement.address, 100000);
+
+        const expired = await offerFrom(alice, { expiry: await now() });
+        await expect(
+            settlement.connect(seller).fillOffer(expired.offer, expired.signature)
+        ).to.be.revertedWith("E211");
+
+        const cancelled = await offerFrom(alice);
+        await expect(settlement.connect(alice).incrementNonce())
+            .to.emit(settlement, "NonceIncremented")
+            .withArgs(alice.address, 1);
+        await expect(
+            settlement.connect(seller).fillOffer(cancelled.offer, cancelled.signature)
+        ).to.be.revertedWith("E212");
+
+        const forged = await offerFrom(bob, { buyer: alice.address, nonce: 1 });
+        await expect(
+            settlement.connect(seller).fillOffer(forged.offer, forged.signature)
+        ).to.be.revertedWith("E214");
+
+        const wrongToken = await offerFrom(alice, { paymentToken: outsider.address });
+        await expect(
+            settlement.connect(seller).fillOffer(wrongToken.offer, wrongToken.signature)
+        ).to.be.revertedWith("E301");
+    });
+
+    it("Should only let a KYC-verified owner fill", async function () {
+        const signed = await offerFrom(alice);
+        await token.connect(alice).approve(settlement.address, 10000);
+        await expect(
+            settlement.connect(bob).fillOffer(signed.offer, signed.signature)
+        ).to.be.revertedWith("E105");
+
+        await adminControl.batchApproveKYC([seller.address], false);
+        await expect(
+            settlement.connect(seller).fillOffer(signed.offer, signed.signature)
+        ).to.be.revertedWith("E403");
+    });
+
+    it("Should fill with a permit through the SDK and delist the market listing", async function () {
+        await nft.setTransferHook(market.address);
+        await nft.connect(seller).setApprovalForAll(market.address, true);
+        await market.connect(seller).listProperty(1, ethers.utils.parseEther("20"), life.address);
+
+        const options = { artifactsDir: config.paths.artifacts };
+        const buyerClient = new PropertyOrderSettlementClient(settlement.address, alice, options);
+        const sellerClient = buyerClient.connect(seller);
+
+        const signed = await buyerClient.signOffer({
+            tokenId: 1,
+            price: "15",
+            paymentToken: life.address,
+            expiry: (await now()) + DAY
+        });
+        expect(signed.permit).to.not.equal(undefined);
+        expect(await life.allowance(alice.address, settlement.address)).to.equal(0);
+
+        const receipt = await sellerClient.fillOffer(signed);
+        expect(receipt.events.some(e => e.address === market.address)).to.equal(true);
+        expect(await nft.ownerOf(1)).to.equal(alice.address);
+        expect((await market.getListingDetails(1)).status).to.equal(2); // DELISTED
+        expect(await buyerClient.isFilled(signed.hash)).to.equal(true);
+    });
+
+    it("Should keep an off-chain order book in sync with the chain", async function () {
+        const book = new OrderBook({ chainId, settlement: settlement.address });
+        const low = await offerFrom(alice, { price: 9000 });
+        const high = await offerFrom(bob, { price: 12000 });
+        const other = await offerFrom(alice, { tokenId: 2, price: 50000 });
+        for (const o of [low, high, other]) book.add(o, { now: await now() });
+
+        expect(book.offersFor(1, { now: await now() }).map(o => o.hash)).to.deep.equal([high.hash, low.hash]);
+        expect(book.bestOffer(1, token.address, { now: await now() }).hash).to.equal(high.hash);
+        expect(book.offersBy(alice.address)).to.have.length(2);
+
+        expect(() => book.add({ ...low, offer: { ...low.offer, price: "1" } })).to.throw("hash");
+        const tampered = { ...low, hash: undefined, offer: { ...low.offer, price: "1" } };
+        expect(() => book.add(tampered)).to.throw("not signed by its buyer");
+
+        // Bob cancels; alice's token 1 offer is filled.
+        await settlement.connect(bob).incrementNonce();
+        await token.connect(alice).approve(settlement.address, 9000);
+        await settlement.connect(seller).fillOffer(low.offer, low.signature);
+
+        const client = new PropertyOrderSettlementClient(settlement.address, outsider, { artifactsDir: config.paths.artifacts });
+        const removed = await book.sync(client);
+        expect(removed).to.have.members([low.hash, high.hash]);
+
+        const restored = OrderBook.fromJSON(JSON.parse(JSON.stringify(book)));
+        expect(restored.size).to.equal(1);
+        expect(restored.get(other.hash).offer.price).to.equal("50000");
+
+        await network.provider.send("evm_increaseTime", [DAY]);
+        await network.provider.send("evm_mine");
+        expect(await restored.sync(client)).to.deep.equal([other.hash]);
+    });
+});
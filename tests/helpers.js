@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { decodeContractError } = require("../sdk");
+
+/**
+ * Asserts that `promise` reverts with the custom error `name` from `contract`'s ABI.
+ * @param {Promise} promise pending transaction or call
+ * @param {ethers.Contract} contract contract whose interface declares the error
+ * @param {string} name custom error name, e.g. "InvalidParams"
+ */
+async function expectCustomError(promise, contract, name) {
+    try {
+        await promise;
+    } catch (error) {
+        expect(decodeContractError(error, [contract.interface]).code).to.equal(name);
+        return;
+    }
+    expect.fail(`Expected ${name} revert`);
+}
+
+/** Moves the clock `seconds` forward and mines a block. */
+async function increaseTime(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+}
+
+/** Mines a block at exactly `timestamp`. */
+async function mineAt(timestamp) {
+    await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await network.provider.send("evm_mine");
+}
+
+/**
+ * Deploys AdminControl, ManageLifePropertyNFT, a 6-decimal MockERC20, a
+ * PropertyMarket that accepts it and the market's registered
+ * PropertyMarketPeriphery. The first signer administers everything and acts
+ * as the NFT controller, so it can mint directly.
+ * @param {object} [options]
+ * @param {string} [options.feeCollector] fee recipient, defaults to the first signer
+ */
+async function deployMarketFixture({ feeCollector } = {}) {
+    const [owner] = await ethers.getSigners();
+
+    const AdminControl = await ethers.getContractFactory("AdminControl");
+    const adminControl = await AdminControl.deploy(owner.address, feeCollector || owner.address, owner.address);
+    await adminControl.deployed();
+
+    const PropertyNFT = await ethers.getContractFactory("ManageLifePropertyNFT");
+    const nft = await PropertyNFT.deploy("ManageLife Property", "MLP", adminControl.address, "ipfs://base/", owner.address);
+    await nft.deployed();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await token.deployed();
+
+    const PropertyMarket = await ethers.getContractFactory("PropertyMarket");
+    const market = await PropertyMarket.deploy(nft.address, nft.address, adminControl.address);
+    await market.deployed();
+    await market.addAllowedToken(token.address);
+
+    const PropertyMarketPeriphery = await ethers.getContractFactory("PropertyMarketPeriphery");
+    const periphery = await PropertyMarketPeriphery.deploy(market.address);
+    await periphery.deployed();
+    await market.setPeriphery(periphery.address);
+
+    return { adminControl, nft, token, market, periphery };
+}
+
+module.exports = { expectCustomError, increaseTime, mineAt, deployMarketFixture };